@@ -0,0 +1,80 @@
+/**
+ * VibeCanvas preview server
+ *
+ * Answers requests under /__preview/<session>/ from Cache Storage, where the
+ * editor publishes the in-memory project files (see src/services/previewServer.js).
+ * This lets the preview iframe load the project exactly like a static host would:
+ * relative URLs, <link> stylesheets, @import, ES modules and fetch() all work.
+ */
+
+const PREVIEW_CACHE = 'vibecanvas-preview'
+const PREVIEW_PREFIX = '/__preview/'
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url)
+  if (url.origin !== self.location.origin || !url.pathname.startsWith(PREVIEW_PREFIX)) {
+    return
+  }
+
+  event.respondWith(respondFromProject(url))
+})
+
+// Sessions the editor asks to prune - it keeps its own, plus any a preview frame has open
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'PRUNE_SESSIONS') return
+
+  event.waitUntil(pruneSessions(event.data.keep || [])
+    .catch((error) => console.warn('Error pruning preview sessions:', error))
+    .then(() => event.ports[0]?.postMessage({ type: 'SESSIONS_PRUNED' })))
+})
+
+// The session a /__preview/<session>/... URL belongs to
+const getSessionId = (href) => {
+  const { pathname } = new URL(href)
+  return pathname.startsWith(PREVIEW_PREFIX) ? pathname.slice(PREVIEW_PREFIX.length).split('/')[0] : null
+}
+
+const pruneSessions = async (keep) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  const liveSessions = new Set(keep.concat(windows.map(client => getSessionId(client.url))))
+
+  const cache = await caches.open(PREVIEW_CACHE)
+  const requests = await cache.keys()
+  await Promise.all(requests
+    .filter(request => !liveSessions.has(getSessionId(request.url)))
+    .map(request => cache.delete(request)))
+}
+
+const respondFromProject = async (url) => {
+  const cache = await caches.open(PREVIEW_CACHE)
+
+  // Try the path as requested, then decoded (e.g. "my%20file.css"), then as a folder index
+  const candidates = [url.pathname]
+  try {
+    const decoded = new URL(decodeURIComponent(url.pathname), url.origin).pathname
+    if (decoded !== url.pathname) candidates.push(decoded)
+  } catch (e) {
+    // Malformed escape sequence - only the raw path can match
+  }
+  if (url.pathname.endsWith('/')) {
+    candidates.push(`${url.pathname}index.html`)
+  }
+
+  for (const pathname of candidates) {
+    const response = await cache.match(new URL(pathname, url.origin).href, { ignoreSearch: true })
+    if (response) return response
+  }
+
+  return new Response(`Not found in project: ${url.pathname}`, {
+    status: 404,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' }
+  })
+}
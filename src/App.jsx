@@ -1,4 +1,4 @@
-import { useState, useRef, useEffect, useCallback } from 'react'
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react'
 import FileUploader from './components/FileUploader'
 import PreviewPane from './components/PreviewPane'
 import TabPanel from './components/TabPanel'
@@ -7,20 +7,81 @@ import MenuBar from './components/MenuBar'
 import { useAuth } from './contexts/AuthContext'
 // Projects saved to user account (Supabase) - "All Projects" is the source of truth
 import { saveProject, loadProject, saveProjectAsNew } from './services/projectService'
+import { getFilePath, findFileByPath, isSameFile, getPageId } from './lib/projectPaths'
+import {
+  moveElementInSource,
+  insertMarkupInSource,
+  removeElementsInSource,
+  duplicateElementsInSource,
+  wrapElementInSource,
+  unwrapElementInSource,
+  setElementTextInSource,
+  setDirectTextInSource,
+  setAttributeInSource
+} from './lib/htmlParser'
+import { getElementTemplate, getMissingTemplateCss } from './lib/elementTemplates'
+import { locateMatchedRules, getTargetRule, getWinningRule, getRuleId, applyCssChanges } from './lib/cssRules'
+import { BASE_BREAKPOINT, getBreakpoints, getBreakpointForWidth, getBreakpointPreviewWidth, isRuleInBreakpoint } from './lib/breakpoints'
+import { getElementState, isRuleForState, addStateToSelector } from './lib/elementStates'
 import './App.css'
 
+// Oldest console messages are dropped past this many entries
+const MAX_CONSOLE_ENTRIES = 1000
+
+// Style edits go to the rule that sets each property unless the properties panel picks one
+const AUTO_CSS_TARGET = { type: 'auto' }
+
 // Helper function to convert camelCase to kebab-case for CSS properties
 const camelToKebab = (str) => {
   return str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
 }
 
+// Where a selected element's markup is in the page source - see ElementRef in htmlParser
+const getElementRef = (element) => ({
+  nodeId: element.nodeId ?? null,
+  domPath: element.domPath,
+  tagName: element.tagName
+})
+
+// Write a stylesheet's pending style edits into its source - each targets a rule by selector and occurrence
+const applyCSSChangesToContent = (content, changes) => {
+  return applyCssChanges(content, changes.map(change => ({ ...change, property: camelToKebab(change.property) })))
+}
+
+// Write text and attribute changes into a page's source - each finds its element by the node id the preview tagged it with
+// 'text' replaces the element's content, 'directText' only its own text (the child text fields), 'attribute' sets one attribute
+// Last element first: replacing an element's content can drop child elements and renumber the ones after it
+const applyTextChangesToContent = (content, changes) => {
+  const ordered = [...changes].sort((a, b) => Number(b.target.nodeId) - Number(a.target.nodeId))
+  return ordered.reduce((html, change) => {
+    let result
+    if (change.mode === 'attribute') {
+      result = setAttributeInSource(html, { target: change.target, name: change.name, value: change.value })
+    } else {
+      const edit = change.mode === 'directText' ? setDirectTextInSource : setElementTextInSource
+      result = edit(html, { target: change.target, text: change.newText })
+    }
+    if (!result) {
+      console.error('❌ Could not find the edited element in the page source:', { page: change.fileName, target: change.target })
+      return html
+    }
+    return result.html
+  }, content)
+}
+
 function App() {
   // Removed render log to prevent console freezing
   const [projectFiles, setProjectFiles] = useState(null)
   const [selectedFile, setSelectedFile] = useState(null)
   const [selectedElement, setSelectedElement] = useState(null)
+  // Whole multi-selection (shift-click / marquee) - selectedElement is its first entry
+  const [selectedElements, setSelectedElements] = useState([])
   const [currentPage, setCurrentPage] = useState('index') // Track current HTML page for page-specific CSS
   const [selectedPages, setSelectedPages] = useState([]) // Array of selected pages for CSS scope (empty = current page only)
+  const [cssTarget, setCssTarget] = useState(AUTO_CSS_TARGET) // Rule the properties panel writes style edits to
+  const [previewWidth, setPreviewWidth] = useState(0) // Width of the primary preview frame
+  const [breakpointId, setBreakpointId] = useState(BASE_BREAKPOINT.id) // @media range style edits go to
+  const [elementStateId, setElementStateId] = useState(null) // Pseudo-class forced on the selection, or pseudo-element edits go to
   const [styleSourcePage, setStyleSourcePage] = useState(null) // Track which page styles were originally applied FROM
   const [appliedPropertiesMap, setAppliedPropertiesMap] = useState(new Map()) // Track which properties were applied to which pages: Map<pageId, Set<property>>
   const [isApplying, setIsApplying] = useState(false) // Flag to prevent auto-detect during apply operations
@@ -35,6 +96,12 @@ function App() {
   const [showFileExtensions, setShowFileExtensions] = useState(true) // show file extensions in file tree
   const [lineNumbers, setLineNumbers] = useState(true) // show line numbers in code editor
   const [tabSize, setTabSize] = useState(2) // tab size in code editor (2, 4, or 8)
+  const [consoleEntries, setConsoleEntries] = useState([]) // Console output captured from the preview
+  const [preserveConsoleLog, setPreserveConsoleLog] = useState(false) // keep console output across preview reloads
+  const preserveConsoleLogRef = useRef(preserveConsoleLog)
+  const consoleEntryIdRef = useRef(0)
+  const [domTree, setDomTree] = useState(null) // Element tree of the previewed page, for the layers panel
+  const [elementCascade, setElementCascade] = useState(null) // Ancestors' rules of the selected element, for the Styles tab
   const [pendingTextChanges, setPendingTextChanges] = useState(() => new Map())
   const [pendingCSSChanges, setPendingCSSChanges] = useState(() => new Map())
   const pendingTextChangesRef = useRef(pendingTextChanges)
@@ -68,6 +135,46 @@ function App() {
     }
   }, [saveStatus, pendingTextChanges.size, user, authLoading])
 
+  // Breakpoints of the project's @media queries - the active one follows the preview width
+  const breakpoints = useMemo(() => getBreakpoints((projectFiles || []).filter(f => f.name.endsWith('.css'))), [projectFiles])
+  const activeBreakpoint = breakpoints.find(breakpoint => breakpoint.id === breakpointId) || BASE_BREAKPOINT
+  useEffect(() => {
+    if (previewWidth > 0) setBreakpointId(getBreakpointForWidth(breakpoints, previewWidth).id)
+  }, [previewWidth, breakpoints])
+
+  // Properties of the selected element with pending edits at the active breakpoint (in the active
+  // state) - the properties panel shows them as set there rather than inherited from another breakpoint
+  const pendingBreakpointProperties = useMemo(() => {
+    const properties = new Set()
+    if (!selectedElement || !activeBreakpoint.media) return properties
+    const selectedPath = (selectedElement.domPath || []).join('.')
+    pendingCSSChanges.forEach(change => {
+      if (change.breakpointId === activeBreakpoint.id && change.state === elementStateId && change.element.nodeId === selectedElement.nodeId &&
+        (change.element.domPath || []).join('.') === selectedPath) {
+        properties.add(change.property)
+      }
+    })
+    return properties
+  }, [pendingCSSChanges, selectedElement, activeBreakpoint, elementStateId])
+
+  // Picking a breakpoint resizes the preview into its range - base can stay picked at a width a
+  // query covers when no width is outside them all
+  const handleBreakpointChange = (id) => {
+    const breakpoint = breakpoints.find(candidate => candidate.id === id) || BASE_BREAKPOINT
+    setBreakpointId(breakpoint.id)
+    if (getBreakpointForWidth(breakpoints, previewWidth).id === breakpoint.id) return
+    const width = getBreakpointPreviewWidth(breakpoints, breakpoint)
+    if (width) previewPaneRef.current?.setPreviewWidth(width)
+  }
+
+  // A picked rule and state belong to the element they were picked for
+  const selectedElementKey = selectedElement ? `${selectedElement.nodeId}|${selectedElement.domPath}` : ''
+  useEffect(() => {
+    setCssTarget(AUTO_CSS_TARGET)
+    setElementStateId(null)
+  }, [selectedElementKey])
+  const elementState = getElementState(elementStateId)
+
   // Keep refs in sync with state
   useEffect(() => {
     pendingTextChangesRef.current = pendingTextChanges
@@ -346,6 +453,7 @@ function App() {
       // Include image dataUrls in content
       const filesForCloud = files.map(file => ({
         name: file.name,
+        path: getFilePath(file),
         content: file.isImage && file.dataUrl ? file.dataUrl : file.content,
         type: file.type || file.name.split('.').pop(),
       }))
@@ -388,11 +496,11 @@ function App() {
   const handleProjectLoad = async (files, fromAllProjects = false, defaultProjectName = null) => {
     setProjectFiles(files)
     // Auto-select index.html if available
-    const indexHtml = files.find(f => f.name === 'index.html')
+    const indexHtml = findFileByPath(files, 'index.html') || files.find(f => f.name === 'index.html')
     if (indexHtml) {
       setSelectedFile(indexHtml)
       // Update currentPage to match the selected file
-      const pageId = indexHtml.name.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
+      const pageId = getPageId(indexHtml)
       setCurrentPage(pageId)
       console.log('Current page set on project load to:', pageId)
     } else {
@@ -400,7 +508,7 @@ function App() {
       const firstHtml = files.find(f => f.name.endsWith('.html'))
       if (firstHtml) {
         setSelectedFile(firstHtml)
-        const pageId = firstHtml.name.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
+        const pageId = getPageId(firstHtml)
         setCurrentPage(pageId)
         console.log('Current page set on project load to:', pageId)
       }
@@ -427,10 +535,10 @@ function App() {
     // Don't save on load - only save when user manually presses "Save"
   }
 
-  const handleFileUpdate = (fileName, newContent) => {
+  const handleFileUpdate = (filePath, newContent) => {
     setProjectFiles(prev => 
       prev.map(file => 
-        file.name === fileName 
+        getFilePath(file) === filePath 
           ? { ...file, content: newContent }
           : file
       )
@@ -439,7 +547,39 @@ function App() {
     // setPreviewKey(prev => prev + 1)
   }
 
-  const handleElementSelect = (element, inspectorState = null) => {
+  useEffect(() => {
+    preserveConsoleLogRef.current = preserveConsoleLog
+  }, [preserveConsoleLog])
+
+  // Collect console output from the preview - repeats of the last message are counted, not duplicated
+  const handleConsoleMessage = useCallback((message) => {
+    setConsoleEntries(prev => {
+      if (message.level === 'navigate' && !preserveConsoleLogRef.current) {
+        return []
+      }
+      if (message.level === 'clear') {
+        return preserveConsoleLogRef.current ? prev : []
+      }
+
+      const last = prev[prev.length - 1]
+      if (last && last.level === message.level && last.text === message.text &&
+          JSON.stringify(last.source) === JSON.stringify(message.source) &&
+          message.level !== 'input' && message.level !== 'result') {
+        return [...prev.slice(0, -1), { ...last, count: last.count + 1 }]
+      }
+
+      consoleEntryIdRef.current += 1
+      const entry = { ...message, id: consoleEntryIdRef.current, count: 1, timestamp: Date.now() }
+      return [...prev, entry].slice(-MAX_CONSOLE_ENTRIES)
+    })
+  }, [])
+
+  const handleConsoleEvaluate = (expression) => {
+    handleConsoleMessage({ level: 'input', text: expression, source: null })
+    previewPaneRef.current?.evaluateInPreview(expression)
+  }
+
+  const handleElementSelect = (element, elements = null, inspectorState = null) => {
     // Don't apply pending changes when just switching elements in the same file
     // Text changes will persist in the preview and be saved when navigating away from the file
     
@@ -447,6 +587,7 @@ function App() {
     setIsTextEditing(false);
     
     setSelectedElement(element)
+    setSelectedElements(element ? (elements?.length ? elements : [element]) : [])
     
     // ⭐ Always run detection when element is selected (unless during apply operations)
     // This ensures checkboxes are updated correctly, especially after page switches
@@ -457,7 +598,7 @@ function App() {
         console.log('🔍 Detection in handleElementSelect (raw):', appliedPages)
         
         // Normalize page names to match availablePages format (remove .html, normalize)
-        // availablePages uses: f.name.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
+        // availablePages uses: getPageId(f)
         const normalizedAppliedPages = appliedPages.map(pageName => {
           return pageName.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
         })
@@ -491,6 +632,7 @@ function App() {
       // Clear selection and text editing when turning off inspector
     if (!newInspectorState) {
       setSelectedElement(null)
+      setSelectedElements([])
         setIsTextEditing(false)
     }
       
@@ -535,6 +677,24 @@ function App() {
     // Handle child text content updates
     if (property === 'childTextContent') {
       previewPaneRef.current.updateElementStyle('childTextContent', value, childElement);
+      storePendingTextChange({ nodeId: childElement?.nodeId ?? null, tagName: (childElement?.tagName || '').toLowerCase() }, value, 'directText');
+      return;
+    }
+
+    // Attributes are written into the element's markup - value is { name, value }, a null value removes it
+    if (property === 'attribute') {
+      previewPaneRef.current.updateElementStyle('attribute', value);
+      storePendingAttributeChange(getElementRef(selectedElement), value.name, value.value);
+      return;
+    }
+
+    // Placeholder is an attribute too - the preview sets it on every selected input
+    if (property === 'placeholder') {
+      previewPaneRef.current.updateElementStyle('placeholder', value);
+      const targetElements = selectedElements.length > 0 ? selectedElements : [selectedElement]
+      targetElements
+        .filter(targetElement => targetElement.tagName === 'input' || targetElement.tagName === 'textarea')
+        .forEach(targetElement => storePendingAttributeChange(getElementRef(targetElement), 'placeholder', value))
       return;
     }
 
@@ -545,11 +705,18 @@ function App() {
       return;
     }
 
-    // Update preview immediately via postMessage (don't reload iframe)
-    previewPaneRef.current.updateElementStyle(property, value);
+    // Update preview immediately via postMessage (don't reload iframe) - at a breakpoint or in a
+    // state, only inside its query and for its pseudo-class or pseudo-element
+    if (activeBreakpoint.media || elementState) {
+      previewPaneRef.current.updateScopedStyle({ media: activeBreakpoint.media, state: elementStateId }, property, value)
+    } else {
+      previewPaneRef.current.updateElementStyle(property, value);
+    }
 
     // Store CSS change for later persistence (don't update file immediately to avoid reload)
-    storePendingCSSChange(property, value);
+    // The preview applies it to the whole selection, so every selected element gets a rule
+    const targetElements = selectedElements.length > 0 ? selectedElements : [selectedElement]
+    targetElements.forEach(targetElement => storePendingCSSChange(property, value, targetElement))
   }
 
   const updateHTMLTextContent = (newText) => {
@@ -561,165 +728,181 @@ function App() {
     }
     
     // Store the text change for later persistence (don't update file immediately to avoid reload)
-    if (selectedElement && selectedFile) {
-      const elementKey = `${selectedFile.name}_${selectedElement.tagName}_${selectedElement.id || selectedElement.className || selectedElement.textContent}`;
-      setPendingTextChanges(prev => new Map(prev.set(elementKey, {
-        fileName: selectedFile.name,
-        element: selectedElement,
-        newText: newText,
-        originalText: selectedElement.textContent
-      })));
-      
-      // Set unsaved status when changes are made
-      setSaveStatus('unsaved');
+    if (selectedElement) {
+      storePendingTextChange(getElementRef(selectedElement), newText, 'text');
     }
   }
 
-  const updateHTMLFile = (newText, element = selectedElement, fileName = selectedFile?.name) => {
-    const targetElement = element || selectedElement;
-    const targetFile = fileName ? projectFiles?.find(f => f.name === fileName) : selectedFile;
-    
-    if (!targetElement || !targetFile) {
-      console.error('Missing element or file!', {
-        hasElement: !!targetElement,
-        hasFile: !!targetFile
-      });
+  // Queue a source edit for the page the preview shows - a later edit of the same kind to the same element replaces it
+  const storePendingSourceChange = (target, kind, change) => {
+    const fileName = previewPaneRef.current?.getPreviewPagePath() || (selectedFile ? getFilePath(selectedFile) : null)
+    if (!fileName || target.nodeId === null) {
+      // No node id: a script created the element, so there's no markup to write the change into
+      console.warn('Change not saved - the element is not in the page source:', target, change)
       return;
     }
-    
-    if (targetFile.type !== 'html') {
-      console.warn('File is not HTML:', targetFile.type);
-      return;
+
+    const key = `${fileName}_${target.nodeId}_${kind}`;
+    setPendingTextChanges(prev => new Map(prev.set(key, { fileName, target, ...change })));
+    setSaveStatus('unsaved');
+  }
+
+  const storePendingTextChange = (target, newText, mode) => {
+    storePendingSourceChange(target, mode, { newText, mode })
+  }
+
+  // A null value removes the attribute
+  const storePendingAttributeChange = (target, name, value) => {
+    storePendingSourceChange(target, `attr_${name}`, { name, value, mode: 'attribute' })
+  }
+
+  // Write text changes into the project's HTML files (from the latest file contents)
+  // They leave the pending list - the page reloads with new node ids, which the old changes wouldn't match
+  const persistTextChanges = (changes) => {
+    if (changes.length === 0) return
+    setPendingTextChanges(prev => new Map([...prev].filter(([, change]) => !changes.includes(change))))
+    setProjectFiles(prev => prev.map(file => {
+      const fileChanges = changes.filter(change => change.fileName === getFilePath(file))
+      if (fileChanges.length === 0 || file.type !== 'html' || !file.content) return file
+      return { ...file, content: applyTextChangesToContent(file.content, fileChanges) }
+    }))
+  }
+
+  // Page source for a structural edit, with the page's pending text edits written in - the edit
+  // renumbers the page's node ids, so those edits can't wait for the save
+  const getPageSource = (pageFile) => {
+    const changes = Array.from(pendingTextChangesRef.current.values())
+      .filter(change => change.fileName === getFilePath(pageFile))
+    return applyTextChangesToContent(pageFile.content, changes)
+  }
+
+  const writePageSource = (pageFile, html) => {
+    const fileName = getFilePath(pageFile)
+    setPendingTextChanges(prev => new Map([...prev].filter(([, change]) => change.fileName !== fileName)))
+    handleFileUpdate(fileName, html)
+    setSaveStatus('unsaved')
+  }
+
+  // Drag and drop in the preview - move the element's markup in the page source
+  // The preview reloads from the new source and re-selects the element at its new position
+  const handleElementMove = ({ source, target, position, element, pagePath }) => {
+    const pageFile = pagePath ? findFileByPath(projectFiles, pagePath) : selectedFile
+    if (!pageFile || pageFile.type !== 'html' || !pageFile.content) {
+      console.warn('Cannot move element - no HTML page to write to:', pagePath)
+      return
     }
 
-    // Extract element properties
-    const elementTag = targetElement.tagName ? targetElement.tagName.toLowerCase() : null;
-    const elementId = targetElement.id || null;
-    const elementClass = targetElement.className ? (typeof targetElement.className === 'string' ? targetElement.className : targetElement.className.baseVal || '') : null;
-    const originalText = targetElement.textContent || targetElement.innerText || '';
-    const hasChildren = targetElement.children && targetElement.children.length > 0;
+    const result = moveElementInSource(getPageSource(pageFile), { source, target, position })
+    if (!result) {
+      console.error('❌ Could not find the moved element in the page source:', {
+        page: getFilePath(pageFile),
+        source,
+        target,
+        position
+      })
+      alert(`Couldn't move this element: it wasn't found in ${getFilePath(pageFile)}. It may have been added by a script - move it in the code editor instead.`)
+      return
+    }
 
-    let htmlContent = targetFile.content;
-    
-    if (!htmlContent) {
-      console.error('HTML content is empty or undefined!');
-      return;
+    console.log('↕️ Moved element in', getFilePath(pageFile), { source, target, position, newDomPath: result.domPath })
+    if (element && result.domPath) {
+      handleElementSelect({ ...element, domPath: result.domPath })
     }
+    writePageSource(pageFile, result.html)
+  }
 
-    // Ensure newText is a string
-    if (typeof newText !== 'string') {
-      newText = String(newText);
+  // Insert palette - write a block's markup into the page and its CSS into the first stylesheet
+  // With no target the block goes at the end of the page. The new element is selected once the preview reloads
+  const handleInsertElement = ({ templateId, target, position, pagePath }) => {
+    const template = getElementTemplate(templateId)
+    if (!template) {
+      console.warn('Unknown insert block:', templateId)
+      return
     }
 
-    // Strategy 1: If element has an ID, find it specifically
-    if (elementId) {
-      // Match opening tag with ID, handle both with and without nested children
-      const escapedId = elementId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      if (!hasChildren) {
-        // No children - simple text replacement
-        const idRegex = new RegExp(`(<${elementTag}[^>]*id=["']${escapedId}["'][^>]*>)([^<]*?)(</${elementTag}>)`, 'gis');
-        const match = htmlContent.match(idRegex);
-        if (match) {
-          htmlContent = htmlContent.replace(idRegex, `$1${newText}$3`);
-          
-          // Validate HTML content after replacement
-          if (!htmlContent || htmlContent.trim().length === 0) {
-            console.error('HTML content became empty after replacement!');
-            return;
-          }
-          
-          handleFileUpdate(targetFile.name, htmlContent);
-          return;
-        }
-      } else {
-        // Has children - need to preserve structure, only update direct text nodes
-        // Match the opening tag and try to find text immediately after it (before first child tag)
-        const idRegexWithText = new RegExp(`(<${elementTag}[^>]*id=["']${escapedId}["'][^>]*>)([^<]+?)(<)`, 'gis');
-        const matchWithText = htmlContent.match(idRegexWithText);
-        if (matchWithText && matchWithText[2].trim() === originalText.trim()) {
-          htmlContent = htmlContent.replace(idRegexWithText, `$1${newText}$3`);
-          
-          // Validate HTML content after replacement
-          if (!htmlContent || htmlContent.trim().length === 0) {
-            console.error('HTML content became empty after replacement!');
-            return;
-          }
-          
-          handleFileUpdate(targetFile.name, htmlContent);
-          return;
-        }
-      }
+    const pageFile = pagePath ? findFileByPath(projectFiles, pagePath) : selectedFile
+    if (!pageFile || pageFile.type !== 'html' || !pageFile.content) {
+      console.warn('Cannot insert element - no HTML page to write to:', pagePath)
+      return
     }
 
-    // Strategy 2: If element has a class, try to find it
-    if (elementClass) {
-      const firstClass = elementClass.split(' ')[0];
-      const escapedClass = firstClass.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      if (!hasChildren) {
-        // No children - simple text replacement
-        const classRegex = new RegExp(`(<${elementTag}[^>]*class=["'][^"']*${escapedClass}[^"']*["'][^>]*>)([^<]*?)(</${elementTag}>)`, 'gis');
-        const match = htmlContent.match(classRegex);
-        if (match) {
-          htmlContent = htmlContent.replace(classRegex, `$1${newText}$3`);
-          
-          // Validate HTML content after replacement
-          if (!htmlContent || htmlContent.trim().length === 0) {
-            console.error('HTML content became empty after replacement!');
-            return;
-          }
-          
-          handleFileUpdate(targetFile.name, htmlContent);
-          return;
-        }
-      } else {
-        // Has children - preserve structure
-        const classRegexWithText = new RegExp(`(<${elementTag}[^>]*class=["'][^"']*${escapedClass}[^"']*["'][^>]*>)([^<]+?)(<)`, 'gis');
-        const matchWithText = htmlContent.match(classRegexWithText);
-        if (matchWithText && matchWithText[2].trim() === originalText.trim()) {
-          htmlContent = htmlContent.replace(classRegexWithText, `$1${newText}$3`);
-          
-          // Validate HTML content after replacement
-          if (!htmlContent || htmlContent.trim().length === 0) {
-            console.error('HTML content became empty after replacement!');
-            return;
-          }
-          
-          handleFileUpdate(targetFile.name, htmlContent);
-          return;
-        }
-      }
+    const insertTarget = target || { domPath: [1], tagName: 'body' }
+    const insertPosition = target ? position : 'inside'
+    const result = insertMarkupInSource(getPageSource(pageFile), { target: insertTarget, position: insertPosition, markup: template.html })
+    if (!result) {
+      console.error('❌ Could not find the insert target in the page source:', {
+        page: getFilePath(pageFile),
+        target: insertTarget,
+        position: insertPosition
+      })
+      alert(`Couldn't insert the ${template.label.toLowerCase()}: the target element wasn't found in ${getFilePath(pageFile)}. It may have been added by a script - add the element in the code editor instead.`)
+      return
     }
 
-    // Strategy 3: Text-based replacement (most fallback, least reliable)
-    if (originalText && originalText.trim().length > 0) {
-      // Escape special regex characters in the original text
-      const escapedOriginalText = originalText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      // Try to match text between tags (more flexible pattern)
-      const textRegex = new RegExp(`(>\\s*)${escapedOriginalText}(\\s*<)`, 'gs');
-      const match = htmlContent.match(textRegex);
-      if (match) {
-        htmlContent = htmlContent.replace(textRegex, `$1${newText}$2`);
-        
-        // Validate HTML content after replacement
-        if (!htmlContent || htmlContent.trim().length === 0) {
-          console.error('HTML content became empty after replacement!');
-          return;
-        }
-        
-        handleFileUpdate(targetFile.name, htmlContent);
-        return;
+    console.log('➕ Inserted', template.id, 'into', getFilePath(pageFile), { target: insertTarget, position: insertPosition, domPath: result.domPath })
+    writePageSource(pageFile, result.html)
+
+    const cssFiles = projectFiles.filter(f => f.name.endsWith('.css'))
+    if (cssFiles.length > 0) {
+      const cssFile = cssFiles[0]
+      const missingCss = getMissingTemplateCss(template, cssFiles.map(f => f.content || ''))
+      if (missingCss) {
+        const content = (cssFile.content || '').replace(/\s*$/, '')
+        handleFileUpdate(getFilePath(cssFile), (content ? content + '\n\n' : '') + missingCss + '\n')
       }
+    } else {
+      console.warn('No CSS file in the project - inserted', template.id, 'without its default styles')
+    }
+
+    if (result.domPath) {
+      const tagName = template.html.match(/^<([a-z0-9]+)/i)[1].toLowerCase()
+      const className = (template.html.match(/^<[^>]*\sclass="([^"]*)"/) || [])[1] || ''
+      handleElementSelect({ tagName, className, domPath: result.domPath, isInserted: true })
+    }
+  }
+
+  // Context menu / shortcut edits on the selection - rewrite the page source at the elements' exact positions
+  // Wrap and unwrap act on one element; delete and duplicate on the whole selection
+  const handleElementAction = ({ action, wrapper = 'div', targets, pagePath }) => {
+    const pageFile = pagePath ? findFileByPath(projectFiles, pagePath) : selectedFile
+    if (!pageFile || pageFile.type !== 'html' || !pageFile.content || !targets?.length) {
+      console.warn('Cannot edit element - no HTML page to write to:', pagePath)
+      return
+    }
+    if ((action === 'wrap' || action === 'unwrap') && targets.length > 1) {
+      console.warn(`Cannot ${action} - select a single element`)
+      return
+    }
+
+    const html = getPageSource(pageFile)
+    let result = null
+    let nextSelection = []
+    if (action === 'delete') {
+      result = removeElementsInSource(html, { targets })
+    } else if (action === 'duplicate') {
+      result = duplicateElementsInSource(html, { targets })
+      nextSelection = result ? result.copies : []
+    } else if (action === 'wrap') {
+      result = wrapElementInSource(html, { target: targets[0], tagName: wrapper, attributes: wrapper === 'a' ? { href: '#' } : {} })
+      nextSelection = result ? [{ domPath: result.domPath, tagName: wrapper }] : []
+    } else if (action === 'unwrap') {
+      result = unwrapElementInSource(html, { target: targets[0] })
+      nextSelection = result ? [{ domPath: result.domPath, tagName: result.tagName }] : []
+    } else {
+      console.warn('Unknown element action:', action)
+      return
+    }
+
+    if (!result) {
+      console.error(`❌ Could not ${action} element in the page source:`, { page: getFilePath(pageFile), targets, wrapper })
+      alert(`Couldn't ${action} this element in ${getFilePath(pageFile)}. It may have been added by a script, or it can't be ${action === 'wrap' ? 'wrapped' : action === 'unwrap' ? 'unwrapped' : action + 'd'} here - edit it in the code editor instead.`)
+      return
     }
 
-    console.error('Failed to find element in HTML. Element details:', {
-      tag: elementTag,
-      id: elementId,
-      class: elementClass,
-      originalText: originalText?.substring(0, 50),
-      htmlPreview: htmlContent?.substring(0, 500)
-    });
+    console.log('🧱', action, 'in', getFilePath(pageFile), { targets, wrapper, nextSelection })
+    const elements = nextSelection.filter(item => item.domPath).map(item => ({ ...item, isInserted: true }))
+    handleElementSelect(elements[0] || null, elements)
+    writePageSource(pageFile, result.html)
   }
 
   // Manual save function that persists changes and saves to All Projects
@@ -792,230 +975,11 @@ function App() {
 
           // Apply changes to each CSS file
           filesToSave = filesToSave.map(file => {
-            const changes = changesByFile.get(file.name)
+            const changes = changesByFile.get(getFilePath(file))
             if (!changes || !file.name.endsWith('.css')) return file
-
-            let cssContent = file.content
-
-            // Group changes by selector
-            const changesBySelector = new Map()
-            changes.forEach(change => {
-              if (!changesBySelector.has(change.selector)) {
-                changesBySelector.set(change.selector, [])
-              }
-              changesBySelector.get(change.selector).push(change)
-            })
-
-            // Apply all changes for each selector
-            changesBySelector.forEach((selectorChanges, selector) => {
-              // Convert property names to CSS properties (camelCase to kebab-case)
-              const cssProperties = selectorChanges.map(change => {
-                // Log the original property before conversion to debug property mix-ups
-                console.log('🔄 Converting property:', {
-                  original: change.property,
-                  value: change.value,
-                  selector: selector
-                })
-                
-                // Convert camelCase to kebab-case for all CSS properties
-                const cssProperty = camelToKebab(change.property)
-                
-                // Verify conversion is correct
-                if (change.property === 'color' && cssProperty !== 'color') {
-                  console.error('❌ PROPERTY CONVERSION ERROR: color ->', cssProperty)
-                }
-                if (change.property === 'backgroundColor' && cssProperty !== 'background-color') {
-                  console.error('❌ PROPERTY CONVERSION ERROR: backgroundColor ->', cssProperty)
-                }
-                
-                return { property: cssProperty, value: change.value }
-              })
-
-              // Check if selector already exists in CSS
-              // Escape special regex characters but handle multiple classes properly
-              const escapedSelector = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-              // Match selector with optional whitespace before the opening brace
-              const selectorRegex = new RegExp(`(${escapedSelector})\\s*\\{[^}]*\\}`, 'g')
-              const existingRule = cssContent.match(selectorRegex)
-              
-              console.log('🟢 CSS Save Debug (Manual Save):', {
-                selector: selector,
-                escapedSelector: escapedSelector,
-                existingRule: existingRule ? existingRule[0].substring(0, 200) : null,
-                properties: cssProperties.map(p => `${p.property}: ${p.value}`),
-                exactValues: cssProperties.map(p => p.value)
-              })
-              console.log('🟢 CSS Save Debug - EXACT VALUES BEING WRITTEN:', cssProperties.map(p => `${p.property}="${p.value}"`).join(', '))
-              
-              // Special logging for color properties
-              const colorProps = cssProperties.filter(p => p.property === 'color' || p.property === 'background-color')
-              if (colorProps.length > 0) {
-                console.log('🎨 COLOR PROPERTIES BEING SAVED TO CSS:', colorProps.map(p => `${p.property}="${p.value}"`).join(', '))
-              }
-
-              if (existingRule) {
-                // Update existing rule - only replace the first match
-                const beforeUpdate = cssContent.substring(0, 500)
-                const firstMatch = existingRule[0]
-                const updatedRule = firstMatch.replace(
-                  /(\{[^}]*)/,
-                  (match) => {
-                    let updated = match
-                    console.log('🔍 Before property removal:', updated.substring(0, 200))
-                    
-                    // Remove existing properties if they exist (case-insensitive to catch variations)
-                    cssProperties.forEach(({ property, value }) => {
-                      const escapedProp = property.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                      // Match property name case-insensitively, but preserve the exact value we're setting
-                      // CRITICAL FIX: Prevent matching "color" inside "background-color"
-                      // Match property name only when:
-                      // 1. At start of line OR after whitespace/newline (not after a hyphen)
-                      // 2. Followed by colon (not hyphen or other character)
-                      // This ensures "color" doesn't match inside "background-color"
-                      const propRegex = new RegExp(`(^|[\\s\\n])${escapedProp}(?!-)\\s*:\\s*[^;]+;?`, 'gim')
-                      const beforeReplace = updated
-                      updated = updated.replace(propRegex, '$1') // Replace with captured boundary (preserves whitespace/newline)
-                      if (beforeReplace !== updated) {
-                        console.log(`✅ Removed existing ${property} property`)
-                      }
-                    })
-                    
-                    // CRITICAL FIX: If we're adding "color", also remove "background-color" entirely
-                    // This prevents "background-color" from being partially removed leaving "background-"
-                    cssProperties.forEach(({ property, value }) => {
-                      if (property === 'color') {
-                        // Remove any "background-color" property entirely
-                        const bgColorRegex = /background-color\s*:\s*[^;]+;?/gi
-                        updated = updated.replace(bgColorRegex, '')
-                        console.log('✅ Removed background-color property (replacing with color)')
-                      }
-                    })
-                    
-                    // CRITICAL FIX: Clean up any orphaned "background-" text left behind
-                    // This can happen if "background-color" was partially removed
-                    // Remove any standalone "background-" followed by whitespace/newlines
-                    updated = updated.replace(/background-\s*\n\s*/g, '')
-                    updated = updated.replace(/background-\s+/g, '')
-                    
-                    console.log('🔍 After property removal:', updated.substring(0, 200))
-                    
-              // Add new properties with EXACT values (preserve user's exact input)
-              // Use !important to ensure our rules override existing ones
-              cssProperties.forEach(({ property, value }) => {
-                // Log each property being added to verify it's correct
-                console.log('➕ Adding CSS property to rule:', {
-                  property: property,
-                  value: value,
-                  selector: selector
-                })
-                updated += `\n  ${property}: ${value} !important;`
-              })
-              
-              console.log('🔍 After adding properties:', updated.substring(0, 300))
-                    return updated
-                  }
-                )
-                // Replace only the first occurrence by removing the global flag temporarily
-                const nonGlobalRegex = new RegExp(`(${escapedSelector})\\s*\\{[^}]*\\}`, '')
-                cssContent = cssContent.replace(nonGlobalRegex, updatedRule)
-                
-                // Check for duplicate rules and remove them, keeping only the updated one (which has all properties)
-                const duplicateRuleRegex = new RegExp(`${escapedSelector}\\s*\\{[^}]*\\}`, 'g')
-                const duplicateMatches = cssContent.match(duplicateRuleRegex)
-                
-                if (duplicateMatches && duplicateMatches.length > 1) {
-                  console.log(`⚠️ Found ${duplicateMatches.length} duplicate rules for ${selector}`)
-                  console.log('⚠️ Duplicate rules found:', duplicateMatches.map((r, i) => `Rule ${i + 1}: ${r.substring(0, 200)}`))
-                  
-                  // The updatedRule already contains all properties from the original rule plus our changes
-                  // Remove ALL occurrences (including the one we just updated)
-                  cssContent = cssContent.replace(duplicateRuleRegex, '')
-                  
-                  // Add back ONLY the updated rule (which preserves all original properties + our color change)
-                  cssContent += updatedRule
-                  
-                  console.log('✅ Removed duplicates and kept updated rule with all properties:', updatedRule.substring(0, 200))
-                }
-                
-                const afterUpdate = cssContent.substring(0, 500)
-                console.log('🟡 Updated CSS rule:', {
-                  selector: selector,
-                  before: beforeUpdate,
-                  after: afterUpdate,
-                  updatedRule: updatedRule.substring(0, 200)
-                })
-                console.log('🟡 Updated CSS rule - EXACT VALUES:', cssProperties.map(p => `${p.property}="${p.value}"`).join(', '))
-                console.log('🟡 Full updated rule:', updatedRule)
-                
-                // Debug: Check for conflicting color rules after update
-                const colorProps = cssProperties.filter(p => p.property === 'color')
-                if (colorProps.length > 0) {
-                  const savedColor = colorProps[0].value
-                  console.log('🔍 Searching for conflicting color rules after CSS update...')
-                  
-                  // Check for the old color value (rgb(17, 24, 39) = #111827)
-                  const oldColorPatterns = [
-                    '#111827',
-                    'rgb(17, 24, 39)',
-                    'rgb(17,24,39)'
-                  ]
-                  const allConflictingRules = []
-                  oldColorPatterns.forEach(oldColor => {
-                    const regex = new RegExp(`${escapedSelector.replace(/\\/g, '\\\\')}[^{]*\\{[^}]*color\\s*:\\s*${oldColor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^}]*\\}`, 'gi')
-                    const matches = cssContent.match(regex)
-                    if (matches) {
-                      allConflictingRules.push(...matches)
-                    }
-                  })
-                  
-                  // Also check for all .section-title color rules - find ALL complete rule blocks
-                  const allSectionTitleCompleteRules = cssContent.match(/\.section-title\s*\{[^}]+\}/g) || []
-                  const allSectionTitleColorRules = cssContent.match(/\.section-title[^{]*\{[^}]*color[^}]*\}/gi) || []
-                  
-                  // Extract actual color values from the rules
-                  const colorValuesInRules = allSectionTitleColorRules.map(rule => {
-                    const colorMatch = rule.match(/color\s*:\s*([^;!]+)/i)
-                    const hasImportant = rule.includes('!important')
-                    return {
-                      color: colorMatch ? colorMatch[1].trim() : null,
-                      hasImportant: hasImportant,
-                      fullRule: rule
-                    }
-                  }).filter(r => r.color)
-                  
-                  console.log('🔍 CSS Debug After Update:', {
-                    selector: selector,
-                    savedColor: savedColor,
-                    savedColorInCSS: cssContent.includes(savedColor) ? 'YES ✓' : 'NO ✗',
-                    importantInRule: updatedRule.includes('!important') ? 'YES ✓' : 'NO ✗',
-                    conflictingRulesCount: allConflictingRules.length,
-                    conflictingRules: allConflictingRules.map(r => r),
-                    allSectionTitleCompleteRules: allSectionTitleCompleteRules.length,
-                    allSectionTitleCompleteRulesFull: allSectionTitleCompleteRules,
-                    allSectionTitleColorRules: allSectionTitleColorRules.length,
-                    colorValuesFound: colorValuesInRules,
-                    cssPreview: cssContent.includes(selector) ? cssContent.substring(cssContent.indexOf(selector), cssContent.indexOf(selector) + 500) : 'Selector not found in CSS'
-                  })
-                }
-              } else {
-                // Add new rule with EXACT values
-                // Use !important to ensure our rules override existing ones
-                const properties = cssProperties.map(({ property, value }) => `  ${property}: ${value} !important;`).join('\n')
-                const newRule = `\n${selector} {\n${properties}\n}\n`
-                cssContent += newRule
-                console.log('🟢 Added new CSS rule:', {
-                  selector: selector,
-                  rule: newRule,
-                  values: cssProperties.map(p => p.value)
-                })
-                console.log('🟢 Added new CSS rule - EXACT VALUES:', cssProperties.map(p => `${p.property}="${p.value}"`).join(', '))
-                console.log('🟢 Full new rule:', newRule)
-              }
-            })
-
             return {
               ...file,
-              content: cssContent
+              content: applyCSSChangesToContent(file.content, changes)
             }
           })
         }
@@ -1023,60 +987,16 @@ function App() {
       
       // Apply pending text changes directly to the files array (don't update state - causes UI revert)
       if (pendingTextChanges.size > 0) {
-        filesToSave = projectFiles.map(file => {
+        filesToSave = filesToSave.map(file => {
           // Check if this file has pending changes
           const fileChanges = Array.from(pendingTextChanges.values()).filter(
-            change => change.fileName === file.name
+            change => change.fileName === getFilePath(file)
           )
           
           if (fileChanges.length > 0 && file.type === 'html') {
-            // Apply all changes for this file using the same logic as updateHTMLFile
-            let updatedContent = file.content
-            fileChanges.forEach(change => {
-              // Find and replace the element's text in the HTML content
-              const element = change.element
-              if (element && updatedContent) {
-                const elementTag = element.tagName?.toLowerCase()
-                const elementId = element.id || null
-                const elementClass = element.className ? 
-                  (typeof element.className === 'string' ? element.className : element.className.baseVal || '') : 
-                  null
-                const originalText = element.textContent || element.innerText || ''
-                const hasChildren = element.children && element.children.length > 0
-                
-                // Use the same replacement logic as updateHTMLFile
-                if (elementId) {
-                  const escapedId = elementId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                  if (!hasChildren) {
-                    const idRegex = new RegExp(`(<${elementTag}[^>]*id=["']${escapedId}["'][^>]*>)([^<]*?)(</${elementTag}>)`, 'gis')
-                    if (idRegex.test(updatedContent)) {
-                      updatedContent = updatedContent.replace(idRegex, `$1${change.newText}$3`)
-                    }
-                  } else {
-                    const idRegexWithText = new RegExp(`(<${elementTag}[^>]*id=["']${escapedId}["'][^>]*>)([^<]+?)(<)`, 'gis')
-                    if (idRegexWithText.test(updatedContent)) {
-                      updatedContent = updatedContent.replace(idRegexWithText, `$1${change.newText}$3`)
-                    }
-                  }
-                } else if (elementClass) {
-                  const firstClass = elementClass.split(' ')[0]
-                  const escapedClass = firstClass.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                  if (!hasChildren) {
-                    const classRegex = new RegExp(`(<${elementTag}[^>]*class=["'][^"']*${escapedClass}[^"']*["'][^>]*>)([^<]*?)(</${elementTag}>)`, 'gis')
-                    if (classRegex.test(updatedContent)) {
-                      updatedContent = updatedContent.replace(classRegex, `$1${change.newText}$3`)
-                    }
-                  }
-                } else if (originalText && updatedContent.includes(originalText)) {
-                  // Fallback: simple text replacement
-                  updatedContent = updatedContent.replace(originalText, change.newText)
-                }
-              }
-            })
-            
             return {
               ...file,
-              content: updatedContent
+              content: applyTextChangesToContent(file.content, fileChanges)
             }
           }
           
@@ -1122,75 +1042,14 @@ function App() {
             const { saveProject: updateProject } = await import('./services/projectService')
             const filesForCloud = filesToSave.map(file => ({
               name: file.name,
+              path: getFilePath(file),
               content: file.isImage && file.dataUrl ? file.dataUrl : file.content,
               type: file.type || file.name.split('.').pop(),
             }))
             
-            // Log CSS file content before saving to verify colors are correct
-            const cssFileToSave = filesForCloud.find(f => f.name.endsWith('.css'))
-            if (cssFileToSave) {
-              const colorRules = cssFileToSave.content.match(/(background-color|color)\s*:\s*[^;]+/gi) || []
-              
-              // Check for saved colors in the CSS file being saved
-              const savedColors = ['#004aeb', '#0854f7', '#004AEB', '#0854F7']
-              const foundSavedColors = savedColors.filter(color => cssFileToSave.content.includes(color))
-              
-              // Check for .section-title color rules
-              const sectionTitleColorRules = cssFileToSave.content.match(/\.section-title[^{]*\{[^}]*color[^}]*\}/gi) || []
-              const sectionTitleColorValues = sectionTitleColorRules.map(rule => {
-                const colorMatch = rule.match(/color\s*:\s*([^;!]+)/i)
-                return colorMatch ? colorMatch[1].trim() : null
-              }).filter(Boolean)
-              
-              console.log('💾 Saving CSS file to Supabase:', {
-                fileName: cssFileToSave.name,
-                contentLength: cssFileToSave.content.length,
-                colorRules: colorRules.slice(-10), // Last 10 color rules
-                savedColorsFound: foundSavedColors.length > 0 ? `Contains ${foundSavedColors.join(', ')} ✓` : 'No saved colors found ✗',
-                sectionTitleColorRules: sectionTitleColorRules.length,
-                sectionTitleColorValues: sectionTitleColorValues,
-                cssPreview: cssFileToSave.content.includes('.section-title') 
-                  ? cssFileToSave.content.substring(
-                      Math.max(0, cssFileToSave.content.indexOf('.section-title') - 50),
-                      cssFileToSave.content.indexOf('.section-title') + 500
-                    )
-                  : '.section-title not found'
-              })
-              
-              // Additional debug: Check for page-specific rules
-              const pageSpecificRules = cssFileToSave.content.match(/\.page-[a-z0-9-]+\s+[^{]+\{[^}]+\}/gi) || []
-              console.log('📄 Page-specific rules in CSS being saved:', pageSpecificRules.length)
-              if (pageSpecificRules.length > 0) {
-                console.log('📄 Sample page-specific rules:', pageSpecificRules.slice(-5).map(r => r.substring(0, 150)))
-              }
-              
-              // Check for the specific rule we just added
-              const realEstateRule = cssFileToSave.content.match(/\.page-real-estate[^{]*\{[^}]+\}/gi)
-              if (realEstateRule) {
-                console.log('✅ Found .page-real-estate rule in CSS being saved:', realEstateRule[0].substring(0, 200))
-              } else {
-                console.warn('⚠️ .page-real-estate rule NOT found in CSS being saved!')
-              }
-            }
-            
             const result = await updateProject(currentProjectName, filesForCloud, user.id)
             console.log('✅ Project updated in All Projects successfully')
             
-            // Debug: Log CSS file info after processing
-            const cssFilesAfter = filesToSave.filter(f => f.name.endsWith('.css'))
-            if (cssFilesAfter.length > 0) {
-              cssFilesAfter.forEach(cssFile => {
-                const pageRules = cssFile.content.match(/\.page-[a-z0-9-]+/gi) || []
-                console.log('💾 CSS file AFTER processing - being saved to Supabase:', {
-                  name: cssFile.name,
-                  length: cssFile.content.length,
-                  pageRulesCount: pageRules.length,
-                  hasRealEstateRule: cssFile.content.includes('.page-real-estate'),
-                  last500Chars: cssFile.content.slice(-500)
-                })
-              })
-            }
-            
             // Update projectFiles state with the saved files to keep state in sync with what was saved
             // This ensures that when the project is reloaded, the state reflects the saved changes
             // We do this AFTER save is successful to avoid reverting the UI
@@ -1297,14 +1156,11 @@ function App() {
     if (persistToFile && pendingTextChanges.size > 0) {
       // Just update local files (don't save to cloud - that's manual save only)
       console.log('Persisting changes to local files...');
-      pendingTextChanges.forEach((change) => {
-        updateHTMLFile(change.newText, change.element, change.fileName);
-      });
+      persistTextChanges(Array.from(pendingTextChanges.values()));
       console.log('Changes persisted to local files');
     }
     
-    // Always keep pending changes until manual save
-    // Don't clear them here - user needs to manually save
+    // Persisted changes are now in the files - the project still needs a manual save
     console.log('=== PENDING TEXT CHANGES APPLIED ===');
   }
 
@@ -1336,10 +1192,97 @@ function App() {
     return color
   }
 
+  // Selector for a rule the editor adds - the element's id or classes, scoped to the pages picked in the properties panel
+  const getNewRuleSelector = (targetElement) => {
+    let baseSelector = ''
+    if (targetElement.id) {
+      baseSelector = `#${targetElement.id}`
+    } else if (targetElement.className) {
+      // Use the full className, not just the first class
+      const className = typeof targetElement.className === 'string' 
+        ? targetElement.className 
+        : (targetElement.className.baseVal || '')
+      const classes = className.split(' ').filter(c => c.trim().length > 0)
+      baseSelector = classes.length > 0 ? '.' + classes.join('.') : targetElement.tagName.toLowerCase()
+    } else {
+      baseSelector = targetElement.tagName.toLowerCase()
+    }
+
+    if (!selectedPages || selectedPages.length === 0) {
+      // Empty selection = current page only
+      return `.page-${currentPage} ${baseSelector}`
+    }
+    if (selectedPages.includes('all')) {
+      // "All pages" selected = global selector
+      return baseSelector
+    }
+    // Multiple specific pages = comma-separated selectors
+    // Note: selectedPages already contains transformed page IDs (no .html, sanitized)
+    return selectedPages
+      .filter(page => page !== 'all')
+      .map(page => `.page-${page.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')} ${baseSelector}`)
+      .join(', ')
+  }
+
+  // Where an edit of a property goes: the rule picked in the properties panel (primary element only),
+  // otherwise the matched rule that wins the cascade for it - a new rule when that isn't in the project's CSS
+  // At a breakpoint, rules in its @media block are edited in place and any other rule lends its
+  // selector to a rule in that block, so the edit only applies at the breakpoint's widths
+  // In a state, rules for it (".button:hover") are edited in place and any other rule lends its
+  // selector with the state added
+  const getCSSChangeTarget = (property, targetElement, cssFiles) => {
+    const matchedRules = locateMatchedRules(targetElement.matchedRules, cssFiles)
+    const isPrimary = !!selectedElement && targetElement.nodeId === selectedElement.nodeId &&
+      (targetElement.domPath || []).join('.') === (selectedElement.domPath || []).join('.')
+    const media = activeBreakpoint.media
+    const state = elementState
+    const isStateRule = (rule) => !state || isRuleForState(rule, state)
+    const toTarget = (rule, important) => {
+      const isInPlace = isStateRule(rule) && (!media || isRuleInBreakpoint(rule, activeBreakpoint))
+      return {
+        fileName: rule.fileName,
+        selector: isStateRule(rule) ? rule.selector : addStateToSelector(rule.selector, state),
+        occurrence: isInPlace ? rule.occurrence : null,
+        media: isInPlace ? null : media,
+        important
+      }
+    }
+
+    if (isPrimary && cssTarget.type === 'rule') {
+      const rule = matchedRules.find(candidate => candidate.fileName && getRuleId(candidate) === cssTarget.ruleId)
+      if (rule) return toTarget(rule, false)
+    }
+    if (isPrimary && cssTarget.type === 'new') {
+      const selector = state ? addStateToSelector(cssTarget.selector, state) : cssTarget.selector
+      return { fileName: cssTarget.fileName, selector, occurrence: null, media, important: false }
+    }
+
+    const cssProperty = camelToKebab(property)
+    const findRule = (rules) => (media
+      ? getTargetRule(rules.filter(candidate => isRuleInBreakpoint(candidate, activeBreakpoint)), cssProperty) ||
+        getTargetRule(rules.filter(candidate => isRuleInBreakpoint(candidate, BASE_BREAKPOINT)), cssProperty)
+      : getTargetRule(rules, cssProperty))
+    const stateRules = matchedRules.filter(isStateRule)
+    const rule = findRule(stateRules) || (state ? findRule(matchedRules.filter(candidate => !isStateRule(candidate))) : null)
+    if (rule) {
+      // Added after an !important shorthand in the same rule, the declaration needs the flag too
+      return toTarget(rule, rule.important.includes(cssProperty))
+    }
+    // A rule from outside the project (the page's own <style>, a CDN) sets it - the new rule has to be !important to win
+    const selector = getNewRuleSelector(targetElement)
+    return {
+      fileName: getFilePath(cssFiles[0]),
+      selector: state ? addStateToSelector(selector, state) : selector,
+      occurrence: null,
+      media,
+      important: !!getWinningRule(stateRules, cssProperty)
+    }
+  }
+
   // Store CSS changes for later persistence (similar to pendingTextChanges)
-  const storePendingCSSChange = (property, value) => {
-    if (!selectedElement) {
-      console.warn('storePendingCSSChange: No selectedElement')
+  const storePendingCSSChange = (property, value, targetElement = selectedElement) => {
+    if (!targetElement) {
+      console.warn('storePendingCSSChange: No targetElement')
       return
     }
 
@@ -1349,75 +1292,7 @@ function App() {
       return
     }
 
-    // Use the first CSS file
-    const cssFile = cssFiles[0]
-
-    // Build selector - use the most specific selector available
-    let baseSelector = ''
-    if (selectedElement.id) {
-      baseSelector = `#${selectedElement.id}`
-    } else if (selectedElement.className) {
-      // Use the full className, not just the first class
-      const className = typeof selectedElement.className === 'string' 
-        ? selectedElement.className 
-        : (selectedElement.className.baseVal || '')
-      const classes = className.split(' ').filter(c => c.trim().length > 0)
-      if (classes.length > 0) {
-        // Use all classes for more specificity
-        baseSelector = '.' + classes.join('.')
-      } else {
-        baseSelector = selectedElement.tagName.toLowerCase()
-      }
-    } else {
-      baseSelector = selectedElement.tagName.toLowerCase()
-    }
-    
-    // Get available HTML pages
-    const availablePages = projectFiles
-      .filter(f => f.name.endsWith('.html'))
-      .map(f => f.name.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-'))
-    
-    // Generate selector based on selected pages
-    console.log('📝 generateFinalSelector called:')
-    console.log('  - baseSelector:', baseSelector)
-    console.log('  - selectedPages:', selectedPages)
-    console.log('  - currentPage:', currentPage)
-    console.log('  - availablePages:', availablePages)
-    
-    let selector
-    if (selectedPages.length === 0 || !selectedPages || selectedPages.length === 0) {
-      // Empty selection = current page only
-      selector = `.page-${currentPage} ${baseSelector}`
-      console.log('  → Current page only:', selector)
-    } else if (selectedPages.includes('all')) {
-      // "All pages" selected = global selector
-      selector = baseSelector
-      console.log('  → All pages (global):', selector)
-    } else {
-      // Multiple specific pages = comma-separated selectors
-      // Note: selectedPages already contains transformed page IDs (no .html, sanitized)
-      const pageSelectors = selectedPages
-        .filter(page => page !== 'all') // Filter out 'all' if somehow included
-        .map(page => {
-          // Page IDs are already in the correct format, but ensure consistency
-          const pageId = page.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
-          const pageSelector = `.page-${pageId} ${baseSelector}`
-          console.log(`  → Adding page selector for "${pageId}":`, pageSelector)
-          return pageSelector
-        })
-        .join(', ')
-      selector = pageSelectors
-      console.log('  → Multiple pages (comma-separated):', selector)
-    }
-    
-    console.log('🎯 GENERATED FINAL SELECTOR:', selector)
-    console.log('🎯 This will apply to:', 
-      selectedPages.length === 0 || !selectedPages || selectedPages.length === 0 
-        ? 'CURRENT PAGE ONLY' 
-        : selectedPages.includes('all') 
-          ? 'ALL PAGES' 
-          : `SPECIFIC PAGES: ${selectedPages.filter(p => p !== 'all').join(', ')}`
-    )
+    const target = getCSSChangeTarget(property, targetElement, cssFiles)
 
     // PRESERVE EXACT USER VALUE - don't normalize user input
     // The color picker always returns hex values like #f00000
@@ -1450,84 +1325,39 @@ function App() {
         // Only normalize RGB values, preserve hex exactly as user set it
         finalValue = normalizeColorToHex(value)
         console.log('Normalized RGB to hex:', value, '->', finalValue)
-      } else if (typeof value === 'string') {
+      } else if (typeof value === 'string' && value && !value.startsWith('#') && /^[0-9A-Fa-f]{6}$/i.test(value)) {
         // Ensure hex values have # prefix if missing
-        if (value && !value.startsWith('#') && /^[0-9A-Fa-f]{6}$/i.test(value)) {
-          finalValue = '#' + value
-          console.log('Added # prefix to hex:', value, '->', finalValue)
-        } else if (value.startsWith('#')) {
-          // Preserve hex value exactly as user set it (keep original case)
-          finalValue = value
-          console.log('Preserving exact hex value:', finalValue)
-        } else {
-          finalValue = value
-        }
+        finalValue = '#' + value
+        console.log('Added # prefix to hex:', value, '->', finalValue)
       }
     }
 
-    // Create a unique key for this CSS change (include page context)
-    const changeKey = `${cssFile.name}_${selector}_${property}_${currentPage}`
+    // One pending value per rule and property - a later edit replaces it
+    const changeKey = `${target.fileName}_${target.selector}_${target.occurrence ?? 'new'}_${target.media || ''}_${property}`
 
     console.log('🔵 Storing CSS change:', {
       property: property,
-      originalValue: value,
-      finalValue: finalValue,
-      selector: selector,
-      changeKey: changeKey,
-      elementTag: selectedElement.tagName,
-      elementId: selectedElement.id,
-      elementClassName: selectedElement.className
+      value: finalValue,
+      fileName: target.fileName,
+      selector: target.selector,
+      media: target.media,
+      newRule: target.occurrence === null,
+      elementTag: targetElement.tagName
     })
-    console.log('🔵 Storing CSS change - VALUES:', `property="${property}"`, `value="${finalValue}"`, `selector="${selector}"`)
-    
-    // Special logging for color properties to debug persistence issues
-    if (property === 'color' || property === 'backgroundColor') {
-      console.log(`🎨 COLOR CHANGE STORED: ${property} = "${finalValue}" for selector "${selector}"`)
-      console.log(`🎨 VERIFYING PROPERTY NAME: property="${property}" (should be "color" or "backgroundColor")`)
-    }
-    
-    // Special logging for fontSize to ensure units are present
-    if (property === 'fontSize') {
-      console.log(`📏 FONT SIZE CHANGE STORED: ${property} = "${finalValue}" for selector "${selector}"`)
-    }
 
-    // Store the change with exact value
     setPendingCSSChanges(prev => {
       const newMap = new Map(prev)
-      // Check if we're overwriting an existing change
-      if (prev.has(changeKey)) {
-        const oldChange = prev.get(changeKey)
-        console.log('⚠️ OVERWRITING existing CSS change:', {
-          key: changeKey,
-          oldProperty: oldChange.property,
-          newProperty: property,
-          oldValue: oldChange.value,
-          newValue: finalValue,
-          selector: selector
-        })
-        
-        // Warn if property name is changing (this shouldn't happen for the same changeKey)
-        if (oldChange.property !== property) {
-          console.error('❌ PROPERTY NAME CHANGED during overwrite!', {
-            old: oldChange.property,
-            new: property,
-            changeKey: changeKey
-          })
-        }
-      }
+      // Re-insert, so the change applies after the ones made before it
+      newMap.delete(changeKey)
       newMap.set(changeKey, {
-        fileName: cssFile.name,
-        selector: selector, // This is the final selector (with page prefixes if needed)
-        baseSelector: baseSelector, // Store base selector for reference
+        ...target,
         property: property, // Store the EXACT property name (color or backgroundColor)
         value: finalValue,
-        element: selectedElement,
-        selectedPages: selectedPages, // Store selected pages for reference
+        breakpointId: activeBreakpoint.id,
+        state: elementStateId,
+        element: targetElement,
         currentPage: currentPage // Store page context
       })
-      
-      console.log('✅ CSS change stored with selector:', selector)
-      console.log('✅ CSS change stored in Map. Total pending:', newMap.size)
       return newMap
     })
 
@@ -1556,132 +1386,12 @@ function App() {
 
     // Apply changes to each CSS file
     changesByFile.forEach((changes, fileName) => {
-      const cssFile = cssFiles.find(f => f.name === fileName)
+      const cssFile = cssFiles.find(f => getFilePath(f) === fileName)
       if (!cssFile) return
 
-      let cssContent = cssFile.content
-
-      // Group changes by selector
-      const changesBySelector = new Map()
-      changes.forEach(change => {
-        if (!changesBySelector.has(change.selector)) {
-          changesBySelector.set(change.selector, [])
-        }
-        changesBySelector.get(change.selector).push(change)
-      })
-
-      // Apply all changes for each selector
-      changesBySelector.forEach((selectorChanges, selector) => {
-        // Convert property names to CSS properties (camelCase to kebab-case)
-        const cssProperties = selectorChanges.map(change => {
-          // Convert camelCase to kebab-case for all CSS properties
-          const cssProperty = camelToKebab(change.property)
-          return { property: cssProperty, value: change.value }
-        })
-
-        // Check if selector already exists in CSS
-        const escapedSelector = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-        const selectorRegex = new RegExp(`(${escapedSelector})\\s*\\{[^}]*\\}`, 'g')
-        const existingRule = cssContent.match(selectorRegex)
-
-        console.log('🟢 CSS Save Debug (applyPendingCSSChanges):', {
-          selector: selector,
-          escapedSelector: escapedSelector,
-          existingRule: existingRule ? existingRule[0].substring(0, 200) : null,
-          properties: cssProperties.map(p => `${p.property}: ${p.value}`),
-          exactValues: cssProperties.map(p => p.value)
-        })
-        console.log('🟢 CSS Save Debug - EXACT VALUES BEING WRITTEN (applyPendingCSSChanges):', cssProperties.map(p => `${p.property}="${p.value}"`).join(', '))
-
-        if (existingRule) {
-          // Update existing rule - only replace the first match
-          const beforeUpdate = cssContent.substring(0, 500)
-          const firstMatch = existingRule[0]
-          const updatedRule = firstMatch.replace(
-            /(\{[^}]*)/,
-            (match) => {
-              let updated = match
-              // Remove existing properties if they exist (case-insensitive)
-              cssProperties.forEach(({ property, value }) => {
-                const escapedProp = property.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-                const propRegex = new RegExp(`${escapedProp}\\s*:\\s*[^;]+;?`, 'gi')
-                updated = updated.replace(propRegex, '')
-              })
-              // Add new properties with EXACT values (preserve user's exact input)
-              // Use !important to ensure our rules override existing ones
-              cssProperties.forEach(({ property, value }) => {
-                updated += `\n  ${property}: ${value} !important;`
-              })
-              return updated
-            }
-          )
-          // Replace only the first occurrence by removing the global flag temporarily
-          const nonGlobalRegex = new RegExp(`(${escapedSelector})\\s*\\{[^}]*\\}`, '')
-          cssContent = cssContent.replace(nonGlobalRegex, updatedRule)
-          
-          // Check for duplicate rules and remove them, keeping only the updated one (which has all properties)
-          const duplicateRuleRegex = new RegExp(`${escapedSelector}\\s*\\{[^}]*\\}`, 'g')
-          const duplicateMatches = cssContent.match(duplicateRuleRegex)
-          
-          if (duplicateMatches && duplicateMatches.length > 1) {
-            console.log(`⚠️ Found ${duplicateMatches.length} duplicate rules for ${selector} (applyPendingCSSChanges)`)
-            console.log('⚠️ Duplicate rules found:', duplicateMatches.map((r, i) => `Rule ${i + 1}: ${r.substring(0, 200)}`))
-            
-            // The updatedRule already contains all properties from the original rule plus our changes
-            // Remove ALL occurrences (including the one we just updated)
-            cssContent = cssContent.replace(duplicateRuleRegex, '')
-            
-            // Add back ONLY the updated rule (which preserves all original properties + our color change)
-            cssContent += updatedRule
-            
-            console.log('✅ Removed duplicates and kept updated rule with all properties (applyPendingCSSChanges):', updatedRule.substring(0, 200))
-          }
-          
-          const afterUpdate = cssContent.substring(0, 500)
-          console.log('🟡 Updated CSS rule (applyPendingCSSChanges):', {
-            selector: selector,
-            before: beforeUpdate,
-            after: afterUpdate,
-            updatedRule: updatedRule.substring(0, 200),
-            values: cssProperties.map(p => p.value)
-          })
-          console.log('🟡 Updated CSS rule - EXACT VALUES (applyPendingCSSChanges):', cssProperties.map(p => `${p.property}="${p.value}"`).join(', '))
-          console.log('🟡 Full updated rule (applyPendingCSSChanges):', updatedRule)
-        } else {
-          // Add new rule with EXACT values
-          // Use !important to ensure our rules override existing ones
-          const properties = cssProperties.map(({ property, value }) => `  ${property}: ${value} !important;`).join('\n')
-          const newRule = `\n${selector} {\n${properties}\n}\n`
-          cssContent += newRule
-          console.log('🟢 Added new CSS rule (applyPendingCSSChanges):', {
-            selector: selector,
-            rule: newRule,
-            values: cssProperties.map(p => p.value)
-          })
-          console.log('🟢 Added new CSS rule - EXACT VALUES (applyPendingCSSChanges):', cssProperties.map(p => `${p.property}="${p.value}"`).join(', '))
-          console.log('🟢 Full new rule (applyPendingCSSChanges):', newRule)
-        }
-        })
+      const cssContent = applyCSSChangesToContent(cssFile.content, changes)
 
       if (persistToFiles) {
-        // Log the final CSS content to verify it contains our changes
-        const colorMatches = cssContent.match(/background-color\s*:\s*[^;]+/gi) || []
-        const textColorMatches = cssContent.match(/color\s*:\s*[^;]+/gi) || []
-        console.log('📝 Final CSS content - Color rules found:', {
-          backgroundColors: colorMatches.slice(-5), // Last 5 matches
-          textColors: textColorMatches.slice(-5), // Last 5 matches
-          contentLength: cssContent.length
-        })
-        
-        // Check for all selectors that were processed (log each one)
-        changesBySelector.forEach((selectorChanges, selector) => {
-          const escapedSelector = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-          const selectorMatches = cssContent.match(new RegExp(`${escapedSelector}[^}]*{[^}]*}`, 'gi'))
-          if (selectorMatches) {
-            console.log('📝 CSS content for selector:', selector, selectorMatches[selectorMatches.length - 1])
-          }
-        })
-        
         handleFileUpdate(fileName, cssContent)
       }
       
@@ -1837,7 +1547,7 @@ function App() {
     }
     const cssFile = cssFiles[0]
     // Use updated CSS content from applyPendingCSSChanges if available, otherwise use current
-    let cssContent = updatedCSSContentMap?.get(cssFile.name) || cssFile.content
+    let cssContent = updatedCSSContentMap?.get(getFilePath(cssFile)) || cssFile.content
 
     // ⭐ FIXED: First look for the CURRENT page's specific rule
     const currentPageSelector = `.page-${currentPage} ${baseSelector}`
@@ -1973,7 +1683,7 @@ function App() {
 
     if (hasChanges) {
       // Update the CSS file in state FIRST
-      handleFileUpdate(cssFile.name, cssContent)
+      handleFileUpdate(getFilePath(cssFile), cssContent)
       setSaveStatus('unsaved')
       console.log('✅ Applied current styles to', targetPages.length, 'page(s)')
       console.log('📋 Updated CSS content length:', cssContent.length)
@@ -1982,7 +1692,7 @@ function App() {
       // Build updated files array with the new CSS content
       // Use the cssContent directly to ensure we have the latest changes
       const updatedFiles = projectFiles.map(file => 
-        file.name === cssFile.name 
+        isSameFile(file, cssFile) 
           ? { ...file, content: cssContent }
           : file
       )
@@ -2141,14 +1851,14 @@ function App() {
     }
 
     // Update the CSS file in state
-    handleFileUpdate(cssFile.name, cssContent)
+    handleFileUpdate(getFilePath(cssFile), cssContent)
     setSaveStatus('unsaved')
     console.log('✅ Cleared styles from', selectorsToRemove.length, 'page(s)')
     console.log('📋 Updated CSS content length:', cssContent.length)
 
     // Build updated files array with the new CSS content
     const updatedFiles = projectFiles.map(file => 
-      file.name === cssFile.name 
+      isSameFile(file, cssFile) 
         ? { ...file, content: cssContent }
         : file
     )
@@ -2187,7 +1897,7 @@ function App() {
     
     // Update current page when HTML file is selected
     if (file && file.name.endsWith('.html')) {
-      const pageId = file.name.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
+      const pageId = getPageId(file)
       setCurrentPage(pageId)
       console.log('Current page updated to:', pageId)
       
@@ -2200,7 +1910,7 @@ function App() {
           console.log('🔍 Re-detected applied pages on page switch (raw):', appliedPages)
           
           // Normalize page names to match availablePages format (remove .html, normalize)
-          // availablePages uses: f.name.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
+          // availablePages uses: getPageId(f)
           const normalizedAppliedPages = appliedPages.map(pageName => {
             return pageName.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-')
           })
@@ -2218,7 +1928,7 @@ function App() {
     }
     
     // Persist pending text changes to local files when switching files
-    if (pendingTextChanges.size > 0 && selectedFile && file && selectedFile.name !== file.name) {
+    if (pendingTextChanges.size > 0 && selectedFile && file && !isSameFile(selectedFile, file)) {
       console.log('Persisting pending text changes to local files before file switch');
       applyPendingTextChanges(true); // Persist to local files only
     }
@@ -2428,6 +2138,7 @@ function App() {
     setProjectFiles(null)
     setSelectedFile(null)
     setSelectedElement(null)
+    setSelectedElements([])
     setCurrentProjectName(null)
     setPendingTextChanges(new Map())
     setPendingCSSChanges(new Map())
@@ -2648,6 +2359,7 @@ function App() {
               files={projectFiles}
               selectedFile={selectedFile}
               selectedElement={selectedElement}
+              selectedElements={selectedElements}
               onElementSelect={handleElementSelect}
               onInspectorToggle={handleInspectorToggle}
               isInspectorEnabled={isInspectorEnabled}
@@ -2661,6 +2373,14 @@ function App() {
               onAuthClick={() => setShowAuthModal(true)}
               onSaveClick={handleManualSave}
               onFileSelect={handleFileSelect}
+              onConsoleMessage={handleConsoleMessage}
+              onDomTreeChange={setDomTree}
+              onElementMove={handleElementMove}
+              onBlockDrop={handleInsertElement}
+              onElementAction={handleElementAction}
+              onViewportWidthChange={setPreviewWidth}
+              onCascadeChange={setElementCascade}
+              elementState={elementStateId}
             />
           </div>
           
@@ -2670,10 +2390,21 @@ function App() {
               selectedFile={selectedFile}
               onFileSelect={handleFileSelect}
               selectedElement={selectedElement}
+              selectedElements={selectedElements}
               onPropertyChange={handlePropertyChange}
-              availablePages={projectFiles.filter(f => f.name.endsWith('.html')).map(f => f.name.replace('.html', '').replace(/[^a-zA-Z0-9]/g, '-'))}
+              availablePages={projectFiles.filter(f => f.name.endsWith('.html')).map(f => getPageId(f))}
               selectedPages={selectedPages}
               onSelectedPagesChange={setSelectedPages}
+              cssTarget={cssTarget}
+              onCssTargetChange={setCssTarget}
+              newRuleSelector={selectedElement ? getNewRuleSelector(selectedElement) : ''}
+              breakpoints={breakpoints}
+              activeBreakpoint={activeBreakpoint}
+              onBreakpointChange={handleBreakpointChange}
+              pendingBreakpointProperties={pendingBreakpointProperties}
+              elementState={elementStateId}
+              onElementStateChange={setElementStateId}
+              onTokenPreview={(token, value) => previewPaneRef.current?.updateTokenStyle(token, value)}
               currentPage={currentPage}
               onFileUpdate={handleFileUpdate}
               onApplyCurrentStyles={applyCurrentStylesToPages}
@@ -2694,6 +2425,22 @@ function App() {
               onLineNumbersChange={handleLineNumbersChange}
               tabSize={tabSize}
               onTabSizeChange={handleTabSizeChange}
+              consoleEntries={consoleEntries}
+              onConsoleClear={() => setConsoleEntries([])}
+              onConsoleEvaluate={handleConsoleEvaluate}
+              preserveConsoleLog={preserveConsoleLog}
+              onPreserveConsoleLogChange={setPreserveConsoleLog}
+              domTree={domTree}
+              onLayerHover={(domPath) => previewPaneRef.current?.highlightLayer(domPath)}
+              onLayerSelect={(layer) => previewPaneRef.current?.selectLayer(layer)}
+              elementCascade={elementCascade}
+              onRequestCascade={() => previewPaneRef.current?.requestCascade()}
+              onInsertElement={(templateId, position) => handleInsertElement({
+                templateId,
+                target: selectedElement?.domPath ? { nodeId: selectedElement.nodeId, domPath: selectedElement.domPath, tagName: selectedElement.tagName.toLowerCase() } : null,
+                position,
+                pagePath: previewPaneRef.current?.getPreviewPagePath()
+              })}
             />
           </aside>
         </div>
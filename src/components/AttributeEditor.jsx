@@ -0,0 +1,229 @@
+import { useState, useEffect, useRef } from 'react'
+import { NODE_ID_ATTRIBUTE } from '../lib/htmlParser'
+import './AttributeEditor.css'
+
+// Attributes the rows can't take - class has the chip editor, style is written by the style controls
+const RESERVED_ATTRIBUTES = ['class', 'style', NODE_ID_ATTRIBUTE, 'data-vibecanvas-id', 'data-vibecanvas-page-class']
+// Most suggestions shown under the class input
+const MAX_CLASS_SUGGESTIONS = 8
+
+const isValidAttributeName = (name) => /^[^\s"'>/=]+$/.test(name)
+
+const getClassList = (element) => {
+  return typeof element?.className === 'string' ? element.className.split(/\s+/).filter(Boolean) : []
+}
+
+// Rows for the element's attributes - `original` is the name the element has it under, null for a row being added
+const getAttributeRows = (element) => {
+  return (element?.attributes || []).map(attribute => ({ ...attribute, original: attribute.name }))
+}
+
+/**
+ * Class chips and attribute rows for one element
+ * Every change goes through onAttributeChange(name, value) - a null value removes the attribute
+ */
+function AttributeEditor({ element, classNames = [], onAttributeChange }) {
+  const [classInput, setClassInput] = useState('')
+  const [isClassInputFocused, setIsClassInputFocused] = useState(false)
+  const [rows, setRows] = useState(() => getAttributeRows(element))
+  const elementKeyRef = useRef(null)
+
+  // The element reports back after every change - keep rows still being added unless the selection moved
+  useEffect(() => {
+    const elementKey = `${element?.nodeId}:${(element?.domPath || []).join('.')}`
+    const isSameElement = elementKeyRef.current === elementKey
+    elementKeyRef.current = elementKey
+    setRows(prev => getAttributeRows(element).concat(isSameElement ? prev.filter(row => row.original === null) : []))
+    if (!isSameElement) setClassInput('')
+  }, [element])
+
+  const classList = getClassList(element)
+  const query = classInput.trim().toLowerCase()
+  const classSuggestions = classNames
+    .filter(className => !classList.includes(className) && className.toLowerCase().includes(query))
+    .slice(0, MAX_CLASS_SUGGESTIONS)
+
+  const setClassList = (list) => {
+    onAttributeChange('class', list.length > 0 ? list.join(' ') : null)
+  }
+
+  const addClasses = (value) => {
+    const added = value.split(/\s+/).filter(className => className && !classList.includes(className))
+    setClassInput('')
+    if (added.length > 0) {
+      setClassList(classList.concat([...new Set(added)]))
+    }
+  }
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => i === index ? { ...row, ...changes } : row))
+  }
+
+  const removeRow = (index) => {
+    const row = rows[index]
+    setRows(prev => prev.filter((_, i) => i !== index))
+    if (row.original) {
+      onAttributeChange(row.original, null)
+    }
+  }
+
+  // Names are committed on blur/Enter - a rename removes the old attribute and sets the new one
+  const commitRowName = (index) => {
+    const row = rows[index]
+    const name = row.name.trim().toLowerCase()
+    if (name === row.original) {
+      updateRow(index, { name })
+      return
+    }
+    if (!name) {
+      if (row.original === null) return
+      updateRow(index, { name: row.original })
+      return
+    }
+
+    let problem = null
+    if (!isValidAttributeName(name)) {
+      problem = `"${name}" isn't a valid attribute name.`
+    } else if (RESERVED_ATTRIBUTES.includes(name)) {
+      problem = name === 'class'
+        ? 'Use the Classes field to change the class attribute.'
+        : `The ${name} attribute can't be edited here.`
+    } else if (rows.some((other, i) => i !== index && other.original === name)) {
+      problem = `This element already has a ${name} attribute.`
+    }
+    if (problem) {
+      alert(problem)
+      updateRow(index, { name: row.original || '' })
+      return
+    }
+
+    if (row.original) {
+      onAttributeChange(row.original, null)
+    }
+    onAttributeChange(name, row.value)
+    updateRow(index, { name, original: name })
+  }
+
+  const handleRowValueChange = (index, value) => {
+    const row = rows[index]
+    updateRow(index, { value })
+    // Live while typing - a row without a committed name has nothing to set yet
+    if (row.original) {
+      onAttributeChange(row.original, value)
+    }
+  }
+
+  return (
+    <>
+      <div className="property-group">
+        <label className="property-label">Classes</label>
+        <div className="class-chips">
+          {classList.map(className => (
+            <span key={className} className="class-chip">
+              <span className="class-chip-name">.{className}</span>
+              <button
+                type="button"
+                className="class-chip-remove"
+                title={`Remove ${className}`}
+                onClick={() => setClassList(classList.filter(name => name !== className))}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <div className="class-input-wrapper">
+            <input
+              type="text"
+              value={classInput}
+              onChange={(e) => setClassInput(e.target.value)}
+              onFocus={() => setIsClassInputFocused(true)}
+              onBlur={() => setIsClassInputFocused(false)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || (e.key === ' ' && classInput.trim())) {
+                  e.preventDefault()
+                  addClasses(classInput)
+                } else if (e.key === 'Backspace' && !classInput && classList.length > 0) {
+                  setClassList(classList.slice(0, -1))
+                } else if (e.key === 'Escape') {
+                  setClassInput('')
+                  e.target.blur()
+                }
+              }}
+              className="class-input"
+              placeholder={classList.length > 0 ? 'Add class' : 'Add a class'}
+              spellCheck={false}
+            />
+            {/* Picked on mousedown, so the pick lands before the input's blur hides the list */}
+            {isClassInputFocused && classSuggestions.length > 0 && (
+              <ul className="class-suggestions">
+                {classSuggestions.map(className => (
+                  <li key={className}>
+                    <button
+                      type="button"
+                      className="class-suggestion"
+                      onMouseDown={(e) => {
+                        e.preventDefault()
+                        addClasses(className)
+                      }}
+                    >
+                      .{className}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="property-group">
+        <label className="property-label">Attributes</label>
+        {rows.length === 0 && (
+          <div className="attribute-empty">No attributes</div>
+        )}
+        {rows.map((row, index) => (
+          <div key={row.original ?? `new-${index}`} className="attribute-row">
+            <input
+              type="text"
+              value={row.name}
+              onChange={(e) => updateRow(index, { name: e.target.value })}
+              onBlur={() => commitRowName(index)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.target.blur()
+              }}
+              className="property-input attribute-name"
+              placeholder="name"
+              spellCheck={false}
+              autoFocus={row.original === null}
+            />
+            <input
+              type="text"
+              value={row.value}
+              onChange={(e) => handleRowValueChange(index, e.target.value)}
+              className="property-input attribute-value"
+              placeholder="value"
+              spellCheck={false}
+            />
+            <button
+              type="button"
+              className="attribute-remove"
+              title={row.original ? `Remove ${row.original}` : 'Remove'}
+              onClick={() => removeRow(index)}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="attribute-add"
+          onClick={() => setRows(prev => prev.concat({ name: '', value: '', original: null }))}
+        >
+          + Add attribute
+        </button>
+      </div>
+    </>
+  )
+}
+
+export default AttributeEditor
@@ -0,0 +1,31 @@
+import './BreakpointPicker.css'
+
+/**
+ * Which breakpoint style edits apply at - follows the preview width, and picking one resizes
+ * the preview to a width it covers
+ */
+function BreakpointPicker({ breakpoints, activeBreakpoint, onBreakpointChange }) {
+  const hint = activeBreakpoint.media
+    ? `Edits apply at ${activeBreakpoint.label} inside @media ${activeBreakpoint.media} - values from other breakpoints show as placeholders`
+    : 'Edits apply at every width - breakpoints can override them'
+
+  return (
+    <div className="property-group breakpoint-picker">
+      <label className="property-label">Breakpoint</label>
+      <select
+        value={activeBreakpoint.id}
+        onChange={(e) => onBreakpointChange(e.target.value)}
+        className="property-select"
+      >
+        {breakpoints.map(breakpoint => (
+          <option key={breakpoint.id} value={breakpoint.id}>
+            {breakpoint.media ? `${breakpoint.label} · ${breakpoint.media}` : breakpoint.label}
+          </option>
+        ))}
+      </select>
+      <p className="breakpoint-picker-hint">{hint}</p>
+    </div>
+  )
+}
+
+export default BreakpointPicker
@@ -1,7 +1,46 @@
+import { useEffect, useRef } from 'react'
 import Editor from '@monaco-editor/react'
+import { getFilePath } from '../lib/projectPaths'
 import './CodeEditor.css'
 
-function CodeEditor({ file, onFileUpdate, lineNumbers = true, tabSize = 2 }) {
+/**
+ * Monaco editor for one project file
+ * revealLocation ({ line, column }) scrolls to and highlights a line - pass a new object to jump again
+ */
+function CodeEditor({ file, onFileUpdate, lineNumbers = true, tabSize = 2, revealLocation = null }) {
+  const editorRef = useRef(null)
+  const monacoRef = useRef(null)
+  const decorationsRef = useRef([])
+
+  const revealLine = (location) => {
+    const editor = editorRef.current
+    const monaco = monacoRef.current
+    if (!editor || !monaco || !location?.line) return
+
+    const lineCount = editor.getModel()?.getLineCount() || 1
+    const line = Math.min(Math.max(1, location.line), lineCount)
+    const column = Math.max(1, location.column || 1)
+
+    editor.revealLineInCenter(line)
+    editor.setPosition({ lineNumber: line, column })
+    editor.focus()
+    decorationsRef.current = editor.deltaDecorations(decorationsRef.current, [{
+      range: new monaco.Range(line, 1, line, 1),
+      options: { isWholeLine: true, className: 'code-editor-revealed-line' }
+    }])
+  }
+
+  // Jump once the editor has the file - Monaco loads asynchronously, so also on mount
+  useEffect(() => {
+    revealLine(revealLocation)
+  }, [revealLocation])
+
+  const handleEditorMount = (editor, monaco) => {
+    editorRef.current = editor
+    monacoRef.current = monaco
+    revealLine(revealLocation)
+  }
+
   const getLanguage = (fileName) => {
     if (fileName.endsWith('.html')) return 'html'
     if (fileName.endsWith('.css')) return 'css'
@@ -27,15 +66,17 @@ function CodeEditor({ file, onFileUpdate, lineNumbers = true, tabSize = 2 }) {
   return (
     <div className="code-editor">
       <div className="code-editor-header">
-        <h3 title={file.name}>{file.name}</h3>
+        <h3 title={getFilePath(file)}>{file.name}</h3>
         <span className="file-type">{fileType}</span>
       </div>
       <div className="code-editor-content">
         <Editor
           height="100%"
+          path={getFilePath(file)}
           language={getLanguage(file.name)}
           value={file.content}
           onChange={(value) => onFileUpdate(value || '')}
+          onMount={handleEditorMount}
           theme="vs-dark"
           options={{
             minimap: { enabled: false },
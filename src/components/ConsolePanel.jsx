@@ -0,0 +1,164 @@
+import { useEffect, useRef, useState } from 'react'
+import './ConsolePanel.css'
+
+const LEVEL_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'error', label: 'Errors' },
+  { id: 'warn', label: 'Warnings' },
+  { id: 'log', label: 'Logs' }
+]
+
+// Which entry levels each filter shows - REPL input/results are always shown
+const matchesFilter = (entry, filter) => {
+  if (filter === 'all' || entry.level === 'input' || entry.level === 'result' || entry.level === 'navigate') return true
+  if (filter === 'log') return ['log', 'info', 'debug'].includes(entry.level)
+  return entry.level === filter
+}
+
+const formatSource = (source) => {
+  const location = source.path || source.url
+  return source.line ? `${location}:${source.line}` : location
+}
+
+function ConsolePanel({ entries, onClear, onEvaluate, onOpenSource, preserveLog, onPreserveLogChange }) {
+  const [filter, setFilter] = useState('all')
+  const [expression, setExpression] = useState('')
+  const [history, setHistory] = useState([])
+  const [historyIndex, setHistoryIndex] = useState(-1)
+  const listRef = useRef(null)
+  const isPinnedToBottomRef = useRef(true)
+
+  const visibleEntries = entries.filter(entry => matchesFilter(entry, filter))
+  const errorCount = entries.filter(entry => entry.level === 'error').reduce((sum, entry) => sum + entry.count, 0)
+  const warningCount = entries.filter(entry => entry.level === 'warn').reduce((sum, entry) => sum + entry.count, 0)
+
+  // Follow new output unless the user scrolled up to read something
+  useEffect(() => {
+    const list = listRef.current
+    if (list && isPinnedToBottomRef.current) {
+      list.scrollTop = list.scrollHeight
+    }
+  }, [entries, filter])
+
+  const handleScroll = () => {
+    const list = listRef.current
+    if (!list) return
+    isPinnedToBottomRef.current = list.scrollHeight - list.scrollTop - list.clientHeight < 24
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      const trimmed = expression.trim()
+      if (!trimmed) return
+      onEvaluate(trimmed)
+      setHistory(prev => [...prev.filter(item => item !== trimmed), trimmed])
+      setHistoryIndex(-1)
+      setExpression('')
+      isPinnedToBottomRef.current = true
+    } else if (e.key === 'ArrowUp' && history.length > 0 && !expression.includes('\n')) {
+      e.preventDefault()
+      const nextIndex = historyIndex === -1 ? history.length - 1 : Math.max(0, historyIndex - 1)
+      setHistoryIndex(nextIndex)
+      setExpression(history[nextIndex])
+    } else if (e.key === 'ArrowDown' && historyIndex !== -1) {
+      e.preventDefault()
+      const nextIndex = historyIndex + 1
+      if (nextIndex >= history.length) {
+        setHistoryIndex(-1)
+        setExpression('')
+      } else {
+        setHistoryIndex(nextIndex)
+        setExpression(history[nextIndex])
+      }
+    }
+  }
+
+  return (
+    <div className="console-panel">
+      <div className="console-toolbar">
+        <select
+          className="console-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          aria-label="Filter console messages"
+        >
+          {LEVEL_FILTERS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <label className="console-preserve" title="Keep messages when the preview reloads">
+          <input
+            type="checkbox"
+            checked={preserveLog}
+            onChange={(e) => onPreserveLogChange(e.target.checked)}
+          />
+          Preserve log
+        </label>
+        <span className="console-counts">
+          {errorCount > 0 && <span className="console-count error">{errorCount}</span>}
+          {warningCount > 0 && <span className="console-count warn">{warningCount}</span>}
+        </span>
+        <button className="console-clear" onClick={onClear} title="Clear console">
+          Clear
+        </button>
+      </div>
+
+      <div className="console-entries" ref={listRef} onScroll={handleScroll}>
+        {visibleEntries.length === 0 && (
+          <div className="console-empty">
+            Messages logged by the preview's scripts appear here
+          </div>
+        )}
+        {visibleEntries.map(entry => (
+          entry.level === 'navigate' ? (
+            <div key={entry.id} className="console-entry navigate">
+              Navigated to {entry.text}
+            </div>
+          ) : (
+            <div key={entry.id} className={`console-entry ${entry.level}`}>
+              <span className="console-entry-prefix">
+                {entry.level === 'input' ? '›' : entry.level === 'result' ? '‹' : ''}
+              </span>
+              {entry.count > 1 && <span className="console-entry-count">{entry.count}</span>}
+              <span className="console-entry-text">{entry.text}</span>
+              {entry.source && (entry.source.path || entry.source.url) && (
+                entry.source.path ? (
+                  <button
+                    className="console-entry-source"
+                    onClick={() => onOpenSource(entry.source)}
+                    title={`Open ${formatSource(entry.source)}`}
+                  >
+                    {formatSource(entry.source)}
+                  </button>
+                ) : (
+                  <span className="console-entry-source external" title={entry.source.url}>
+                    {formatSource(entry.source)}
+                  </span>
+                )
+              )}
+            </div>
+          )
+        ))}
+      </div>
+
+      <div className="console-input">
+        <span className="console-entry-prefix">›</span>
+        <textarea
+          value={expression}
+          onChange={(e) => {
+            setExpression(e.target.value)
+            setHistoryIndex(-1)
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Evaluate in preview (Shift+Enter for new line)"
+          rows={Math.min(6, expression.split('\n').length)}
+          spellCheck={false}
+          aria-label="Console input"
+        />
+      </div>
+    </div>
+  )
+}
+
+export default ConsolePanel
@@ -0,0 +1,215 @@
+import { useEffect, useState } from 'react'
+import { DEVICE_PRESETS, clampViewportSize } from '../lib/devicePresets'
+import './DeviceToolbar.css'
+
+const DeviceIcon = ({ id }) => {
+  const iconSize = 14
+  switch (id) {
+    case 'responsive':
+      return (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M3 12h18M3 12l4-4M3 12l4 4M21 12l-4-4M21 12l-4 4" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      )
+    case 'phone':
+      return (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <rect x="7" y="2" width="10" height="20" rx="2"/>
+          <line x1="11" y1="18" x2="13" y2="18" strokeLinecap="round"/>
+        </svg>
+      )
+    case 'tablet':
+      return (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <rect x="4" y="2" width="16" height="20" rx="2"/>
+          <line x1="11" y1="18" x2="13" y2="18" strokeLinecap="round"/>
+        </svg>
+      )
+    case 'laptop':
+      return (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <rect x="4" y="4" width="16" height="11" rx="1"/>
+          <path d="M2 19h20" strokeLinecap="round"/>
+        </svg>
+      )
+    case 'compare':
+      return (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <rect x="2" y="5" width="8" height="14" rx="1"/>
+          <rect x="13" y="3" width="9" height="18" rx="1"/>
+        </svg>
+      )
+    default:
+      return (
+        <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <rect x="2" y="3" width="20" height="14" rx="2"/>
+          <path d="M8 21h8M12 17v4" strokeLinecap="round"/>
+        </svg>
+      )
+  }
+}
+
+// Side-by-side mode shows two or three presets at once
+const DEFAULT_COMPARE_PRESETS = ['phone', 'tablet', 'laptop']
+const MIN_COMPARE_FRAMES = 2
+const MAX_COMPARE_FRAMES = 3
+
+function DeviceToolbar({ viewport, frameWidth, frameHeight, scale, isComparing, onViewportChange }) {
+  const isResponsive = !isComparing && viewport.preset === 'responsive'
+
+  // Local input values so typing "3" on the way to "375" doesn't clamp mid-edit
+  const [widthInput, setWidthInput] = useState('')
+  const [heightInput, setHeightInput] = useState('')
+
+  useEffect(() => {
+    setWidthInput(frameWidth ? String(Math.round(frameWidth)) : '')
+    setHeightInput(frameHeight ? String(Math.round(frameHeight)) : '')
+  }, [frameWidth, frameHeight])
+
+  const selectPreset = (preset) => {
+    onViewportChange({ ...viewport, preset: preset.id, width: preset.width, height: preset.height })
+  }
+
+  const selectResponsive = () => {
+    onViewportChange({ ...viewport, preset: 'responsive', compare: null })
+  }
+
+  const toggleCompare = () => {
+    onViewportChange({ ...viewport, compare: isComparing ? null : DEFAULT_COMPARE_PRESETS })
+  }
+
+  // In side-by-side mode the preset buttons add or remove frames, kept in preset order
+  const toggleComparePreset = (preset) => {
+    const compare = viewport.compare || []
+    const isShown = compare.includes(preset.id)
+    if (isShown && compare.length <= MIN_COMPARE_FRAMES) return
+    if (!isShown && compare.length >= MAX_COMPARE_FRAMES) return
+
+    const nextIds = isShown ? compare.filter(id => id !== preset.id) : [...compare, preset.id]
+    onViewportChange({
+      ...viewport,
+      compare: DEVICE_PRESETS.map(p => p.id).filter(id => nextIds.includes(id))
+    })
+  }
+
+  const isPresetActive = (preset) => {
+    return isComparing ? viewport.compare.includes(preset.id) : viewport.preset === preset.id
+  }
+
+  const commitSize = () => {
+    const width = clampViewportSize(widthInput)
+    const height = clampViewportSize(heightInput)
+    if (width === Math.round(frameWidth) && height === Math.round(frameHeight)) {
+      setWidthInput(String(width))
+      setHeightInput(String(height))
+      return
+    }
+    onViewportChange({ ...viewport, preset: 'custom', width, height })
+  }
+
+  const handleSizeKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.currentTarget.blur()
+    } else if (e.key === 'Escape') {
+      setWidthInput(String(Math.round(frameWidth)))
+      setHeightInput(String(Math.round(frameHeight)))
+      e.currentTarget.blur()
+    }
+  }
+
+  const rotate = () => {
+    // Responsive mode has no fixed size yet - rotate the current frame size
+    onViewportChange({
+      ...viewport,
+      preset: isResponsive ? 'custom' : viewport.preset,
+      width: clampViewportSize(frameHeight),
+      height: clampViewportSize(frameWidth)
+    })
+  }
+
+  const toggleFitToScreen = () => {
+    onViewportChange({ ...viewport, fitToScreen: !viewport.fitToScreen })
+  }
+
+  return (
+    <div className="device-toolbar">
+      <div className="device-toolbar-group">
+        <button
+          className={`device-toolbar-button ${isResponsive ? 'active' : ''}`}
+          onClick={selectResponsive}
+          title="Responsive - fill the preview area"
+        >
+          <DeviceIcon id="responsive" />
+        </button>
+        {DEVICE_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            className={`device-toolbar-button ${isPresetActive(preset) ? 'active' : ''}`}
+            onClick={() => isComparing ? toggleComparePreset(preset) : selectPreset(preset)}
+            title={isComparing
+              ? `${isPresetActive(preset) ? 'Hide' : 'Show'} ${preset.label} (${preset.width}×${preset.height})`
+              : `${preset.label} (${preset.width}×${preset.height})`}
+          >
+            <DeviceIcon id={preset.id} />
+          </button>
+        ))}
+        <button
+          className={`device-toolbar-button ${isComparing ? 'active' : ''}`}
+          onClick={toggleCompare}
+          title="Side by side - compare two or three devices"
+        >
+          <DeviceIcon id="compare" />
+        </button>
+      </div>
+
+      {!isComparing && (
+        <div className="device-toolbar-group">
+          <input
+            className="device-size-input"
+            type="number"
+            value={widthInput}
+            onChange={(e) => setWidthInput(e.target.value)}
+            onBlur={commitSize}
+            onKeyDown={handleSizeKeyDown}
+            aria-label="Viewport width"
+          />
+          <span className="device-size-separator">×</span>
+          <input
+            className="device-size-input"
+            type="number"
+            value={heightInput}
+            onChange={(e) => setHeightInput(e.target.value)}
+            onBlur={commitSize}
+            onKeyDown={handleSizeKeyDown}
+            aria-label="Viewport height"
+          />
+          <button
+            className="device-toolbar-button"
+            onClick={rotate}
+            title="Rotate"
+            disabled={!frameWidth || !frameHeight}
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21 12a9 9 0 1 1-3-6.7L21 8" strokeLinecap="round" strokeLinejoin="round"/>
+              <path d="M21 3v5h-5" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+          </button>
+        </div>
+      )}
+
+      <div className="device-toolbar-group">
+        <button
+          className={`device-toolbar-button device-fit-button ${viewport.fitToScreen ? 'active' : ''}`}
+          onClick={toggleFitToScreen}
+          disabled={isResponsive}
+          title="Zoom to fit"
+        >
+          Fit
+        </button>
+        <span className="device-scale-label">{Math.round(scale * 100)}%</span>
+      </div>
+    </div>
+  )
+}
+
+export default DeviceToolbar
@@ -0,0 +1,547 @@
+import { useState, useEffect, useRef } from 'react'
+import { StyleInput, SegmentedControl } from './StyleControls'
+import {
+  parseColor,
+  formatColor,
+  parseShadows,
+  formatShadows,
+  findGradientLayer,
+  parseGradient,
+  formatGradient,
+  parseFunctionList,
+  formatFunctionList,
+  decomposeMatrix,
+  parseAngle
+} from '../lib/cssValues'
+import './EffectsControls.css'
+
+const NO_STYLES = {}
+
+const DEFAULT_SHADOW = { inset: false, x: '0px', y: '4px', blur: '12px', spread: '0px', color: 'rgba(0, 0, 0, 0.25)' }
+
+const DEFAULT_GRADIENT = {
+  type: 'linear',
+  angle: 180,
+  shape: 'ellipse',
+  stops: [{ color: '#4a9eff', position: 0 }, { color: '#7b2ff7', position: 100 }]
+}
+
+const SHADOW_TARGETS = [
+  { value: 'boxShadow', label: 'Box' },
+  { value: 'textShadow', label: 'Text' }
+]
+
+const GRADIENT_TYPES = [
+  { value: 'none', label: 'None' },
+  { value: 'linear', label: 'Linear' },
+  { value: 'radial', label: 'Radial' }
+]
+
+const FILTER_TARGETS = [
+  { value: 'filter', label: 'Element', title: 'filter' },
+  { value: 'backdropFilter', label: 'Backdrop', title: 'backdrop-filter' }
+]
+
+// Transform functions the sliders edit - x/y pairs can be written as one function or one per axis
+const TRANSFORM_AXES = {
+  translate: { x: 'translateX', y: 'translateY', fallback: '0px' },
+  scale: { x: 'scaleX', y: 'scaleY', fallback: '1' },
+  skew: { x: 'skewX', y: 'skewY', fallback: '0deg' }
+}
+const TRANSFORM_FUNCTIONS = ['translate', 'translateX', 'translateY', 'rotate', 'scale', 'scaleX', 'scaleY', 'skew', 'skewX', 'skewY']
+
+// Percentage filters also accept plain numbers - brightness(1.2) is brightness(120%)
+const FILTERS = [
+  { name: 'blur', label: 'Blur', unit: 'px', min: 0, max: 40, step: 0.5, fallback: 0 },
+  { name: 'brightness', label: 'Brightness', unit: '%', min: 0, max: 200, step: 1, fallback: 100 },
+  { name: 'contrast', label: 'Contrast', unit: '%', min: 0, max: 200, step: 1, fallback: 100 },
+  { name: 'saturate', label: 'Saturate', unit: '%', min: 0, max: 300, step: 1, fallback: 100 },
+  { name: 'grayscale', label: 'Grayscale', unit: '%', min: 0, max: 100, step: 1, fallback: 0 },
+  { name: 'sepia', label: 'Sepia', unit: '%', min: 0, max: 100, step: 1, fallback: 0 },
+  { name: 'invert', label: 'Invert', unit: '%', min: 0, max: 100, step: 1, fallback: 0 },
+  { name: 'opacity', label: 'Opacity', unit: '%', min: 0, max: 100, step: 1, fallback: 100 },
+  { name: 'hue-rotate', label: 'Hue', unit: 'deg', min: -180, max: 180, step: 1, fallback: 0 }
+]
+
+const formatNumber = (number) => String(Math.round(number * 100) / 100)
+
+// Angle arguments in degrees - unitless 0 is allowed for skew and rotate
+const readDegrees = (arg) => parseAngle(arg) ?? (parseFloat(arg) || 0)
+
+/**
+ * Swatch, opacity slider and text for a color - values the swatch can't show
+ * (named colors, var()) stay editable as text
+ */
+function ColorField({ value, onChange }) {
+  const parsed = parseColor(value)
+  return (
+    <div className="color-input-group effect-color">
+      <input
+        type="color"
+        value={parsed ? parsed.hex : '#000000'}
+        onChange={(e) => onChange(formatColor(e.target.value, parsed ? parsed.alpha : 1))}
+        className="color-picker-small"
+      />
+      <input
+        type="range"
+        min="0"
+        max="1"
+        step="0.05"
+        value={parsed ? parsed.alpha : 1}
+        disabled={!parsed}
+        title={parsed ? `Opacity ${Math.round(parsed.alpha * 100)}%` : 'Opacity - only for hex and rgb() colors'}
+        onChange={(e) => onChange(formatColor(parsed.hex, parseFloat(e.target.value)))}
+        className="effect-alpha"
+      />
+      <StyleInput value={value} tokenType="color" onCommit={(next) => onChange(next || 'transparent')} />
+    </div>
+  )
+}
+
+/**
+ * Range slider with the number beside it - the number can go past the slider's range
+ */
+function SliderRow({ label, value, min, max, step, unit, onChange }) {
+  return (
+    <div className="effect-slider">
+      <span className="effect-slider-label">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={Math.min(max, Math.max(min, value))}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+      />
+      <input
+        type="number"
+        step={step}
+        value={value}
+        onChange={(e) => {
+          if (e.target.value !== '' && !Number.isNaN(parseFloat(e.target.value))) onChange(parseFloat(e.target.value))
+        }}
+        className="effect-slider-number"
+      />
+      <span className="effect-slider-unit">{unit}</span>
+    </div>
+  )
+}
+
+// Value the editor can't break into controls - edited as text instead
+function RawValue({ label, value, onChange }) {
+  return (
+    <>
+      <p className="effect-hint">This {label} can't be edited with the controls - edit it as text.</p>
+      <StyleInput value={value} placeholder="none" onCommit={(next) => onChange(next || 'none')} />
+    </>
+  )
+}
+
+/**
+ * box-shadow or text-shadow as a list of layers
+ */
+function ShadowEditor({ value, isTextShadow, onChange }) {
+  const layers = parseShadows(value)
+  if (layers === null) return <RawValue label="shadow" value={value} onChange={onChange} />
+
+  const write = (next) => onChange(formatShadows(next, { isTextShadow }))
+  const setLayer = (index, changes) => write(layers.map((layer, i) => (i === index ? { ...layer, ...changes } : layer)))
+
+  return (
+    <div className="shadow-editor">
+      {layers.map((layer, index) => (
+        <div key={index} className="shadow-layer">
+          <div className="property-group-row">
+            <StyleInput label="X" value={layer.x} onCommit={(next) => setLayer(index, { x: next || '0px' })} />
+            <StyleInput label="Y" value={layer.y} onCommit={(next) => setLayer(index, { y: next || '0px' })} />
+            <StyleInput label="Blur" value={layer.blur} onCommit={(next) => setLayer(index, { blur: next || '0px' })} />
+            {!isTextShadow && (
+              <StyleInput label="Spread" value={layer.spread} onCommit={(next) => setLayer(index, { spread: next || '0px' })} />
+            )}
+          </div>
+          <div className="shadow-layer-footer">
+            <ColorField value={layer.color} onChange={(color) => setLayer(index, { color })} />
+            {!isTextShadow && (
+              <label className="shadow-inset" title="Draw the shadow inside the element">
+                <input
+                  type="checkbox"
+                  checked={layer.inset}
+                  onChange={(e) => setLayer(index, { inset: e.target.checked })}
+                />
+                Inset
+              </label>
+            )}
+            <button
+              type="button"
+              className="effect-remove"
+              title="Remove this shadow"
+              onClick={() => write(layers.filter((_, i) => i !== index))}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      ))}
+      <button type="button" className="effect-add" onClick={() => write(layers.concat(DEFAULT_SHADOW))}>
+        + Add shadow
+      </button>
+    </div>
+  )
+}
+
+/**
+ * The first linear or radial gradient of background-image - other layers (url() images)
+ * are kept as they are
+ */
+function GradientEditor({ value, onChange }) {
+  const [selectedIndex, setSelectedIndex] = useState(0)
+  const barRef = useRef(null)
+  const dragRef = useRef(null)
+
+  const { layers, index } = findGradientLayer(value)
+  const gradient = index >= 0 ? parseGradient(layers[index]) : null
+  const selectedStop = gradient ? Math.min(selectedIndex, gradient.stops.length - 1) : -1
+
+  const writeLayers = (next) => onChange(next.length > 0 ? next.join(', ') : 'none')
+
+  // Stops are written in position order - the selection follows the stop it was on
+  const write = (next, followStop = null) => {
+    const stops = next.stops.slice().sort((a, b) => a.position - b.position)
+    const nextIndex = followStop ? stops.indexOf(followStop) : 0
+    setSelectedIndex(nextIndex)
+    const nextLayers = layers.slice()
+    nextLayers[index] = formatGradient({ ...next, stops })
+    writeLayers(nextLayers)
+    return nextIndex
+  }
+
+  const setType = (type) => {
+    if (type === 'none') {
+      if (index >= 0) writeLayers(layers.filter((_, i) => i !== index))
+      return
+    }
+    if (gradient) {
+      write({ ...gradient, type }, gradient.stops[selectedStop])
+    } else {
+      // A new gradient goes on top of any images - an unreadable one is replaced
+      const base = formatGradient({ ...DEFAULT_GRADIENT, type })
+      writeLayers(index >= 0 ? layers.map((layer, i) => (i === index ? base : layer)) : [base, ...layers])
+      setSelectedIndex(0)
+    }
+  }
+
+  const getBarPosition = (clientX) => {
+    const rect = barRef.current.getBoundingClientRect()
+    return Math.round(Math.min(100, Math.max(0, ((clientX - rect.left) / rect.width) * 100)))
+  }
+
+  // Returns the stop's index once the stops are back in order
+  const setStop = (stopIndex, changes) => {
+    const updated = { ...gradient.stops[stopIndex], ...changes }
+    return write({ ...gradient, stops: gradient.stops.map((stop, i) => (i === stopIndex ? updated : stop)) }, updated)
+  }
+
+  // The dragged stop is tracked by index - every move re-reads the gradient from the new value
+  const handleStopPointerDown = (e, stopIndex) => {
+    e.stopPropagation()
+    e.preventDefault()
+    setSelectedIndex(stopIndex)
+    dragRef.current = stopIndex
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handleStopPointerMove = (e) => {
+    if (dragRef.current === null) return
+    const position = getBarPosition(e.clientX)
+    if (position !== gradient.stops[dragRef.current].position) dragRef.current = setStop(dragRef.current, { position })
+  }
+
+  const handleStopPointerUp = (e) => {
+    dragRef.current = null
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) e.currentTarget.releasePointerCapture(e.pointerId)
+  }
+
+  // Clicking the bar adds a stop there, in the color of the nearest one
+  const handleBarClick = (e) => {
+    const position = getBarPosition(e.clientX)
+    const nearest = gradient.stops.reduce((best, stop) => (
+      Math.abs(stop.position - position) < Math.abs(best.position - position) ? stop : best
+    ))
+    const stop = { color: nearest.color, position }
+    write({ ...gradient, stops: gradient.stops.concat(stop) }, stop)
+  }
+
+  const typeValue = gradient ? gradient.type : index >= 0 ? '' : 'none'
+
+  return (
+    <div className="gradient-editor">
+      <SegmentedControl label="Type" options={GRADIENT_TYPES} value={typeValue} onChange={setType} />
+      {index >= 0 && !gradient && <RawValue label="gradient" value={value} onChange={onChange} />}
+      {gradient && (
+        <>
+          <div className="gradient-preview" style={{ backgroundImage: formatGradient(gradient) }} />
+          <div
+            ref={barRef}
+            className="gradient-bar"
+            style={{ backgroundImage: formatGradient({ ...gradient, type: 'linear', angle: 90 }) }}
+            title="Click to add a color stop"
+            onClick={handleBarClick}
+          >
+            {gradient.stops.map((stop, i) => (
+              <button
+                key={i}
+                type="button"
+                className={`gradient-stop ${i === selectedStop ? 'active' : ''}`}
+                style={{ left: `${stop.position}%`, background: stop.color }}
+                title={`${stop.color} ${stop.position}% - drag to move`}
+                onClick={(e) => e.stopPropagation()}
+                onPointerDown={(e) => handleStopPointerDown(e, i)}
+                onPointerMove={handleStopPointerMove}
+                onPointerUp={handleStopPointerUp}
+                onPointerCancel={handleStopPointerUp}
+              />
+            ))}
+          </div>
+          {selectedStop >= 0 && (
+            <div className="gradient-stop-controls">
+              <ColorField value={gradient.stops[selectedStop].color} onChange={(color) => setStop(selectedStop, { color })} />
+              <div className="property-group-row">
+                <StyleInput
+                  label="Position %"
+                  value={formatNumber(gradient.stops[selectedStop].position)}
+                  onCommit={(next) => {
+                    const position = parseFloat(next)
+                    if (!Number.isNaN(position)) setStop(selectedStop, { position: Math.min(100, Math.max(0, position)) })
+                  }}
+                />
+                <button
+                  type="button"
+                  className="effect-remove"
+                  title={gradient.stops.length > 2 ? 'Remove this stop' : 'A gradient needs two stops'}
+                  disabled={gradient.stops.length <= 2}
+                  onClick={() => write({ ...gradient, stops: gradient.stops.filter((_, i) => i !== selectedStop) })}
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+          {gradient.type === 'linear' ? (
+            <SliderRow
+              label="Angle"
+              value={gradient.angle}
+              min={0}
+              max={360}
+              step={1}
+              unit="deg"
+              onChange={(angle) => write({ ...gradient, angle }, gradient.stops[selectedStop])}
+            />
+          ) : (
+            <SegmentedControl
+              label="Shape"
+              options={[{ value: 'ellipse', label: 'Ellipse' }, { value: 'circle', label: 'Circle' }]}
+              value={gradient.shape}
+              onChange={(shape) => write({ ...gradient, shape }, gradient.stops[selectedStop])}
+            />
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Translate, rotate, scale and skew - functions are edited where they are, so their order
+ * (and what it means) is kept. A computed matrix() is split into the same functions
+ */
+function TransformControls({ value, onChange }) {
+  let functions = parseFunctionList(value)
+  if (functions && functions.length === 1 && functions[0].name === 'matrix') functions = decomposeMatrix(value)
+  if (!functions || functions.some(fn => !TRANSFORM_FUNCTIONS.includes(fn.name))) {
+    return <RawValue label="transform" value={value} onChange={onChange} />
+  }
+
+  const find = (name) => functions.find(fn => fn.name === name)
+
+  const readAxis = (group, axis) => {
+    const { fallback } = TRANSFORM_AXES[group]
+    const pair = find(group)
+    if (pair) {
+      if (axis === 'x') return pair.args[0] || fallback
+      // scale(2) scales both axes, translate(10px) and skew(10deg) only x
+      return pair.args[1] || (group === 'scale' ? pair.args[0] : fallback)
+    }
+    const single = find(TRANSFORM_AXES[group][axis])
+    return single ? single.args[0] : fallback
+  }
+
+  const writeAxis = (group, axis, arg) => {
+    const pair = find(group)
+    const name = TRANSFORM_AXES[group][axis]
+    let next
+    if (pair) {
+      const args = axis === 'x' ? [arg, readAxis(group, 'y')] : [readAxis(group, 'x'), arg]
+      next = functions.map(fn => (fn === pair ? { name: group, args: args[0] === args[1] && group === 'scale' ? [args[0]] : args } : fn))
+    } else if (find(name)) {
+      next = functions.map(fn => (fn.name === name ? { name, args: [arg] } : fn))
+    } else {
+      next = functions.concat({ name, args: [arg] })
+    }
+    onChange(formatFunctionList(next))
+  }
+
+  const rotate = find('rotate')
+  const setRotate = (degrees) => {
+    const arg = `${formatNumber(degrees)}deg`
+    onChange(formatFunctionList(rotate
+      ? functions.map(fn => (fn === rotate ? { name: 'rotate', args: [arg] } : fn))
+      : functions.concat({ name: 'rotate', args: [arg] })))
+  }
+
+  return (
+    <div className="transform-controls">
+      <div className="property-group-row">
+        <StyleInput label="Move X" value={readAxis('translate', 'x')} onCommit={(next) => writeAxis('translate', 'x', next || '0px')} />
+        <StyleInput label="Move Y" value={readAxis('translate', 'y')} onCommit={(next) => writeAxis('translate', 'y', next || '0px')} />
+      </div>
+      <SliderRow
+        label="Rotate"
+        value={rotate ? readDegrees(rotate.args[0]) : 0}
+        min={-180}
+        max={180}
+        step={1}
+        unit="deg"
+        onChange={setRotate}
+      />
+      {['x', 'y'].map(axis => (
+        <SliderRow
+          key={`scale-${axis}`}
+          label={`Scale ${axis.toUpperCase()}`}
+          value={parseFloat(readAxis('scale', axis)) || 0}
+          min={0}
+          max={3}
+          step={0.05}
+          unit="×"
+          onChange={(number) => writeAxis('scale', axis, formatNumber(number))}
+        />
+      ))}
+      {['x', 'y'].map(axis => (
+        <SliderRow
+          key={`skew-${axis}`}
+          label={`Skew ${axis.toUpperCase()}`}
+          value={readDegrees(readAxis('skew', axis))}
+          min={-60}
+          max={60}
+          step={1}
+          unit="deg"
+          onChange={(degrees) => writeAxis('skew', axis, `${formatNumber(degrees)}deg`)}
+        />
+      ))}
+      {functions.length > 0 && (
+        <button type="button" className="effect-add" onClick={() => onChange('none')}>
+          Reset transform
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * filter or backdrop-filter sliders - functions without a slider (drop-shadow, url())
+ * are kept as they are
+ */
+function FilterControls({ value, onChange }) {
+  const functions = parseFunctionList(value)
+  if (!functions) return <RawValue label="filter" value={value} onChange={onChange} />
+
+  const readFilter = (filter) => {
+    const fn = functions.find(f => f.name === filter.name)
+    if (!fn || fn.args.length === 0) return filter.fallback
+    const arg = fn.args[0]
+    if (filter.unit === 'deg') return readDegrees(arg)
+    if (filter.unit === '%' && !arg.endsWith('%')) return (parseFloat(arg) || 0) * 100
+    return parseFloat(arg) || 0
+  }
+
+  const writeFilter = (filter, number) => {
+    const arg = `${formatNumber(number)}${filter.unit}`
+    const next = functions.some(fn => fn.name === filter.name)
+      ? functions.map(fn => (fn.name === filter.name ? { name: fn.name, args: [arg] } : fn))
+      : functions.concat({ name: filter.name, args: [arg] })
+    onChange(formatFunctionList(next))
+  }
+
+  return (
+    <div className="filter-controls">
+      {FILTERS.map(filter => (
+        <SliderRow
+          key={filter.name}
+          label={filter.label}
+          value={readFilter(filter)}
+          min={filter.min}
+          max={filter.max}
+          step={filter.step}
+          unit={filter.unit}
+          onChange={(number) => writeFilter(filter, number)}
+        />
+      ))}
+      {functions.length > 0 && (
+        <button type="button" className="effect-add" onClick={() => onChange('none')}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Shadows, background gradient, transform and filters
+ */
+function EffectsControls({ styles = NO_STYLES, onStyleChange }) {
+  const [values, setValues] = useState(styles)
+  const [shadowTarget, setShadowTarget] = useState('boxShadow')
+  const [filterTarget, setFilterTarget] = useState('filter')
+
+  useEffect(() => {
+    setValues(styles)
+  }, [styles])
+
+  const setValue = (property, value) => {
+    setValues(prev => ({ ...prev, [property]: value }))
+    onStyleChange(property, value)
+  }
+
+  return (
+    <div className="effects-controls">
+      <div className="effects-subheading">Shadow</div>
+      <SegmentedControl label="Applies To" options={SHADOW_TARGETS} value={shadowTarget} onChange={setShadowTarget} />
+      <ShadowEditor
+        key={shadowTarget}
+        value={values[shadowTarget] || 'none'}
+        isTextShadow={shadowTarget === 'textShadow'}
+        onChange={(value) => setValue(shadowTarget, value)}
+      />
+
+      <div className="effects-subheading">Gradient</div>
+      <GradientEditor
+        value={values.backgroundImage || 'none'}
+        onChange={(value) => setValue('backgroundImage', value)}
+      />
+
+      <div className="effects-subheading">Transform</div>
+      <TransformControls
+        value={values.transform || 'none'}
+        onChange={(value) => setValue('transform', value)}
+      />
+
+      <div className="effects-subheading">Filters</div>
+      <SegmentedControl label="Applies To" options={FILTER_TARGETS} value={filterTarget} onChange={setFilterTarget} />
+      <FilterControls
+        value={values[filterTarget] || 'none'}
+        onChange={(value) => setValue(filterTarget, value)}
+      />
+    </div>
+  )
+}
+
+export default EffectsControls
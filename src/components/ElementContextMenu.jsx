@@ -0,0 +1,97 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react'
+import './ElementContextMenu.css'
+
+const isMacPlatform = () => navigator.platform.toUpperCase().indexOf('MAC') >= 0
+
+// Keep the menu this far from the window edges
+const EDGE_MARGIN = 8
+
+// Structural edits for the selected element(s), opened by right-clicking in the preview
+// The same actions have shortcuts in the preview - shown here as hints
+function ElementContextMenu({ x, y, targets, onAction, onClose }) {
+  const menuRef = useRef(null)
+  const [position, setPosition] = useState({ left: x, top: y })
+  const isMultiple = targets.length > 1
+  const mod = isMacPlatform() ? '⌘' : 'Ctrl'
+  const shift = isMacPlatform() ? '⇧' : 'Shift'
+
+  const items = [
+    { action: 'duplicate', label: isMultiple ? `Duplicate ${targets.length} elements` : 'Duplicate', shortcut: [mod, 'D'] },
+    { action: 'delete', label: isMultiple ? `Delete ${targets.length} elements` : 'Delete', shortcut: ['Del'] },
+    { type: 'separator' },
+    { action: 'wrap', wrapper: 'div', label: 'Wrap in div', shortcut: [mod, 'G'], disabled: isMultiple },
+    { action: 'wrap', wrapper: 'section', label: 'Wrap in section', disabled: isMultiple },
+    { action: 'wrap', wrapper: 'a', label: 'Wrap in link', disabled: isMultiple },
+    { action: 'unwrap', label: 'Unwrap', shortcut: [shift, mod, 'G'], disabled: isMultiple }
+  ]
+
+  // Open towards the inside of the window near its right/bottom edges
+  useLayoutEffect(() => {
+    if (!menuRef.current) return
+    // Take focus from the preview, so clicking back into it blurs the window and closes the menu
+    menuRef.current.focus()
+    const rect = menuRef.current.getBoundingClientRect()
+    setPosition({
+      left: Math.max(EDGE_MARGIN, Math.min(x, window.innerWidth - rect.width - EDGE_MARGIN)),
+      top: Math.max(EDGE_MARGIN, Math.min(y, window.innerHeight - rect.height - EDGE_MARGIN))
+    })
+  }, [x, y])
+
+  // Clicking into the preview blurs the window, clicking elsewhere is a mousedown outside the menu
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) onClose()
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('mousedown', handleMouseDown, true)
+    document.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('blur', onClose)
+    window.addEventListener('resize', onClose)
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown, true)
+      document.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('blur', onClose)
+      window.removeEventListener('resize', onClose)
+    }
+  }, [onClose])
+
+  return (
+    <div
+      ref={menuRef}
+      className="element-context-menu"
+      style={{ left: position.left, top: position.top }}
+      role="menu"
+      tabIndex={-1}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {items.map((item, index) => {
+        if (item.type === 'separator') {
+          return <div key={`sep-${index}`} className="element-context-separator" />
+        }
+        return (
+          <button
+            key={item.label}
+            className="element-context-item"
+            disabled={item.disabled}
+            role="menuitem"
+            onClick={() => {
+              onClose()
+              onAction(item.action, item.wrapper)
+            }}
+          >
+            <span className="element-context-label">{item.label}</span>
+            {item.shortcut && (
+              <span className="element-context-shortcut">
+                {item.shortcut.map(key => <kbd key={key}>{key}</kbd>)}
+              </span>
+            )}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export default ElementContextMenu
@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import JSZip from 'jszip'
 import { saveAs } from 'file-saver'
+import { getFilePath } from '../lib/projectPaths'
 import './ExportButton.css'
 
 function ExportButton({ files }) {
@@ -12,10 +13,12 @@ function ExportButton({ files }) {
     try {
       const zip = new JSZip()
       
-      // Add all files to zip
-      files.forEach(file => {
-        zip.file(file.name, file.content)
-      })
+      // Add all files to zip at their project paths (JSZip creates the folders)
+      for (const file of files) {
+        // Images and fonts are stored as data URLs - export the actual bytes
+        const content = file.dataUrl ? await (await fetch(file.dataUrl)).blob() : file.content
+        zip.file(getFilePath(file), content)
+      }
       
       // Generate zip file
       const blob = await zip.generateAsync({ type: 'blob' })
@@ -1,11 +1,24 @@
+import { useState } from 'react'
+import { buildFileTree, getFilePath, isSameFile } from '../lib/projectPaths'
 import './FileTree.css'
 
+const IMAGE_TYPES = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg']
+
 function FileTree({ files, selectedFile, onFileSelect, isInspectorEnabled, showFileExtensions = true }) {
-  const groupedFiles = {
-    html: files.filter(f => f.type === 'html'),
-    css: files.filter(f => f.type === 'css'),
-    js: files.filter(f => f.type === 'js'),
-    images: files.filter(f => ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'].includes(f.type))
+  // Folders are expanded by default - track the ones the user collapsed
+  const [collapsedFolders, setCollapsedFolders] = useState(() => new Set())
+  const tree = buildFileTree(files)
+
+  const toggleFolder = (folderPath) => {
+    setCollapsedFolders(prev => {
+      const next = new Set(prev)
+      if (next.has(folderPath)) {
+        next.delete(folderPath)
+      } else {
+        next.add(folderPath)
+      }
+      return next
+    })
   }
 
   const FileIcon = ({ type }) => {
@@ -57,98 +70,74 @@ function FileTree({ files, selectedFile, onFileSelect, isInspectorEnabled, showF
     }
   }
 
-  return (
-    <div className="file-tree">
-      <div className="file-tree-content">
-        {groupedFiles.html.length > 0 && (
-          <div className="file-group">
-            <div className="file-group-title">HTML</div>
-            {groupedFiles.html.map(file => (
-              <div
-                key={file.name}
-                className={`file-item ${selectedFile?.name === file.name ? 'selected' : ''}`}
-                onClick={() => onFileSelect(file)}
-              >
-                <span className="file-icon"><FileIcon type={file.type} /></span>
-                <span className="file-name">
-                  {showFileExtensions ? file.name : file.name.replace(/\.[^/.]+$/, '')}
-                </span>
-              </div>
-            ))}
-          </div>
-        )}
-        
-        {groupedFiles.css.length > 0 && (
-          <div className="file-group">
-            <div className="file-group-title">CSS</div>
-            {groupedFiles.css.map(file => (
-              <div
-                key={file.name}
-                className={`file-item ${selectedFile?.name === file.name ? 'selected' : ''}`}
-                onClick={() => onFileSelect(file)}
-              >
-                <span className="file-icon"><FileIcon type={file.type} /></span>
-                <span className="file-name">
-                  {showFileExtensions ? file.name : file.name.replace(/\.[^/.]+$/, '')}
-                </span>
-              </div>
-            ))}
-          </div>
-        )}
-        
-        {groupedFiles.js.length > 0 && (
-          <div className="file-group">
-            <div className="file-group-title">JavaScript</div>
-            {groupedFiles.js.map(file => (
-              <div
-                key={file.name}
-                className={`file-item ${selectedFile?.name === file.name ? 'selected' : ''}`}
-                onClick={() => onFileSelect(file)}
-              >
-                <span className="file-icon"><FileIcon type={file.type} /></span>
-                <span className="file-name">
-                  {showFileExtensions ? file.name : file.name.replace(/\.[^/.]+$/, '')}
-                </span>
-              </div>
-            ))}
-          </div>
-        )}
+  const FolderIcon = ({ isOpen }) => (
+    <svg width={14} height={14} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      {isOpen ? (
+        <path d="M3 7a2 2 0 0 1 2-2h4l2 2h8a2 2 0 0 1 2 2v1H3zM3 10h18l-2 9H5z" strokeLinejoin="round"/>
+      ) : (
+        <path d="M3 7a2 2 0 0 1 2-2h4l2 2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z" strokeLinejoin="round"/>
+      )}
+    </svg>
+  )
 
-        {groupedFiles.images.length > 0 && (
-          <div className="file-group">
-            <div className="file-group-title">Images</div>
-            {groupedFiles.images.map(file => {
-              const isClickable = isInspectorEnabled
-              const handleClick = isClickable ? () => {
-                console.log('Image clicked - inspector ON, selecting file:', file.name)
-                onFileSelect(file)
-              } : (e) => {
-                console.log('Image clicked - inspector OFF, blocking action for:', file.name)
-                e.preventDefault()
-                e.stopPropagation()
-                return false
-              }
-              
-              return (
-                <div
-                  key={file.name}
-                  className={`file-item ${selectedFile?.name === file.name ? 'selected' : ''} ${!isClickable ? 'file-item-non-clickable' : ''}`}
-                  onClick={handleClick}
-                  style={!isClickable ? { pointerEvents: 'none' } : {}}
-                >
-                  <span className="file-icon"><FileIcon type={file.type} /></span>
-                  <span className="file-name">
-                    {showFileExtensions ? file.name : file.name.replace(/\.[^/.]+$/, '')}
-                  </span>
-                </div>
-              )
-            })}
+  const renderFile = (file, depth) => {
+    // Images can only be selected while the inspector is on
+    const isClickable = !IMAGE_TYPES.includes(file.type) || isInspectorEnabled
+    const handleClick = isClickable ? () => onFileSelect(file) : (e) => {
+      e.preventDefault()
+      e.stopPropagation()
+      return false
+    }
+
+    return (
+      <div
+        key={getFilePath(file)}
+        className={`file-item ${isSameFile(selectedFile, file) ? 'selected' : ''} ${!isClickable ? 'file-item-non-clickable' : ''}`}
+        onClick={handleClick}
+        style={{ paddingLeft: `calc(var(--padding-sm, 0.625rem) + ${depth * 0.75}rem)`, ...(!isClickable ? { pointerEvents: 'none' } : {}) }}
+        title={getFilePath(file)}
+      >
+        <span className="file-icon"><FileIcon type={file.type} /></span>
+        <span className="file-name">
+          {showFileExtensions ? file.name : file.name.replace(/\.[^/.]+$/, '')}
+        </span>
+      </div>
+    )
+  }
+
+  const renderFolder = (folder, depth) => {
+    const isOpen = !collapsedFolders.has(folder.path)
+
+    return (
+      <div key={folder.path} className="file-folder">
+        <div
+          className="file-item file-folder-item"
+          onClick={() => toggleFolder(folder.path)}
+          style={{ paddingLeft: `calc(var(--padding-sm, 0.625rem) + ${depth * 0.75}rem)` }}
+          title={folder.path}
+        >
+          <span className={`file-folder-chevron ${isOpen ? 'open' : ''}`}>▸</span>
+          <span className="file-icon file-folder-icon"><FolderIcon isOpen={isOpen} /></span>
+          <span className="file-name">{folder.name}</span>
+        </div>
+        {isOpen && (
+          <div className="file-folder-children">
+            {folder.folders.map(child => renderFolder(child, depth + 1))}
+            {folder.files.map(file => renderFile(file, depth + 1))}
           </div>
         )}
       </div>
+    )
+  }
+
+  return (
+    <div className="file-tree">
+      <div className="file-tree-content">
+        {tree.folders.map(folder => renderFolder(folder, 0))}
+        {tree.files.map(file => renderFile(file, 0))}
+      </div>
     </div>
   )
 }
 
 export default FileTree
-
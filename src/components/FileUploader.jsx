@@ -2,8 +2,12 @@ import { useRef, useState, useEffect, useMemo, useCallback, Fragment } from 'rea
 import { useAuth } from '../contexts/AuthContext'
 import { listProjects, loadProject, loadProjectById, deleteProject, softDeleteProject, restoreProject, renameProject } from '../services/projectService'
 import AuthModal from './AuthModal'
+import { stripUploadRoot, getFilePath } from '../lib/projectPaths'
 import './FileUploader.css'
 
+// Web fonts are stored as data URLs like images so @font-face sources work in the preview
+const FONT_EXTENSIONS = ['woff', 'woff2', 'ttf', 'otf']
+
 function FileUploader({ onProjectLoad }) {
   // Auth state - must be declared first
   const { user, signIn, signUp, signOut } = useAuth()
@@ -944,7 +948,7 @@ function FileUploader({ onProjectLoad }) {
   const MAX_COMPATIBLE_FILES_HARD_LIMIT = 200 // Hard limit at 200 files
   const MAX_TOTAL_SIZE_WARNING = 50 * 1024 * 1024 // 50MB total warning
   const MAX_TOTAL_SIZE_HARD_LIMIT = 100 * 1024 * 1024 // 100MB total hard limit
-  const supportedExtensions = ['.html', '.css', '.js', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg']
+  const supportedExtensions = ['.html', '.css', '.js', '.json', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.woff', '.woff2', '.ttf', '.otf']
 
   // Helper function to detect file types and compatibility
   const detectFileTypes = (files) => {
@@ -978,6 +982,7 @@ function FileUploader({ onProjectLoad }) {
       
       const fileInfo = {
         name: file.name,
+        path: filePath,
         size: file.size,
         type: extension ? extension.substring(1).toUpperCase() : 'UNKNOWN',
         isCompatible: isCompatible && !isTooLarge,
@@ -1052,7 +1057,7 @@ function FileUploader({ onProjectLoad }) {
                 // Exclude files from node_modules, .git, etc.
                 if (shouldExcludeFile(filePath)) return false
                 // Only include files that are in compatibleFiles list
-                return compatibleFiles.some(cf => cf.name === file.name && !cf.isTooLarge)
+                return compatibleFiles.some(cf => cf.path === filePath && !cf.isTooLarge)
               })
               await processFiles(compatibleFileObjects, isFolder)
               resolve()
@@ -1121,14 +1126,15 @@ function FileUploader({ onProjectLoad }) {
         break
       }
       
-      const isTextFile = extension === '.html' || extension === '.css' || extension === '.js'
+      const isTextFile = extension === '.html' || extension === '.css' || extension === '.js' || extension === '.json'
+      const isFont = FONT_EXTENSIONS.includes(extension.substring(1))
       
-      if (isTextFile || isImage) {
+      if (isTextFile || isImage || isFont) {
         try {
           let content;
           let dataUrl = null;
           
-          if (isImage) {
+          if (isImage || isFont) {
             // Convert image to base64 data URL for persistence across page reloads
             // Using FileReader for proper base64 encoding
             dataUrl = await new Promise((resolve, reject) => {
@@ -1179,7 +1185,7 @@ function FileUploader({ onProjectLoad }) {
       css: cssCount,
       js: projectFiles.filter(f => f.type === 'js').length,
       images: projectFiles.filter(f => f.isImage).length,
-      fileNames: projectFiles.map(f => f.name)
+      filePaths: projectFiles.map(f => f.path)
     })
     
     // Warn if HTML files but no CSS files
@@ -1203,9 +1209,13 @@ function FileUploader({ onProjectLoad }) {
         }
       }
       
+      // Paths are relative to the picked folder from here on ("my-project/css/style.css" -> "css/style.css")
+      const projectPaths = stripUploadRoot(projectFiles.map(f => f.path))
+      const filesWithProjectPaths = projectFiles.map((file, index) => ({ ...file, path: projectPaths[index] }))
+      
       // Don't save here - App.jsx will handle all local saves
       // This prevents duplicate entries in recent projects
-      onProjectLoad(projectFiles, false, folderName) // false = not from All Projects, folderName = default name
+      onProjectLoad(filesWithProjectPaths, false, folderName) // false = not from All Projects, folderName = default name
     } else {
       console.warn('No valid files found to load')
     }
@@ -1564,44 +1574,19 @@ function FileUploader({ onProjectLoad }) {
                                   // Convert to format expected by onProjectLoad
                                   const files = projectData.files.map(file => {
                                     const isImage = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'].includes(file.type?.toLowerCase())
-                                    const dataUrl = isImage && file.content?.startsWith('data:') ? file.content : null
+                                    const isFont = FONT_EXTENSIONS.includes(file.type?.toLowerCase())
+                                    const dataUrl = (isImage || isFont) && file.content?.startsWith('data:') ? file.content : null
                                     
                                     return {
                                       name: file.name,
                                       content: file.content,
                                       type: file.type,
-                                      path: file.name,
+                                      path: getFilePath(file),
                                       isImage: isImage,
                                       dataUrl: dataUrl
                                     }
                                   })
                                   
-                                  // Debug: Check CSS content when loading from Supabase
-                                  const cssFile = files.find(f => f.name.endsWith('.css'))
-                                  if (cssFile) {
-                                    const savedColors = ['#004aeb', '#0854f7', '#004AEB', '#0854F7']
-                                    const foundSavedColors = savedColors.filter(color => cssFile.content.includes(color))
-                                    const sectionTitleColorRules = cssFile.content.match(/\.section-title[^{]*\{[^}]*color[^}]*\}/gi) || []
-                                    const sectionTitleColorValues = sectionTitleColorRules.map(rule => {
-                                      const colorMatch = rule.match(/color\s*:\s*([^;!]+)/i)
-                                      return colorMatch ? colorMatch[1].trim() : null
-                                    }).filter(Boolean)
-                                    
-                                    console.log('📥 Loading CSS from Supabase:', {
-                                      fileName: cssFile.name,
-                                      contentLength: cssFile.content.length,
-                                      savedColorsFound: foundSavedColors.length > 0 ? `Contains ${foundSavedColors.join(', ')} ✓` : 'No saved colors found ✗',
-                                      sectionTitleColorRules: sectionTitleColorRules.length,
-                                      sectionTitleColorValues: sectionTitleColorValues,
-                                      cssPreview: cssFile.content.includes('.section-title') 
-                                        ? cssFile.content.substring(
-                                            Math.max(0, cssFile.content.indexOf('.section-title') - 50),
-                                            cssFile.content.indexOf('.section-title') + 500
-                                          )
-                                        : '.section-title not found'
-                                    })
-                                  }
-                                  
                                   console.log('Opening project from All Projects:', project.name, 'with', files.length, 'files')
                                   onProjectLoad(files, true, project.name) // true = loaded from All Projects, project.name = default name
                                 } catch (error) {
@@ -1763,13 +1748,14 @@ function FileUploader({ onProjectLoad }) {
                                 const projectData = await loadProject(project.name, user.id)
                                 const files = projectData.files.map(file => {
                                   const isImage = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'].includes(file.type?.toLowerCase())
-                                  const dataUrl = isImage && file.content?.startsWith('data:') ? file.content : null
+                                  const isFont = FONT_EXTENSIONS.includes(file.type?.toLowerCase())
+                                  const dataUrl = (isImage || isFont) && file.content?.startsWith('data:') ? file.content : null
                                   
                                   return {
                                     name: file.name,
                                     content: file.content,
                                     type: file.type,
-                                    path: file.name,
+                                    path: getFilePath(file),
                                     isImage: isImage,
                                     dataUrl: dataUrl
                                   }
@@ -2046,7 +2032,7 @@ function FileUploader({ onProjectLoad }) {
                 multiple
                 onChange={handleFolderSelect}
                 style={{ display: 'none' }}
-                accept=".html,.css,.js,.jpg,.jpeg,.png,.gif,.webp,.svg"
+                accept=".html,.css,.js,.json,.jpg,.jpeg,.png,.gif,.webp,.svg,.woff,.woff2,.ttf,.otf"
               />
               <input
                 ref={fileInputRef}
@@ -2054,7 +2040,7 @@ function FileUploader({ onProjectLoad }) {
                 multiple
                 onChange={handleFileSelect}
                 style={{ display: 'none' }}
-                accept=".html,.css,.js,.jpg,.jpeg,.png,.gif,.webp,.svg"
+                accept=".html,.css,.js,.json,.jpg,.jpeg,.png,.gif,.webp,.svg,.woff,.woff2,.ttf,.otf"
               />
             </div>
           </div>
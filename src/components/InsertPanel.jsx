@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import { ELEMENT_TEMPLATES, TEMPLATE_GROUPS, BLOCK_DRAG_TYPE } from '../lib/elementTemplates'
+import './InsertPanel.css'
+
+const POSITIONS = [
+  { value: 'before', label: 'Before' },
+  { value: 'inside', label: 'Inside' },
+  { value: 'after', label: 'After' }
+]
+
+// Elements that can't take an inserted child
+const CHILDLESS_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param',
+  'source', 'track', 'wbr', 'script', 'style', 'textarea', 'select', 'option', 'iframe', 'video', 'audio',
+  'canvas', 'svg', 'object', 'noscript', 'template']
+
+function InsertPanel({ selectedElement, isInspectorEnabled, onInsertElement }) {
+  const [position, setPosition] = useState('after')
+
+  const tagName = selectedElement?.domPath ? (selectedElement.tagName || '').toLowerCase() : null
+  const isBody = tagName === 'body'
+  const canContain = !!tagName && !CHILDLESS_TAGS.includes(tagName)
+  const isPositionAvailable = (value) => value === 'inside' ? canContain : !isBody
+
+  // Fall back to a position the selected element allows
+  const activePosition = !tagName || isPositionAvailable(position)
+    ? position
+    : POSITIONS.find(option => isPositionAvailable(option.value)).value
+
+  const handleDragStart = (e, templateId) => {
+    e.dataTransfer.setData(BLOCK_DRAG_TYPE, templateId)
+    e.dataTransfer.effectAllowed = 'copy'
+  }
+
+  return (
+    <div className="insert-panel">
+      <div className="insert-target">
+        {tagName ? (
+          <>
+            <div className="insert-positions" role="radiogroup" aria-label="Insert position">
+              {POSITIONS.map(option => (
+                <button
+                  key={option.value}
+                  className={`insert-position ${activePosition === option.value ? 'active' : ''}`}
+                  onClick={() => setPosition(option.value)}
+                  disabled={!isPositionAvailable(option.value)}
+                  role="radio"
+                  aria-checked={activePosition === option.value}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <span className="insert-hint">
+              Click a block to insert it {activePosition === 'inside' ? 'at the end of' : activePosition} the
+              selected <span className="insert-hint-tag">{tagName}</span>, or drag it onto the preview
+            </span>
+          </>
+        ) : (
+          <span className="insert-hint">
+            Click a block to add it to the end of the page, or drag it onto the preview
+          </span>
+        )}
+        {!isInspectorEnabled && (
+          <span className="insert-hint">Turn on Element Inspector to drop blocks onto the preview</span>
+        )}
+      </div>
+
+      <div className="insert-groups">
+        {TEMPLATE_GROUPS.map(group => (
+          <div key={group} className="insert-group">
+            <h4 className="insert-group-title">{group}</h4>
+            <div className="insert-blocks">
+              {ELEMENT_TEMPLATES.filter(template => template.group === group).map(template => (
+                <button
+                  key={template.id}
+                  className="insert-block"
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, template.id)}
+                  onClick={() => onInsertElement(template.id, activePosition)}
+                  title={`Insert ${template.label.toLowerCase()}`}
+                >
+                  <span className="insert-block-tag">{template.html.match(/^<([a-z0-9]+)/i)[1]}</span>
+                  <span className="insert-block-label">{template.label}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default InsertPanel
@@ -0,0 +1,169 @@
+import { useEffect, useRef, useState } from 'react'
+import './LayersPanel.css'
+
+const getLayerKey = (domPath) => (domPath || []).join('.')
+
+// Keys of every ancestor of a node, so it can be revealed
+const getAncestorKeys = (domPath) => {
+  return (domPath || []).slice(0, -1).map((_, index) => getLayerKey(domPath.slice(0, index + 1)))
+}
+
+// Rows currently visible in the tree, in display order
+const flattenVisibleLayers = (layer, expandedKeys, depth = 0, parent = null, rows = []) => {
+  if (!layer) return rows
+  const key = getLayerKey(layer.domPath)
+  rows.push({ layer, key, depth, parent })
+  if (expandedKeys.has(key)) {
+    layer.children.forEach(child => flattenVisibleLayers(child, expandedKeys, depth + 1, layer, rows))
+  }
+  return rows
+}
+
+function LayersPanel({ tree, selectedElement, isInspectorEnabled, onLayerHover, onLayerSelect }) {
+  // Only <body> starts expanded - selecting an element expands the way down to it
+  const [expandedKeys, setExpandedKeys] = useState(() => new Set())
+  const listRef = useRef(null)
+
+  const rootKey = tree ? getLayerKey(tree.domPath) : null
+  const selectedKey = getLayerKey(selectedElement?.domPath)
+
+  useEffect(() => {
+    if (rootKey === null) return
+    setExpandedKeys(prev => prev.has(rootKey) ? prev : new Set([...prev, rootKey]))
+  }, [rootKey])
+
+  // Selecting in the preview reveals the node in the tree
+  useEffect(() => {
+    if (!selectedElement?.domPath) return
+    const ancestorKeys = getAncestorKeys(selectedElement.domPath)
+    setExpandedKeys(prev => {
+      if (ancestorKeys.every(key => prev.has(key))) return prev
+      return new Set([...prev, ...ancestorKeys])
+    })
+  }, [selectedKey])
+
+  useEffect(() => {
+    if (!selectedKey || !listRef.current) return
+    const row = listRef.current.querySelector(`[data-layer-key="${selectedKey}"]`)
+    row?.scrollIntoView({ block: 'nearest' })
+  }, [selectedKey, expandedKeys, tree])
+
+  if (!tree) {
+    return (
+      <div className="layers-panel">
+        <div className="layers-empty">
+          <p>The page structure appears here once the preview has loaded</p>
+        </div>
+      </div>
+    )
+  }
+
+  const rows = flattenVisibleLayers(tree, expandedKeys)
+  const selectedIndex = rows.findIndex(row => row.key === selectedKey)
+
+  const toggleExpanded = (key) => {
+    setExpandedKeys(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
+
+  const selectLayer = (layer) => {
+    if (!isInspectorEnabled) return
+    onLayerSelect(layer)
+  }
+
+  // Arrow keys walk the tree like a file explorer: up/down through visible rows,
+  // left collapses or goes to the parent, right expands or goes to the first child
+  const handleKeyDown = (e) => {
+    if (!isInspectorEnabled || rows.length === 0) return
+    const current = rows[selectedIndex]
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      const next = rows[Math.min(rows.length - 1, selectedIndex + 1)]
+      if (next && next !== current) selectLayer(next.layer)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      const previous = selectedIndex === -1 ? rows[0] : rows[Math.max(0, selectedIndex - 1)]
+      if (previous && previous !== current) selectLayer(previous.layer)
+    } else if (e.key === 'ArrowLeft' && current) {
+      e.preventDefault()
+      if (current.layer.children.length > 0 && expandedKeys.has(current.key)) {
+        toggleExpanded(current.key)
+      } else if (current.parent) {
+        selectLayer(current.parent)
+      }
+    } else if (e.key === 'ArrowRight' && current) {
+      e.preventDefault()
+      if (current.layer.children.length === 0) return
+      if (!expandedKeys.has(current.key)) {
+        toggleExpanded(current.key)
+      } else {
+        selectLayer(current.layer.children[0])
+      }
+    }
+  }
+
+  return (
+    <div className="layers-panel">
+      {!isInspectorEnabled && (
+        <div className="layers-notice">Turn on Element Inspector to select layers</div>
+      )}
+      <div
+        className="layers-tree"
+        ref={listRef}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        onMouseLeave={() => onLayerHover(null)}
+        role="tree"
+        aria-label="Page layers"
+      >
+        {rows.map(({ layer, key, depth }) => {
+          const hasChildren = layer.children.length > 0
+          const isExpanded = expandedKeys.has(key)
+          const classes = layer.className.trim() ? layer.className.trim().split(/\s+/) : []
+
+          return (
+            <div
+              key={key}
+              data-layer-key={key}
+              className={`layer-row ${key === selectedKey ? 'selected' : ''}`}
+              style={{ paddingLeft: `${depth * 12 + 4}px` }}
+              onClick={() => selectLayer(layer)}
+              onMouseEnter={() => onLayerHover(layer.domPath)}
+              role="treeitem"
+              aria-expanded={hasChildren ? isExpanded : undefined}
+              aria-selected={key === selectedKey}
+            >
+              <span
+                className={`layer-chevron ${hasChildren ? '' : 'empty'} ${isExpanded ? 'expanded' : ''}`}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  if (hasChildren) toggleExpanded(key)
+                }}
+              >
+                {hasChildren && (
+                  <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
+                    <path d="M9 6l6 6-6 6" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                )}
+              </span>
+              <span className="layer-tag">{layer.tagName}</span>
+              {layer.id && <span className="layer-id">#{layer.id}</span>}
+              {classes.length > 0 && <span className="layer-class">.{classes.join('.')}</span>}
+              {layer.text && <span className="layer-text">{layer.text}</span>}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default LayersPanel
@@ -0,0 +1,374 @@
+import { useState, useEffect } from 'react'
+import { StyleInput, SegmentedControl } from './StyleControls'
+import './LayoutControls.css'
+
+const DISPLAY_OPTIONS = ['block', 'inline-block', 'inline', 'flex', 'inline-flex', 'grid', 'inline-grid', 'none']
+
+const DIRECTION_OPTIONS = [
+  { value: 'row', label: '→', title: 'Row' },
+  { value: 'row-reverse', label: '←', title: 'Row reverse' },
+  { value: 'column', label: '↓', title: 'Column' },
+  { value: 'column-reverse', label: '↑', title: 'Column reverse' }
+]
+
+const WRAP_OPTIONS = [
+  { value: 'nowrap', label: 'No wrap' },
+  { value: 'wrap', label: 'Wrap' },
+  { value: 'wrap-reverse', label: 'Reverse' }
+]
+
+const JUSTIFY_CONTENT_OPTIONS = [
+  { value: 'flex-start', label: 'Start' },
+  { value: 'center', label: 'Center' },
+  { value: 'flex-end', label: 'End' },
+  { value: 'space-between', label: 'Between' },
+  { value: 'space-around', label: 'Around' },
+  { value: 'space-evenly', label: 'Evenly' }
+]
+
+const ALIGN_ITEMS_OPTIONS = [
+  { value: 'stretch', label: 'Stretch' },
+  { value: 'flex-start', label: 'Start' },
+  { value: 'center', label: 'Center' },
+  { value: 'flex-end', label: 'End' },
+  { value: 'baseline', label: 'Baseline' }
+]
+
+const ALIGN_CONTENT_OPTIONS = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'flex-start', label: 'Start' },
+  { value: 'center', label: 'Center' },
+  { value: 'flex-end', label: 'End' },
+  { value: 'space-between', label: 'Between' },
+  { value: 'stretch', label: 'Stretch' }
+]
+
+const GRID_ALIGN_OPTIONS = [
+  { value: 'stretch', label: 'Stretch' },
+  { value: 'start', label: 'Start' },
+  { value: 'center', label: 'Center' },
+  { value: 'end', label: 'End' }
+]
+
+const SELF_ALIGN_OPTIONS = [{ value: 'auto', label: 'Auto' }].concat(GRID_ALIGN_OPTIONS)
+
+const NO_STYLES = {}
+
+// Equal-column presets for grid-template-columns
+const GRID_COLUMN_PRESETS = [1, 2, 3, 4]
+
+// Computed keywords shown as the button that does the same - "normal" is the initial value
+const FLEX_ALIGN_ALIASES = { start: 'flex-start', end: 'flex-end', normal: 'stretch' }
+const FLEX_JUSTIFY_ALIASES = { start: 'flex-start', end: 'flex-end', normal: 'flex-start' }
+const GRID_ALIGN_ALIASES = { 'flex-start': 'start', 'flex-end': 'end', normal: 'stretch', legacy: 'stretch' }
+const SELF_ALIGN_ALIASES = { 'flex-start': 'start', 'flex-end': 'end' }
+
+const readAlias = (aliases, value) => aliases[value] || value
+
+// Grid placement that leaves the item where the grid puts it
+const readGridPlacement = (value) => (!value || value === 'auto' || value === 'auto / auto' ? '' : value)
+
+const isFlex = (display) => display === 'flex' || display === 'inline-flex'
+const isGrid = (display) => display === 'grid' || display === 'inline-grid'
+
+// "normal" gap is 0 - shown empty so the field reads as unset
+const readGap = (value) => (!value || value === 'normal' ? '' : value)
+
+// Track count of a grid template - computed values list every track ("200px 200px 200px")
+const countTracks = (template) => {
+  if (!template || template === 'none') return 0
+  const repeat = template.match(/^repeat\(\s*(\d+)\s*,/)
+  if (repeat) return parseInt(repeat[1])
+  let depth = 0
+  let count = 0
+  let inTrack = false
+  for (const char of template) {
+    if (char === '(') depth++
+    if (char === ')') depth--
+    if (/\s/.test(char) && depth === 0) {
+      inTrack = false
+    } else if (!inTrack) {
+      inTrack = true
+      count++
+    }
+  }
+  return count
+}
+
+// Miniature of the container - placeholder items laid out with the element's own flex/grid values
+function LayoutDiagram({ display, values }) {
+  const style = { display: isGrid(display) ? 'grid' : 'flex' }
+  // Stretched items lose their size on that axis so they fill it
+  const itemStyle = {}
+  let itemCount = 3
+  if (isGrid(display)) {
+    const columns = Math.min(countTracks(values.gridTemplateColumns) || 1, 6)
+    style.gridTemplateColumns = `repeat(${columns}, 1fr)`
+    style.justifyItems = readAlias(GRID_ALIGN_ALIASES, values.justifyItems) || 'stretch'
+    style.alignItems = readAlias(GRID_ALIGN_ALIASES, values.alignItems) || 'stretch'
+    if (style.justifyItems === 'stretch') itemStyle.width = 'auto'
+    if (style.alignItems === 'stretch') itemStyle.height = 'auto'
+    itemCount = Math.min(columns * 2, 8)
+  } else {
+    style.flexDirection = values.flexDirection || 'row'
+    style.flexWrap = values.flexWrap || 'nowrap'
+    style.justifyContent = values.justifyContent || 'flex-start'
+    style.alignItems = readAlias(FLEX_ALIGN_ALIASES, values.alignItems) || 'stretch'
+    style.alignContent = values.alignContent || 'normal'
+    if (style.alignItems === 'stretch') {
+      itemStyle[style.flexDirection.startsWith('column') ? 'width' : 'height'] = 'auto'
+    }
+  }
+  // Real gaps are usually larger than the diagram - any gap shows as a fixed one
+  style.rowGap = readGap(values.rowGap) && parseFloat(values.rowGap) !== 0 ? '4px' : '0'
+  style.columnGap = readGap(values.columnGap) && parseFloat(values.columnGap) !== 0 ? '4px' : '0'
+
+  return (
+    <div className="layout-diagram" style={style} aria-hidden="true">
+      {Array.from({ length: itemCount }, (_, index) => (
+        <div key={index} className={`layout-diagram-item layout-diagram-item-${index % 3}`} style={itemStyle} />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Display, flex and grid controls
+ * Container controls follow the element's display; item controls follow its parent's
+ */
+function LayoutControls({ styles = NO_STYLES, parentDisplay = '', onStyleChange }) {
+  const [values, setValues] = useState(styles)
+
+  useEffect(() => {
+    setValues(styles)
+  }, [styles])
+
+  const setValue = (property, value) => {
+    setValues(prev => ({ ...prev, [property]: value }))
+    onStyleChange(property, value)
+  }
+
+  const display = values.display || 'block'
+  const alignItems = readAlias(isFlex(display) ? FLEX_ALIGN_ALIASES : GRID_ALIGN_ALIASES, values.alignItems)
+  const flexWraps = isFlex(display) && values.flexWrap && values.flexWrap !== 'nowrap'
+
+  return (
+    <div className="layout-controls">
+      <div className="property-group">
+        <label className="property-label">Display</label>
+        <select
+          value={DISPLAY_OPTIONS.includes(display) ? display : ''}
+          onChange={(e) => setValue('display', e.target.value)}
+          className="property-select"
+        >
+          {!DISPLAY_OPTIONS.includes(display) && <option value="">{display}</option>}
+          {DISPLAY_OPTIONS.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </div>
+
+      {(isFlex(display) || isGrid(display)) && (
+        <LayoutDiagram display={display} values={values} />
+      )}
+
+      {isFlex(display) && (
+        <>
+          <SegmentedControl
+            label="Direction"
+            options={DIRECTION_OPTIONS}
+            value={values.flexDirection || 'row'}
+            property="flexDirection"
+            onChange={(value) => setValue('flexDirection', value)}
+          />
+          <SegmentedControl
+            label="Wrap"
+            options={WRAP_OPTIONS}
+            value={values.flexWrap || 'nowrap'}
+            property="flexWrap"
+            onChange={(value) => setValue('flexWrap', value)}
+          />
+          <SegmentedControl
+            label="Justify Content"
+            options={JUSTIFY_CONTENT_OPTIONS}
+            value={readAlias(FLEX_JUSTIFY_ALIASES, values.justifyContent)}
+            property="justifyContent"
+            onChange={(value) => setValue('justifyContent', value)}
+          />
+          <SegmentedControl
+            label="Align Items"
+            options={ALIGN_ITEMS_OPTIONS}
+            value={alignItems}
+            property="alignItems"
+            onChange={(value) => setValue('alignItems', value)}
+          />
+          {flexWraps && (
+            <SegmentedControl
+              label="Align Content"
+              options={ALIGN_CONTENT_OPTIONS}
+              value={values.alignContent || 'normal'}
+              property="alignContent"
+              onChange={(value) => setValue('alignContent', value)}
+            />
+          )}
+        </>
+      )}
+
+      {isGrid(display) && (
+        <>
+          <div className="property-group">
+            <label className="property-label">Columns</label>
+            <div className="segmented-control">
+              {GRID_COLUMN_PRESETS.map(count => (
+                <button
+                  key={count}
+                  type="button"
+                  className={`segmented-option ${values.gridTemplateColumns === `repeat(${count}, 1fr)` ? 'active' : ''}`}
+                  title={`${count} equal column${count > 1 ? 's' : ''}`}
+                  onClick={() => setValue('gridTemplateColumns', `repeat(${count}, 1fr)`)}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="property-group property-group-row">
+            <StyleInput
+              label="Template Columns"
+              value={values.gridTemplateColumns === 'none' ? '' : values.gridTemplateColumns || ''}
+              placeholder="e.g. 1fr 2fr"
+              property="gridTemplateColumns"
+              onCommit={(value) => setValue('gridTemplateColumns', value || 'none')}
+            />
+          </div>
+          <div className="property-group property-group-row">
+            <StyleInput
+              label="Template Rows"
+              value={values.gridTemplateRows === 'none' ? '' : values.gridTemplateRows || ''}
+              placeholder="e.g. auto 1fr"
+              property="gridTemplateRows"
+              onCommit={(value) => setValue('gridTemplateRows', value || 'none')}
+            />
+          </div>
+          <SegmentedControl
+            label="Justify Items"
+            options={GRID_ALIGN_OPTIONS}
+            value={readAlias(GRID_ALIGN_ALIASES, values.justifyItems)}
+            property="justifyItems"
+            onChange={(value) => setValue('justifyItems', value)}
+          />
+          <SegmentedControl
+            label="Align Items"
+            options={GRID_ALIGN_OPTIONS}
+            value={alignItems}
+            property="alignItems"
+            onChange={(value) => setValue('alignItems', value)}
+          />
+        </>
+      )}
+
+      {(isFlex(display) || isGrid(display)) && (
+        <div className="property-group property-group-row">
+          <StyleInput
+            label="Row Gap"
+            value={readGap(values.rowGap)}
+            placeholder="0"
+            property="rowGap"
+            tokenType="length"
+            onCommit={(value) => setValue('rowGap', value || 'normal')}
+          />
+          <StyleInput
+            label="Column Gap"
+            value={readGap(values.columnGap)}
+            placeholder="0"
+            property="columnGap"
+            tokenType="length"
+            onCommit={(value) => setValue('columnGap', value || 'normal')}
+          />
+        </div>
+      )}
+
+      {isFlex(parentDisplay) && (
+        <>
+          <div className="layout-subheading">As a flex item</div>
+          <div className="property-group property-group-row">
+            <StyleInput
+              label="Grow"
+              value={values.flexGrow || ''}
+              placeholder="0"
+              property="flexGrow"
+              onCommit={(value) => setValue('flexGrow', value || '0')}
+            />
+            <StyleInput
+              label="Shrink"
+              value={values.flexShrink || ''}
+              placeholder="1"
+              property="flexShrink"
+              onCommit={(value) => setValue('flexShrink', value || '1')}
+            />
+            <StyleInput
+              label="Basis"
+              value={values.flexBasis || ''}
+              placeholder="auto"
+              property="flexBasis"
+              tokenType="length"
+              onCommit={(value) => setValue('flexBasis', value || 'auto')}
+            />
+          </div>
+        </>
+      )}
+
+      {isGrid(parentDisplay) && (
+        <>
+          <div className="layout-subheading">As a grid item</div>
+          <div className="property-group property-group-row">
+            <StyleInput
+              label="Grid Column"
+              value={readGridPlacement(values.gridColumn)}
+              placeholder="e.g. span 2"
+              property="gridColumn"
+              onCommit={(value) => setValue('gridColumn', value || 'auto')}
+            />
+            <StyleInput
+              label="Grid Row"
+              value={readGridPlacement(values.gridRow)}
+              placeholder="e.g. 1 / 3"
+              property="gridRow"
+              onCommit={(value) => setValue('gridRow', value || 'auto')}
+            />
+          </div>
+          <SegmentedControl
+            label="Justify Self"
+            options={SELF_ALIGN_OPTIONS}
+            value={readAlias(SELF_ALIGN_ALIASES, values.justifySelf || 'auto')}
+            property="justifySelf"
+            onChange={(value) => setValue('justifySelf', value)}
+          />
+        </>
+      )}
+
+      {(isFlex(parentDisplay) || isGrid(parentDisplay)) && (
+        <>
+          <SegmentedControl
+            label="Align Self"
+            options={SELF_ALIGN_OPTIONS}
+            value={readAlias(SELF_ALIGN_ALIASES, values.alignSelf || 'auto')}
+            property="alignSelf"
+            onChange={(value) => setValue('alignSelf', value)}
+          />
+          <div className="property-group property-group-row">
+            <StyleInput
+              label="Order"
+              value={values.order || ''}
+              placeholder="0"
+              property="order"
+              onCommit={(value) => setValue('order', value || '0')}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default LayoutControls
@@ -1,7 +1,58 @@
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { coversProperty } from '../lib/cssRules'
+import { isRuleInBreakpoint } from '../lib/breakpoints'
+import { getElementState, isRuleForState } from '../lib/elementStates'
+import AttributeEditor from './AttributeEditor'
+import { InheritedStylesContext, TokenOptions, TOKEN_LIST_IDS } from './StyleControls'
+import LayoutControls from './LayoutControls'
+import SpacingEditor from './SpacingEditor'
+import TypographyControls from './TypographyControls'
+import EffectsControls from './EffectsControls'
+import RulePicker from './RulePicker'
+import BreakpointPicker from './BreakpointPicker'
+import StatePicker from './StatePicker'
 import './PropertiesPanel.css'
 
-function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onTextEditingChange, availablePages = [], selectedPages = [], onSelectedPagesChange, currentPage, onApplyCurrentStyles, onClearAppliedStyles }) {
+// Style values compared across a multi-selection - any that differ show as "Mixed"
+const SHARED_STYLE_PROPERTIES = ['backgroundColor', 'color', 'fontSize', 'textAlign', 'width', 'height']
+const COLOR_PROPERTIES = ['backgroundColor', 'color']
+
+const getMixedProperties = (elements) => {
+  const mixed = new Set()
+  if (elements.length < 2) return mixed
+
+  SHARED_STYLE_PROPERTIES.forEach(prop => {
+    const readValue = (el) => {
+      const value = el.styles?.[prop] || ''
+      return COLOR_PROPERTIES.includes(prop) ? rgbToHex(value).toLowerCase() : String(value).trim()
+    }
+    const firstValue = readValue(elements[0])
+    if (elements.some(el => readValue(el) !== firstValue)) {
+      mixed.add(prop)
+    }
+  })
+  return mixed
+}
+
+const camelToKebab = (name) => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+
+const NO_PROPERTIES = new Set()
+
+/**
+ * Style properties the selected element gets from outside a breakpoint - those no rule in its
+ * @media block (for the state, in one) declares and that haven't been edited at it yet
+ */
+const getInheritedStyles = (element, matchedRules, breakpoint, state, pendingProperties) => {
+  const declared = (matchedRules || [])
+    .filter(rule => isRuleInBreakpoint(rule, breakpoint) && (!state || isRuleForState(rule, state)))
+    .flatMap(rule => rule.properties)
+  return new Set(Object.keys(element.styles || {}).filter(key => {
+    const property = camelToKebab(key)
+    return !pendingProperties.has(key) && !declared.some(name => coversProperty(property, name))
+  }))
+}
+
+function PropertiesPanel({ element, elements = [], onPropertyChange, isInspectorEnabled, onTextEditingChange, availablePages = [], selectedPages = [], onSelectedPagesChange, currentPage, onApplyCurrentStyles, onClearAppliedStyles, classNames = [], projectFonts, matchedRules, cssFiles, cssTarget, onCssTargetChange, newRuleSelector, breakpoints, activeBreakpoint, onBreakpointChange, pendingBreakpointProperties = NO_PROPERTIES, elementState, onElementStateChange, tokenReferences }) {
   const [isPageSelectorOpen, setIsPageSelectorOpen] = useState(false)
   const [stylesApplied, setStylesApplied] = useState(false)
   const [isClearing, setIsClearing] = useState(false)
@@ -49,6 +100,9 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
   const [localFontSize, setLocalFontSize] = useState('')
   const [childTextElements, setChildTextElements] = useState([])
   const liveUpdateTimeoutRef = useRef(null)
+  // Properties whose values differ across the selection (cleared once one is edited)
+  const [mixedProperties, setMixedProperties] = useState(() => new Set())
+  const isMultiSelection = elements.length > 1
 
   // Function to extract child text elements
   const getChildTextElements = useCallback((element) => {
@@ -172,8 +226,9 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
           }
         }
         
-        // Default to white for unrecognized formats (instead of returning the original)
-        return '#ffffff'
+        // Keep other values as written - gradients, var() and named colors would otherwise
+        // show (and be saved back) as white
+        return color
       }
 
       const fontSizeValue = element.styles?.fontSize || '16px'
@@ -241,6 +296,29 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
     }
   }, [element])
 
+  // Runs after the element effect above so a mixed font size isn't shown as the first element's
+  useEffect(() => {
+    const mixed = getMixedProperties(elements)
+    setMixedProperties(mixed)
+    if (mixed.has('fontSize')) {
+      setLocalFontSize('')
+    }
+  }, [elements])
+
+  // Null at base - every value there is the element's own
+  const inheritedStyles = useMemo(() => {
+    if (!element || !activeBreakpoint?.media) return null
+    return getInheritedStyles(element, matchedRules, activeBreakpoint, getElementState(elementState), pendingBreakpointProperties)
+  }, [element, matchedRules, activeBreakpoint, elementState, pendingBreakpointProperties])
+  const isInherited = (prop) => !!inheritedStyles && inheritedStyles.has(prop)
+
+  // Likewise after the element effect - an inherited font size is the placeholder, not the value
+  useEffect(() => {
+    if (inheritedStyles?.has('fontSize')) {
+      setLocalFontSize('')
+    }
+  }, [inheritedStyles])
+
   // Cleanup timeout on unmount
   useEffect(() => {
     return () => {
@@ -378,6 +456,13 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
   const handlePropertyChange = (prop, value) => {
     console.log('PropertiesPanel.handlePropertyChange:', { prop, value });
     setProperties(prev => ({ ...prev, [prop]: value }))
+    if (mixedProperties.has(prop)) {
+      setMixedProperties(prev => {
+        const next = new Set(prev)
+        next.delete(prop)
+        return next
+      })
+    }
     
     if (!onPropertyChange) return
 
@@ -403,7 +488,8 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
         height: 'height',
         display: 'display'
       }
-      const cssProp = cssPropMap[prop] || prop
+      // A gradient typed into the background field is a background-image - background-color would drop it
+      const cssProp = prop === 'backgroundColor' && /gradient\(/i.test(value) ? 'backgroundImage' : cssPropMap[prop] || prop
       onPropertyChange(cssProp, value)
     }
   }
@@ -426,6 +512,15 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
   // Always show it if currentPage exists (even if empty string, we'll default to 'index')
   const showScopeToggle = element && (currentPage !== undefined && currentPage !== null)
 
+  // Mixed values show as an empty field with a "Mixed" placeholder, values inherited from another
+  // breakpoint as an empty field with the value as the placeholder
+  const getDisplayValue = (prop) => mixedProperties.has(prop) || isInherited(prop) ? '' : properties[prop]
+  const getPlaceholder = (prop, placeholder) => {
+    if (mixedProperties.has(prop)) return 'Mixed'
+    return isInherited(prop) ? properties[prop] : placeholder
+  }
+  const textAlign = mixedProperties.has('textAlign') ? null : properties.textAlign
+
   // Convert technical HTML terms to user-friendly names
   const getFriendlyElementName = (childEl) => {
     const tagName = childEl.tagName?.toLowerCase() || 'text';
@@ -527,14 +622,23 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
   return (
     <div className="properties-panel">
       <div className="properties-header">
-        <div className="element-info">
-          <span className="element-tag">{element.tagName}</span>
-          {element.id && <span className="element-id">#{element.id}</span>}
-          {element.className && <span className="element-class">.{element.className.split(' ')[0]}</span>}
-        </div>
+        {isMultiSelection ? (
+          <div className="element-info">
+            <span className="element-count">{elements.length} elements</span>
+            <span className="element-count-hint">Changes apply to all of them</span>
+          </div>
+        ) : (
+          <div className="element-info">
+            <span className="element-tag">{element.tagName}</span>
+            {element.id && <span className="element-id">#{element.id}</span>}
+            {element.className && <span className="element-class">.{element.className.split(' ')[0]}</span>}
+          </div>
+        )}
       </div>
       
       <div className="properties-content">
+        {/* var(--token) suggestions for the color and length fields */}
+        <TokenOptions references={tokenReferences} />
         
         {/* Page selector - multi-select for choosing which pages styles apply to */}
         {availablePages.length > 0 && (
@@ -712,7 +816,8 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
         )}
         
         {/* Show child text elements if multiple, otherwise show single text content */}
-        {childTextElements.length > 1 ? (
+        {/* Text belongs to one element, so it isn't offered for a multi-selection */}
+        {isMultiSelection ? null : childTextElements.length > 1 ? (
           <div className="property-group">
             <label className="property-label">Text Elements ({childTextElements.length})</label>
             {childTextElements.map((childEl, index) => (
@@ -805,6 +910,38 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
               </div>
         )}
 
+        {/* Attributes belong to one element, like its text */}
+        {!isMultiSelection && (
+          <AttributeEditor
+            element={element}
+            classNames={classNames}
+            onAttributeChange={(name, value) => onPropertyChange?.('attribute', { name, value })}
+          />
+        )}
+
+        {breakpoints && activeBreakpoint && (
+          <BreakpointPicker
+            breakpoints={breakpoints}
+            activeBreakpoint={activeBreakpoint}
+            onBreakpointChange={onBreakpointChange}
+          />
+        )}
+
+        {onElementStateChange && (
+          <StatePicker state={elementState} onStateChange={onElementStateChange} />
+        )}
+
+        {/* The picked rule is for the primary element - the rest of a selection always uses Auto */}
+        {!isMultiSelection && cssTarget && (
+          <RulePicker
+            matchedRules={matchedRules}
+            cssFiles={cssFiles}
+            target={cssTarget}
+            suggestedSelector={newRuleSelector}
+            onTargetChange={onCssTargetChange}
+          />
+        )}
+
         <div className="property-group">
           <label className="property-label">Background Color</label>
           <div className="color-input-group">
@@ -819,7 +956,9 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
           />
           <input
             type="text"
-            value={properties.backgroundColor}
+            value={getDisplayValue('backgroundColor')}
+            placeholder={getPlaceholder('backgroundColor')}
+            list={TOKEN_LIST_IDS.color}
             onChange={(e) => {
               let colorValue = e.target.value.trim()
               // Ensure hex colors have # prefix
@@ -845,7 +984,9 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
             />
             <input
               type="text"
-              value={properties.color}
+              value={getDisplayValue('color')}
+              placeholder={getPlaceholder('color')}
+              list={TOKEN_LIST_IDS.color}
               onChange={(e) => {
                 let colorValue = e.target.value.trim()
                 // Ensure hex colors have # prefix
@@ -870,6 +1011,9 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
                 setLocalFontSize(e.target.value);
               }}
               onBlur={(e) => {
+                // Leaving a mixed or inherited font size untouched must not overwrite it
+                if ((mixedProperties.has('fontSize') || isInherited('fontSize')) && !e.target.value.trim()) return;
+                
                 // Commit the change when user is done editing
                 let finalValue = e.target.value.trim() || properties.fontSize || '16px';
                 
@@ -895,7 +1039,8 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
                 }
               }}
               className="property-input property-input-small"
-              placeholder="e.g. 16px, 1.5rem, 120%"
+              placeholder={getPlaceholder('fontSize', 'e.g. 16px, 1.5rem, 120%')}
+              list={TOKEN_LIST_IDS.length}
             />
           </div>
         </div>
@@ -906,18 +1051,18 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
             <button
               type="button"
               onClick={() => handlePropertyChange('textAlign', 'left')}
-              className={properties.textAlign === 'left' ? 'alignment-btn active' : 'alignment-btn'}
+              className={textAlign === 'left' ? 'alignment-btn active' : 'alignment-btn'}
               title="Left"
               style={{
                 flex: 1,
                 padding: '0.5rem',
-                background: properties.textAlign === 'left' ? '#4a9eff' : '#2a2a2a',
+                background: textAlign === 'left' ? '#4a9eff' : '#2a2a2a',
                 border: '1px solid #3a3a3a',
                 borderRadius: '4px',
-                color: properties.textAlign === 'left' ? '#fff' : '#e0e0e0',
+                color: textAlign === 'left' ? '#fff' : '#e0e0e0',
                 cursor: 'pointer',
                 fontSize: '0.75rem',
-                fontWeight: properties.textAlign === 'left' ? '600' : '400'
+                fontWeight: textAlign === 'left' ? '600' : '400'
               }}
             >
               Left
@@ -925,18 +1070,18 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
             <button
               type="button"
               onClick={() => handlePropertyChange('textAlign', 'center')}
-              className={properties.textAlign === 'center' ? 'alignment-btn active' : 'alignment-btn'}
+              className={textAlign === 'center' ? 'alignment-btn active' : 'alignment-btn'}
               title="Center"
               style={{
                 flex: 1,
                 padding: '0.5rem',
-                background: properties.textAlign === 'center' ? '#4a9eff' : '#2a2a2a',
+                background: textAlign === 'center' ? '#4a9eff' : '#2a2a2a',
                 border: '1px solid #3a3a3a',
                 borderRadius: '4px',
-                color: properties.textAlign === 'center' ? '#fff' : '#e0e0e0',
+                color: textAlign === 'center' ? '#fff' : '#e0e0e0',
                 cursor: 'pointer',
                 fontSize: '0.75rem',
-                fontWeight: properties.textAlign === 'center' ? '600' : '400'
+                fontWeight: textAlign === 'center' ? '600' : '400'
               }}
             >
               Center
@@ -944,18 +1089,18 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
             <button
               type="button"
               onClick={() => handlePropertyChange('textAlign', 'right')}
-              className={properties.textAlign === 'right' ? 'alignment-btn active' : 'alignment-btn'}
+              className={textAlign === 'right' ? 'alignment-btn active' : 'alignment-btn'}
               title="Right"
               style={{
                 flex: 1,
                 padding: '0.5rem',
-                background: properties.textAlign === 'right' ? '#4a9eff' : '#2a2a2a',
+                background: textAlign === 'right' ? '#4a9eff' : '#2a2a2a',
                 border: '1px solid #3a3a3a',
                 borderRadius: '4px',
-                color: properties.textAlign === 'right' ? '#fff' : '#e0e0e0',
+                color: textAlign === 'right' ? '#fff' : '#e0e0e0',
                 cursor: 'pointer',
                 fontSize: '0.75rem',
-                fontWeight: properties.textAlign === 'right' ? '600' : '400'
+                fontWeight: textAlign === 'right' ? '600' : '400'
               }}
             >
               Right
@@ -963,26 +1108,57 @@ function PropertiesPanel({ element, onPropertyChange, isInspectorEnabled, onText
           </div>
         </div>
 
-        <div className="property-group property-group-row">
-          <div className="property-item">
-            <label className="property-label">Width</label>
-            <input
-              type="text"
-              value={properties.width}
-              onChange={(e) => handlePropertyChange('width', e.target.value)}
-              className="property-input property-input-small"
-            />
-          </div>
-          <div className="property-item">
-            <label className="property-label">Height</label>
-            <input
-              type="text"
-              value={properties.height}
-              onChange={(e) => handlePropertyChange('height', e.target.value)}
-              className="property-input property-input-small"
-            />
+        {/* Controls given their property show values inherited from another breakpoint as placeholders */}
+        <InheritedStylesContext.Provider value={inheritedStyles}>
+          <TypographyControls
+            styles={element.styles}
+            projectFonts={projectFonts}
+            onStyleChange={handlePropertyChange}
+          />
+
+          <div className="property-group property-group-row">
+            <div className="property-item">
+              <label className="property-label">Width</label>
+              <input
+                type="text"
+                value={getDisplayValue('width')}
+                placeholder={getPlaceholder('width')}
+                list={TOKEN_LIST_IDS.length}
+                onChange={(e) => handlePropertyChange('width', e.target.value)}
+                className="property-input property-input-small"
+              />
+            </div>
+            <div className="property-item">
+              <label className="property-label">Height</label>
+              <input
+                type="text"
+                value={getDisplayValue('height')}
+                placeholder={getPlaceholder('height')}
+                list={TOKEN_LIST_IDS.length}
+                onChange={(e) => handlePropertyChange('height', e.target.value)}
+                className="property-input property-input-small"
+              />
+            </div>
           </div>
-        </div>
+
+          {/* Spacing and layout follow the primary element - changes apply to the whole selection */}
+          <SpacingEditor
+            key={`${element.nodeId}:${(element.domPath || []).join('.')}`}
+            styles={element.styles}
+            onStyleChange={handlePropertyChange}
+          />
+
+          <LayoutControls
+            styles={element.styles}
+            parentDisplay={element.parentDisplay}
+            onStyleChange={handlePropertyChange}
+          />
+
+          <EffectsControls
+            styles={element.styles}
+            onStyleChange={handlePropertyChange}
+          />
+        </InheritedStylesContext.Provider>
         
         {/* Spacer to ensure last content is fully visible when scrolled */}
         <div style={{ height: '2rem', flexShrink: 0 }}></div>
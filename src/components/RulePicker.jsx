@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react'
+import { getRuleId, sortByPrecedence } from '../lib/cssRules'
+import './RulePicker.css'
+
+const NO_RULES = []
+
+const formatSpecificity = (specificity) => `(${specificity.join(',')})`
+
+const getRuleLocation = (rule) => (rule.fileName ? `${rule.fileName}:${rule.line}` : 'not in the project')
+
+/**
+ * Which stylesheet rule style edits are written to - by default, the rule that sets each
+ * property; or one of the rules matching the element; or a new rule
+ */
+function RulePicker({ matchedRules = NO_RULES, cssFiles = NO_RULES, target, suggestedSelector, onTargetChange }) {
+  const [isCreating, setIsCreating] = useState(false)
+  const [draftSelector, setDraftSelector] = useState(suggestedSelector || '')
+  const [draftFile, setDraftFile] = useState(cssFiles[0] || '')
+
+  useEffect(() => {
+    setDraftSelector(suggestedSelector || '')
+  }, [suggestedSelector])
+
+  useEffect(() => {
+    if (!cssFiles.includes(draftFile)) setDraftFile(cssFiles[0] || '')
+  }, [cssFiles, draftFile])
+
+  const rules = sortByPrecedence(matchedRules)
+  const targetRule = target.type === 'rule' ? rules.find(rule => getRuleId(rule) === target.ruleId) : null
+  const selectValue = isCreating || target.type === 'new' ? 'new' : targetRule ? target.ruleId : 'auto'
+
+  const handleSelect = (value) => {
+    if (value === 'new') {
+      setIsCreating(true)
+      return
+    }
+    setIsCreating(false)
+    onTargetChange(value === 'auto' ? { type: 'auto' } : { type: 'rule', ruleId: value })
+  }
+
+  const createRule = () => {
+    const selector = draftSelector.trim()
+    if (!selector || !draftFile) return
+    setIsCreating(false)
+    onTargetChange({ type: 'new', selector, fileName: draftFile })
+  }
+
+  let hint
+  if (targetRule) {
+    hint = `Edits go to ${targetRule.selector} in ${getRuleLocation(targetRule)}`
+  } else if (target.type === 'new' && !isCreating) {
+    hint = `Edits go to a new ${target.selector} rule at the end of ${target.fileName}`
+  } else if (!isCreating) {
+    hint = 'Each edit goes to the rule that sets the property - or the most specific class or id rule when none does'
+  }
+
+  return (
+    <div className="property-group rule-picker">
+      <label className="property-label">Edit Rule</label>
+      <select value={selectValue} onChange={(e) => handleSelect(e.target.value)} className="property-select">
+        <option value="auto">Auto - rule that sets each property</option>
+        {rules.map(rule => (
+          <option key={getRuleId(rule) + rule.order} value={getRuleId(rule)} disabled={!rule.fileName}>
+            {`${rule.selector} ${formatSpecificity(rule.specificity)} · ${getRuleLocation(rule)}`}
+            {rule.conditions.length > 0 ? ` · ${rule.conditions.join(' ')}` : ''}
+          </option>
+        ))}
+        <option value="new" disabled={cssFiles.length === 0}>
+          {target.type === 'new' ? `New rule: ${target.selector}` : 'New rule…'}
+        </option>
+      </select>
+
+      {isCreating && (
+        <div className="rule-picker-new">
+          <input
+            type="text"
+            value={draftSelector}
+            onChange={(e) => setDraftSelector(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') createRule()
+              if (e.key === 'Escape') setIsCreating(false)
+            }}
+            className="property-input"
+            placeholder=".my-class"
+            spellCheck={false}
+            autoFocus
+          />
+          {cssFiles.length > 1 && (
+            <select value={draftFile} onChange={(e) => setDraftFile(e.target.value)} className="property-select">
+              {cssFiles.map(path => (
+                <option key={path} value={path}>{path}</option>
+              ))}
+            </select>
+          )}
+          <div className="rule-picker-actions">
+            <button type="button" className="rule-picker-button primary" onClick={createRule} disabled={!draftSelector.trim()}>
+              Use rule
+            </button>
+            <button type="button" className="rule-picker-button" onClick={() => setIsCreating(false)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {hint && <p className="rule-picker-hint">{hint}</p>}
+    </div>
+  )
+}
+
+export default RulePicker
@@ -0,0 +1,287 @@
+import { useState, useEffect, useRef } from 'react'
+import { useIsInherited, TOKEN_LIST_IDS } from './StyleControls'
+import './SpacingEditor.css'
+
+const SIDES = ['Top', 'Right', 'Bottom', 'Left']
+const LENGTH_UNITS = ['px', 'rem', 'em', '%']
+const NO_STYLES = {}
+
+// Pointer travel before a press on a value turns into a scrub instead of a click
+const SCRUB_THRESHOLD = 3
+
+// Value change per pixel dragged - Shift scrubs ten times faster
+const SCRUB_STEPS = { px: 1, rem: 0.05, em: 0.05, '%': 0.5 }
+
+/**
+ * Split a spacing value into number and unit - "1.5rem" -> { number: 1.5, unit: 'rem' }
+ * Keywords and functions (auto, calc(), var()) come back with a null number
+ */
+const parseSpacing = (value) => {
+  const text = String(value || '').trim()
+  const match = text.match(/^(-?\d*\.?\d+)([a-z%]*)$/i)
+  if (!match) return { number: null, unit: text }
+  return { number: parseFloat(match[1]), unit: match[2].toLowerCase() }
+}
+
+const formatNumber = (number) => String(Math.round(number * 100) / 100)
+
+// The unit a box edits in - the first side that has one, px when every side is 0
+const getBoxUnit = (sides) => {
+  if (sides.every(value => value === 'auto')) return 'auto'
+  const withUnit = sides.map(parseSpacing).find(parsed => parsed.number !== null && LENGTH_UNITS.includes(parsed.unit))
+  return withUnit ? withUnit.unit : 'px'
+}
+
+const areSidesEqual = (sides) => sides.every(value => value === sides[0])
+
+/**
+ * One side's value - type a value ("16", "1.5rem", "auto") or drag across it to scrub
+ * Bare numbers take the box's unit. Padding can't be auto or negative. A side inherited from
+ * another breakpoint shows its value as the placeholder and stays unset when left empty
+ */
+function SpacingInput({ value, unit, title, property, allowAuto, allowNegative, onChange }) {
+  const isInherited = useIsInherited(property)
+  const shownValue = isInherited ? '' : value
+  const [draft, setDraft] = useState(shownValue)
+  const scrubRef = useRef(null)
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    setDraft(shownValue)
+  }, [shownValue])
+
+  useEffect(() => {
+    return () => cancelAnimationFrame(scrubRef.current?.frame)
+  }, [])
+
+  const commit = (text) => {
+    let next = String(text).trim()
+    if (!next && isInherited) return
+    if (!next) next = '0'
+    if (/^-?\d*\.?\d+$/.test(next) && next !== '0') next += unit === 'auto' ? 'px' : unit
+    if (next === 'auto' && !allowAuto) {
+      setDraft(shownValue)
+      return
+    }
+    if (next !== value) onChange(next)
+  }
+
+  const handlePointerDown = (e) => {
+    // Already editing - let the pointer place the caret
+    if (document.activeElement === inputRef.current || e.button !== 0) return
+    e.preventDefault()
+    const parsed = parseSpacing(value)
+    scrubRef.current = {
+      startX: e.clientX,
+      startNumber: parsed.number ?? 0,
+      unit: parsed.number !== null && parsed.unit ? parsed.unit : (unit === 'auto' ? 'px' : unit),
+      isScrubbing: false,
+      // The last value sent to the preview, and the one waiting for the next animation frame
+      sentValue: value,
+      pendingValue: null,
+      frame: null
+    }
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const scrub = scrubRef.current
+    if (!scrub) return
+    const distance = e.clientX - scrub.startX
+    if (!scrub.isScrubbing && Math.abs(distance) < SCRUB_THRESHOLD) return
+    scrub.isScrubbing = true
+    const step = (SCRUB_STEPS[scrub.unit] || 1) * (e.shiftKey ? 10 : 1)
+    let number = scrub.startNumber + Math.round(distance) * step
+    if (!allowNegative) number = Math.max(0, number)
+    const next = formatNumber(number) + scrub.unit
+    if (next === (scrub.pendingValue ?? scrub.sentValue)) return
+    setDraft(next)
+    // Each change is a style update in the preview - send at most one per frame
+    scrub.pendingValue = next
+    if (!scrub.frame) scrub.frame = requestAnimationFrame(() => sendScrubValue(scrub))
+  }
+
+  const sendScrubValue = (scrub) => {
+    cancelAnimationFrame(scrub.frame)
+    scrub.frame = null
+    if (scrub.pendingValue === null) return
+    const next = scrub.pendingValue
+    scrub.pendingValue = null
+    if (next === scrub.sentValue) return
+    scrub.sentValue = next
+    onChange(next)
+  }
+
+  const handlePointerUp = (e) => {
+    const scrub = scrubRef.current
+    scrubRef.current = null
+    // The value the pointer stopped on is sent now rather than a frame later
+    if (scrub) sendScrubValue(scrub)
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      e.currentTarget.releasePointerCapture(e.pointerId)
+    }
+    // A press without a drag is a click into the field
+    if (scrub && !scrub.isScrubbing) {
+      inputRef.current.focus()
+      inputRef.current.select()
+    }
+  }
+
+  return (
+    <input
+      ref={inputRef}
+      type="text"
+      value={draft}
+      placeholder={isInherited ? value : undefined}
+      list={TOKEN_LIST_IDS.length}
+      title={`${title} - drag to adjust, Shift for bigger steps`}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={(e) => commit(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          e.target.blur()
+        } else if (e.key === 'Escape') {
+          setDraft(shownValue)
+          e.target.blur()
+        }
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      className="spacing-input spacing-box-input"
+      spellCheck={false}
+    />
+  )
+}
+
+// Header of a box - link toggle and unit
+function SpacingBoxHeader({ label, linked, onToggleLinked, unit, units, onUnitChange }) {
+  return (
+    <div className="spacing-box-header">
+      <span className="spacing-box-label">{label}</span>
+      <button
+        type="button"
+        className={`spacing-link ${linked ? 'active' : ''}`}
+        title={linked ? 'Sides are linked - click to edit each side' : 'Link sides - editing one edits all four'}
+        onClick={onToggleLinked}
+      >
+        🔗
+      </button>
+      <select
+        value={unit}
+        onChange={(e) => onUnitChange(e.target.value)}
+        className="spacing-unit"
+        title={units.includes('auto') ? 'Unit of all four sides - auto sets every side to auto' : 'Unit of all four sides'}
+      >
+        {units.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+/**
+ * Box-model spacing widget - margin around padding around the element, one field per side
+ */
+function SpacingEditor({ styles = NO_STYLES, onStyleChange }) {
+  const [values, setValues] = useState(styles)
+  // Boxes start linked when all four sides already match - the panel remounts this for each selection
+  const [linked, setLinked] = useState(() => ({
+    margin: areSidesEqual(SIDES.map(side => styles[`margin${side}`] || '')),
+    padding: areSidesEqual(SIDES.map(side => styles[`padding${side}`] || ''))
+  }))
+
+  useEffect(() => {
+    setValues(styles)
+  }, [styles])
+
+  const getSides = (box) => SIDES.map(side => values[`${box}${side}`] || '0px')
+
+  const setSide = (box, side, value) => {
+    const sides = linked[box] ? SIDES : [side]
+    setValues(prev => {
+      const next = { ...prev }
+      sides.forEach(name => { next[`${box}${name}`] = value })
+      return next
+    })
+    sides.forEach(name => onStyleChange(`${box}${name}`, value))
+  }
+
+  const setBoxUnit = (box, unit) => {
+    const sides = getSides(box)
+    SIDES.forEach((side, index) => {
+      let next
+      if (unit === 'auto') {
+        next = 'auto'
+      } else {
+        const parsed = parseSpacing(sides[index])
+        // Numbers keep their value in the new unit - auto and other keywords become 0
+        next = (parsed.number !== null ? formatNumber(parsed.number) : '0') + unit
+      }
+      if (next !== sides[index]) {
+        setValues(prev => ({ ...prev, [`${box}${side}`]: next }))
+        onStyleChange(`${box}${side}`, next)
+      }
+    })
+  }
+
+  const renderSide = (box, side) => {
+    const sides = getSides(box)
+    return (
+      <div className={`spacing-side spacing-side-${side.toLowerCase()}`}>
+        <SpacingInput
+          value={sides[SIDES.indexOf(side)]}
+          unit={getBoxUnit(sides)}
+          title={`${box === 'margin' ? 'Margin' : 'Padding'} ${side.toLowerCase()}`}
+          property={`${box}${side}`}
+          allowAuto={box === 'margin'}
+          allowNegative={box === 'margin'}
+          onChange={(value) => setSide(box, side, value)}
+        />
+      </div>
+    )
+  }
+
+  return (
+    <div className="property-group spacing-editor">
+      <label className="property-label">Spacing</label>
+      <div className="spacing-box spacing-box-margin">
+        <SpacingBoxHeader
+          label="Margin"
+          linked={linked.margin}
+          onToggleLinked={() => setLinked(prev => ({ ...prev, margin: !prev.margin }))}
+          unit={getBoxUnit(getSides('margin'))}
+          units={LENGTH_UNITS.concat('auto')}
+          onUnitChange={(unit) => setBoxUnit('margin', unit)}
+        />
+        {renderSide('margin', 'Top')}
+        <div className="spacing-row">
+          {renderSide('margin', 'Left')}
+          <div className="spacing-box spacing-box-padding">
+            <SpacingBoxHeader
+              label="Padding"
+              linked={linked.padding}
+              onToggleLinked={() => setLinked(prev => ({ ...prev, padding: !prev.padding }))}
+              unit={getBoxUnit(getSides('padding'))}
+              units={LENGTH_UNITS}
+              onUnitChange={(unit) => setBoxUnit('padding', unit)}
+            />
+            {renderSide('padding', 'Top')}
+            <div className="spacing-row">
+              {renderSide('padding', 'Left')}
+              <div className="spacing-content" />
+              {renderSide('padding', 'Right')}
+            </div>
+            {renderSide('padding', 'Bottom')}
+          </div>
+          {renderSide('margin', 'Right')}
+        </div>
+        {renderSide('margin', 'Bottom')}
+      </div>
+    </div>
+  )
+}
+
+export default SpacingEditor
@@ -0,0 +1,45 @@
+import { ELEMENT_STATES, getElementState } from '../lib/elementStates'
+import './StatePicker.css'
+
+/**
+ * Which state of the element style edits apply to - a pseudo-class the preview forces on the
+ * selection, or a pseudo-element styled in its place
+ */
+function StatePicker({ state, onStateChange }) {
+  const elementState = getElementState(state)
+
+  let hint = 'Edits style the element itself'
+  if (elementState?.isPseudoElement) {
+    hint = `Edits go to ${elementState.label} rules - it only shows when a rule gives it a content value`
+  } else if (elementState) {
+    hint = `The preview shows the selection in ${elementState.label} - edits go to ${elementState.label} rules`
+  }
+
+  return (
+    <div className="property-group state-picker">
+      <label className="property-label">State</label>
+      <div className="segmented-control">
+        <button
+          type="button"
+          className={`segmented-option ${!elementState ? 'active' : ''}`}
+          onClick={() => onStateChange(null)}
+        >
+          None
+        </button>
+        {ELEMENT_STATES.map(option => (
+          <button
+            type="button"
+            key={option.id}
+            className={`segmented-option ${elementState?.id === option.id ? 'active' : ''}`}
+            onClick={() => onStateChange(elementState?.id === option.id ? null : option.id)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <p className="state-picker-hint">{hint}</p>
+    </div>
+  )
+}
+
+export default StatePicker
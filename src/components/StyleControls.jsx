@@ -0,0 +1,106 @@
+import { useState, useEffect, createContext, useContext } from 'react'
+import './StyleControls.css'
+
+/**
+ * Style properties the current breakpoint inherits rather than sets - a control given the
+ * property shows the inherited value as a placeholder (or a marked button) until it's set
+ */
+export const InheritedStylesContext = createContext(null)
+
+/**
+ * ids of the lists of var(--token) values fields offer - see TokenOptions
+ */
+export const TOKEN_LIST_IDS = { color: 'vibecanvas-color-tokens', length: 'vibecanvas-length-tokens' }
+
+/**
+ * The project's design tokens as suggestions for fields given a token type, so edits can stay
+ * bound to the design system - rendered once by the panel the fields are in
+ *
+ * @param {{color: string[], length: string[]}} references - var() values by token type
+ */
+export function TokenOptions({ references }) {
+  return (
+    <>
+      {Object.entries(TOKEN_LIST_IDS).map(([type, id]) => (
+        <datalist key={type} id={id}>
+          {(references?.[type] || []).map(reference => <option key={reference} value={reference} />)}
+        </datalist>
+      ))}
+    </>
+  )
+}
+
+/**
+ * Whether a property is inherited from another breakpoint
+ */
+export const useIsInherited = (property) => {
+  const inheritedStyles = useContext(InheritedStylesContext)
+  return !!property && !!inheritedStyles && inheritedStyles.has(property)
+}
+
+/**
+ * Text field that commits on blur or Enter - CSS values are often invalid mid-typing
+ * ("1fr 2" on the way to "1fr 2fr"), and the preview would reject each one
+ * The label is optional for fields that sit in a labelled row. With the property it edits, an
+ * inherited value shows as the placeholder. tokenType ('color' or 'length') offers the matching
+ * design tokens
+ */
+export function StyleInput({ label, value, placeholder, property, tokenType, onCommit }) {
+  const isInherited = useIsInherited(property)
+  const shownValue = isInherited ? '' : value
+  const [draft, setDraft] = useState(shownValue)
+
+  useEffect(() => {
+    setDraft(shownValue)
+  }, [shownValue])
+
+  const commit = () => {
+    const next = draft.trim()
+    if (next !== shownValue) onCommit(next)
+  }
+
+  return (
+    <div className="property-item">
+      {label && <label className="property-label">{label}</label>}
+      <input
+        type="text"
+        value={draft}
+        placeholder={isInherited ? value || placeholder : placeholder}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.target.blur()
+        }}
+        className="property-input property-input-small"
+        list={TOKEN_LIST_IDS[tokenType]}
+        spellCheck={false}
+      />
+    </div>
+  )
+}
+
+/**
+ * Row of buttons for a keyword property - options are { value, label, title? }
+ * An inherited value is marked rather than shown as active
+ */
+export function SegmentedControl({ label, options, value, property, onChange }) {
+  const isInherited = useIsInherited(property)
+  return (
+    <div className="property-group">
+      <label className="property-label">{label}</label>
+      <div className="segmented-control">
+        {options.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            className={`segmented-option ${value === option.value ? (isInherited ? 'inherited' : 'active') : ''}`}
+            title={option.title || option.label}
+            onClick={() => onChange(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
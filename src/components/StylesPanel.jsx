@@ -0,0 +1,153 @@
+import { useEffect, useMemo, useState } from 'react'
+import { getCascade } from '../lib/cssRules'
+import './StylesPanel.css'
+
+const NO_FILES = []
+
+// "div#main.card.featured" - how an ancestor is named in the inherited headings
+const getElementLabel = (element) => {
+  const classes = (element.className || '').split(/\s+/).filter(Boolean).map(name => `.${name}`).join('')
+  return `${element.tagName}${element.id ? `#${element.id}` : ''}${classes}`
+}
+
+// Whether the inspector's cascade is for the element being shown
+const isCascadeFor = (cascade, element) => {
+  return !!cascade && cascade.nodeId === element.nodeId &&
+    (cascade.domPath || []).join('.') === (element.domPath || []).join('.')
+}
+
+const getOverriddenTitle = (declaration) => {
+  if (declaration.isInvalid) return 'Not applied - the browser doesn\'t support this property or value'
+  if (declaration.isOverridden) return 'Overridden by a declaration higher in the cascade'
+  return undefined
+}
+
+// A rule with its declarations - rules in the project's CSS link to the line they're on
+function CascadeRule({ rule, filter, onOpenSource }) {
+  const declarations = rule.declarations.filter(declaration => declaration.property.includes(filter))
+  if (filter && declarations.length === 0) return null
+
+  const openLocation = (line, column) => {
+    if (rule.fileName) onOpenSource({ path: rule.fileName, line, column })
+  }
+
+  let location = 'style attribute'
+  if (!rule.isInline) location = rule.fileName ? `${rule.fileName}:${rule.line}` : 'not in the project'
+
+  return (
+    <div className="cascade-rule">
+      <div className="cascade-rule-header">
+        <span className="cascade-selector">{rule.selector}</span>
+        {!rule.isInline && <span className="cascade-specificity">({rule.specificity.join(',')})</span>}
+        <button
+          type="button"
+          className="cascade-location"
+          onClick={() => openLocation(rule.line, 1)}
+          disabled={!rule.fileName}
+          title={rule.fileName ? 'Open in the code editor' : undefined}
+        >
+          {location}
+        </button>
+      </div>
+      {rule.conditions.length > 0 && (
+        <div className="cascade-conditions">{rule.conditions.join(' ')}</div>
+      )}
+      {declarations.map((declaration, index) => (
+        <button
+          type="button"
+          key={`${declaration.property}-${index}`}
+          className={`cascade-declaration ${declaration.isOverridden ? 'overridden' : ''} ${declaration.isInvalid ? 'invalid' : ''}`}
+          onClick={() => openLocation(declaration.line, declaration.column)}
+          disabled={!rule.fileName}
+          title={getOverriddenTitle(declaration)}
+        >
+          <span className="cascade-property">{declaration.property}</span>: <span className="cascade-value">{declaration.value}</span>
+          {declaration.important && <span className="cascade-important"> !important</span>};
+        </button>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Every rule matching the selected element in cascade order - overridden declarations struck
+ * through - with the values it inherits and the computed value of each property
+ */
+function StylesPanel({ element, cascade: elementCascade, onRequestCascade, cssFiles = NO_FILES, onOpenSource }) {
+  const [filter, setFilter] = useState('')
+
+  // The inspector only sends the ancestors' rules when asked - again after every update to the element
+  useEffect(() => {
+    if (element) onRequestCascade?.()
+  }, [element])
+
+  const cascade = useMemo(() => {
+    if (!element) return null
+    return getCascade(isCascadeFor(elementCascade, element) ? { ...element, ...elementCascade } : element, cssFiles)
+  }, [element, elementCascade, cssFiles])
+
+  if (!cascade) {
+    return (
+      <div className="styles-panel">
+        <div className="styles-empty">
+          <p>Select an element to see the rules that style it</p>
+        </div>
+      </div>
+    )
+  }
+
+  const query = filter.trim().toLowerCase()
+  const computed = cascade.computed.filter(entry => entry.property.includes(query))
+
+  return (
+    <div className="styles-panel">
+      <div className="styles-toolbar">
+        <input
+          type="text"
+          className="styles-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter properties"
+          aria-label="Filter properties"
+          spellCheck={false}
+        />
+      </div>
+
+      <div className="styles-content">
+        <h4 className="styles-heading">{getElementLabel(element)}</h4>
+        {cascade.rules.length === 0 && <p className="styles-note">No rules match this element</p>}
+        {cascade.rules.map((rule, index) => (
+          <CascadeRule key={`${rule.selector}-${index}`} rule={rule} filter={query} onOpenSource={onOpenSource} />
+        ))}
+
+        {cascade.inherited.map(group => (
+          <div key={group.ancestor.domPath.join('.')}>
+            <h4 className="styles-heading">Inherited from {getElementLabel(group.ancestor)}</h4>
+            {group.rules.map((rule, index) => (
+              <CascadeRule key={`${rule.selector}-${index}`} rule={rule} filter={query} onOpenSource={onOpenSource} />
+            ))}
+          </div>
+        ))}
+
+        <h4 className="styles-heading">Computed</h4>
+        {computed.length === 0 && <p className="styles-note">No properties set by a rule</p>}
+        {computed.map(entry => (
+          <button
+            type="button"
+            key={entry.property}
+            className="computed-row"
+            onClick={() => onOpenSource({ path: entry.fileName, line: entry.line, column: entry.column })}
+            disabled={!entry.fileName}
+            title={entry.fileName ? `Set in ${entry.fileName}:${entry.line}` : undefined}
+          >
+            <span className="cascade-property">{entry.property}</span>
+            <span className="computed-value">{entry.value}</span>
+            {entry.inheritedFrom && <span className="computed-inherited">inherited</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default StylesPanel
@@ -1,11 +1,69 @@
-import { useState } from 'react'
+import { useEffect, useMemo, useState } from 'react'
 import FileTree from './FileTree'
 import PropertiesPanel from './PropertiesPanel'
 import Settings from './Settings'
+import CodeEditor from './CodeEditor'
+import ConsolePanel from './ConsolePanel'
+import LayersPanel from './LayersPanel'
+import StylesPanel from './StylesPanel'
+import TokensPanel from './TokensPanel'
+import InsertPanel from './InsertPanel'
+import { findFileByPath, getFilePath } from '../lib/projectPaths'
+import { getClassNamesFromCss } from '../lib/cssParser'
+import { getProjectFonts } from '../lib/fontCatalog'
+import { locateMatchedRules } from '../lib/cssRules'
+import { getDesignTokens, getTokenReferences } from '../lib/designTokens'
+import { getFileDataUrl } from '../services/previewServer'
 import './TabPanel.css'
 
-function TabPanel({ files, selectedFile, onFileSelect, selectedElement, onPropertyChange, onFileUpdate, isInspectorEnabled, isSettingsOpen, onSettingsClose, fontSize, onFontSizeChange, gridOverlay, onGridOverlayChange, gridColor, onGridColorChange, onTextEditingChange, showFileExtensions, onShowFileExtensionsChange, lineNumbers, onLineNumbersChange, tabSize, onTabSizeChange, availablePages, selectedPages, onSelectedPagesChange, currentPage, onApplyCurrentStyles, onClearAppliedStyles }) {
+function TabPanel({ files, selectedFile, onFileSelect, selectedElement, selectedElements, onPropertyChange, onFileUpdate, isInspectorEnabled, isSettingsOpen, onSettingsClose, fontSize, onFontSizeChange, gridOverlay, onGridOverlayChange, gridColor, onGridColorChange, onTextEditingChange, showFileExtensions, onShowFileExtensionsChange, lineNumbers, onLineNumbersChange, tabSize, onTabSizeChange, availablePages, selectedPages, onSelectedPagesChange, currentPage, onApplyCurrentStyles, onClearAppliedStyles, consoleEntries = [], onConsoleClear, onConsoleEvaluate, preserveConsoleLog, onPreserveConsoleLogChange, domTree, onLayerHover, onLayerSelect, elementCascade, onRequestCascade, onInsertElement, cssTarget, onCssTargetChange, newRuleSelector, breakpoints, activeBreakpoint, onBreakpointChange, pendingBreakpointProperties, elementState, onElementStateChange, onTokenPreview }) {
   const [activeTab, setActiveTab] = useState('properties')
+  // The code tab follows the selected file unless a console or Styles link opened another one
+  const [codeFilePath, setCodeFilePath] = useState(null)
+  const [revealLocation, setRevealLocation] = useState(null)
+
+  useEffect(() => {
+    setCodeFilePath(null)
+    setRevealLocation(null)
+  }, [selectedFile])
+
+  const cssFiles = useMemo(() => (files || []).filter(file => getFilePath(file).endsWith('.css')), [files])
+
+  // Classes the project's stylesheets define, for the class editor's suggestions
+  const classNames = useMemo(() => {
+    return [...new Set(cssFiles.flatMap(file => getClassNamesFromCss(file.content || '')))].sort()
+  }, [cssFiles])
+
+  // Rules matching the selected element, with the file and line they're on
+  const matchedRules = useMemo(() => {
+    return locateMatchedRules(selectedElement?.matchedRules, cssFiles)
+  }, [selectedElement, cssFiles])
+  const cssFilePaths = useMemo(() => cssFiles.map(getFilePath), [cssFiles])
+
+  // Custom properties the project's stylesheets declare - edited in the Tokens tab, offered as
+  // var() values by the properties panel
+  const designTokens = useMemo(() => getDesignTokens(cssFiles), [cssFiles])
+  const tokenReferences = useMemo(() => getTokenReferences(designTokens), [designTokens])
+
+  // Fonts the project's stylesheets declare or use, for the font picker
+  const projectFonts = useMemo(() => getProjectFonts(files || []), [files])
+
+  const codeFile = findFileByPath(files, codeFilePath || getFilePath(selectedFile))
+  // Images and fonts are stored as data URLs - nothing to edit
+  const editableCodeFile = codeFile && !getFileDataUrl(codeFile) ? codeFile : null
+  const consoleErrorCount = consoleEntries
+    .filter(entry => entry.level === 'error')
+    .reduce((sum, entry) => sum + entry.count, 0)
+
+  const handleOpenSource = (source) => {
+    if (!findFileByPath(files, source.path)) {
+      console.warn('Source is not a project file:', source.path)
+      return
+    }
+    setCodeFilePath(source.path)
+    setRevealLocation({ line: source.line, column: source.column })
+    setActiveTab('code')
+  }
 
   const handleFileSelect = (file) => {
     // Don't allow file selection when inspector is disabled and it's an image
@@ -48,18 +106,56 @@ function TabPanel({ files, selectedFile, onFileSelect, selectedElement, onProper
         >
           Properties
         </button>
+        <button
+          className={`tab-button ${activeTab === 'styles' ? 'active' : ''}`}
+          onClick={() => setActiveTab('styles')}
+        >
+          Styles
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'tokens' ? 'active' : ''}`}
+          onClick={() => setActiveTab('tokens')}
+        >
+          Tokens
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'layers' ? 'active' : ''}`}
+          onClick={() => setActiveTab('layers')}
+        >
+          Layers
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'insert' ? 'active' : ''}`}
+          onClick={() => setActiveTab('insert')}
+        >
+          Insert
+        </button>
         <button
           className={`tab-button ${activeTab === 'files' ? 'active' : ''}`}
           onClick={() => setActiveTab('files')}
         >
           Files
         </button>
+        <button
+          className={`tab-button ${activeTab === 'code' ? 'active' : ''}`}
+          onClick={() => setActiveTab('code')}
+        >
+          Code
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'console' ? 'active' : ''}`}
+          onClick={() => setActiveTab('console')}
+        >
+          Console
+          {consoleErrorCount > 0 && <span className="tab-badge">{consoleErrorCount}</span>}
+        </button>
       </div>
       
       <div className="tab-content">
         {activeTab === 'properties' && (
           <PropertiesPanel 
             element={selectedElement} 
+            elements={selectedElements || []}
             onPropertyChange={onPropertyChange}
             onTextEditingChange={onTextEditingChange}
             isInspectorEnabled={isInspectorEnabled}
@@ -69,6 +165,58 @@ function TabPanel({ files, selectedFile, onFileSelect, selectedElement, onProper
             currentPage={currentPage}
             onApplyCurrentStyles={onApplyCurrentStyles}
             onClearAppliedStyles={onClearAppliedStyles}
+            classNames={classNames}
+            projectFonts={projectFonts}
+            matchedRules={matchedRules}
+            cssFiles={cssFilePaths}
+            cssTarget={cssTarget}
+            onCssTargetChange={onCssTargetChange}
+            newRuleSelector={newRuleSelector}
+            breakpoints={breakpoints}
+            activeBreakpoint={activeBreakpoint}
+            onBreakpointChange={onBreakpointChange}
+            pendingBreakpointProperties={pendingBreakpointProperties}
+            elementState={elementState}
+            onElementStateChange={onElementStateChange}
+            tokenReferences={tokenReferences}
+          />
+        )}
+        
+        {activeTab === 'styles' && (
+          <StylesPanel
+            element={selectedElement}
+            cascade={elementCascade}
+            onRequestCascade={onRequestCascade}
+            cssFiles={cssFiles}
+            onOpenSource={handleOpenSource}
+          />
+        )}
+
+        {activeTab === 'tokens' && (
+          <TokensPanel
+            tokens={designTokens}
+            files={files}
+            onFileUpdate={onFileUpdate}
+            onTokenPreview={onTokenPreview}
+            onOpenSource={handleOpenSource}
+          />
+        )}
+
+        {activeTab === 'layers' && (
+          <LayersPanel
+            tree={domTree}
+            selectedElement={selectedElement}
+            isInspectorEnabled={isInspectorEnabled}
+            onLayerHover={onLayerHover}
+            onLayerSelect={onLayerSelect}
+          />
+        )}
+        
+        {activeTab === 'insert' && (
+          <InsertPanel
+            selectedElement={selectedElement}
+            isInspectorEnabled={isInspectorEnabled}
+            onInsertElement={onInsertElement}
           />
         )}
         
@@ -81,6 +229,27 @@ function TabPanel({ files, selectedFile, onFileSelect, selectedElement, onProper
             showFileExtensions={showFileExtensions}
           />
         )}
+
+        {activeTab === 'code' && (
+          <CodeEditor
+            file={editableCodeFile}
+            onFileUpdate={(content) => onFileUpdate(getFilePath(codeFile), content)}
+            lineNumbers={lineNumbers}
+            tabSize={tabSize}
+            revealLocation={revealLocation}
+          />
+        )}
+
+        {activeTab === 'console' && (
+          <ConsolePanel
+            entries={consoleEntries}
+            onClear={onConsoleClear}
+            onEvaluate={onConsoleEvaluate}
+            onOpenSource={handleOpenSource}
+            preserveLog={preserveConsoleLog}
+            onPreserveLogChange={onPreserveConsoleLogChange}
+          />
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,175 @@
+import { useEffect, useRef, useState } from 'react'
+import { StyleInput } from './StyleControls'
+import { parseColor, formatColor } from '../lib/cssValues'
+import { parseLength, setTokenValue } from '../lib/designTokens'
+import { findFileByPath } from '../lib/projectPaths'
+import './TokensPanel.css'
+
+const NO_TOKENS = []
+
+// Edits are written to the stylesheet once the value settles - the preview follows every change
+const WRITE_DELAY = 400
+
+// Slider range around a length or number - the text field can go past it
+const getSliderRange = (number, unit) => {
+  const isPercentage = unit === '%' || /^(vw|vh|vmin|vmax)$/.test(unit)
+  let max = Math.max(Math.abs(number) * 2, 10)
+  let step = Number.isInteger(number) ? 1 : 0.05
+  if (unit === 'px') max = Math.max(Math.abs(number) * 2, 64)
+  if (unit === 'rem' || unit === 'em') {
+    max = Math.max(Math.abs(number) * 2, 4)
+    step = 0.125
+  }
+  if (isPercentage) max = 100
+  return { min: number < 0 ? -max : 0, max, step }
+}
+
+const getTokenKey = (token) => `${token.fileName}|${token.name}|${token.index}`
+
+// Where a token is declared, when that isn't plain :root
+const getScopeLabel = (token) => {
+  const scope = token.selector === ':root' ? [] : [token.selector]
+  return scope.concat(token.conditions).join(' ')
+}
+
+/**
+ * One token - a swatch for colors, a slider for lengths and numbers, and its value as text
+ */
+function TokenRow({ token, onChange, onOpenSource }) {
+  const [value, setValue] = useState(token.value)
+
+  useEffect(() => {
+    setValue(token.value)
+  }, [token.value])
+
+  const change = (next) => {
+    setValue(next)
+    onChange(token, next)
+  }
+
+  const color = token.type === 'color' ? parseColor(value) : null
+  const length = token.type === 'length' ? parseLength(value) : null
+  const number = token.type === 'number' && !Number.isNaN(parseFloat(value)) ? parseFloat(value) : null
+  const sliderValue = length ? length.number : number
+  const range = sliderValue !== null ? getSliderRange(sliderValue, length ? length.unit : '') : null
+  const scope = getScopeLabel(token)
+
+  return (
+    <div className="token-row">
+      <div className="token-row-header">
+        <span className="token-name">{token.name}</span>
+        <button
+          type="button"
+          className="token-location"
+          onClick={() => onOpenSource({ path: token.fileName, line: token.line, column: token.column })}
+          title="Open in the code editor"
+        >
+          {token.fileName}:{token.line}
+        </button>
+      </div>
+      {scope && <div className="token-scope">{scope}</div>}
+
+      <div className="token-controls">
+        {token.type === 'color' && (color ? (
+          <input
+            type="color"
+            value={color.hex}
+            onChange={(e) => change(formatColor(e.target.value, color.alpha))}
+            className="color-picker-small"
+            title="Pick a color"
+          />
+        ) : (
+          // hsl(), oklch() and named colors - the swatch shows them, the text edits them
+          <span className="token-swatch" style={{ background: value }} />
+        ))}
+        {range && (
+          <input
+            type="range"
+            min={range.min}
+            max={range.max}
+            step={range.step}
+            value={Math.min(range.max, Math.max(range.min, sliderValue))}
+            onChange={(e) => change(`${parseFloat(e.target.value)}${length ? length.unit : ''}`)}
+            className="token-slider"
+          />
+        )}
+        <StyleInput value={value} onCommit={(next) => { if (next) change(next) }} />
+      </div>
+    </div>
+  )
+}
+
+/**
+ * The project's design tokens - every CSS custom property its stylesheets declare, grouped by
+ * file. Edits preview live and are written into the declaration
+ */
+function TokensPanel({ tokens = NO_TOKENS, files, onFileUpdate, onTokenPreview, onOpenSource }) {
+  const [filter, setFilter] = useState('')
+  // Pending writes by token - the latest files are read when one runs, so writes in a row stack
+  const writeTimeoutsRef = useRef(new Map())
+  const filesRef = useRef(files)
+  filesRef.current = files
+
+  useEffect(() => {
+    const timeouts = writeTimeoutsRef.current
+    return () => timeouts.forEach(clearTimeout)
+  }, [])
+
+  const handleChange = (token, value) => {
+    onTokenPreview?.(token, value)
+
+    const key = getTokenKey(token)
+    clearTimeout(writeTimeoutsRef.current.get(key))
+    writeTimeoutsRef.current.set(key, setTimeout(() => {
+      writeTimeoutsRef.current.delete(key)
+      const file = findFileByPath(filesRef.current, token.fileName)
+      if (!file) return
+      const content = setTokenValue(file.content || '', token, value)
+      if (content !== file.content) onFileUpdate(token.fileName, content)
+    }, WRITE_DELAY))
+  }
+
+  if (tokens.length === 0) {
+    return (
+      <div className="tokens-panel">
+        <div className="tokens-empty">
+          <p>No design tokens - declare custom properties like --primary in :root to edit them here</p>
+        </div>
+      </div>
+    )
+  }
+
+  const query = filter.trim().toLowerCase()
+  const visibleTokens = tokens.filter(token => token.name.toLowerCase().includes(query))
+  const fileNames = [...new Set(visibleTokens.map(token => token.fileName))]
+
+  return (
+    <div className="tokens-panel">
+      <div className="tokens-toolbar">
+        <input
+          type="text"
+          className="tokens-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter tokens"
+          aria-label="Filter tokens"
+          spellCheck={false}
+        />
+      </div>
+
+      <div className="tokens-content">
+        {visibleTokens.length === 0 && <p className="tokens-note">No tokens match</p>}
+        {fileNames.map(fileName => (
+          <div key={fileName}>
+            <h4 className="tokens-heading">{fileName}</h4>
+            {visibleTokens.filter(token => token.fileName === fileName).map(token => (
+              <TokenRow key={getTokenKey(token)} token={token} onChange={handleChange} onOpenSource={onOpenSource} />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default TokensPanel
@@ -0,0 +1,246 @@
+import { useState, useEffect, useRef } from 'react'
+import { StyleInput, SegmentedControl } from './StyleControls'
+import { SYSTEM_FONT_STACKS, loadFontFaces } from '../lib/fontCatalog'
+import { splitFontFamilies } from '../lib/cssParser'
+import './TypographyControls.css'
+
+const NO_STYLES = {}
+const NO_FONTS = { fonts: [], faces: [] }
+
+const FONT_WEIGHTS = [
+  { value: '100', label: '100 Thin' },
+  { value: '200', label: '200 Extra Light' },
+  { value: '300', label: '300 Light' },
+  { value: '400', label: '400 Regular' },
+  { value: '500', label: '500 Medium' },
+  { value: '600', label: '600 Semi Bold' },
+  { value: '700', label: '700 Bold' },
+  { value: '800', label: '800 Extra Bold' },
+  { value: '900', label: '900 Black' }
+]
+
+// Keyword weights as their numbers
+const WEIGHT_KEYWORDS = { normal: '400', bold: '700' }
+
+const FONT_STYLE_OPTIONS = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'italic', label: 'Italic' }
+]
+
+const TEXT_TRANSFORM_OPTIONS = [
+  { value: 'none', label: '—', title: 'None' },
+  { value: 'uppercase', label: 'AA', title: 'Uppercase' },
+  { value: 'lowercase', label: 'aa', title: 'Lowercase' },
+  { value: 'capitalize', label: 'Aa', title: 'Capitalize' }
+]
+
+const TEXT_DECORATION_OPTIONS = [
+  { value: 'none', label: '—', title: 'None' },
+  { value: 'underline', label: 'U', title: 'Underline' },
+  { value: 'line-through', label: 'S', title: 'Strikethrough' },
+  { value: 'overline', label: 'O', title: 'Overline' }
+]
+
+const WHITE_SPACE_OPTIONS = ['normal', 'nowrap', 'pre', 'pre-wrap', 'pre-line', 'break-spaces']
+
+// Stacks compare by their families, so quoting and spacing differences don't matter
+const getStackKey = (value) => splitFontFamilies(value).map(family => family.toLowerCase()).join(',')
+
+/**
+ * Font family dropdown - every option is shown in its own face
+ */
+function FontPicker({ value, projectFonts, onChange }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [customValue, setCustomValue] = useState('')
+  const pickerRef = useRef(null)
+
+  useEffect(() => {
+    if (!isOpen) return
+    const handleMouseDown = (e) => {
+      if (pickerRef.current && !pickerRef.current.contains(e.target)) setIsOpen(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+    document.addEventListener('mousedown', handleMouseDown)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [isOpen])
+
+  const currentKey = getStackKey(value)
+  const pick = (stack) => {
+    setIsOpen(false)
+    if (getStackKey(stack) !== currentKey) onChange(stack)
+  }
+
+  const renderOption = (font) => (
+    <li key={font.value}>
+      <button
+        type="button"
+        className={`font-option ${getStackKey(font.value) === currentKey ? 'active' : ''}`}
+        style={{ fontFamily: font.value }}
+        title={font.value}
+        onClick={() => pick(font.value)}
+      >
+        {font.label}
+      </button>
+    </li>
+  )
+
+  return (
+    <div className="font-picker" ref={pickerRef}>
+      <button
+        type="button"
+        className="font-picker-button property-select"
+        style={{ fontFamily: value }}
+        title={value}
+        onClick={() => setIsOpen(open => !open)}
+      >
+        {splitFontFamilies(value)[0] || 'Default'}
+      </button>
+      {isOpen && (
+        <div className="font-picker-menu">
+          {projectFonts.length > 0 && (
+            <>
+              <div className="font-picker-heading">Project</div>
+              <ul className="font-picker-list">{projectFonts.map(renderOption)}</ul>
+            </>
+          )}
+          <div className="font-picker-heading">System</div>
+          <ul className="font-picker-list">{SYSTEM_FONT_STACKS.map(renderOption)}</ul>
+          <input
+            type="text"
+            value={customValue}
+            onChange={(e) => setCustomValue(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && customValue.trim()) {
+                pick(customValue.trim())
+                setCustomValue('')
+              }
+            }}
+            className="property-input font-picker-custom"
+            placeholder="Other stack, e.g. 'Inter', sans-serif"
+            spellCheck={false}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Font family, weight, style, spacing, case, decoration and wrapping
+ */
+function TypographyControls({ styles = NO_STYLES, projectFonts = NO_FONTS, onStyleChange }) {
+  const [values, setValues] = useState(styles)
+
+  useEffect(() => {
+    setValues(styles)
+  }, [styles])
+
+  // The picker shows project fonts in their faces - load them into the editor too
+  useEffect(() => {
+    loadFontFaces(projectFonts.faces)
+  }, [projectFonts])
+
+  const setValue = (property, value) => {
+    setValues(prev => ({ ...prev, [property]: value }))
+    onStyleChange(property, value)
+  }
+
+  const fontWeight = WEIGHT_KEYWORDS[values.fontWeight] || values.fontWeight || '400'
+  const isCustomWeight = !FONT_WEIGHTS.some(option => option.value === fontWeight)
+
+  return (
+    <div className="typography-controls">
+      <div className="property-group">
+        <label className="property-label">Font Family</label>
+        <FontPicker
+          value={values.fontFamily || ''}
+          projectFonts={projectFonts.fonts}
+          onChange={(value) => setValue('fontFamily', value)}
+        />
+      </div>
+
+      <div className="property-group property-group-row">
+        <div className="property-item">
+          <label className="property-label">Weight</label>
+          <select
+            value={fontWeight}
+            onChange={(e) => setValue('fontWeight', e.target.value)}
+            className="property-select"
+          >
+            {isCustomWeight && <option value={fontWeight}>{fontWeight}</option>}
+            {FONT_WEIGHTS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="property-item">
+          <label className="property-label">White Space</label>
+          <select
+            value={values.whiteSpace || 'normal'}
+            onChange={(e) => setValue('whiteSpace', e.target.value)}
+            className="property-select"
+          >
+            {!WHITE_SPACE_OPTIONS.includes(values.whiteSpace || 'normal') && (
+              <option value={values.whiteSpace}>{values.whiteSpace}</option>
+            )}
+            {WHITE_SPACE_OPTIONS.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="property-group property-group-row">
+        <StyleInput
+          label="Line Height"
+          value={values.lineHeight || ''}
+          placeholder="normal"
+          property="lineHeight"
+          tokenType="length"
+          onCommit={(value) => setValue('lineHeight', value || 'normal')}
+        />
+        <StyleInput
+          label="Letter Spacing"
+          value={values.letterSpacing || ''}
+          placeholder="normal"
+          property="letterSpacing"
+          tokenType="length"
+          onCommit={(value) => setValue('letterSpacing', value || 'normal')}
+        />
+      </div>
+
+      <SegmentedControl
+        label="Style"
+        options={FONT_STYLE_OPTIONS}
+        value={values.fontStyle === 'oblique' ? 'italic' : values.fontStyle || 'normal'}
+        property="fontStyle"
+        onChange={(value) => setValue('fontStyle', value)}
+      />
+      <SegmentedControl
+        label="Case"
+        options={TEXT_TRANSFORM_OPTIONS}
+        value={values.textTransform || 'none'}
+        property="textTransform"
+        onChange={(value) => setValue('textTransform', value)}
+      />
+      <SegmentedControl
+        label="Decoration"
+        options={TEXT_DECORATION_OPTIONS}
+        value={values.textDecorationLine || 'none'}
+        property="textDecorationLine"
+        onChange={(value) => {
+          setValues(prev => ({ ...prev, textDecorationLine: value }))
+          onStyleChange('textDecoration', value)
+        }}
+      />
+    </div>
+  )
+}
+
+export default TypographyControls
@@ -0,0 +1,161 @@
+/**
+ * Breakpoints for style editing - the width ranges of the project's @media queries
+ * A breakpoint is identified by its range rather than its text, so "(max-width: 767px)" and
+ * "screen and (max-width:767px)" are the same breakpoint, and a rule the inspector reports
+ * (CSSOM media text) is tied to the block it came from in the source
+ *
+ * @typedef {Object} Breakpoint
+ * @property {string} id - "base", or the range ("0-767", "1024-")
+ * @property {string} label - "Base", "≤ 767px", "≥ 1024px", "768-1023px"
+ * @property {string|null} media - Query written for new @media blocks - null for base
+ * @property {number} minWidth - 0 when unbounded
+ * @property {number} maxWidth - Infinity when unbounded
+ */
+
+import { parseCss, walkCssRules } from './cssParser'
+import { DEVICE_PRESETS, MIN_VIEWPORT_SIZE, MAX_VIEWPORT_SIZE } from './devicePresets'
+
+export const BASE_BREAKPOINT = { id: 'base', label: 'Base', media: null, minWidth: 0, maxWidth: Infinity }
+
+// Desktop-first defaults for projects without media queries - the tablet and phone presets fall in them
+const DEFAULT_QUERIES = ['(max-width: 1023px)', '(max-width: 767px)']
+
+// Lengths in a width query - em and rem are relative to the browser's 16px default there
+const toPixels = (number, unit) => parseFloat(number) * (unit === 'px' ? 1 : 16)
+
+const WIDTH_FEATURE_PATTERN = /^\(\s*(min|max)-width\s*:\s*(\d*\.?\d+)(px|em|rem)\s*\)$/i
+const WIDTH_RANGE_PATTERN = /^\(\s*width\s*(<=|>=|<|>)\s*(\d*\.?\d+)(px|em|rem)\s*\)$/i
+
+/**
+ * Width range of a media query
+ *
+ * @param {string} media - Query text, with or without "@media"
+ * @returns {{minWidth: number, maxWidth: number}|null} null for queries that test anything but the
+ *   viewport width (print, orientation, hover...)
+ */
+export const parseWidthQuery = (media) => {
+  const text = String(media || '')
+    .replace(/^@media\s+/i, '')
+    .replace(/^(only\s+)?(screen|all)\s+and\s+/i, '')
+    .trim()
+  if (!text) return null
+
+  const range = { minWidth: 0, maxWidth: Infinity }
+  const parts = text.split(/\s+and\s+/i)
+  for (const part of parts) {
+    const feature = part.match(WIDTH_FEATURE_PATTERN)
+    const comparison = part.match(WIDTH_RANGE_PATTERN)
+    if (feature) {
+      const pixels = toPixels(feature[2], feature[3].toLowerCase())
+      if (feature[1].toLowerCase() === 'min') range.minWidth = Math.max(range.minWidth, pixels)
+      else range.maxWidth = Math.min(range.maxWidth, pixels)
+    } else if (comparison) {
+      const pixels = toPixels(comparison[2], comparison[3].toLowerCase())
+      // Strict comparisons exclude the boundary - a hundredth of a pixel, as in "max-width: 767.98px"
+      if (comparison[1] === '>=') range.minWidth = Math.max(range.minWidth, pixels)
+      if (comparison[1] === '>') range.minWidth = Math.max(range.minWidth, pixels + 0.01)
+      if (comparison[1] === '<=') range.maxWidth = Math.min(range.maxWidth, pixels)
+      if (comparison[1] === '<') range.maxWidth = Math.min(range.maxWidth, pixels - 0.01)
+    } else {
+      return null
+    }
+  }
+  return range
+}
+
+const formatWidth = (width) => `${Math.round(width * 100) / 100}px`
+
+const createBreakpoint = (range, media) => {
+  const { minWidth, maxWidth } = range
+  let label = `${formatWidth(minWidth)}-${formatWidth(maxWidth)}`
+  if (minWidth === 0) label = `≤ ${formatWidth(maxWidth)}`
+  if (maxWidth === Infinity) label = `≥ ${formatWidth(minWidth)}`
+  return { id: `${minWidth}-${maxWidth === Infinity ? '' : maxWidth}`, label, media, minWidth, maxWidth }
+}
+
+// Negative when a covers fewer widths than b - of two open-ended ranges, the one starting later
+const compareRanges = (a, b) => {
+  const spanA = a.maxWidth - a.minWidth
+  const spanB = b.maxWidth - b.minWidth
+  if (spanA === spanB) return b.minWidth - a.minWidth
+  return spanA - spanB
+}
+
+/**
+ * Whether a media query covers the same widths as a breakpoint
+ */
+export const isBreakpointMedia = (breakpoint, media) => {
+  const range = parseWidthQuery(media)
+  return !!range && range.minWidth === breakpoint.minWidth && range.maxWidth === breakpoint.maxWidth
+}
+
+/**
+ * Base plus a breakpoint for each width range the project's CSS has @media blocks for - widest
+ * first. Projects without any get a tablet and a phone breakpoint
+ *
+ * @param {Array} cssFiles - Project CSS files
+ * @returns {Breakpoint[]}
+ */
+export const getBreakpoints = (cssFiles) => {
+  const breakpoints = new Map()
+  const addQuery = (media) => {
+    const range = parseWidthQuery(media)
+    if (!range || (range.minWidth === 0 && range.maxWidth === Infinity)) return
+    const breakpoint = createBreakpoint(range, media.replace(/\s+/g, ' ').trim())
+    if (!breakpoints.has(breakpoint.id)) breakpoints.set(breakpoint.id, breakpoint)
+  }
+
+  ;(cssFiles || []).forEach(file => {
+    walkCssRules(parseCss(file.content || ''), rule => {
+      if (rule.type === 'at-rule' && rule.name === 'media') addQuery(rule.prelude)
+    })
+  })
+  if (breakpoints.size === 0) DEFAULT_QUERIES.forEach(addQuery)
+
+  const sorted = [...breakpoints.values()].sort((a, b) => compareRanges(b, a))
+  return [BASE_BREAKPOINT, ...sorted]
+}
+
+/**
+ * The breakpoint edits go to at a preview width - the narrowest range containing it, so a
+ * phone-sized preview picks "≤ 767px" over "≤ 1023px" and base when no query matches
+ */
+export const getBreakpointForWidth = (breakpoints, width) => {
+  return breakpoints
+    .filter(breakpoint => breakpoint.media && width >= breakpoint.minWidth && width <= breakpoint.maxWidth)
+    .reduce((narrowest, breakpoint) => (!narrowest || compareRanges(breakpoint, narrowest) < 0 ? breakpoint : narrowest), null) ||
+    BASE_BREAKPOINT
+}
+
+/**
+ * A preview width that selects a breakpoint - the widest device preset in it, otherwise one of
+ * its edges
+ *
+ * @returns {number|null} null when no width selects it (base, when the queries cover every width)
+ */
+export const getBreakpointPreviewWidth = (breakpoints, breakpoint) => {
+  const selects = (width) => width >= MIN_VIEWPORT_SIZE && width <= MAX_VIEWPORT_SIZE &&
+    getBreakpointForWidth(breakpoints, width).id === breakpoint.id
+
+  const preset = DEVICE_PRESETS
+    .map(device => device.width)
+    .filter(selects)
+    .sort((a, b) => b - a)[0]
+  if (preset) return preset
+
+  const edges = breakpoints.flatMap(other => [Math.floor(other.maxWidth), Math.floor(other.maxWidth) + 1, Math.ceil(other.minWidth), Math.ceil(other.minWidth) - 1])
+  return edges.filter(Number.isFinite).filter(selects).sort((a, b) => b - a)[0] || null
+}
+
+/**
+ * Whether a rule the inspector matched sits in a breakpoint's @media block - base takes the
+ * rules outside any width query
+ *
+ * @param {import('./cssRules').MatchedRule} rule
+ * @param {Breakpoint} breakpoint
+ */
+export const isRuleInBreakpoint = (rule, breakpoint) => {
+  const widthQueries = rule.conditions.filter(condition => condition.startsWith('@media ') && parseWidthQuery(condition))
+  if (!breakpoint.media) return widthQueries.length === 0
+  return widthQueries.length === 1 && isBreakpointMedia(breakpoint, widthQueries[0])
+}
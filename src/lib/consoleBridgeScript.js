@@ -0,0 +1,187 @@
+/**
+ * Console bridge injected at the top of every previewed HTML page.
+ * Runs inside the preview iframe before any project script: forwards console calls,
+ * uncaught errors and unhandled rejections to PreviewPane as CONSOLE_MESSAGE, and
+ * evaluates CONSOLE_EVALUATE expressions for the console panel's REPL.
+ *
+ * Sources are reported as project paths with line/column, so the console panel can
+ * link into the code editor. Lines in the page itself are shifted back by
+ * pageLineOffset, the number of lines the editor inserted above the page's content.
+ *
+ * @param {Object} options
+ * @param {string} options.pagePath - Project path of the page being previewed
+ * @param {number} options.pageLineOffset - Lines injected above the page's own content
+ * @returns {string} A <script> tag ready to insert right after <head>
+ */
+export const buildConsoleBridgeScript = ({ pagePath = '', pageLineOffset = 0 } = {}) => `
+  <script>
+    (function() {
+      if (window.__vibecanvasConsole) return;
+
+      var PAGE_PATH = ${JSON.stringify(pagePath)};
+      var PAGE_LINE_OFFSET = ${Number(pageLineOffset) || 0};
+      var LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+      var MAX_TEXT_LENGTH = 10000;
+
+      // Keep the real console so the inspector script can log without being captured
+      var nativeConsole = {};
+      LEVELS.concat(['clear']).forEach(function(level) {
+        nativeConsole[level] = console[level] ? console[level].bind(console) : function() {};
+      });
+      window.__vibecanvasConsole = nativeConsole;
+
+      // "/__preview/<session>/" - everything after it is the project path
+      var servedRoot = (function() {
+        var match = location.pathname.match(/^\\/__preview\\/[^/]+\\//);
+        return match ? location.origin + match[0] : null;
+      })();
+      var pageUrl = location.href.split(/[?#]/)[0];
+
+      function toProjectLocation(url, line, column) {
+        if (!url) return null;
+        var cleanUrl = url.split(/[?#]/)[0];
+        var path = null;
+        if (cleanUrl === pageUrl) {
+          path = PAGE_PATH;
+        } else if (servedRoot && cleanUrl.indexOf(servedRoot) === 0) {
+          try {
+            path = decodeURIComponent(cleanUrl.substring(servedRoot.length));
+          } catch (e) {
+            path = cleanUrl.substring(servedRoot.length);
+          }
+        }
+        if (path === PAGE_PATH) {
+          line = Math.max(1, line - PAGE_LINE_OFFSET);
+        }
+        return { path: path, url: path ? null : cleanUrl, line: line, column: column };
+      }
+
+      // Pick a frame out of an Error stack ("at fn (url:1:2)" in Chrome, "fn@url:1:2" in Firefox)
+      function getStackLocation(stack, skipFrames) {
+        if (!stack) return null;
+        var pattern = /((?:https?|blob|file):[^\\s()]+?):(\\d+):(\\d+)/g;
+        var frames = [];
+        var match;
+        while ((match = pattern.exec(stack))) {
+          frames.push(match);
+        }
+        var frame = frames[skipFrames || 0];
+        return frame ? toProjectLocation(frame[1], Number(frame[2]), Number(frame[3])) : null;
+      }
+
+      function describeElement(element) {
+        var description = '<' + element.tagName.toLowerCase();
+        if (element.id) description += ' id="' + element.id + '"';
+        if (typeof element.className === 'string' && element.className) {
+          description += ' class="' + element.className + '"';
+        }
+        return description + '>';
+      }
+
+      function formatValue(value, depth) {
+        if (typeof value === 'string') return depth ? JSON.stringify(value) : value;
+        if (value === undefined) return 'undefined';
+        if (value === null) return 'null';
+        if (typeof value === 'function') return 'ƒ ' + (value.name || 'anonymous') + '()';
+        if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString();
+        if (typeof value !== 'object') return String(value);
+        if (value instanceof Error) return value.stack || (value.name + ': ' + value.message);
+        if (typeof Element !== 'undefined' && value instanceof Element) return describeElement(value);
+        if (typeof Promise !== 'undefined' && value instanceof Promise) return 'Promise';
+
+        if (depth >= 2) return Array.isArray(value) ? 'Array(' + value.length + ')' : '{…}';
+        try {
+          if (Array.isArray(value)) {
+            var items = value.slice(0, 100).map(function(item) { return formatValue(item, depth + 1); });
+            if (value.length > 100) items.push('…');
+            return '[' + items.join(', ') + ']';
+          }
+          var keys = Object.keys(value);
+          var entries = keys.slice(0, 50).map(function(key) {
+            return key + ': ' + formatValue(value[key], depth + 1);
+          });
+          if (keys.length > 50) entries.push('…');
+          var name = value.constructor && value.constructor !== Object ? value.constructor.name + ' ' : '';
+          return name + '{' + entries.join(', ') + '}';
+        } catch (e) {
+          return Object.prototype.toString.call(value);
+        }
+      }
+
+      function formatArgs(args) {
+        var text = Array.prototype.map.call(args, function(arg) { return formatValue(arg, 0); }).join(' ');
+        return text.length > MAX_TEXT_LENGTH ? text.substring(0, MAX_TEXT_LENGTH) + '…' : text;
+      }
+
+      function send(level, text, source) {
+        try {
+          window.parent.postMessage({
+            type: 'CONSOLE_MESSAGE',
+            level: level,
+            text: text,
+            source: source || null
+          }, '*');
+        } catch (e) {
+          nativeConsole.error('Console bridge could not forward message:', e);
+        }
+      }
+
+      // Lets the console panel clear (or mark) the log when a new page starts
+      send('navigate', PAGE_PATH, null);
+
+      LEVELS.forEach(function(level) {
+        console[level] = function() {
+          nativeConsole[level].apply(null, arguments);
+          // Frame 0 is this wrapper - frame 1 is the project code that called console
+          send(level, formatArgs(arguments), getStackLocation(new Error().stack, 1));
+        };
+      });
+
+      console.clear = function() {
+        nativeConsole.clear();
+        send('clear', '', null);
+      };
+
+      window.addEventListener('error', function(event) {
+        // Resource load errors (img, script src) don't bubble and have no message
+        if (!event.message) return;
+        var text = event.error ? formatValue(event.error, 0) : event.message;
+        send('error', 'Uncaught ' + text, toProjectLocation(event.filename, event.lineno, event.colno));
+      });
+
+      window.addEventListener('unhandledrejection', function(event) {
+        var reason = event.reason;
+        send(
+          'error',
+          'Uncaught (in promise) ' + formatValue(reason, 0),
+          reason && reason.stack ? getStackLocation(reason.stack, 0) : null
+        );
+      });
+
+      // REPL: evaluate in the page's global scope, like the browser console
+      window.addEventListener('message', function(event) {
+        if (!event.data || event.data.type !== 'CONSOLE_EVALUATE') return;
+        // Only the editor may run code here - not frames or popups the page opens
+        if (event.source !== window.parent) return;
+
+        var result;
+        try {
+          result = (0, eval)(event.data.expression);
+        } catch (error) {
+          send('error', 'Uncaught ' + formatValue(error, 0), null);
+          return;
+        }
+
+        if (result && typeof result.then === 'function') {
+          result.then(function(value) {
+            send('result', 'Promise {<fulfilled>: ' + formatValue(value, 1) + '}', null);
+          }, function(error) {
+            send('error', 'Uncaught (in promise) ' + formatValue(error, 0), null);
+          });
+          return;
+        }
+        send('result', formatValue(result, 1), null);
+      });
+    })();
+  </script>
+`
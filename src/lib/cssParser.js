@@ -0,0 +1,252 @@
+/**
+ * CSS parser for the project's stylesheets
+ * Rules and declarations keep their source offsets, so edits can be written back into the
+ * exact place they came from. Comments and string contents are blanked before scanning,
+ * so braces, semicolons and dots inside them aren't mistaken for structure
+ *
+ * @typedef {Object} CssDeclaration
+ * @property {string} property - Lowercase property name ("font-family", "--primary" keeps its case)
+ * @property {string} value - Value as written, without comments or !important
+ * @property {boolean} important
+ * @property {number} start - Offset of the property name
+ * @property {number} end - Offset after the declaration (before its ";")
+ * @property {number} valueStart - Offset of the value
+ * @property {number} valueEnd - Offset after the value, before any !important
+ *
+ * @typedef {Object} CssRule
+ * @property {'rule'|'at-rule'} type
+ * @property {string} [selector] - Style rules: the selector list as written
+ * @property {string} [name] - At-rules: lowercase name without "@" ("media", "font-face")
+ * @property {string} [prelude] - At-rules: the text between the name and the block
+ * @property {number} start - Offset of the selector or "@"
+ * @property {number} end - Offset after the closing "}" (or ";" for statements like @import)
+ * @property {number|null} bodyStart - Offset after "{", null for statements
+ * @property {number|null} bodyEnd - Offset of "}", null for statements
+ * @property {CssDeclaration[]} declarations - Declarations directly in the block
+ * @property {CssRule[]} rules - Rules nested in the block (@media, @supports...)
+ * @property {CssRule|null} parent - Enclosing at-rule, null at the top level
+ */
+
+// Keep offsets intact: comments and strings are replaced with spaces of the same length
+const blankCommentsAndStrings = (css) => {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, match => ' '.repeat(match.length))
+    .replace(/(["'])(?:\\.|(?!\1)[^\\\n])*\1/g, match => match[0] + ' '.repeat(match.length - 2) + match[0])
+}
+
+const stripComments = (text) => text.replace(/\/\*[\s\S]*?\*\//g, '')
+
+// Offsets of a segment's text without surrounding whitespace
+const trimRange = (text, start, end) => {
+  while (start < end && /\s/.test(text[start])) start++
+  while (end > start && /\s/.test(text[end - 1])) end--
+  return [start, end]
+}
+
+// A segment of a block ending in ";" or "}" - null when it isn't a "property: value" pair
+const parseDeclaration = (source, text, segmentStart, segmentEnd) => {
+  const [start, end] = trimRange(text, segmentStart, segmentEnd)
+  const colon = text.indexOf(':', start)
+  if (start === end || colon === -1 || colon >= end) return null
+
+  const name = source.slice(start, colon).trim()
+  if (!name || /[\s{}]/.test(name)) return null
+
+  const [valueStart, declarationEnd] = trimRange(text, colon + 1, end)
+  let valueEnd = declarationEnd
+  const important = text.slice(valueStart, declarationEnd).match(/!\s*important\s*$/i)
+  if (important) {
+    valueEnd = trimRange(text, valueStart, declarationEnd - important[0].length)[1]
+  }
+
+  return {
+    property: name.startsWith('--') ? name : name.toLowerCase(),
+    value: stripComments(source.slice(valueStart, valueEnd)).trim(),
+    important: !!important,
+    start,
+    end: declarationEnd,
+    valueStart,
+    valueEnd
+  }
+}
+
+const createRule = (source, text, preludeStart, preludeEnd, parent) => {
+  const [start, end] = trimRange(text, preludeStart, preludeEnd)
+  const prelude = stripComments(source.slice(start, end)).trim()
+  const rule = { start, end: null, bodyStart: null, bodyEnd: null, declarations: [], rules: [], parent }
+  if (prelude.startsWith('@')) {
+    const match = prelude.match(/^@([\w-]+)\s*([\s\S]*)$/)
+    return { type: 'at-rule', name: (match ? match[1] : '').toLowerCase(), prelude: match ? match[2].trim() : '', ...rule }
+  }
+  return { type: 'rule', selector: prelude, ...rule }
+}
+
+/**
+ * Parse a stylesheet into its rules
+ *
+ * @param {string} css - Stylesheet text
+ * @returns {CssRule[]} Top-level rules in source order
+ */
+export const parseCss = (css) => {
+  const source = css || ''
+  const text = blankCommentsAndStrings(source)
+  const rules = []
+  const open = []
+  // Start of the current segment - a prelude, a declaration or a statement
+  let segmentStart = 0
+  // Semicolons and braces inside url(...) and other functions aren't structure
+  let parenDepth = 0
+
+  const current = () => open[open.length - 1] || null
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (char === '(') {
+      parenDepth++
+    } else if (char === ')') {
+      parenDepth = Math.max(0, parenDepth - 1)
+    } else if (parenDepth > 0) {
+      continue
+    } else if (char === '{') {
+      const rule = createRule(source, text, segmentStart, i, current())
+      rule.bodyStart = i + 1
+      ;(current() ? current().rules : rules).push(rule)
+      open.push(rule)
+      segmentStart = i + 1
+    } else if (char === ';' || char === '}') {
+      const block = current()
+      if (block) {
+        const declaration = parseDeclaration(source, text, segmentStart, i)
+        if (declaration) block.declarations.push(declaration)
+      } else if (char === ';' && text.slice(segmentStart, i).trim().startsWith('@')) {
+        // Statement at-rules - @import, @charset, @layer a, b;
+        const statement = createRule(source, text, segmentStart, i, null)
+        statement.end = i + 1
+        rules.push(statement)
+      }
+      if (char === '}' && block) {
+        block.bodyEnd = i
+        block.end = i + 1
+        open.pop()
+      }
+      segmentStart = i + 1
+    }
+  }
+
+  // Unclosed blocks run to the end of the file
+  if (current()) {
+    const declaration = parseDeclaration(source, text, segmentStart, text.length)
+    if (declaration) current().declarations.push(declaration)
+  }
+  open.forEach(rule => {
+    rule.bodyEnd = source.length
+    rule.end = source.length
+  })
+  return rules
+}
+
+/**
+ * Visit every rule, nested ones included, in source order
+ *
+ * @param {CssRule[]} rules - Output of parseCss
+ * @param {Function} visit - Called with each rule
+ */
+export const walkCssRules = (rules, visit) => {
+  rules.forEach(rule => {
+    visit(rule)
+    walkCssRules(rule.rules, visit)
+  })
+}
+
+// Keyframe steps ("from", "50%") look like style rules but aren't
+export const isKeyframesRule = (rule) => rule.type === 'at-rule' && /^(-[a-z]+-)?keyframes$/.test(rule.name)
+
+/**
+ * Selectors of every style rule, including rules nested in @media and @supports blocks
+ * Keyframe steps are left out
+ *
+ * @param {string} css - Stylesheet text
+ * @returns {string[]} Selector lists as written ("h1, .title"), in source order
+ */
+export const getRuleSelectors = (css) => {
+  const selectors = []
+  walkCssRules(parseCss(css), rule => {
+    if (rule.type === 'rule' && rule.selector && !(rule.parent && isKeyframesRule(rule.parent))) {
+      selectors.push(rule.selector)
+    }
+  })
+  return selectors
+}
+
+/**
+ * Class names used in the stylesheet's selectors, for class autocomplete
+ *
+ * @param {string} css - Stylesheet text
+ * @returns {string[]} Unique class names, sorted
+ */
+export const getClassNamesFromCss = (css) => {
+  const classNames = new Set()
+  getRuleSelectors(css).forEach(selector => {
+    // ".md\:flex" is the class "md:flex" - dots in attribute values ([href$=".pdf"]) aren't classes
+    const pattern = /\.((?:-?[_a-zA-Z]|\\.)(?:[\w-]|\\.)*)/g
+    const text = blankCommentsAndStrings(selector)
+    let match
+    while ((match = pattern.exec(text)) !== null) {
+      classNames.add(match[1].replace(/\\(.)/g, '$1'))
+    }
+  })
+  return Array.from(classNames).sort()
+}
+
+/**
+ * Split a font-family list into family names, quotes removed - "'Inter', sans-serif" -> ['Inter', 'sans-serif']
+ */
+export const splitFontFamilies = (value) => {
+  const families = []
+  const pattern = /\s*(?:"([^"]*)"|'([^']*)'|([^,]+))\s*(?:,|$)/g
+  let match
+  while ((match = pattern.exec(value || '')) !== null && match[0]) {
+    const family = (match[1] ?? match[2] ?? match[3] ?? '').trim()
+    if (family) families.push(family)
+  }
+  return families
+}
+
+/**
+ * Fonts the stylesheet declares with @font-face
+ *
+ * @param {string} css - Stylesheet text
+ * @returns {Array<{family: string, src: string, weight: string, style: string}>}
+ */
+export const getFontFaces = (css) => {
+  const faces = []
+  walkCssRules(parseCss(css), rule => {
+    if (rule.type !== 'at-rule' || rule.name !== 'font-face') return
+    const read = (property) => {
+      const declaration = rule.declarations.filter(d => d.property === property).pop()
+      return declaration ? declaration.value : ''
+    }
+    const family = splitFontFamilies(read('font-family'))[0]
+    if (family) {
+      faces.push({ family, src: read('src'), weight: read('font-weight') || 'normal', style: read('font-style') || 'normal' })
+    }
+  })
+  return faces
+}
+
+/**
+ * font-family values the stylesheet's rules use, as written ("'Inter', sans-serif")
+ *
+ * @param {string} css - Stylesheet text
+ * @returns {string[]} Unique values in source order
+ */
+export const getFontFamilyValues = (css) => {
+  const values = new Set()
+  walkCssRules(parseCss(css), rule => {
+    if (rule.type !== 'rule') return
+    rule.declarations
+      .filter(declaration => declaration.property === 'font-family' && !/^(inherit|initial|unset|revert)$/i.test(declaration.value))
+      .forEach(declaration => values.add(declaration.value))
+  })
+  return Array.from(values)
+}
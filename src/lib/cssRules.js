@@ -0,0 +1,514 @@
+/**
+ * Matched CSS rules of the selected element, tied back to the project's stylesheets
+ * The inspector reports the rules that match from the page's CSSOM - stylesheet, selector,
+ * specificity and the rule's occurrence among the sheet's rules with the same selector.
+ * Here they're found again in the CSS source with parseCss, so style edits are written into
+ * the rule that actually styles the element
+ *
+ * @typedef {Object} MatchedRule
+ * @property {{href: string|null, styleId: string|null}} source - Stylesheet URL, or the id of the <style> it was inlined into
+ * @property {string} selector - Selector list as the browser serializes it
+ * @property {number} occurrence - Index among the stylesheet's rules with the same selector
+ * @property {number[]} specificity - [ids, classes, types] of the most specific selector that matches
+ * @property {string[]} conditions - Enclosing "@media ..." / "@supports ..." preludes
+ * @property {number} order - Position in the page's cascade order
+ * @property {string[]} properties - Longhand properties the rule declares
+ * @property {string[]} important - The ones declared !important
+ * @property {Array<{property: string, value: string, important: boolean, line?: number, column?: number}>} declarations -
+ *   The browser's longhands - replaced by the declarations as written, with their line and column, once located
+ * @property {string|null} [fileName] - Project CSS file, once located - null when the rule isn't in one
+ * @property {number|null} [line] - 1-based line of the rule in that file
+ */
+
+import { parseCss, walkCssRules, isKeyframesRule } from './cssParser'
+import { getFilePath } from './projectPaths'
+import { parseWidthQuery } from './breakpoints'
+
+/**
+ * id of the <style> tag a CSS file is inlined into when the preview can't be served
+ */
+export const getInlinedStyleId = (cssPath) => `injected-${cssPath.replace(/[^a-zA-Z0-9]/g, '-')}`
+
+// Served previews load stylesheets from /__preview/<session>/<path>
+const PREVIEW_PATH_PATTERN = /\/__preview\/[^/]+\/(.+)$/
+
+/**
+ * Project path of the stylesheet a matched rule came from
+ *
+ * @returns {string|null} null for the page's own <style> blocks and stylesheets outside the project
+ */
+export const getStylesheetPath = (source, cssFiles) => {
+  if (!source) return null
+  let path = null
+  if (source.href) {
+    const match = source.href.match(PREVIEW_PATH_PATTERN)
+    try {
+      path = match ? decodeURIComponent(match[1]) : null
+    } catch {
+      path = match[1]
+    }
+  } else if (source.styleId) {
+    const file = cssFiles.find(cssFile => getInlinedStyleId(getFilePath(cssFile)) === source.styleId)
+    path = file ? getFilePath(file) : null
+  }
+  return path && cssFiles.some(file => getFilePath(file) === path) ? path : null
+}
+
+/**
+ * Selector text in the form the browser serializes it, so source and CSSOM selectors compare equal
+ */
+export const normalizeSelector = (selector) => {
+  return String(selector || '')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/'/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([>+~,()])\s*/g, '$1')
+    .replace(/(^|[^:]):(before|after|first-line|first-letter)\b/gi, '$1::$2')
+    .trim()
+}
+
+// Style rules in source order, numbered among rules with the same selector - the inspector
+// numbers the CSSOM rules the same way
+const getSourceRules = (css) => {
+  const counts = new Map()
+  const rules = []
+  walkCssRules(parseCss(css), rule => {
+    if (rule.type !== 'rule' || (rule.parent && isKeyframesRule(rule.parent))) return
+    const key = normalizeSelector(rule.selector)
+    const occurrence = counts.get(key) || 0
+    counts.set(key, occurrence + 1)
+    rules.push({ rule, key, occurrence })
+  })
+  return rules
+}
+
+/**
+ * Find a style rule in a stylesheet by selector and occurrence
+ *
+ * @param {string} css - Stylesheet text
+ * @param {string} selector - Selector as written or as the browser serializes it
+ * @param {number|null} occurrence - Index among rules with that selector - null for the last top-level one
+ * @returns {import('./cssParser').CssRule|null}
+ */
+export const findSourceRule = (css, selector, occurrence) => {
+  const key = normalizeSelector(selector)
+  const rules = getSourceRules(css).filter(entry => entry.key === key)
+  if (occurrence === null) {
+    const topLevel = rules.filter(entry => !entry.rule.parent)
+    return topLevel.length > 0 ? topLevel[topLevel.length - 1].rule : null
+  }
+  const entry = rules.find(candidate => candidate.occurrence === occurrence)
+  return entry ? entry.rule : null
+}
+
+/**
+ * 1-based line and column of an offset in a file
+ */
+export const getLocation = (text, offset) => {
+  const before = text.slice(0, offset)
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') }
+}
+
+// Finds matched rules in the project's CSS - each file is parsed once
+const createRuleLocator = (cssFiles) => {
+  const sourceRules = new Map()
+  return (matched) => {
+    const fileName = getStylesheetPath(matched.source, cssFiles)
+    if (!fileName) return { ...matched, fileName: null, line: null }
+
+    if (!sourceRules.has(fileName)) {
+      const content = cssFiles.find(file => getFilePath(file) === fileName).content || ''
+      sourceRules.set(fileName, { content, rules: getSourceRules(content) })
+    }
+    const { content, rules } = sourceRules.get(fileName)
+    const key = normalizeSelector(matched.selector)
+    const entry = rules.find(candidate => candidate.key === key && candidate.occurrence === matched.occurrence)
+    if (!entry) return { ...matched, fileName: null, line: null }
+
+    return {
+      ...matched,
+      fileName,
+      line: getLocation(content, entry.rule.start).line,
+      declarations: entry.rule.declarations.map(declaration => ({
+        property: declaration.property,
+        value: declaration.value,
+        important: declaration.important,
+        ...getLocation(content, declaration.start)
+      }))
+    }
+  }
+}
+
+/**
+ * Add the project file and line to the inspector's matched rules
+ *
+ * @param {MatchedRule[]} matchedRules - From the inspector's element info
+ * @param {Array} cssFiles - Project CSS files
+ * @returns {MatchedRule[]} Same order - fileName and line are null for rules not found in the project's CSS
+ */
+export const locateMatchedRules = (matchedRules, cssFiles) => {
+  const locate = createRuleLocator(cssFiles)
+  return (matchedRules || []).map(matched => locate(matched))
+}
+
+/**
+ * Stable id of a located rule, for pickers and pending-change keys
+ */
+export const getRuleId = (rule) => `${rule.fileName}|${rule.selector}|${rule.occurrence}`
+
+// Longhands each shorthand sets
+const SHORTHANDS = {
+  margin: /^margin-(top|right|bottom|left)$/,
+  padding: /^padding-(top|right|bottom|left)$/,
+  border: /^border-(top|right|bottom|left)-(width|style|color)$|^border-image-/,
+  'border-top': /^border-top-(width|style|color)$/,
+  'border-right': /^border-right-(width|style|color)$/,
+  'border-bottom': /^border-bottom-(width|style|color)$/,
+  'border-left': /^border-left-(width|style|color)$/,
+  'border-width': /^border-(top|right|bottom|left)-width$/,
+  'border-style': /^border-(top|right|bottom|left)-style$/,
+  'border-color': /^border-(top|right|bottom|left)-color$/,
+  'border-radius': /^border-(top|bottom)-(left|right)-radius$/,
+  'border-image': /^border-image-/,
+  outline: /^outline-(width|style|color)$/,
+  background: /^background-/,
+  font: /^font-(family|size|style|weight|stretch|variant.*)$|^line-height$/,
+  flex: /^flex-(grow|shrink|basis)$/,
+  'flex-flow': /^flex-(direction|wrap)$/,
+  grid: /^grid-(template|auto)-/,
+  'grid-template': /^grid-template-/,
+  'grid-area': /^grid-(row|column)-(start|end)$/,
+  'grid-row': /^grid-row-(start|end)$/,
+  'grid-column': /^grid-column-(start|end)$/,
+  gap: /^(row|column)-gap$/,
+  'grid-gap': /^(row|column)-gap$/,
+  'place-items': /^(align|justify)-items$/,
+  'place-content': /^(align|justify)-content$/,
+  'place-self': /^(align|justify)-self$/,
+  inset: /^(top|right|bottom|left)$/,
+  overflow: /^overflow-(x|y)$/,
+  'list-style': /^list-style-/,
+  'text-decoration': /^text-decoration-/,
+  transition: /^transition-/,
+  animation: /^animation-/,
+  columns: /^column-(width|count)$/,
+  'column-rule': /^column-rule-/,
+  mask: /^mask-/
+}
+
+/**
+ * Whether a property sets another - "margin" covers "margin-top", "border-color" covers
+ * "border-top-color", "color" doesn't cover "background-color"
+ */
+export const coversProperty = (shorthand, longhand) => {
+  if (shorthand === longhand) return true
+  if (shorthand === 'all') return !longhand.startsWith('--') && longhand !== 'direction' && longhand !== 'unicode-bidi'
+  return !!SHORTHANDS[shorthand] && SHORTHANDS[shorthand].test(longhand)
+}
+
+const compareSpecificity = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]
+
+// Cascade order for one property - !important first, then the style attribute, then specificity, then source order
+const compareCascade = (a, b, property) => {
+  const isImportant = (rule) => rule.important.some(name => coversProperty(property, name)) ? 1 : 0
+  return isImportant(a) - isImportant(b) ||
+    (a.isInline ? 1 : 0) - (b.isInline ? 1 : 0) ||
+    compareSpecificity(a.specificity, b.specificity) ||
+    a.order - b.order
+}
+
+/**
+ * The rule whose declaration of a property wins the cascade
+ *
+ * @param {MatchedRule[]} matchedRules
+ * @param {string} property - CSS property name ("background-color"), shorthands included
+ * @returns {MatchedRule|null} null when no matched rule sets the property
+ */
+export const getWinningRule = (matchedRules, property) => {
+  return matchedRules
+    .filter(rule => rule.properties.some(name => coversProperty(property, name)))
+    .reduce((winner, rule) => (!winner || compareCascade(rule, winner, property) >= 0 ? rule : winner), null)
+}
+
+/**
+ * The rule an edit of a property should go to: the winning rule, or when no rule sets the
+ * property, the highest-precedence class or id rule - a bare "p" or "*" would restyle every match
+ *
+ * @returns {MatchedRule|null} null when that rule isn't in the project's CSS, or there's none
+ */
+export const getTargetRule = (matchedRules, property) => {
+  const winner = getWinningRule(matchedRules, property)
+  if (winner) return winner.fileName ? winner : null
+  return matchedRules
+    .filter(rule => rule.fileName && (rule.specificity[0] > 0 || rule.specificity[1] > 0))
+    .reduce((best, rule) => (!best || compareCascade(rule, best, property) >= 0 ? rule : best), null)
+}
+
+/**
+ * Matched rules from the highest precedence down, for the rule picker and the Styles tab
+ */
+export const sortByPrecedence = (matchedRules) => {
+  return matchedRules.slice().sort((a, b) => {
+    return (b.isInline ? 1 : 0) - (a.isInline ? 1 : 0) || compareSpecificity(b.specificity, a.specificity) || b.order - a.order
+  })
+}
+
+// Inherited by default - besides custom properties and the font, list, text-emphasis and SVG paint families
+const INHERITED_PROPERTIES = new Set([
+  'color', 'cursor', 'direction', 'visibility', 'quotes', 'orphans', 'widows', 'line-height',
+  'letter-spacing', 'word-spacing', 'word-break', 'overflow-wrap', 'word-wrap', 'hyphens', 'tab-size',
+  'white-space', 'white-space-collapse', 'text-wrap', 'text-wrap-mode', 'text-wrap-style',
+  'text-align', 'text-align-last', 'text-indent', 'text-justify', 'text-shadow', 'text-transform',
+  'text-rendering', 'text-underline-position', 'text-underline-offset', 'text-decoration-skip-ink',
+  'caret-color', 'accent-color', 'color-scheme', 'image-rendering', 'pointer-events', 'writing-mode',
+  'paint-order', 'border-collapse', 'border-spacing', 'caption-side', 'empty-cells'
+])
+const INHERITED_PATTERN = /^(--|font|list-style|text-emphasis|fill|stroke|-webkit-text-|-webkit-font-smoothing|-moz-osx-font-smoothing)/
+
+const isInheritedProperty = (property) => INHERITED_PROPERTIES.has(property) || INHERITED_PATTERN.test(property)
+
+// The element's style attribute, as a rule that beats every stylesheet rule
+const createInlineEntry = (declarations) => ({
+  isInline: true,
+  source: null,
+  selector: 'element.style',
+  occurrence: 0,
+  specificity: [0, 0, 0],
+  conditions: [],
+  order: Infinity,
+  properties: declarations.map(declaration => declaration.property),
+  important: declarations.filter(declaration => declaration.important).map(declaration => declaration.property),
+  declarations,
+  fileName: null,
+  line: null
+})
+
+// The property a declaration sets - a prefixed alias the browser keeps under the standard name
+// (-webkit-transform) counts as that name
+const getDeclaredProperty = (rule, declaration) => {
+  const unprefixed = declaration.property.replace(/^-[a-z]+-/, '')
+  return !rule.properties.includes(declaration.property) && rule.properties.includes(unprefixed) ? unprefixed : declaration.property
+}
+
+// The declaration in a rule that sets a longhand - the last one, or the last !important one
+const getDeclarationFor = (rule, longhand) => {
+  const candidates = rule.declarations.filter(declaration => coversProperty(getDeclaredProperty(rule, declaration), longhand))
+  const important = candidates.filter(declaration => declaration.important)
+  return (important.length > 0 ? important : candidates).pop() || null
+}
+
+/**
+ * The cascade of the selected element, for the Styles tab: its style attribute and matched
+ * rules from the highest precedence down, the inheritable declarations of its ancestors, and
+ * the computed value of every property they set - with where that value comes from
+ *
+ * @param {Object} element - Element info from the inspector, with its CASCADE (inheritedRules and
+ *   computedValues) when the inspector has sent it
+ * @param {Array} cssFiles - Project CSS files
+ * @returns {{rules: Array, inherited: Array, computed: Array}} Declarations carry isOverridden,
+ *   and isInvalid when the browser dropped them
+ */
+export const getCascade = (element, cssFiles) => {
+  const locate = createRuleLocator(cssFiles)
+  const getEntries = (target) => {
+    const rules = (target.matchedRules || []).map(matched => locate(matched))
+    const inline = target.inlineStyle || []
+    return inline.length > 0 ? [createInlineEntry(inline), ...rules] : rules
+  }
+  const ownEntries = getEntries(element)
+  const ancestors = (element.inheritedRules || []).map(ancestor => ({ ancestor, entries: getEntries(ancestor) }))
+
+  // Where each longhand's value comes from - the element's own winning rule, otherwise the
+  // nearest ancestor that sets it, for inherited properties
+  const winners = new Map()
+  ownEntries.forEach(entry => entry.properties.forEach(property => {
+    if (!winners.has(property)) winners.set(property, { rule: getWinningRule(ownEntries, property), ancestor: null })
+  }))
+  ancestors.forEach(({ ancestor, entries }) => entries.forEach(entry => entry.properties.forEach(property => {
+    if (winners.has(property) || !isInheritedProperty(property)) return
+    winners.set(property, { rule: getWinningRule(entries, property), ancestor })
+  })))
+
+  const describeRule = (rule, isInherited) => ({
+    selector: rule.selector,
+    isInline: !!rule.isInline,
+    specificity: rule.specificity,
+    conditions: rule.conditions,
+    fileName: rule.fileName,
+    line: rule.line,
+    declarations: rule.declarations
+      .filter(declaration => !isInherited || isInheritedProperty(declaration.property))
+      .map(declaration => {
+        const longhands = rule.properties.filter(property => coversProperty(getDeclaredProperty(rule, declaration), property))
+        const isApplied = longhands.some(property => {
+          const winner = winners.get(property)
+          return winner && winner.rule === rule && getDeclarationFor(rule, property) === declaration
+        })
+        return { ...declaration, isOverridden: !isApplied, isInvalid: longhands.length === 0 }
+      })
+  })
+
+  const computedValues = element.computedValues || {}
+  const computed = [...winners.entries()]
+    .filter(([, winner]) => winner.rule)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([property, { rule, ancestor }]) => {
+      const declaration = getDeclarationFor(rule, property)
+      return {
+        property,
+        value: computedValues[property] ?? '',
+        inheritedFrom: ancestor,
+        fileName: rule.fileName,
+        line: (declaration && declaration.line) || rule.line,
+        column: (declaration && declaration.column) || 1
+      }
+    })
+
+  return {
+    rules: sortByPrecedence(ownEntries).map(rule => describeRule(rule, false)),
+    inherited: ancestors
+      .map(({ ancestor, entries }) => ({
+        ancestor,
+        rules: sortByPrecedence(entries).map(rule => describeRule(rule, true)).filter(rule => rule.declarations.length > 0)
+      }))
+      .filter(group => group.rules.length > 0),
+    computed
+  }
+}
+
+// Indentation of the line an offset is on
+const getIndent = (text, offset) => {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1
+  return text.slice(lineStart).match(/^[ \t]*/)[0]
+}
+
+// Remove a declaration with its ";" - and its line, when nothing else is on it
+const removeDeclaration = (css, declaration) => {
+  let start = declaration.start
+  let end = declaration.end
+  if (css[end] === ';') end++
+  while (start > 0 && (css[start - 1] === ' ' || css[start - 1] === '\t')) start--
+  while (end < css.length && (css[end] === ' ' || css[end] === '\t')) end++
+  if (css[end] === '\n' && (start === 0 || css[start - 1] === '\n')) end++
+  return css.slice(0, start) + css.slice(end)
+}
+
+/**
+ * Set a declaration in a rule - the existing one's value is replaced, otherwise it's added at
+ * the end of the block. An empty value removes the property from the rule
+ *
+ * @param {string} css - Stylesheet text
+ * @param {import('./cssParser').CssRule} rule - Rule parsed from that text
+ * @param {string} property - CSS property name
+ * @param {string} value - New value, without !important
+ * @param {boolean} [important] - Write the declaration as !important
+ * @returns {string} Updated stylesheet
+ */
+export const setRuleDeclaration = (css, rule, property, value, important = false) => {
+  const declarations = rule.declarations
+  if (value === '') {
+    return declarations
+      .filter(declaration => declaration.property === property)
+      .reverse()
+      .reduce(removeDeclaration, css)
+  }
+
+  let index = -1
+  declarations.forEach((declaration, i) => {
+    if (declaration.property === property) index = i
+  })
+  // A shorthand after it (margin after margin-top) would override an edit in place - add a new declaration instead
+  if (index !== -1 && declarations.slice(index + 1).some(declaration => coversProperty(declaration.property, property))) {
+    index = -1
+  }
+
+  if (index !== -1) {
+    const declaration = declarations[index]
+    const importantText = important && !declaration.important ? ' !important' : ''
+    return css.slice(0, declaration.valueStart) + value + importantText + css.slice(declaration.valueEnd)
+  }
+
+  // Add after the last declaration - on its own line, or on the rule's line for one-line rules
+  let insertAt = rule.bodyEnd
+  while (insertAt > rule.bodyStart && /\s/.test(css[insertAt - 1])) insertAt--
+  const last = declarations[declarations.length - 1]
+  const needsSemicolon = last && !css.slice(last.end, rule.bodyEnd).includes(';')
+  const importantText = important ? ' !important' : ''
+  if (last && !css.slice(rule.bodyStart, rule.bodyEnd).includes('\n')) {
+    return css.slice(0, insertAt) + `${needsSemicolon ? ';' : ''} ${property}: ${value}${importantText};` + css.slice(insertAt)
+  }
+  const ruleIndent = getIndent(css, rule.start)
+  const indent = last ? getIndent(css, last.start) : `${ruleIndent}  `
+  const closesOnOwnLine = css.slice(insertAt, rule.bodyEnd).includes('\n')
+  const declarationText = `${needsSemicolon ? ';' : ''}\n${indent}${property}: ${value}${importantText};`
+  return closesOnOwnLine
+    ? css.slice(0, insertAt) + declarationText + css.slice(insertAt)
+    : css.slice(0, insertAt) + declarationText + `\n${ruleIndent}` + css.slice(rule.bodyEnd)
+}
+
+// Same width range, or the same text for queries that aren't width ranges
+const isSameMedia = (a, b) => {
+  const rangeA = parseWidthQuery(a)
+  const rangeB = parseWidthQuery(b)
+  if (rangeA && rangeB) return rangeA.minWidth === rangeB.minWidth && rangeA.maxWidth === rangeB.maxWidth
+  const normalize = (media) => String(media).replace(/^@media\s+/i, '').replace(/\s+/g, ' ').replace(/\s*([():])\s*/g, '$1').trim().toLowerCase()
+  return normalize(a) === normalize(b)
+}
+
+// Set a declaration in a rule inside a top-level @media block - the last rule with the selector
+// in a block for that query, otherwise a new rule at the end of the last such block, otherwise
+// a new block at the end of the file
+const setMediaDeclaration = (css, change) => {
+  const blocks = parseCss(css).filter(rule => rule.type === 'at-rule' && rule.name === 'media' && isSameMedia(rule.prelude, change.media))
+  const key = normalizeSelector(change.selector)
+  const rule = blocks
+    .flatMap(block => block.rules)
+    .filter(candidate => candidate.type === 'rule' && normalizeSelector(candidate.selector) === key)
+    .pop()
+  if (rule) return setRuleDeclaration(css, rule, change.property, change.value, change.important)
+  if (change.value === '') return css
+
+  const declaration = `${change.property}: ${change.value}${change.important ? ' !important' : ''};`
+  const block = blocks[blocks.length - 1]
+  if (!block) {
+    const trimmed = css.replace(/\s+$/, '')
+    return `${trimmed}${trimmed ? '\n\n' : ''}@media ${change.media} {\n  ${change.selector} {\n    ${declaration}\n  }\n}\n`
+  }
+
+  let insertAt = block.bodyEnd
+  while (insertAt > block.bodyStart && /\s/.test(css[insertAt - 1])) insertAt--
+  const blockIndent = getIndent(css, block.start)
+  const lastRule = block.rules[block.rules.length - 1]
+  const indent = lastRule ? getIndent(css, lastRule.start) : `${blockIndent}  `
+  const ruleText = `${lastRule ? '\n' : ''}\n${indent}${change.selector} {\n${indent}  ${declaration}\n${indent}}`
+  return css.slice(0, insertAt) + ruleText + `\n${blockIndent}` + css.slice(block.bodyEnd)
+}
+
+/**
+ * Apply pending style edits to one stylesheet, in order
+ * Each change is { selector, occurrence, media, property, value, important } - an occurrence of
+ * null targets a rule the editor adds: the first change creates it at the end of the file (or
+ * of the @media block for media), later ones edit it
+ *
+ * @param {string} css - Stylesheet text
+ * @param {Array} changes - Property names are CSS names ("background-color")
+ * @returns {string} Updated stylesheet
+ */
+export const applyCssChanges = (css, changes) => {
+  return changes.reduce((content, change) => {
+    if (change.media && change.occurrence === null) return setMediaDeclaration(content, change)
+
+    let rule = findSourceRule(content, change.selector, change.occurrence)
+    if (!rule && change.occurrence !== null) {
+      // The rule was renamed or removed in the code editor since it was picked
+      console.warn(`CSS rule "${change.selector}" not found - writing ${change.property} to a rule of its own`)
+      rule = findSourceRule(content, change.selector, null)
+    }
+    if (rule) return setRuleDeclaration(content, rule, change.property, change.value, change.important)
+    if (change.value === '') return content
+
+    const trimmed = content.replace(/\s+$/, '')
+    const declaration = `  ${change.property}: ${change.value}${change.important ? ' !important' : ''};`
+    return `${trimmed}${trimmed ? '\n\n' : ''}${change.selector} {\n${declaration}\n}\n`
+  }, css || '')
+}
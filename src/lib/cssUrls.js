@@ -0,0 +1,62 @@
+/**
+ * Helpers for resolving CSS url() references against project files
+ */
+
+// url(...) with optional single or double quotes
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]*?)\1\s*\)/gi
+
+// References that never point at a project file
+const EXTERNAL_REFERENCE_PATTERN = /^(data:|blob:|[a-z][a-z0-9+.-]*:\/\/|\/\/|#|about:|mailto:|tel:|javascript:)/i
+
+/**
+ * Resolve a reference (e.g. "../images/hero.jpg") against the project path of the file containing it
+ * Returns a project-relative path, or null for external, data and fragment references
+ */
+export const resolveProjectPath = (fromPath, reference) => {
+  if (!reference) return null
+
+  const trimmed = reference.trim()
+  if (!trimmed || EXTERNAL_REFERENCE_PATTERN.test(trimmed)) return null
+
+  const cleanReference = trimmed.split('#')[0].split('?')[0]
+  if (!cleanReference) return null
+
+  // Root-relative references start from the project root, others from the file's folder
+  const segments = cleanReference.startsWith('/') ? [] : (fromPath || '').split('/').slice(0, -1)
+
+  cleanReference.split('/').forEach(segment => {
+    if (segment === '' || segment === '.') return
+    if (segment === '..') {
+      segments.pop()
+    } else {
+      segments.push(segment)
+    }
+  })
+
+  const path = segments.join('/')
+  try {
+    return decodeURIComponent(path)
+  } catch (e) {
+    return path
+  }
+}
+
+/**
+ * Rewrite every url() in a CSS string
+ * getReplacement(path, reference) receives the resolved project path and returns the new URL,
+ * or null to leave the reference untouched
+ *
+ * @param {string} cssText - CSS source (a stylesheet or a style attribute value)
+ * @param {string} fromPath - Project path of the file the CSS came from
+ * @param {Function} getReplacement - Maps a project path to its replacement URL
+ * @param {string} quote - Quote to wrap replaced URLs in (use "'" inside style="...")
+ */
+export const rewriteCssUrls = (cssText, fromPath, getReplacement, quote = '"') => {
+  if (!cssText || !cssText.includes('url(')) return cssText
+
+  return cssText.replace(CSS_URL_PATTERN, (match, originalQuote, reference) => {
+    const path = resolveProjectPath(fromPath, reference)
+    const replacement = path ? getReplacement(path, reference) : null
+    return replacement ? `url(${quote}${replacement}${quote})` : match
+  })
+}
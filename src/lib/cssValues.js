@@ -0,0 +1,301 @@
+/**
+ * Parse and write CSS values the effect editors work with - colors, shadow lists, gradients
+ * and function lists (transform, filter)
+ * Parsers return null for values they can't represent, so editors can fall back to the raw
+ * text instead of rewriting something they don't understand
+ */
+
+/**
+ * Split a value on a separator outside parentheses - "rgb(0, 0, 0) 1px, red 2px" -> ['rgb(0, 0, 0) 1px', 'red 2px']
+ *
+ * @param {string} value - CSS value
+ * @param {string} separator - ',' or ' ' (any whitespace)
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+export const splitTopLevel = (value, separator = ',') => {
+  const parts = []
+  let depth = 0
+  let quote = null
+  let current = ''
+  for (const char of value || '') {
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1)
+    } else if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+      if (current.trim()) parts.push(current.trim())
+      current = ''
+      continue
+    }
+    current += char
+  }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+const toHex = (channel) => Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0')
+
+const roundTo = (number, places = 2) => Math.round(number * 10 ** places) / 10 ** places
+
+/**
+ * Read a hex or rgb()/rgba() color
+ *
+ * @returns {{hex: string, alpha: number}|null} null for named colors, hsl(), var() and other values
+ */
+export const parseColor = (value) => {
+  const text = String(value || '').trim().toLowerCase()
+  if (text === 'transparent') return { hex: '#000000', alpha: 0 }
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)
+  if (hex) {
+    let digits = hex[1]
+    if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('')
+    return {
+      hex: '#' + digits.slice(0, 6),
+      alpha: digits.length === 8 ? roundTo(parseInt(digits.slice(6), 16) / 255) : 1
+    }
+  }
+
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/)
+  if (rgb) {
+    let alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4])
+    if (rgb[4] && rgb[4].endsWith('%')) alpha /= 100
+    return { hex: '#' + [rgb[1], rgb[2], rgb[3]].map(channel => toHex(parseFloat(channel))).join(''), alpha: roundTo(alpha) }
+  }
+  return null
+}
+
+/**
+ * Write a color - hex when opaque, rgba() otherwise
+ */
+export const formatColor = (hex, alpha = 1) => {
+  if (alpha >= 1) return hex
+  const channels = [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16))
+  return `rgba(${channels.join(', ')}, ${roundTo(alpha)})`
+}
+
+// var() is left out - in a shadow it's as likely to be the color as a length
+const isLength = (token) => /^-?(\d*\.?\d+)([a-z%]*)$/i.test(token) || /^(calc|min|max|clamp)\(/i.test(token)
+
+/**
+ * Read a box-shadow or text-shadow list
+ *
+ * @returns {Array<{inset: boolean, x: string, y: string, blur: string, spread: string, color: string}>|null}
+ *   [] for "none", null when a layer doesn't read as a shadow
+ */
+export const parseShadows = (value) => {
+  const text = String(value || '').trim()
+  if (!text || text === 'none') return []
+
+  const layers = splitTopLevel(text, ',').map(layer => {
+    const tokens = splitTopLevel(layer, ' ')
+    const lengths = []
+    let color = null
+    let inset = false
+    for (const token of tokens) {
+      if (token.toLowerCase() === 'inset') {
+        inset = true
+      } else if (isLength(token)) {
+        lengths.push(token)
+      } else if (color === null) {
+        color = token
+      } else {
+        return null
+      }
+    }
+    if (lengths.length < 2 || lengths.length > 4) return null
+    return {
+      inset,
+      x: lengths[0],
+      y: lengths[1],
+      blur: lengths[2] || '0px',
+      spread: lengths[3] || '0px',
+      color: color || 'currentcolor'
+    }
+  })
+  return layers.includes(null) ? null : layers
+}
+
+/**
+ * Write a shadow list - text shadows have no spread or inset
+ */
+export const formatShadows = (layers, { isTextShadow = false } = {}) => {
+  if (layers.length === 0) return 'none'
+  return layers.map(layer => {
+    const parts = []
+    if (layer.inset && !isTextShadow) parts.push('inset')
+    parts.push(layer.x, layer.y, layer.blur)
+    if (!isTextShadow && layer.spread && parseFloat(layer.spread) !== 0) parts.push(layer.spread)
+    parts.push(layer.color)
+    return parts.join(' ')
+  }).join(', ')
+}
+
+// "to right" and friends as angles
+const SIDE_ANGLES = {
+  'to top': 0,
+  'to top right': 45,
+  'to right top': 45,
+  'to right': 90,
+  'to bottom right': 135,
+  'to right bottom': 135,
+  'to bottom': 180,
+  'to bottom left': 225,
+  'to left bottom': 225,
+  'to left': 270,
+  'to top left': 315,
+  'to left top': 315
+}
+
+/**
+ * Read an angle in degrees - "0.25turn" -> 90
+ *
+ * @returns {number|null} null when the text isn't an angle
+ */
+export const parseAngle = (text) => {
+  const match = String(text).trim().match(/^(-?\d*\.?\d+)(deg|rad|turn|grad)$/i)
+  if (!match) return null
+  const number = parseFloat(match[1])
+  switch (match[2].toLowerCase()) {
+    case 'rad': return roundTo(number * 180 / Math.PI)
+    case 'turn': return roundTo(number * 360)
+    case 'grad': return roundTo(number * 0.9)
+    default: return number
+  }
+}
+
+/**
+ * Index of the first linear or radial gradient among a background-image's layers
+ *
+ * @returns {{layers: string[], index: number}} index is -1 when there's no gradient
+ */
+export const findGradientLayer = (backgroundImage) => {
+  const text = String(backgroundImage || '').trim()
+  const layers = !text || text === 'none' ? [] : splitTopLevel(text, ',')
+  return { layers, index: layers.findIndex(layer => /^(linear|radial)-gradient\(/i.test(layer)) }
+}
+
+/**
+ * Read a linear-gradient() or radial-gradient()
+ *
+ * @returns {{type: 'linear'|'radial', angle: number, shape: string, stops: Array<{color: string, position: number}>}|null}
+ *   Stop positions are percentages. null for repeating gradients and stops in other units
+ */
+export const parseGradient = (value) => {
+  const match = String(value || '').trim().match(/^(linear|radial)-gradient\(([\s\S]*)\)$/i)
+  if (!match) return null
+
+  const type = match[1].toLowerCase()
+  const args = splitTopLevel(match[2], ',')
+  let angle = 180
+  let shape = 'ellipse'
+
+  // The first argument is the direction or shape when it isn't a color stop
+  const first = args[0] || ''
+  if (type === 'linear') {
+    const firstAngle = parseAngle(first)
+    if (firstAngle !== null) {
+      angle = firstAngle
+      args.shift()
+    } else if (/^to\s/i.test(first)) {
+      const side = first.toLowerCase().replace(/\s+/g, ' ')
+      if (SIDE_ANGLES[side] === undefined) return null
+      angle = SIDE_ANGLES[side]
+      args.shift()
+    }
+  } else if (/^(circle|ellipse|closest|farthest|at\s)/i.test(first)) {
+    // Only the shape is edited - sizes and positions aren't
+    if (!/^(circle|ellipse)$/i.test(first)) return null
+    shape = first.toLowerCase()
+    args.shift()
+  }
+
+  if (args.length < 2) return null
+  const stops = []
+  for (const arg of args) {
+    const tokens = splitTopLevel(arg, ' ')
+    if (tokens.length > 2) return null
+    const position = tokens[1]
+    if (position !== undefined && !/^-?\d*\.?\d+%$/.test(position)) return null
+    stops.push({ color: tokens[0], position: position === undefined ? null : parseFloat(position) })
+  }
+
+  // Stops without positions are spread between their neighbours
+  stops.forEach((stop, index) => {
+    if (stop.position !== null) return
+    if (index === 0) {
+      stop.position = 0
+      return
+    }
+    if (index === stops.length - 1) {
+      stop.position = 100
+      return
+    }
+    const previous = stops[index - 1].position
+    let nextIndex = index + 1
+    while (stops[nextIndex].position === null && nextIndex < stops.length - 1) nextIndex++
+    const next = stops[nextIndex].position ?? 100
+    stop.position = roundTo(previous + (next - previous) / (nextIndex - index + 1))
+  })
+
+  return { type, angle, shape, stops }
+}
+
+/**
+ * Write a gradient
+ */
+export const formatGradient = ({ type, angle, shape, stops }) => {
+  const stopList = stops.map(stop => `${stop.color} ${roundTo(stop.position, 1)}%`).join(', ')
+  return type === 'radial'
+    ? `radial-gradient(${shape || 'ellipse'}, ${stopList})`
+    : `linear-gradient(${roundTo(angle, 1)}deg, ${stopList})`
+}
+
+/**
+ * Read a function list - "translate(10px, 0) rotate(45deg)" -> [{ name: 'translate', args: ['10px', '0'] }, ...]
+ *
+ * @returns {Array<{name: string, args: string[]}>|null} [] for "none", null when a part isn't a function
+ */
+export const parseFunctionList = (value) => {
+  const text = String(value || '').trim()
+  if (!text || text === 'none') return []
+  const functions = splitTopLevel(text, ' ').map(part => {
+    const match = part.match(/^([a-z-]+[a-z0-9]*)\(([\s\S]*)\)$/i)
+    return match ? { name: match[1], args: splitTopLevel(match[2], ',') } : null
+  })
+  return functions.includes(null) ? null : functions
+}
+
+export const formatFunctionList = (functions) => {
+  return functions.length > 0 ? functions.map(fn => `${fn.name}(${fn.args.join(', ')})`).join(' ') : 'none'
+}
+
+/**
+ * Split a 2D matrix() into translate, rotate, skewX and scale - computed transforms always
+ * come back as a matrix, whatever the stylesheet wrote
+ *
+ * @returns {Array<{name: string, args: string[]}>|null} null for anything but matrix()
+ */
+export const decomposeMatrix = (value) => {
+  const match = String(value || '').trim().match(/^matrix\(([^)]*)\)$/i)
+  if (!match) return null
+  const [a, b, c, d, e, f] = match[1].split(',').map(number => parseFloat(number))
+  if ([a, b, c, d, e, f].some(number => Number.isNaN(number))) return null
+
+  const scaleX = Math.sqrt(a * a + b * b)
+  if (scaleX === 0) return null
+  const rotate = Math.atan2(b, a) * 180 / Math.PI
+  const skew = Math.atan2(a * c + b * d, scaleX * scaleX) * 180 / Math.PI
+  const scaleY = (a * d - b * c) / scaleX
+
+  const functions = []
+  if (e !== 0 || f !== 0) functions.push({ name: 'translate', args: [`${roundTo(e)}px`, `${roundTo(f)}px`] })
+  if (roundTo(rotate) !== 0) functions.push({ name: 'rotate', args: [`${roundTo(rotate)}deg`] })
+  if (roundTo(skew) !== 0) functions.push({ name: 'skewX', args: [`${roundTo(skew)}deg`] })
+  if (roundTo(scaleX) !== 1 || roundTo(scaleY) !== 1) functions.push({ name: 'scale', args: [`${roundTo(scaleX)}`, `${roundTo(scaleY)}`] })
+  return functions
+}
@@ -0,0 +1,139 @@
+/**
+ * Design tokens - the CSS custom properties the project's stylesheets declare ("--primary"
+ * in :root and the like). Each declaration is a token of its own, so a theme that redefines
+ * --primary under [data-theme="dark"] or in a @media block lists both
+ *
+ * @typedef {Object} DesignToken
+ * @property {string} name - "--primary"
+ * @property {string} value - Value as written
+ * @property {'color'|'length'|'number'|'other'} type - What the Tokens panel edits it with
+ * @property {string} fileName - Project CSS file
+ * @property {string} selector - Rule it's declared in (":root")
+ * @property {string[]} conditions - Enclosing "@media ..." / "@supports ..." preludes
+ * @property {number} index - Position among the file's declarations of the name - identifies it for edits
+ * @property {number} line - 1-based line of the declaration
+ * @property {number} column
+ */
+
+import { parseCss, walkCssRules, isKeyframesRule } from './cssParser'
+import { getLocation } from './cssRules'
+import { parseColor } from './cssValues'
+import { getFilePath } from './projectPaths'
+
+const LENGTH_PATTERN = /^(-?\d*\.?\d+)(px|rem|em|%|vw|vh|vmin|vmax|ch|ex|pt)$/i
+const NUMBER_PATTERN = /^-?\d*\.?\d+$/
+const COLOR_FUNCTION_PATTERN = /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(/i
+const GLOBAL_KEYWORDS = ['inherit', 'initial', 'unset', 'revert', 'revert-layer', 'currentcolor']
+
+/**
+ * Whether a value is a color - named colors need the browser to tell
+ */
+export const isColorValue = (value) => {
+  const text = String(value || '').trim()
+  if (!text || GLOBAL_KEYWORDS.includes(text.toLowerCase())) return false
+  if (parseColor(text) || COLOR_FUNCTION_PATTERN.test(text)) return true
+  return /^[a-z]+$/i.test(text) && typeof CSS !== 'undefined' && CSS.supports('color', text)
+}
+
+/**
+ * Read a length - "1.5rem" -> { number: 1.5, unit: 'rem' }, "0" -> { number: 0, unit: 'px' }
+ *
+ * @returns {{number: number, unit: string}|null}
+ */
+export const parseLength = (value) => {
+  const text = String(value || '').trim()
+  if (text === '0') return { number: 0, unit: 'px' }
+  const match = text.match(LENGTH_PATTERN)
+  return match ? { number: parseFloat(match[1]), unit: match[2].toLowerCase() } : null
+}
+
+const getTokenType = (value) => {
+  if (isColorValue(value)) return 'color'
+  if (parseLength(value)) return 'length'
+  if (NUMBER_PATTERN.test(value.trim())) return 'number'
+  return 'other'
+}
+
+const getConditions = (rule) => {
+  const conditions = []
+  for (let parent = rule.parent; parent; parent = parent.parent) {
+    if (parent.name === 'media' || parent.name === 'supports') conditions.unshift(`@${parent.name} ${parent.prelude}`)
+  }
+  return conditions
+}
+
+/**
+ * Every custom property declared in the project's CSS, in file and source order
+ *
+ * @param {Array} cssFiles - Project CSS files
+ * @returns {DesignToken[]}
+ */
+export const getDesignTokens = (cssFiles) => {
+  const tokens = []
+  ;(cssFiles || []).forEach(file => {
+    const content = file.content || ''
+    const counts = new Map()
+    walkCssRules(parseCss(content), rule => {
+      if (rule.type !== 'rule' || (rule.parent && isKeyframesRule(rule.parent))) return
+      rule.declarations.forEach(declaration => {
+        if (!declaration.property.startsWith('--')) return
+        const index = counts.get(declaration.property) || 0
+        counts.set(declaration.property, index + 1)
+        tokens.push({
+          name: declaration.property,
+          value: declaration.value,
+          type: getTokenType(declaration.value),
+          fileName: getFilePath(file),
+          selector: rule.selector,
+          conditions: getConditions(rule),
+          index,
+          ...getLocation(content, declaration.start)
+        })
+      })
+    })
+  })
+  return tokens
+}
+
+/**
+ * Write a token's new value into its declaration - !important and the text around it stay
+ *
+ * @param {string} css - Stylesheet text of the token's file
+ * @param {DesignToken} token
+ * @param {string} value
+ * @returns {string} Updated stylesheet - unchanged when the declaration is gone
+ */
+export const setTokenValue = (css, token, value) => {
+  let count = 0
+  let target = null
+  walkCssRules(parseCss(css), rule => {
+    if (target || rule.type !== 'rule' || (rule.parent && isKeyframesRule(rule.parent))) return
+    rule.declarations.forEach(declaration => {
+      if (target || declaration.property !== token.name) return
+      if (count === token.index) target = declaration
+      count++
+    })
+  })
+  if (!target) {
+    console.warn(`Token ${token.name} not found in ${token.fileName} - it was changed in the code editor`)
+    return css
+  }
+  return css.slice(0, target.valueStart) + value + css.slice(target.valueEnd)
+}
+
+/**
+ * var() references for the property pickers - one per token name, by what it holds
+ *
+ * @returns {{color: string[], length: string[]}}
+ */
+export const getTokenReferences = (tokens) => {
+  const references = { color: [], length: [] }
+  const seen = new Set()
+  tokens.forEach(token => {
+    if (seen.has(token.name)) return
+    seen.add(token.name)
+    if (token.type === 'color') references.color.push(`var(${token.name})`)
+    if (token.type === 'length' || token.type === 'number') references.length.push(`var(${token.name})`)
+  })
+  return references
+}
@@ -0,0 +1,29 @@
+/**
+ * Device sizes for the preview toolbar
+ * Widths match common CSS breakpoints so media queries can be checked at each step
+ */
+
+export const DEVICE_PRESETS = [
+  { id: 'phone', label: 'Phone', width: 375, height: 667 },
+  { id: 'tablet', label: 'Tablet', width: 768, height: 1024 },
+  { id: 'laptop', label: 'Laptop', width: 1366, height: 768 },
+  { id: 'desktop', label: 'Desktop', width: 1920, height: 1080 }
+]
+
+export const MIN_VIEWPORT_SIZE = 200
+export const MAX_VIEWPORT_SIZE = 4000
+
+/**
+ * Keep a viewport dimension within the supported range
+ */
+export const clampViewportSize = (size) => {
+  const value = Math.round(Number(size) || 0)
+  return Math.min(MAX_VIEWPORT_SIZE, Math.max(MIN_VIEWPORT_SIZE, value))
+}
+
+/**
+ * Find a preset by id
+ */
+export const getDevicePreset = (id) => {
+  return DEVICE_PRESETS.find(preset => preset.id === id) || null
+}
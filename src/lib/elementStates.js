@@ -0,0 +1,78 @@
+/**
+ * Element states style edits can target - pseudo-classes the inspector forces on the selected
+ * element, and pseudo-elements styled in its place. With a state picked, edits go to the rules
+ * for it (".button:hover") rather than the element's own
+ *
+ * @typedef {Object} ElementState
+ * @property {string} id - "hover", "before"... - what the inspector is told to force
+ * @property {string} label - The pseudo-class or pseudo-element as written in CSS
+ * @property {boolean} isPseudoElement - Styles generated content rather than the element
+ */
+
+export const ELEMENT_STATES = [
+  { id: 'hover', label: ':hover', isPseudoElement: false },
+  { id: 'focus', label: ':focus', isPseudoElement: false },
+  { id: 'active', label: ':active', isPseudoElement: false },
+  { id: 'visited', label: ':visited', isPseudoElement: false },
+  { id: 'before', label: '::before', isPseudoElement: true },
+  { id: 'after', label: '::after', isPseudoElement: true }
+]
+
+/**
+ * @param {string|null} id
+ * @returns {ElementState|null} null for the element itself
+ */
+export const getElementState = (id) => ELEMENT_STATES.find(state => state.id === id) || null
+
+// The state in one selector - pseudo-elements end it (one colon in old CSS), :focus takes
+// :focus-visible too since the inspector forces both
+const getStatePattern = (state) => {
+  if (state.isPseudoElement) return new RegExp(`::?${state.id}$`, 'i')
+  return new RegExp(`:${state.id}${state.id === 'focus' ? '(?:-visible)?' : ''}(?![\\w-])`, 'i')
+}
+
+// Split a selector list on commas outside parentheses and brackets
+const splitSelectorList = (selectorText) => {
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const char of selectorText) {
+    if (char === '(' || char === '[') depth++
+    if (char === ')' || char === ']') depth = Math.max(0, depth - 1)
+    if (char === ',' && depth === 0) {
+      if (current.trim()) parts.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+/**
+ * Whether a matched rule styles a state - one of its selectors has the pseudo-class or
+ * pseudo-element
+ *
+ * @param {import('./cssRules').MatchedRule} rule
+ * @param {ElementState} state
+ */
+export const isRuleForState = (rule, state) => {
+  const pattern = getStatePattern(state)
+  return splitSelectorList(rule.selector).some(part => pattern.test(part))
+}
+
+/**
+ * A selector list for a state - ".button, .link" becomes ".button:hover, .link:hover"
+ * Pseudo-classes go before a pseudo-element the selector already ends with
+ */
+export const addStateToSelector = (selector, state) => {
+  return splitSelectorList(selector).map(part => {
+    if (getStatePattern(state).test(part)) return part
+    if (state.isPseudoElement) return `${part.replace(/::?(before|after)$/i, '')}${state.label}`
+    const pseudoElement = part.match(/::?(before|after)$/i)
+    return pseudoElement
+      ? `${part.slice(0, pseudoElement.index)}${state.label}${pseudoElement[0]}`
+      : `${part}${state.label}`
+  }).join(', ')
+}
@@ -0,0 +1,170 @@
+/**
+ * Blocks offered by the Insert palette
+ * Each block is the markup written into the page and the CSS rules its classes need.
+ * Rules are only added for selectors the project's stylesheets don't define yet, so a
+ * project that already styles .button or .grid keeps its own look
+ */
+
+// Grey 600x400 placeholder, so a new image shows without a network request
+const PLACEHOLDER_IMAGE = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='600' height='400'%3E%3Crect width='100%25' height='100%25' fill='%23e2e2e2'/%3E%3Cpath d='M250 240l40-50 30 35 20-20 60 75H240z' fill='%23b8b8b8'/%3E%3Ccircle cx='370' cy='165' r='18' fill='%23b8b8b8'/%3E%3C/svg%3E"
+
+// Drag data type for blocks dragged from the palette into the preview - the inspector script checks for it too
+export const BLOCK_DRAG_TYPE = 'application/x-vibecanvas-block'
+
+export const TEMPLATE_GROUPS = ['Text', 'Media', 'Layout', 'Forms']
+
+export const ELEMENT_TEMPLATES = [
+  {
+    id: 'heading',
+    label: 'Heading',
+    group: 'Text',
+    html: '<h2 class="heading">New heading</h2>',
+    rules: {
+      '.heading': 'margin: 0 0 0.5em;\n  font-size: 2rem;\n  line-height: 1.2;'
+    }
+  },
+  {
+    id: 'paragraph',
+    label: 'Paragraph',
+    group: 'Text',
+    html: '<p class="text">Write your text here.</p>',
+    rules: {
+      '.text': 'margin: 0 0 1em;\n  line-height: 1.6;'
+    }
+  },
+  {
+    id: 'link',
+    label: 'Link',
+    group: 'Text',
+    html: '<a class="link" href="#">Link text</a>',
+    rules: {
+      '.link': 'color: #2563eb;\n  text-decoration: underline;'
+    }
+  },
+  {
+    id: 'list',
+    label: 'List',
+    group: 'Text',
+    html: '<ul class="list">\n  <li>First item</li>\n  <li>Second item</li>\n  <li>Third item</li>\n</ul>',
+    rules: {
+      '.list': 'margin: 0 0 1em;\n  padding-left: 1.5em;\n  line-height: 1.6;'
+    }
+  },
+  {
+    id: 'button',
+    label: 'Button',
+    group: 'Text',
+    html: '<button class="button" type="button">Button</button>',
+    rules: {
+      '.button': 'display: inline-block;\n  padding: 0.625em 1.25em;\n  border: none;\n  border-radius: 6px;\n  background: #2563eb;\n  color: #ffffff;\n  font: inherit;\n  cursor: pointer;'
+    }
+  },
+  {
+    id: 'image',
+    label: 'Image',
+    group: 'Media',
+    html: `<img class="image" src="${PLACEHOLDER_IMAGE}" alt="Placeholder image">`,
+    rules: {
+      '.image': 'display: block;\n  max-width: 100%;\n  height: auto;'
+    }
+  },
+  {
+    id: 'section',
+    label: 'Section',
+    group: 'Layout',
+    html: '<section class="section">\n  <h2 class="heading">Section title</h2>\n  <p class="text">Section content goes here.</p>\n</section>',
+    rules: {
+      '.section': 'padding: 4rem 1.5rem;',
+      '.heading': 'margin: 0 0 0.5em;\n  font-size: 2rem;\n  line-height: 1.2;',
+      '.text': 'margin: 0 0 1em;\n  line-height: 1.6;'
+    }
+  },
+  {
+    id: 'flex',
+    label: 'Flex row',
+    group: 'Layout',
+    html: '<div class="flex-row">\n  <div class="flex-item">Item 1</div>\n  <div class="flex-item">Item 2</div>\n  <div class="flex-item">Item 3</div>\n</div>',
+    rules: {
+      '.flex-row': 'display: flex;\n  flex-wrap: wrap;\n  gap: 1rem;',
+      '.flex-item': 'flex: 1 1 0;\n  min-width: 0;\n  padding: 1rem;\n  background: #f3f4f6;'
+    }
+  },
+  {
+    id: 'grid',
+    label: 'Grid',
+    group: 'Layout',
+    html: '<div class="grid">\n  <div class="grid-item">Item 1</div>\n  <div class="grid-item">Item 2</div>\n  <div class="grid-item">Item 3</div>\n  <div class="grid-item">Item 4</div>\n</div>',
+    rules: {
+      '.grid': 'display: grid;\n  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));\n  gap: 1rem;',
+      '.grid-item': 'padding: 1rem;\n  background: #f3f4f6;'
+    }
+  },
+  {
+    id: 'text-input',
+    label: 'Text input',
+    group: 'Forms',
+    html: '<label class="form-field">\n  <span class="form-label">Label</span>\n  <input class="form-input" type="text" placeholder="Type here">\n</label>',
+    rules: {
+      '.form-field': 'display: flex;\n  flex-direction: column;\n  gap: 0.375rem;\n  margin: 0 0 1rem;',
+      '.form-label': 'font-size: 0.875rem;\n  font-weight: 600;',
+      '.form-input': 'padding: 0.5em 0.75em;\n  border: 1px solid #d1d5db;\n  border-radius: 6px;\n  font: inherit;'
+    }
+  },
+  {
+    id: 'textarea',
+    label: 'Text area',
+    group: 'Forms',
+    html: '<label class="form-field">\n  <span class="form-label">Message</span>\n  <textarea class="form-input" rows="4" placeholder="Type here"></textarea>\n</label>',
+    rules: {
+      '.form-field': 'display: flex;\n  flex-direction: column;\n  gap: 0.375rem;\n  margin: 0 0 1rem;',
+      '.form-label': 'font-size: 0.875rem;\n  font-weight: 600;',
+      '.form-input': 'padding: 0.5em 0.75em;\n  border: 1px solid #d1d5db;\n  border-radius: 6px;\n  font: inherit;'
+    }
+  },
+  {
+    id: 'select',
+    label: 'Dropdown',
+    group: 'Forms',
+    html: '<label class="form-field">\n  <span class="form-label">Choose</span>\n  <select class="form-input">\n    <option>Option 1</option>\n    <option>Option 2</option>\n  </select>\n</label>',
+    rules: {
+      '.form-field': 'display: flex;\n  flex-direction: column;\n  gap: 0.375rem;\n  margin: 0 0 1rem;',
+      '.form-label': 'font-size: 0.875rem;\n  font-weight: 600;',
+      '.form-input': 'padding: 0.5em 0.75em;\n  border: 1px solid #d1d5db;\n  border-radius: 6px;\n  font: inherit;'
+    }
+  },
+  {
+    id: 'checkbox',
+    label: 'Checkbox',
+    group: 'Forms',
+    html: '<label class="form-check">\n  <input type="checkbox">\n  <span>Checkbox label</span>\n</label>',
+    rules: {
+      '.form-check': 'display: flex;\n  align-items: center;\n  gap: 0.5rem;\n  margin: 0 0 1rem;'
+    }
+  }
+]
+
+/**
+ * Find a template by id
+ */
+export const getElementTemplate = (id) => ELEMENT_TEMPLATES.find(template => template.id === id) || null
+
+// Whether any stylesheet has a rule whose selector list includes exactly this selector
+const isSelectorDefined = (selector, cssContents) => {
+  const escaped = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const pattern = new RegExp(`(^|[}{,;\\s])${escaped}\\s*[,{]`)
+  return cssContents.some(content => pattern.test(content))
+}
+
+/**
+ * CSS to append for a template - the rules for selectors no stylesheet defines yet
+ *
+ * @param {Object} template - One of ELEMENT_TEMPLATES
+ * @param {string[]} cssContents - Contents of the project's CSS files
+ * @returns {string} Rules to append, or '' when every selector is already styled
+ */
+export const getMissingTemplateCss = (template, cssContents) => {
+  return Object.entries(template.rules)
+    .filter(([selector]) => !isSelectorDefined(selector, cssContents))
+    .map(([selector, declarations]) => `${selector} {\n  ${declarations}\n}`)
+    .join('\n\n')
+}
@@ -0,0 +1,96 @@
+/**
+ * Fonts offered by the typography font picker
+ * Project fonts come from the stylesheets - families declared with @font-face and the
+ * font-family stacks rules already use - followed by common system stacks
+ */
+
+import { getFontFaces, getFontFamilyValues, splitFontFamilies } from './cssParser'
+import { rewriteCssUrls } from './cssUrls'
+import { getFilePath } from './projectPaths'
+import { getFileDataUrl } from '../services/previewServer'
+
+export const SYSTEM_FONT_STACKS = [
+  { label: 'System UI', value: "system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif" },
+  { label: 'Helvetica / Arial', value: "'Helvetica Neue', Helvetica, Arial, sans-serif" },
+  { label: 'Georgia', value: "Georgia, 'Times New Roman', Times, serif" },
+  { label: 'Times', value: "'Times New Roman', Times, serif" },
+  { label: 'Garamond', value: "Garamond, Baskerville, 'Baskerville Old Face', serif" },
+  { label: 'Trebuchet', value: "'Trebuchet MS', 'Lucida Grande', 'Lucida Sans Unicode', sans-serif" },
+  { label: 'Verdana', value: 'Verdana, Geneva, Tahoma, sans-serif' },
+  { label: 'Monospace', value: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Courier New', monospace" },
+  { label: 'Rounded', value: "ui-rounded, 'SF Pro Rounded', 'Hiragino Maru Gothic ProN', Quicksand, Comfortaa, sans-serif" },
+  { label: 'Cursive', value: "'Brush Script MT', 'Comic Sans MS', cursive" }
+]
+
+// Quote a family name for a font-family value when it isn't a single identifier
+const formatFamily = (family) => (/^[a-z-]+$/i.test(family) ? family : `'${family.replace(/'/g, "\\'")}'`)
+
+/**
+ * Fonts the project's stylesheets declare or use
+ *
+ * @param {Array} files - Project files
+ * @returns {{fonts: Array<{label: string, value: string}>, faces: Array<{family: string, source: string, weight: string, style: string}>}}
+ *   fonts for the picker, and the @font-face faces with their url()s pointing at the font files' data
+ */
+export const getProjectFonts = (files) => {
+  const fonts = []
+  const faces = []
+  const seen = new Set()
+  const addFont = (label, value) => {
+    const key = value.toLowerCase()
+    if (seen.has(key)) return
+    seen.add(key)
+    fonts.push({ label, value })
+  }
+
+  const assetDataUrls = new Map()
+  files.forEach(file => {
+    const dataUrl = getFileDataUrl(file)
+    if (dataUrl) assetDataUrls.set(getFilePath(file), dataUrl)
+  })
+
+  const cssFiles = files.filter(file => getFilePath(file).endsWith('.css'))
+  cssFiles.forEach(file => {
+    getFontFaces(file.content || '').forEach(face => {
+      faces.push({
+        family: face.family,
+        source: rewriteCssUrls(face.src, getFilePath(file), path => assetDataUrls.get(path) || null),
+        weight: face.weight,
+        style: face.style
+      })
+      addFont(face.family, formatFamily(face.family))
+    })
+  })
+  cssFiles.forEach(file => {
+    getFontFamilyValues(file.content || '').forEach(value => {
+      addFont(splitFontFamilies(value)[0] || value, value)
+    })
+  })
+
+  return { fonts, faces }
+}
+
+// Faces already added to the editor's document, by family, weight, style and source
+const loadedFaces = new Set()
+
+/**
+ * Load project @font-face fonts into the editor's own document, so the picker can show each
+ * family in its face. Faces whose files are missing or fail to load are skipped
+ */
+export const loadFontFaces = (faces) => {
+  if (typeof FontFace === 'undefined' || !document.fonts) return
+  faces.forEach(face => {
+    const key = [face.family, face.weight, face.style, face.source].join('|')
+    if (!face.source || loadedFaces.has(key)) return
+    loadedFaces.add(key)
+    try {
+      const fontFace = new FontFace(face.family, face.source, { weight: face.weight, style: face.style })
+      document.fonts.add(fontFace)
+      fontFace.load().catch(error => {
+        console.warn('Could not load project font for the font picker:', face.family, error)
+      })
+    } catch (error) {
+      console.warn('Invalid @font-face for the font picker:', face.family, error)
+    }
+  })
+}
@@ -0,0 +1,756 @@
+/**
+ * Small HTML parser that keeps source offsets
+ * Builds the element tree a browser would build for a page - implied end tags, void and
+ * raw-text elements, implied <tbody> - so an element picked in the preview can be found,
+ * and rewritten, in the page's source without touching the rest of the file
+ *
+ * The preview tags every element written in the page with a node id (its index in source
+ * order). Text and attribute edits don't renumber elements, so the id keeps pointing at
+ * the same markup until a structural edit reloads the preview with fresh ids
+ */
+
+/**
+ * An element picked in the preview: its node id when it has one, otherwise its DOM path
+ * nodeId is null for elements a script created - they have no markup to edit
+ * @typedef {{nodeId?: string|null, domPath?: number[], tagName?: string}} ElementRef
+ */
+
+// Attribute the preview adds to each element's open tag
+export const NODE_ID_ATTRIBUTE = 'data-vc-node'
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+])
+
+// Content is plain text up to the matching close tag
+const RAW_TEXT_ELEMENTS = new Set([
+  'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript'
+])
+
+// Opening one of these closes an open <p>
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu',
+  'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul', 'li', 'dd', 'dt'
+])
+const PARAGRAPH_SCOPE_BOUNDARIES = new Set(['button', 'table', 'td', 'th', 'caption', 'template', 'object', 'html'])
+
+// Opening the key closes an open element from `closes`, unless a `boundary` element comes first
+const IMPLIED_END_TAGS = {
+  body: { closes: ['head'], boundary: [] },
+  li: { closes: ['li'], boundary: ['ul', 'ol', 'menu'] },
+  dt: { closes: ['dt', 'dd'], boundary: ['dl'] },
+  dd: { closes: ['dt', 'dd'], boundary: ['dl'] },
+  option: { closes: ['option'], boundary: ['select', 'datalist', 'optgroup'] },
+  optgroup: { closes: ['option', 'optgroup'], boundary: ['select'] },
+  tr: { closes: ['tr', 'td', 'th'], boundary: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], boundary: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], boundary: ['tr', 'table'] },
+  thead: { closes: ['thead', 'tbody', 'tfoot'], boundary: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tfoot'], boundary: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tfoot'], boundary: ['table'] }
+}
+
+const createElementNode = (tagName, start, parent) => ({
+  type: 'element',
+  tagName,
+  attributes: [],
+  start,
+  openTagEnd: start,
+  closeTagStart: null,
+  end: null,
+  implied: false,
+  parent,
+  children: []
+})
+
+// Read the attributes of an open tag starting after its name - quoted values may contain ">"
+const readAttributes = (html, index, node) => {
+  const length = html.length
+  while (index < length) {
+    while (index < length && /\s/.test(html[index])) index++
+    if (html[index] === '>') return { index: index + 1, selfClosing: false }
+    if (html.startsWith('/>', index)) return { index: index + 2, selfClosing: true }
+    if (html[index] === '/') {
+      index++
+      continue
+    }
+
+    const nameStart = index
+    while (index < length && !/[\s=/>]/.test(html[index])) index++
+    const name = html.slice(nameStart, index).toLowerCase()
+    let value = ''
+
+    let lookahead = index
+    while (lookahead < length && /\s/.test(html[lookahead])) lookahead++
+    if (html[lookahead] === '=') {
+      index = lookahead + 1
+      while (index < length && /\s/.test(html[index])) index++
+      const quote = html[index]
+      if (quote === '"' || quote === "'") {
+        const closingQuote = html.indexOf(quote, index + 1)
+        const valueEnd = closingQuote === -1 ? length : closingQuote
+        value = html.slice(index + 1, valueEnd)
+        index = valueEnd + 1
+      } else {
+        const valueStart = index
+        while (index < length && !/[\s>]/.test(html[index])) index++
+        value = html.slice(valueStart, index)
+      }
+    }
+
+    if (name) node.attributes.push({ name, value, start: nameStart, end: index })
+  }
+  return { index: length, selfClosing: false }
+}
+
+/**
+ * Parse an HTML document into a tree of element nodes with source offsets
+ * Each element has `start`/`end` (its whole markup), `openTagEnd` and `closeTagStart`
+ * (where its content begins and ends) and `implied` for elements the browser would add
+ *
+ * @param {string} html - HTML source
+ * @returns {Object} Root node ({ type: 'root', children })
+ */
+export const parseHtml = (html) => {
+  const root = { type: 'root', tagName: '#document', start: 0, end: html.length, parent: null, children: [] }
+  const stack = [root]
+  const current = () => stack[stack.length - 1]
+
+  const closeFrom = (stackIndex, closeTagStart, end) => {
+    while (stack.length > stackIndex) {
+      const node = stack.pop()
+      node.closeTagStart = closeTagStart
+      node.end = stack.length === stackIndex ? end : closeTagStart
+    }
+  }
+
+  const closeImplied = (tagName, offset) => {
+    if (CLOSES_PARAGRAPH.has(tagName)) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === 'p') {
+          closeFrom(i, offset, offset)
+          break
+        }
+        if (PARAGRAPH_SCOPE_BOUNDARIES.has(stack[i].tagName)) break
+      }
+    }
+
+    const rule = IMPLIED_END_TAGS[tagName]
+    if (!rule) return
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (rule.closes.includes(stack[i].tagName)) {
+        closeFrom(i, offset, offset)
+        return
+      }
+      if (rule.boundary.includes(stack[i].tagName)) return
+    }
+  }
+
+  const openElement = (node) => {
+    node.parent = current()
+    current().children.push(node)
+    stack.push(node)
+  }
+
+  const isInForeignContent = () => stack.some(node => node.tagName === 'svg' || node.tagName === 'math')
+
+  let index = 0
+  while (index < html.length) {
+    const tagStart = html.indexOf('<', index)
+    if (tagStart === -1) break
+    const next = html[tagStart + 1]
+
+    if (html.startsWith('<!--', tagStart)) {
+      const commentEnd = html.indexOf('-->', tagStart + 4)
+      index = commentEnd === -1 ? html.length : commentEnd + 3
+    } else if (next === '!' || next === '?') {
+      const declarationEnd = html.indexOf('>', tagStart)
+      index = declarationEnd === -1 ? html.length : declarationEnd + 1
+    } else if (next === '/') {
+      const nameMatch = html.slice(tagStart + 2).match(/^([a-zA-Z][^\s/>]*)/)
+      const tagEnd = html.indexOf('>', tagStart)
+      index = tagEnd === -1 ? html.length : tagEnd + 1
+      if (!nameMatch) continue
+
+      const tagName = nameMatch[1].toLowerCase()
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === tagName) {
+          closeFrom(i, tagStart, index)
+          break
+        }
+      }
+    } else if (/[a-zA-Z]/.test(next || '')) {
+      const nameMatch = html.slice(tagStart + 1).match(/^[^\s/>]+/)
+      const tagName = nameMatch[0].toLowerCase()
+
+      closeImplied(tagName, tagStart)
+      // Rows written straight inside a table end up in a <tbody> the browser adds
+      if (tagName === 'tr' && current().tagName === 'table') {
+        const tbody = createElementNode('tbody', tagStart, null)
+        tbody.implied = true
+        openElement(tbody)
+      }
+
+      const node = createElementNode(tagName, tagStart, null)
+      const { index: tagEnd, selfClosing } = readAttributes(html, tagStart + 1 + nameMatch[0].length, node)
+      node.openTagEnd = tagEnd
+      openElement(node)
+      index = tagEnd
+
+      if (VOID_ELEMENTS.has(tagName) || (selfClosing && isInForeignContent())) {
+        closeFrom(stack.length - 1, tagEnd, tagEnd)
+      } else if (RAW_TEXT_ELEMENTS.has(tagName)) {
+        const closeMatch = new RegExp(`</${tagName}[\\s>/]`, 'i').exec(html.slice(tagEnd))
+        const closeTagStart = closeMatch ? tagEnd + closeMatch.index : html.length
+        const closeTagEnd = closeMatch ? html.indexOf('>', closeTagStart) + 1 : html.length
+        closeFrom(stack.length - 1, closeTagStart, closeTagEnd || html.length)
+        index = closeTagEnd || html.length
+      }
+    } else {
+      index = tagStart + 1
+    }
+  }
+
+  closeFrom(1, html.length, html.length)
+  return root
+}
+
+// The page's <body>, as a child of the root or of <html>
+const findBody = (tree) => {
+  const htmlElement = tree.children.find(node => node.tagName === 'html')
+  const topLevel = htmlElement ? htmlElement.children : tree.children
+  return topLevel.find(node => node.tagName === 'body') || null
+}
+
+/**
+ * Find an element by its DOM path - the child-index chain from <html> the inspector reports
+ * Only elements in <body> can be found; the first index must point at it
+ *
+ * @param {Object} tree - Result of parseHtml
+ * @param {number[]} domPath - Child indexes from <html>
+ * @param {string} [tagName] - Expected tag name, checked so a stale path can't match another element
+ * @returns {Object|null} The element node
+ */
+export const findElementByDomPath = (tree, domPath, tagName) => {
+  if (!Array.isArray(domPath) || domPath[0] !== 1) return null
+
+  let node = findBody(tree)
+  for (const index of domPath.slice(1)) {
+    node = node && node.children[index]
+  }
+  if (!node) return null
+  return !tagName || node.tagName === tagName.toLowerCase() ? node : null
+}
+
+// Every element written in the source, in source order - an element's index is its node id
+const getSourceElements = (tree) => {
+  const elements = []
+  const visit = (node) => {
+    node.children.forEach(child => {
+      if (!child.implied) elements.push(child)
+      visit(child)
+    })
+  }
+  visit(tree)
+  return elements
+}
+
+/**
+ * Find an element by the node id the preview tagged it with
+ *
+ * @param {Object} tree - Result of parseHtml
+ * @param {string|number} nodeId - Value of the element's data-vc-node attribute
+ * @param {string} [tagName] - Expected tag name, checked so an id from an older version of the page can't match another element
+ * @returns {Object|null} The element node
+ */
+export const findElementByNodeId = (tree, nodeId, tagName) => {
+  const index = Number(nodeId)
+  if (!Number.isInteger(index) || index < 0) return null
+  const node = getSourceElements(tree)[index]
+  if (!node) return null
+  return !tagName || node.tagName === tagName.toLowerCase() ? node : null
+}
+
+// Find an element reference - by node id when the preview gave it one
+const findElement = (tree, ref) => {
+  if (!ref) return null
+  if (ref.nodeId !== undefined) return ref.nodeId === null ? null : findElementByNodeId(tree, ref.nodeId, ref.tagName)
+  return findElementByDomPath(tree, ref.domPath, ref.tagName)
+}
+
+/**
+ * Tag every element in the page's <body> with its node id, for the preview
+ * Attributes are added inside the open tags, so line numbers stay the same
+ *
+ * @param {string} html - Page source
+ * @returns {string} The page with a data-vc-node attribute on each element
+ */
+export const annotateSourceNodes = (html) => {
+  const tree = parseHtml(html)
+  const body = findBody(tree)
+  if (!body) return html
+
+  let annotated = ''
+  let copiedTo = 0
+  getSourceElements(tree).forEach((node, index) => {
+    if (node !== body && !isAncestor(body, node)) return
+    const nameEnd = node.start + 1 + node.tagName.length
+    annotated += html.slice(copiedTo, nameEnd) + ` ${NODE_ID_ATTRIBUTE}="${index}"`
+    copiedTo = nameEnd
+  })
+  return annotated + html.slice(copiedTo)
+}
+
+/**
+ * Get an element node's DOM path, as the inspector would report it
+ */
+export const getDomPath = (tree, node) => {
+  const body = findBody(tree)
+  const path = []
+  let current = node
+  while (current && current !== body) {
+    if (!current.parent) return null
+    path.unshift(current.parent.children.indexOf(current))
+    current = current.parent
+  }
+  return current ? [1, ...path] : null
+}
+
+// Whitespace before an offset on its line, or null when other text comes first
+const getLineIndent = (html, offset) => {
+  const lineStart = html.lastIndexOf('\n', offset - 1) + 1
+  const before = html.slice(lineStart, offset)
+  return /^[ \t]*$/.test(before) ? before : null
+}
+
+// Whether only whitespace follows an offset up to the end of its line
+const isLineEnd = (html, offset) => /^[ \t]*(\r?\n|$)/.test(html.slice(offset, offset + 200))
+
+const detectIndentUnit = (html) => {
+  const match = html.match(/\n([ \t]+)\S/)
+  return match ? match[1] : '  '
+}
+
+// Shift the lines after the first from one indentation to another
+const reindent = (markup, fromIndent, toIndent) => {
+  if (fromIndent === null || toIndent === null || fromIndent === toIndent) return markup
+  return markup.split('\n').map((line, lineIndex) => {
+    if (lineIndex === 0 || !line.startsWith(fromIndent)) return line
+    return toIndent + line.slice(fromIndent.length)
+  }).join('\n')
+}
+
+const isAncestor = (node, descendant) => {
+  for (let current = descendant.parent; current; current = current.parent) {
+    if (current === node) return true
+  }
+  return false
+}
+
+// Elements can go beside anything in <body>, and inside anything that takes children
+const canInsertAt = (tree, targetNode, position) => {
+  if (!targetNode) return false
+  if (position === 'inside') return !VOID_ELEMENTS.has(targetNode.tagName) && !RAW_TEXT_ELEMENTS.has(targetNode.tagName)
+  return findBody(tree) !== targetNode
+}
+
+// DOM path of the element whose markup starts at an offset, to report where an edit put it
+const getDomPathAt = (html, start) => {
+  const tree = parseHtml(html)
+  let found = null
+  const visit = (node) => {
+    node.children.forEach(child => {
+      if (found) return
+      if (child.start === start && !child.implied) {
+        found = child
+      } else if (child.start < start && child.end > start) {
+        visit(child)
+      }
+    })
+  }
+  visit(tree)
+  return found ? getDomPath(tree, found) : null
+}
+
+// Span to cut to remove an element - with its whole line when nothing else is on it
+const getRemovalRange = (html, node) => {
+  const indent = getLineIndent(html, node.start)
+  if (indent === null || !isLineEnd(html, node.end)) return { start: node.start, end: node.end }
+  const lineBreak = html.indexOf('\n', node.end)
+  return { start: node.start - indent.length, end: lineBreak === -1 ? html.length : lineBreak + 1 }
+}
+
+// Elements whose parent only allows certain children, so they can't be given a new wrapper
+const FIXED_PARENT_ELEMENTS = new Set([
+  'html', 'head', 'body', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'caption',
+  'col', 'colgroup', 'option', 'optgroup', 'summary', 'legend', 'source', 'track'
+])
+
+// Find every target, leaving out ones inside another target - they go with it. Sorted by source order
+const findEditTargets = (tree, targets) => {
+  const nodes = (targets || []).map(target => findElement(tree, target))
+  const body = findBody(tree)
+  if (nodes.length === 0 || nodes.some(node => !node || node.implied || node === body)) return null
+  return nodes
+    .filter((node, index) => nodes.indexOf(node) === index && !nodes.some(other => isAncestor(other, node)))
+    .sort((a, b) => a.start - b.start)
+}
+
+// Where new markup goes and what surrounds it
+const getInsertion = (html, target, position, markup, sourceIndent) => {
+  if (position === 'before') {
+    const indent = getLineIndent(html, target.start)
+    if (indent === null) return { offset: target.start, prefix: '', markup, suffix: '' }
+    return { offset: target.start, prefix: '', markup: reindent(markup, sourceIndent, indent), suffix: `\n${indent}` }
+  }
+
+  if (position === 'after') {
+    const indent = getLineIndent(html, target.start)
+    if (indent === null || !isLineEnd(html, target.end)) return { offset: target.end, prefix: '', markup, suffix: '' }
+    return { offset: target.end, prefix: `\n${indent}`, markup: reindent(markup, sourceIndent, indent), suffix: '' }
+  }
+
+  // Inside: appended as the last child, just before the close tag
+  const closeIndent = getLineIndent(html, target.closeTagStart)
+  if (closeIndent === null || target.closeTagStart === target.openTagEnd) {
+    return { offset: target.closeTagStart, prefix: '', markup, suffix: '' }
+  }
+  const lastChild = target.children[target.children.length - 1]
+  const lastChildIndent = lastChild && !lastChild.implied ? getLineIndent(html, lastChild.start) : null
+  const indent = lastChildIndent ?? closeIndent + detectIndentUnit(html)
+  return {
+    offset: target.closeTagStart - closeIndent.length,
+    prefix: indent,
+    markup: reindent(markup, sourceIndent, indent),
+    suffix: '\n'
+  }
+}
+
+/**
+ * Move an element's markup before, after or into another element
+ * The element is cut with its line when it sits on a line of its own, and re-indented to
+ * match its new place; the rest of the file is left exactly as it was
+ *
+ * @param {string} html - Page source
+ * @param {Object} move
+ * @param {ElementRef} move.source - Element being moved
+ * @param {ElementRef} move.target - Element it was dropped on
+ * @param {'before'|'after'|'inside'} move.position - Where it goes relative to the target
+ * @returns {{html: string, domPath: number[]|null}|null} New source and the element's new DOM path,
+ *   or null when either element can't be found in the source or the move is impossible
+ */
+export const moveElementInSource = (html, { source, target, position }) => {
+  const tree = parseHtml(html)
+  const sourceNode = findElement(tree, source)
+  const targetNode = findElement(tree, target)
+
+  if (!sourceNode || !canInsertAt(tree, targetNode, position)) return null
+  if (sourceNode === targetNode || isAncestor(sourceNode, targetNode)) return null
+
+  const sourceIndent = getLineIndent(html, sourceNode.start)
+  const { start: removeStart, end: removeEnd } = getRemovalRange(html, sourceNode)
+
+  const markup = html.slice(sourceNode.start, sourceNode.end)
+  const insertion = getInsertion(html, targetNode, position, markup, sourceIndent)
+  const text = insertion.prefix + insertion.markup + insertion.suffix
+
+  let newHtml
+  let newStart
+  if (insertion.offset >= removeEnd) {
+    newHtml = html.slice(0, removeStart) + html.slice(removeEnd, insertion.offset) + text + html.slice(insertion.offset)
+    newStart = insertion.offset - (removeEnd - removeStart) + insertion.prefix.length
+  } else if (insertion.offset <= removeStart) {
+    newHtml = html.slice(0, insertion.offset) + text + html.slice(insertion.offset, removeStart) + html.slice(removeEnd)
+    newStart = insertion.offset + insertion.prefix.length
+  } else {
+    return null
+  }
+
+  return { html: newHtml, domPath: getDomPathAt(newHtml, newStart) }
+}
+
+/**
+ * Insert new markup before, after or into an element, indented to match its neighbours
+ *
+ * @param {string} html - Page source
+ * @param {Object} insert
+ * @param {ElementRef} insert.target - Element to insert relative to
+ * @param {'before'|'after'|'inside'} insert.position - Where the markup goes relative to the target
+ * @param {string} insert.markup - HTML to insert, with its lines indented from column 0
+ * @returns {{html: string, domPath: number[]|null}|null} New source and the inserted element's DOM path,
+ *   or null when the target can't be found in the source
+ */
+export const insertMarkupInSource = (html, { target, position, markup }) => {
+  const tree = parseHtml(html)
+  const targetNode = findElement(tree, target)
+  if (!canInsertAt(tree, targetNode, position)) return null
+
+  const insertion = getInsertion(html, targetNode, position, markup, '')
+  const newHtml = html.slice(0, insertion.offset) + insertion.prefix + insertion.markup + insertion.suffix + html.slice(insertion.offset)
+  return { html: newHtml, domPath: getDomPathAt(newHtml, insertion.offset + insertion.prefix.length) }
+}
+
+/**
+ * Delete elements from the source
+ *
+ * @param {string} html - Page source
+ * @param {Object} edit
+ * @param {ElementRef[]} edit.targets - Elements to delete
+ * @returns {{html: string}|null} New source, or null when an element can't be found in the source
+ */
+export const removeElementsInSource = (html, { targets }) => {
+  const nodes = findEditTargets(parseHtml(html), targets)
+  if (!nodes) return null
+
+  // Cut from the end so earlier offsets stay valid
+  let newHtml = html
+  nodes.slice().reverse().forEach(node => {
+    const range = getRemovalRange(newHtml, node)
+    newHtml = newHtml.slice(0, range.start) + newHtml.slice(range.end)
+  })
+  return { html: newHtml }
+}
+
+/**
+ * Put a copy of each element right after it
+ *
+ * @param {string} html - Page source
+ * @param {Object} edit
+ * @param {ElementRef[]} edit.targets - Elements to duplicate
+ * @returns {{html: string, copies: Array<{domPath: number[]|null, tagName: string}>}|null} New source and
+ *   the copies in source order, or null when an element can't be found in the source
+ */
+export const duplicateElementsInSource = (html, { targets }) => {
+  const nodes = findEditTargets(parseHtml(html), targets)
+  if (!nodes) return null
+
+  let newHtml = html
+  let shift = 0
+  const copies = []
+  nodes.forEach(node => {
+    const markup = html.slice(node.start, node.end)
+    const insertion = getInsertion(html, node, 'after', markup, getLineIndent(html, node.start))
+    const text = insertion.prefix + insertion.markup + insertion.suffix
+    const offset = insertion.offset + shift
+    newHtml = newHtml.slice(0, offset) + text + newHtml.slice(offset)
+    copies.push({ start: offset + insertion.prefix.length, tagName: node.tagName })
+    shift += text.length
+  })
+  return {
+    html: newHtml,
+    copies: copies.map(copy => ({ domPath: getDomPathAt(newHtml, copy.start), tagName: copy.tagName }))
+  }
+}
+
+/**
+ * Wrap an element in a new parent element
+ * An element on a line of its own gets the wrapper's tags on their own lines and is indented one
+ * level deeper; an element inside a line of text is wrapped in place
+ *
+ * @param {string} html - Page source
+ * @param {Object} edit
+ * @param {ElementRef} edit.target - Element to wrap
+ * @param {string} edit.tagName - Wrapper tag, e.g. 'div'
+ * @param {Object<string, string>} [edit.attributes] - Wrapper attributes, e.g. { href: '#' }
+ * @returns {{html: string, domPath: number[]|null}|null} New source and the wrapper's DOM path, or null
+ *   when the element can't be found in the source or can't be wrapped
+ */
+export const wrapElementInSource = (html, { target, tagName, attributes = {} }) => {
+  const tree = parseHtml(html)
+  const nodes = findEditTargets(tree, [target])
+  if (!nodes || FIXED_PARENT_ELEMENTS.has(nodes[0].tagName)) return null
+  const node = nodes[0]
+
+  const attributeText = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${String(value).replace(/"/g, '&quot;')}"`)
+    .join('')
+  const openTag = `<${tagName}${attributeText}>`
+  const closeTag = `</${tagName}>`
+  const markup = html.slice(node.start, node.end)
+
+  const indent = getLineIndent(html, node.start)
+  let wrapped = openTag + markup + closeTag
+  if (indent !== null && isLineEnd(html, node.end)) {
+    const innerIndent = indent + detectIndentUnit(html)
+    wrapped = `${openTag}\n${innerIndent}${reindent(markup, indent, innerIndent)}\n${indent}${closeTag}`
+  }
+
+  const newHtml = html.slice(0, node.start) + wrapped + html.slice(node.end)
+  return { html: newHtml, domPath: getDomPathAt(newHtml, node.start) }
+}
+
+/**
+ * Replace an element with its content, keeping its children where it was
+ *
+ * @param {string} html - Page source
+ * @param {Object} edit
+ * @param {ElementRef} edit.target - Element to unwrap
+ * @returns {{html: string, domPath: number[]|null, tagName: string}|null} New source and the DOM path and
+ *   tag of the first child element (or of the parent when there was none), or null when the element
+ *   can't be found in the source or has no content to keep
+ */
+export const unwrapElementInSource = (html, { target }) => {
+  const tree = parseHtml(html)
+  const nodes = findEditTargets(tree, [target])
+  if (!nodes) return null
+  const node = nodes[0]
+  if (VOID_ELEMENTS.has(node.tagName) || node.closeTagStart === null || node.closeTagStart === node.openTagEnd) return null
+
+  const firstChild = node.children.find(child => !child.implied) || null
+  const indent = getLineIndent(html, node.start)
+  const closeIndent = getLineIndent(html, node.closeTagStart)
+  const isBlock = indent !== null && closeIndent !== null && isLineEnd(html, node.openTagEnd) && isLineEnd(html, node.end)
+
+  let newHtml
+  let firstChildStart = null
+  if (isBlock) {
+    // Drop the lines holding the tags and shift the content out to the element's indentation
+    const contentStart = html.indexOf('\n', node.openTagEnd) + 1
+    const contentEnd = node.closeTagStart - closeIndent.length
+    const content = html.slice(contentStart, contentEnd)
+    const contentIndent = (content.match(/^([ \t]*)\S/m) || [null, indent])[1]
+    const outdent = (text) => text.split('\n').map(line => {
+      return line.startsWith(contentIndent) ? indent + line.slice(contentIndent.length) : line
+    }).join('\n')
+
+    const range = getRemovalRange(html, node)
+    newHtml = html.slice(0, range.start) + outdent(content) + html.slice(range.end)
+    if (firstChild) firstChildStart = range.start + outdent(html.slice(contentStart, firstChild.start)).length
+  } else {
+    newHtml = html.slice(0, node.start) + html.slice(node.openTagEnd, node.closeTagStart) + html.slice(node.end)
+    if (firstChild) firstChildStart = node.start + (firstChild.start - node.openTagEnd)
+  }
+
+  const domPath = firstChildStart !== null ? getDomPathAt(newHtml, firstChildStart) : null
+  if (domPath) return { html: newHtml, domPath, tagName: firstChild.tagName }
+  return { html: newHtml, domPath: getDomPath(tree, node.parent), tagName: node.parent.tagName }
+}
+
+// Spans of an element's own text between its child tags, leaving out comments
+const getTextRuns = (html, node) => {
+  const gaps = []
+  let from = node.openTagEnd
+  node.children.forEach(child => {
+    gaps.push({ start: from, end: child.start })
+    from = child.end
+  })
+  gaps.push({ start: from, end: node.closeTagStart })
+
+  const runs = []
+  gaps.forEach(gap => {
+    let index = gap.start
+    while (index < gap.end) {
+      const commentStart = html.indexOf('<!--', index)
+      if (commentStart === -1 || commentStart >= gap.end) {
+        runs.push({ start: index, end: gap.end })
+        break
+      }
+      if (commentStart > index) runs.push({ start: index, end: commentStart })
+      const commentEnd = html.indexOf('-->', commentStart + 4)
+      index = commentEnd === -1 ? gap.end : Math.min(gap.end, commentEnd + 3)
+    }
+  })
+  return runs
+}
+
+const escapeText = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+// Only elements with a close tag, whose content is parsed as text or markup, can take new text
+const canHoldText = (node) => {
+  return !VOID_ELEMENTS.has(node.tagName) && node.closeTagStart !== null &&
+    (!RAW_TEXT_ELEMENTS.has(node.tagName) || node.tagName === 'textarea' || node.tagName === 'title')
+}
+
+/**
+ * Replace an element's content with text, as setting textContent does in the preview
+ * Whitespace around the old content is kept, so the element's indentation doesn't change
+ *
+ * @param {string} html - Page source
+ * @param {Object} edit
+ * @param {ElementRef} edit.target - Element to change
+ * @param {string} edit.text - New text (escaped as it's written)
+ * @returns {{html: string}|null} New source, or null when the element can't be found in the source
+ */
+export const setElementTextInSource = (html, { target, text }) => {
+  const node = findElement(parseHtml(html), target)
+  if (!node || !canHoldText(node)) return null
+
+  const content = html.slice(node.openTagEnd, node.closeTagStart)
+  const leading = content.match(/^\s*/)[0]
+  const trailing = content.slice(leading.length).match(/\s*$/)[0]
+  return {
+    html: html.slice(0, node.openTagEnd + leading.length) + escapeText(text) + html.slice(node.closeTagStart - trailing.length)
+  }
+}
+
+/**
+ * Replace an element's own text and keep its child elements
+ * The first run of text takes the new text; other runs between the children are emptied.
+ * With no text yet, it's added after the last child
+ *
+ * @param {string} html - Page source
+ * @param {Object} edit
+ * @param {ElementRef} edit.target - Element to change
+ * @param {string} edit.text - New text (escaped as it's written)
+ * @returns {{html: string}|null} New source, or null when the element can't be found in the source
+ */
+export const setDirectTextInSource = (html, { target, text }) => {
+  const node = findElement(parseHtml(html), target)
+  if (!node || !canHoldText(node)) return null
+
+  const runs = getTextRuns(html, node)
+  const textRuns = runs.filter(run => html.slice(run.start, run.end).trim())
+  let newHtml = html
+  if (textRuns.length === 0) {
+    const last = runs[runs.length - 1]
+    const trailing = html.slice(last.start, last.end).match(/\s*$/)[0]
+    const offset = last.end - trailing.length
+    return { html: html.slice(0, offset) + escapeText(text) + html.slice(offset) }
+  }
+
+  // From the end so earlier offsets stay valid
+  textRuns.slice().reverse().forEach((run, index) => {
+    const runText = html.slice(run.start, run.end)
+    const start = run.start + runText.match(/^\s*/)[0].length
+    const end = run.end - runText.match(/\s*$/)[0].length
+    const replacement = index === textRuns.length - 1 ? escapeText(text) : ''
+    newHtml = newHtml.slice(0, start) + replacement + newHtml.slice(end)
+  })
+  return { html: newHtml }
+}
+
+/**
+ * Set, or remove, an attribute in an element's open tag - other attributes are left as written
+ *
+ * @param {string} html - Page source
+ * @param {Object} edit
+ * @param {ElementRef} edit.target - Element to change
+ * @param {string} edit.name - Attribute name
+ * @param {string|null} edit.value - New value, or null to remove the attribute
+ * @returns {{html: string}|null} New source, or null when the element can't be found in the source
+ */
+export const setAttributeInSource = (html, { target, name, value }) => {
+  const node = findElement(parseHtml(html), target)
+  const attributeName = String(name || '').trim().toLowerCase()
+  if (!node || !attributeName || /[\s"'>/=]/.test(attributeName)) return null
+
+  const existing = node.attributes.find(attribute => attribute.name === attributeName)
+  const markup = value === null || value === undefined
+    ? ''
+    : `${attributeName}="${String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`
+
+  if (existing) {
+    if (markup) return { html: html.slice(0, existing.start) + markup + html.slice(existing.end) }
+    // Take the whitespace before the attribute with it
+    const before = html.slice(node.start, existing.start)
+    const start = existing.start - before.match(/\s*$/)[0].length
+    return { html: html.slice(0, start) + html.slice(existing.end) }
+  }
+  if (!markup) return { html }
+
+  // After the last attribute, or the tag name
+  const last = node.attributes[node.attributes.length - 1]
+  const offset = last ? last.end : node.start + 1 + node.tagName.length
+  return { html: html.slice(0, offset) + ' ' + markup + html.slice(offset) }
+}
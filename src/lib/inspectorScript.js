@@ -0,0 +1,2685 @@
+import { NODE_ID_ATTRIBUTE } from './htmlParser'
+
+/**
+ * Inspector script injected into every previewed HTML page.
+ * Runs inside the preview iframe: draws the hover/selection highlight, reports
+ * the selected element to PreviewPane and applies UPDATE_STYLE messages.
+ *
+ * @param {Object} options
+ * @param {boolean} options.isTextEditing - Whether text editing is active when the page loads
+ * @returns {string} A <script> tag ready to insert before </body>
+ */
+export const buildInspectorScript = ({ isTextEditing = false } = {}) => `
+  <script>
+    (function() {
+      // Log through the real console so editor messages stay out of the preview console panel
+      const console = window.__vibecanvasConsole || window.console;
+      
+      // Check body classes in iframe
+      console.log('🔖 Body classes in iframe:', document.body.className);
+      console.log('🔖 Body data-page:', document.body.getAttribute('data-page'));
+      
+      let selectedElement = null;
+      // Elements added with shift-click or the marquee - selectedElement stays the primary one
+      let extraSelectedElements = [];
+      // Their dashed outlines - declared up here because maintainSelection draws them from the start
+      let selectionLayer = null;
+      let selectionOutlines = [];
+      // Drag handle on the selected element - also drawn by maintainSelection
+      let dragHandle = null;
+      let highlightDiv = null;
+      
+      function createHighlight() {
+        if (highlightDiv) return;
+        highlightDiv = document.createElement('div');
+        highlightDiv.id = 'vibecanvas-highlight';
+        highlightDiv.style.position = 'absolute';
+        highlightDiv.style.border = '2px solid #4a9eff';
+        highlightDiv.style.pointerEvents = 'none';
+        highlightDiv.style.zIndex = '999999';
+        highlightDiv.style.boxSizing = 'border-box';
+        highlightDiv.style.transition = 'none';
+        createBoxModelOverlay();
+        document.body.appendChild(highlightDiv);
+      }
+      
+      // Box-model overlay: margin, border, padding and content shaded like browser devtools
+      // Each region is a div over its outer edge whose borders are as thick as the region,
+      // all inside highlightDiv so they hide and move with it
+      const BOX_MODEL_COLORS = {
+        margin: 'rgba(246, 178, 107, 0.45)',
+        border: 'rgba(255, 229, 153, 0.6)',
+        padding: 'rgba(147, 196, 125, 0.5)',
+        content: 'rgba(111, 168, 220, 0.35)'
+      };
+      const HIGHLIGHT_OUTLINE_WIDTH = 2;
+      let boxModelRegions = null;
+      let boxModelLabel = null;
+      
+      // The page's own CSS must not leak into the overlay
+      function resetOverlayStyles(el) {
+        el.style.position = 'absolute';
+        el.style.margin = '0';
+        el.style.padding = '0';
+        el.style.boxSizing = 'border-box';
+        el.style.pointerEvents = 'none';
+        el.style.transition = 'none';
+      }
+      
+      function createBoxModelOverlay() {
+        boxModelRegions = {};
+        ['margin', 'border', 'padding', 'content'].forEach(function(region) {
+          const regionDiv = document.createElement('div');
+          resetOverlayStyles(regionDiv);
+          regionDiv.style.borderStyle = 'solid';
+          regionDiv.style.borderColor = BOX_MODEL_COLORS[region];
+          regionDiv.style.borderWidth = '0';
+          if (region === 'content') {
+            regionDiv.style.background = BOX_MODEL_COLORS.content;
+          }
+          highlightDiv.appendChild(regionDiv);
+          boxModelRegions[region] = regionDiv;
+        });
+        
+        boxModelLabel = document.createElement('div');
+        resetOverlayStyles(boxModelLabel);
+        boxModelLabel.style.padding = '2px 6px';
+        boxModelLabel.style.background = '#1a1a1a';
+        boxModelLabel.style.color = '#fff';
+        boxModelLabel.style.font = '11px/16px Monaco, Menlo, monospace';
+        boxModelLabel.style.whiteSpace = 'nowrap';
+        boxModelLabel.style.borderRadius = '3px';
+        boxModelLabel.style.boxShadow = '0 1px 4px rgba(0, 0, 0, 0.4)';
+        highlightDiv.appendChild(boxModelLabel);
+      }
+      
+      function formatPixels(value) {
+        return String(Math.round(value * 100) / 100);
+      }
+      
+      // Called on every highlight refresh, so spacing edits show up immediately
+      function updateBoxModelOverlay(element, rect) {
+        if (!boxModelRegions) return;
+        
+        const style = window.getComputedStyle(element);
+        const getEdges = function(prefix, suffix) {
+          const edges = {};
+          ['top', 'right', 'bottom', 'left'].forEach(function(side) {
+            const property = prefix + '-' + side + (suffix ? '-' + suffix : '');
+            edges[side] = Math.max(0, parseFloat(style.getPropertyValue(property)) || 0);
+          });
+          return edges;
+        };
+        const margin = getEdges('margin');
+        const border = getEdges('border', 'width');
+        const padding = getEdges('padding');
+        
+        // Positions are relative to highlightDiv's padding edge, just inside its outline
+        const placeRegion = function(region, left, top, width, height, edges) {
+          const regionDiv = boxModelRegions[region];
+          regionDiv.style.left = (left - HIGHLIGHT_OUTLINE_WIDTH) + 'px';
+          regionDiv.style.top = (top - HIGHLIGHT_OUTLINE_WIDTH) + 'px';
+          regionDiv.style.width = Math.max(0, width) + 'px';
+          regionDiv.style.height = Math.max(0, height) + 'px';
+          if (edges) {
+            regionDiv.style.borderWidth = edges.top + 'px ' + edges.right + 'px ' + edges.bottom + 'px ' + edges.left + 'px';
+          }
+        };
+        
+        placeRegion('margin', -margin.left, -margin.top,
+          rect.width + margin.left + margin.right, rect.height + margin.top + margin.bottom, margin);
+        placeRegion('border', 0, 0, rect.width, rect.height, border);
+        placeRegion('padding', border.left, border.top,
+          rect.width - border.left - border.right, rect.height - border.top - border.bottom, padding);
+        placeRegion('content', border.left + padding.left, border.top + padding.top,
+          rect.width - border.left - border.right - padding.left - padding.right,
+          rect.height - border.top - border.bottom - padding.top - padding.bottom, null);
+        
+        const className = (element.getAttribute('class') || '').trim().split(/\\s+/)[0];
+        boxModelLabel.textContent = element.tagName.toLowerCase() +
+          (element.id ? '#' + element.id : '') +
+          (className ? '.' + className : '') +
+          '  ' + formatPixels(rect.width) + ' × ' + formatPixels(rect.height);
+        
+        // Above the margin box, or below it when that would leave the viewport
+        const labelHeight = 20;
+        if (rect.top - margin.top - labelHeight - 4 < 0) {
+          boxModelLabel.style.top = (rect.height + margin.bottom + 4 - HIGHLIGHT_OUTLINE_WIDTH) + 'px';
+        } else {
+          boxModelLabel.style.top = (-margin.top - labelHeight - 4 - HIGHLIGHT_OUTLINE_WIDTH) + 'px';
+        }
+        boxModelLabel.style.left = (-HIGHLIGHT_OUTLINE_WIDTH) + 'px';
+      }
+      
+      function highlightElement(element) {
+        if (!element || element === document.body || element === document.documentElement) {
+          if (highlightDiv && !selectedElement) {
+            highlightDiv.style.display = 'none';
+          }
+          return;
+        }
+        
+        if (!highlightDiv) createHighlight();
+        
+        try {
+          // Save scroll position before getting rect (in case it triggers scroll)
+          const savedScrollX = window.scrollX || window.pageXOffset;
+          const savedScrollY = window.scrollY || window.pageYOffset;
+          
+          const rect = element.getBoundingClientRect();
+          
+          // Restore scroll position immediately after getting rect
+          window.scrollTo(savedScrollX, savedScrollY);
+          
+          // Always show highlight, even for zero-size elements
+          highlightDiv.style.display = 'block';
+          highlightDiv.style.visibility = 'visible';
+          highlightDiv.style.opacity = '1';
+          
+          if (rect.width === 0 && rect.height === 0) {
+            // For hidden/zero-size elements, show a minimum 2x2 highlight
+            highlightDiv.style.left = (rect.left + savedScrollX) + 'px';
+            highlightDiv.style.top = (rect.top + savedScrollY) + 'px';
+            highlightDiv.style.width = '2px';
+            highlightDiv.style.height = '2px';
+          } else if (rect.width < 2 || rect.height < 2) {
+            // For very small elements, ensure minimum visibility
+            highlightDiv.style.left = (rect.left + savedScrollX) + 'px';
+            highlightDiv.style.top = (rect.top + savedScrollY) + 'px';
+            highlightDiv.style.width = Math.max(rect.width, 2) + 'px';
+            highlightDiv.style.height = Math.max(rect.height, 2) + 'px';
+          } else {
+            // Normal elements
+            highlightDiv.style.left = (rect.left + savedScrollX) + 'px';
+            highlightDiv.style.top = (rect.top + savedScrollY) + 'px';
+            highlightDiv.style.width = rect.width + 'px';
+            highlightDiv.style.height = rect.height + 'px';
+          }
+          
+          updateBoxModelOverlay(element, rect);
+          
+          // Only log when element changes, not every frame
+          if (!window.lastHighlightedElement || window.lastHighlightedElement !== element) {
+            console.log('Highlighting element:', {
+              tagName: element.tagName,
+              id: element.id,
+              className: element.className,
+              textContent: element.textContent?.substring(0, 30),
+              rect: rect,
+              highlightPos: {
+                left: highlightDiv.style.left,
+                top: highlightDiv.style.top,
+                width: highlightDiv.style.width,
+                height: highlightDiv.style.height
+              }
+            });
+            window.lastHighlightedElement = element;
+          }
+          
+        } catch (e) {
+          console.error('Error highlighting element:', e);
+          // Element might have been removed, hide highlight only if no selection
+          if (!selectedElement && highlightDiv) {
+            highlightDiv.style.display = 'none';
+          }
+        }
+      }
+      
+      // Child-index chain from <html> down to an element, so the same element
+      // can be found in another frame showing the same page
+      function getDomPath(element) {
+        const path = [];
+        let node = element;
+        while (node && node.parentElement) {
+          path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+          node = node.parentElement;
+        }
+        return path;
+      }
+      
+      // Elements written in the page's source carry their node id - script-created ones have none
+      const NODE_ID_ATTRIBUTE = '${NODE_ID_ATTRIBUTE}';
+
+      // How the editor finds an element's markup in the page source
+      function getElementRef(element) {
+        const ref = { domPath: getDomPath(element), tagName: element.tagName.toLowerCase() };
+        const nodeId = element.getAttribute(NODE_ID_ATTRIBUTE);
+        // A <body> the source leaves implied has no tag to carry an id - it's found by its path
+        if (nodeId !== null || element !== document.body) ref.nodeId = nodeId;
+        return ref;
+      }
+
+      // Attributes the Attributes section lists - class has its own chip editor, style holds the
+      // editor's live preview overrides and the rest are the editor's own bookkeeping
+      const HIDDEN_ATTRIBUTES = ['class', 'style', NODE_ID_ATTRIBUTE, 'data-vibecanvas-id', 'data-vibecanvas-style-id', 'data-vibecanvas-state', 'data-vibecanvas-page-class'];
+
+      // The page class the editor adds to <body> for page-scoped CSS when the source has none
+      const PAGE_CLASS_ATTRIBUTE = 'data-vibecanvas-page-class';
+
+      // The class attribute as the source has it - without the injected page class
+      function getSourceClassName(element) {
+        const pageClass = element.getAttribute(PAGE_CLASS_ATTRIBUTE);
+        const classes = (element.getAttribute('class') || '').split(/\\s+/).filter(Boolean);
+        return classes.filter(function(name) { return name !== pageClass; }).join(' ');
+      }
+
+      // A class list from the editor, with the injected page class kept in the preview
+      function withPageClass(element, className) {
+        const pageClass = element.getAttribute(PAGE_CLASS_ATTRIBUTE);
+        if (!pageClass) return className;
+        return [className, pageClass].filter(Boolean).join(' ');
+      }
+
+      function getEditableAttributes(element) {
+        return Array.from(element.attributes)
+          .filter(attribute => !HIDDEN_ATTRIBUTES.includes(attribute.name))
+          .map(attribute => ({ name: attribute.name, value: attribute.value }));
+      }
+
+      // Flex and grid properties for the layout controls - the element's own as a container,
+      // and the ones that place it as an item of its parent
+      const LAYOUT_PROPERTIES = [
+        'flexDirection', 'flexWrap', 'justifyContent', 'alignItems', 'alignContent', 'justifyItems',
+        'rowGap', 'columnGap', 'gridTemplateColumns', 'gridTemplateRows',
+        'flexGrow', 'flexShrink', 'flexBasis', 'order', 'alignSelf', 'justifySelf', 'gridColumn', 'gridRow'
+      ];
+
+      // Per-side margin and padding for the spacing editor
+      const SPACING_PROPERTIES = [
+        'marginTop', 'marginRight', 'marginBottom', 'marginLeft',
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'
+      ];
+
+      // Text styles for the typography controls - decoration is read as its line keyword
+      const TYPOGRAPHY_PROPERTIES = [
+        'fontFamily', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing',
+        'textTransform', 'textDecorationLine', 'whiteSpace'
+      ];
+
+      // Shadows, gradients, transforms and filters for the effect editors - computed transforms
+      // come back as matrix(), so the inline value is what keeps the functions as written
+      const EFFECT_PROPERTIES = [
+        'boxShadow', 'textShadow', 'backgroundImage', 'transform', 'filter', 'backdropFilter'
+      ];
+
+      // Inline value when the editor set one, otherwise the computed value
+      function readStyles(inlineStyle, computedStyle, properties) {
+        const styles = {};
+        properties.forEach(function(property) {
+          styles[property] = inlineStyle[property] || computedStyle[property] || '';
+        });
+        return styles;
+      }
+
+      // Specificity of one selector as [ids, classes, types] - :is(), :not() and :has() count
+      // their most specific argument, :where() counts nothing
+      function getSpecificity(selector) {
+        const specificity = [0, 0, 0];
+        let text = selector.replace(/:where\\((?:[^()]|\\([^()]*\\))*\\)/gi, '');
+        text = text.replace(/:(?:is|not|has|matches|-webkit-any)\\(((?:[^()]|\\([^()]*\\))*)\\)/gi, function(match, list) {
+          const most = splitSelectorList(list).map(getSpecificity).reduce(function(best, next) {
+            return compareSpecificity(next, best) > 0 ? next : best;
+          }, [0, 0, 0]);
+          specificity[0] += most[0];
+          specificity[1] += most[1];
+          specificity[2] += most[2];
+          return ' ';
+        });
+        text = text
+          .replace(/\\[[^\\]]*\\]/g, function() { specificity[1]++; return ' '; })
+          .replace(/#(?:[\\w-]|\\\\.)+/g, function() { specificity[0]++; return ' '; })
+          .replace(/\\.(?:[\\w-]|\\\\.)+/g, function() { specificity[1]++; return ' '; })
+          .replace(/::?(?:before|after|first-line|first-letter)\\b|::[\\w-]+(?:\\([^)]*\\))?/gi, function() { specificity[2]++; return ' '; })
+          .replace(/:[\\w-]+(?:\\([^)]*\\))?/g, function() { specificity[1]++; return ' '; });
+        (text.match(/(?:^|[\\s>+~(])[a-zA-Z][\\w-]*/g) || []).forEach(function() { specificity[2]++; });
+        return specificity;
+      }
+
+      function compareSpecificity(a, b) {
+        return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+      }
+
+      // Split a selector list on commas outside parentheses and brackets
+      function splitSelectorList(selectorText) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of selectorText) {
+          if (char === '(' || char === '[') depth++;
+          if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+          if (char === ',' && depth === 0) {
+            if (current.trim()) parts.push(current.trim());
+            current = '';
+          } else {
+            current += char;
+          }
+        }
+        if (current.trim()) parts.push(current.trim());
+        return parts;
+      }
+
+      // Whether an @media/@supports block's condition currently holds
+      function isConditionActive(rule) {
+        try {
+          if (rule.media) return window.matchMedia(rule.media.mediaText || 'all').matches;
+          if (rule.type === CSSRule.SUPPORTS_RULE) return CSS.supports(rule.conditionText);
+        } catch (error) {
+          return false;
+        }
+        return true;
+      }
+
+      // A style block's declarations as the browser keeps them - shorthands come back as longhands
+      function readDeclarations(style) {
+        const declarations = [];
+        for (let i = 0; i < style.length; i++) {
+          declarations.push({
+            property: style[i],
+            value: style.getPropertyValue(style[i]).trim(),
+            important: style.getPropertyPriority(style[i]) === 'important'
+          });
+        }
+        return declarations;
+      }
+
+      // Stylesheet rules that match the element, in cascade order (later wins for equal importance
+      // and specificity). Each rule is identified by its stylesheet and its occurrence among the
+      // sheet's rules with the same selector, so the editor can find it in the CSS source
+      // In a forced state the rules for it match too - for a pseudo-element, only those
+      function getMatchedRules(element, state) {
+        const matched = [];
+        let order = 0;
+
+        function collect(rules, source, occurrences, conditions, isActive) {
+          Array.from(rules).forEach(function(rule) {
+            if (rule.type === CSSRule.IMPORT_RULE) {
+              if (rule.styleSheet) collectSheet(rule.styleSheet);
+              return;
+            }
+            if (rule.type === CSSRule.STYLE_RULE) {
+              const selector = rule.selectorText;
+              const occurrence = occurrences[selector] || 0;
+              occurrences[selector] = occurrence + 1;
+              order++;
+              if (!isActive) return;
+              const matchingSelectors = splitSelectorList(selector).filter(function(part) {
+                return matchesSelector(element, part, state);
+              });
+              if (matchingSelectors.length === 0) return;
+
+              const declarations = readDeclarations(rule.style);
+              matched.push({
+                source: source,
+                selector: selector,
+                occurrence: occurrence,
+                specificity: matchingSelectors.map(getSpecificity).reduce(function(best, next) {
+                  return compareSpecificity(next, best) > 0 ? next : best;
+                }),
+                conditions: conditions,
+                order: order,
+                properties: declarations.map(function(declaration) { return declaration.property; }),
+                important: declarations.filter(function(declaration) { return declaration.important; }).map(function(declaration) { return declaration.property; }),
+                declarations: declarations
+              });
+              return;
+            }
+            // @media, @supports, @layer and @container blocks - keyframes aren't style rules
+            if (rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+              const condition = rule.media ? '@media ' + rule.media.mediaText : rule.conditionText ? '@supports ' + rule.conditionText : null;
+              collect(
+                rule.cssRules,
+                source,
+                occurrences,
+                condition ? conditions.concat(condition) : conditions,
+                isActive && isConditionActive(rule)
+              );
+            }
+          });
+        }
+
+        function collectSheet(sheet) {
+          const owner = sheet.ownerNode;
+          if (owner && owner.id && owner.id.indexOf('vibecanvas-') === 0) return;
+          let rules;
+          try {
+            rules = sheet.cssRules;
+          } catch (error) {
+            // Cross-origin stylesheets (CDNs) can't be read
+            return;
+          }
+          const source = {
+            href: sheet.href ? sheet.href.split(/[?#]/)[0] : null,
+            styleId: !sheet.href && owner && owner.id ? owner.id : null
+          };
+          collect(rules, source, {}, [], !sheet.disabled && isConditionActive(sheet));
+        }
+
+        Array.from(document.styleSheets).forEach(collectSheet);
+        return matched;
+      }
+      
+      // Inline styles and matched rules of each ancestor, nearest first - where inherited values come from
+      function getInheritedRules(element) {
+        const inherited = [];
+        for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+          inherited.push({
+            tagName: ancestor.tagName.toLowerCase(),
+            id: ancestor.id || '',
+            className: typeof ancestor.className === 'string' ? ancestor.className : '',
+            domPath: getDomPath(ancestor),
+            inlineStyle: readDeclarations(ancestor.style),
+            matchedRules: getMatchedRules(ancestor)
+          });
+        }
+        return inherited;
+      }
+
+      // Computed value of every property in the given declaration lists
+      function getComputedValues(computedStyle, declarationLists) {
+        const values = {};
+        declarationLists.forEach(function(declarations) {
+          declarations.forEach(function(declaration) {
+            if (!(declaration.property in values)) {
+              values[declaration.property] = computedStyle.getPropertyValue(declaration.property).trim();
+            }
+          });
+        });
+        return values;
+      }
+
+      // What the Styles tab adds to the element info - its ancestors' rules and the computed value of
+      // every property in the cascade. Only built when asked for, as it walks every stylesheet once per ancestor
+      function getCascadeInfo(element) {
+        const state = getForcedState(element);
+        const pseudoElement = PSEUDO_ELEMENT_PATTERNS[state] ? '::' + state : null;
+        const inlineStyle = readDeclarations(pseudoElement ? NO_INLINE_STYLE : element.style);
+        const inheritedRules = getInheritedRules(element);
+        const declarationLists = [inlineStyle]
+          .concat(getMatchedRules(element, state).map(function(rule) { return rule.declarations; }))
+          .concat(inheritedRules.reduce(function(lists, ancestor) {
+            return lists.concat([ancestor.inlineStyle], ancestor.matchedRules.map(function(rule) { return rule.declarations; }));
+          }, []));
+
+        return {
+          domPath: getDomPath(element),
+          nodeId: element.getAttribute(NODE_ID_ATTRIBUTE),
+          inheritedRules: inheritedRules,
+          computedValues: getComputedValues(window.getComputedStyle(element, pseudoElement), declarationLists)
+        };
+      }
+
+      // Forcing a state: scripts can't make the browser apply :hover, so the rules for it are
+      // copied with the pseudo-class swapped for an attribute the selected elements get
+      const STATE_ATTRIBUTE = 'data-vibecanvas-state';
+      const FORCED_STATE_PATTERNS = {
+        hover: /:hover(?![\\w-])/g,
+        focus: /:focus(?:-visible)?(?![\\w-])/g,
+        active: /:active(?![\\w-])/g,
+        visited: /:visited(?![\\w-])/g
+      };
+      // Pseudo-elements aren't forced - their rules are matched and edited in the element's place
+      const PSEUDO_ELEMENT_PATTERNS = {
+        before: /::?before$/i,
+        after: /::?after$/i
+      };
+      let forcedState = null;
+      let forcedStateElements = [];
+
+      function getStateSelector(selector, state) {
+        return selector.replace(FORCED_STATE_PATTERNS[state], '[' + STATE_ATTRIBUTE + '="' + state + '"]');
+      }
+
+      function getForcedState(element) {
+        return forcedStateElements.indexOf(element) !== -1 ? forcedState : null;
+      }
+
+      // Whether one selector of a list matches the element in a state
+      function matchesSelector(element, selector, state) {
+        let target = selector;
+        if (PSEUDO_ELEMENT_PATTERNS[state]) {
+          if (!PSEUDO_ELEMENT_PATTERNS[state].test(selector)) return false;
+          target = selector.replace(PSEUDO_ELEMENT_PATTERNS[state], '') || '*';
+        } else if (FORCED_STATE_PATTERNS[state]) {
+          target = getStateSelector(selector, state);
+        }
+        try {
+          return element.matches(target);
+        } catch (error) {
+          return false;
+        }
+      }
+
+      // Copies of the page's rules for a pseudo-class, in their @media/@supports blocks
+      function getForcedStateCss(state) {
+        function copyRules(rules) {
+          return Array.from(rules).map(function(rule) {
+            if (rule.type === CSSRule.IMPORT_RULE) {
+              return rule.styleSheet ? copySheet(rule.styleSheet) : '';
+            }
+            if (rule.type === CSSRule.STYLE_RULE) {
+              const selector = getStateSelector(rule.selectorText, state);
+              return selector !== rule.selectorText ? selector + ' { ' + rule.style.cssText + ' }' : '';
+            }
+            if (!rule.cssRules || rule.type === CSSRule.KEYFRAMES_RULE) return '';
+            const inner = copyRules(rule.cssRules);
+            if (!inner) return '';
+            if (rule.media) return '@media ' + rule.media.mediaText + ' { ' + inner + ' }';
+            if (rule.conditionText) return '@supports ' + rule.conditionText + ' { ' + inner + ' }';
+            return inner;
+          }).filter(Boolean).join('\\n');
+        }
+
+        function copySheet(sheet) {
+          const owner = sheet.ownerNode;
+          if (sheet.disabled || (owner && owner.id && owner.id.indexOf('vibecanvas-') === 0)) return '';
+          try {
+            return copyRules(sheet.cssRules);
+          } catch (error) {
+            // Cross-origin stylesheets (CDNs) can't be read
+            return '';
+          }
+        }
+
+        return Array.from(document.styleSheets).map(copySheet).filter(Boolean).join('\\n');
+      }
+
+      function updateForcedStateStyles() {
+        let styleElement = document.getElementById('vibecanvas-state-styles');
+        if (!FORCED_STATE_PATTERNS[forcedState]) {
+          if (styleElement) styleElement.remove();
+          return;
+        }
+        if (!styleElement) {
+          styleElement = document.createElement('style');
+          styleElement.id = 'vibecanvas-state-styles';
+          (document.head || document.documentElement).appendChild(styleElement);
+        }
+        styleElement.textContent = getForcedStateCss(forcedState);
+      }
+
+      function setElementState(elements, state) {
+        forcedStateElements.forEach(function(element) {
+          element.removeAttribute(STATE_ATTRIBUTE);
+        });
+        forcedState = state || null;
+        forcedStateElements = forcedState ? elements : [];
+        forcedStateElements.forEach(function(element) {
+          element.setAttribute(STATE_ATTRIBUTE, forcedState);
+        });
+        updateForcedStateStyles();
+      }
+
+      // Edits at a breakpoint or in a state preview through a stylesheet - inline styles would
+      // apply at every width, and can't style a state or a pseudo-element at all
+      const SCOPED_STYLE_ATTRIBUTE = 'data-vibecanvas-style-id';
+      const scopedStyles = new Map();
+      let scopedStyleCount = 0;
+
+      // scope is { media, state } - either can be null
+      function setScopedStyle(elements, scope, property, value) {
+        const cssProperty = property.replace(/([A-Z])/g, '-$1').toLowerCase();
+        elements.forEach(function(element) {
+          if (!element.hasAttribute(SCOPED_STYLE_ATTRIBUTE)) {
+            element.setAttribute(SCOPED_STYLE_ATTRIBUTE, String(++scopedStyleCount));
+          }
+          let selector = '[' + SCOPED_STYLE_ATTRIBUTE + '="' + element.getAttribute(SCOPED_STYLE_ATTRIBUTE) + '"]';
+          if (FORCED_STATE_PATTERNS[scope.state]) selector += '[' + STATE_ATTRIBUTE + '="' + scope.state + '"]';
+          if (PSEUDO_ELEMENT_PATTERNS[scope.state]) selector += '::' + scope.state;
+          const key = (scope.media || '') + '|' + selector + '|' + cssProperty;
+          if (value === '') {
+            scopedStyles.delete(key);
+          } else {
+            scopedStyles.set(key, { media: scope.media, selector: selector, property: cssProperty, value: value });
+          }
+        });
+
+        let styleElement = document.getElementById('vibecanvas-scoped-styles');
+        if (!styleElement) {
+          styleElement = document.createElement('style');
+          styleElement.id = 'vibecanvas-scoped-styles';
+          (document.head || document.documentElement).appendChild(styleElement);
+        }
+        styleElement.textContent = Array.from(scopedStyles.values()).map(function(entry) {
+          const rule = entry.selector + ' { ' + entry.property + ': ' + entry.value + ' !important; }';
+          return entry.media ? '@media ' + entry.media + ' { ' + rule + ' }' : rule;
+        }).join('\\n');
+      }
+
+      // Token edits preview as a rule redefining the custom property where it's declared, until
+      // the stylesheet reloads with the new value
+      const tokenStyles = new Map();
+
+      // Selectors and preludes as the CSSOM serializes them can differ in spacing and case from the source
+      function normalizeCss(text) {
+        return String(text).replace(/\\s+/g, '').toLowerCase();
+      }
+
+      function getTokenStyleKey(conditions, selector, name) {
+        return normalizeCss(conditions.join(' ') + '|' + selector + '|' + name);
+      }
+
+      function writeTokenStyles() {
+        let styleElement = document.getElementById('vibecanvas-token-styles');
+        if (tokenStyles.size === 0) {
+          if (styleElement) styleElement.remove();
+          return;
+        }
+        if (!styleElement) {
+          styleElement = document.createElement('style');
+          styleElement.id = 'vibecanvas-token-styles';
+          (document.head || document.documentElement).appendChild(styleElement);
+        }
+        styleElement.textContent = Array.from(tokenStyles.values()).map(function(entry) {
+          const rule = entry.token.selector + ' { ' + entry.token.name + ': ' + entry.value + ' !important; }';
+          return entry.token.conditions.reduceRight(function(inner, condition) {
+            return condition + ' { ' + inner + ' }';
+          }, rule);
+        }).join('\\n');
+      }
+
+      // token is { name, selector, conditions } - conditions are "@media ..." preludes, outermost first
+      function setTokenStyle(token, value) {
+        tokenStyles.set(getTokenStyleKey(token.conditions, token.selector, token.name), { token: token, value: value });
+        writeTokenStyles();
+      }
+
+      // Custom properties a stylesheet declares, by the same key as their previews
+      function getDeclaredTokens(sheet) {
+        const declared = new Map();
+        function collect(rules, conditions) {
+          Array.from(rules).forEach(function(rule) {
+            if (rule.type === CSSRule.STYLE_RULE) {
+              Array.from(rule.style).forEach(function(property) {
+                if (property.indexOf('--') !== 0) return;
+                declared.set(getTokenStyleKey(conditions, rule.selectorText, property), rule.style.getPropertyValue(property));
+              });
+              return;
+            }
+            if (rule.type === CSSRule.MEDIA_RULE) {
+              collect(rule.cssRules, conditions.concat('@media ' + rule.media.mediaText));
+            } else if (rule.type === CSSRule.SUPPORTS_RULE) {
+              collect(rule.cssRules, conditions.concat('@supports ' + rule.conditionText));
+            } else if (rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+              collect(rule.cssRules, conditions);
+            }
+          });
+        }
+        try {
+          collect(sheet.cssRules, []);
+        } catch (error) {
+          // Cross-origin stylesheets (CDNs) can't be read
+        }
+        return declared;
+      }
+
+      // A reloaded stylesheet takes over the previews of the tokens it now declares with the previewed
+      // value - the rest are edits still waiting to be written, and keep previewing
+      function clearWrittenTokenStyles(sheet) {
+        if (!sheet || tokenStyles.size === 0) return;
+        const declared = getDeclaredTokens(sheet);
+        tokenStyles.forEach(function(entry, key) {
+          if (declared.has(key) && normalizeCss(declared.get(key)) === normalizeCss(entry.value)) {
+            tokenStyles.delete(key);
+          }
+        });
+        writeTokenStyles();
+      }
+
+      function findElementByDomPath(path, tagName) {
+        if (!Array.isArray(path)) return null;
+        let node = document.documentElement;
+        for (const index of path) {
+          node = node && node.children[index];
+        }
+        if (!node || node === document.documentElement) return null;
+        return !tagName || node.tagName.toLowerCase() === tagName ? node : null;
+      }
+      
+      // Stands in for the inline style of a pseudo-element, which can't have one
+      const NO_INLINE_STYLE = document.createElement('div').style;
+
+      function getElementInfo(element) {
+        if (!element) return null;
+        
+        // In a pseudo-element state the styles are the pseudo-element's
+        const state = getForcedState(element);
+        const pseudoElement = PSEUDO_ELEMENT_PATTERNS[state] ? '::' + state : null;
+        const ownStyle = pseudoElement ? NO_INLINE_STYLE : element.style;
+        const computedStyle = window.getComputedStyle(element, pseudoElement);
+        const rect = element.getBoundingClientRect();
+        
+        // Extract child text elements for multi-text editing
+        const childTextElements = [];
+        
+        function findTextElements(el, path = '') {
+          if (!el || !el.childNodes || !el.tagName) return;
+          
+          try {
+            // Check if this element has direct text content (not just from children)
+            const directText = Array.from(el.childNodes)
+              .filter(node => node.nodeType === Node.TEXT_NODE)
+              .map(node => node.textContent.trim())
+              .filter(text => text.length > 0)
+              .join(' ');
+            
+            // Also check if this is a leaf element with text content
+            const isLeafWithText = el.children.length === 0 && el.textContent && el.textContent.trim().length > 0;
+            
+            if (directText || isLeafWithText) {
+              const textToUse = directText || el.textContent.trim();
+              
+              // Check if element is visually hidden
+              const isHidden = isElementHidden(el);
+              
+              if (textToUse.length > 0 && !isHidden) {
+                childTextElements.push({
+                  text: textToUse,
+                  nodeId: el.getAttribute(NODE_ID_ATTRIBUTE),
+                  tagName: el.tagName,
+                  className: el.className || '',
+                  id: el.id || '',
+                  path: path || el.tagName + (el.id ? '#' + el.id : '') + (el.className ? '.' + el.className.split(' ')[0] : '')
+                });
+              }
+            }
+            
+            // Always check child elements for more text
+            if (el.children) {
+              Array.from(el.children).forEach((child, index) => {
+                const childPath = (path ? path + ' > ' : '') + child.tagName + (child.id ? '#' + child.id : '') + (child.className ? '.' + child.className.split(' ')[0] : '');
+                findTextElements(child, childPath);
+              });
+            }
+          } catch (error) {
+            console.error('Error processing element in findTextElements:', error, el);
+          }
+        }
+        
+        // Helper function to check if element is visually hidden
+        function isElementHidden(el) {
+          if (!el) return true;
+          
+          const computedStyle = window.getComputedStyle(el);
+          const rect = el.getBoundingClientRect();
+          
+          // Check for common hiding methods
+          const isDisplayNone = computedStyle.display === 'none';
+          const isVisibilityHidden = computedStyle.visibility === 'hidden';
+          const isOpacityZero = computedStyle.opacity === '0';
+          const isZeroSize = rect.width === 0 && rect.height === 0;
+          const isOffScreen = rect.left < -1000 || rect.top < -1000;
+          
+          // Check for screen reader only classes
+          const className = el.className || '';
+          const isSrOnly = className.includes('sr-only') || 
+                          className.includes('screen-reader-only') || 
+                          className.includes('visually-hidden') ||
+                          className.includes('hidden');
+          
+          // Check for hidden attribute
+          const hasHiddenAttr = el.hasAttribute('hidden');
+          
+          return isDisplayNone || isVisibilityHidden || isOpacityZero || 
+                 isZeroSize || isOffScreen || isSrOnly || hasHiddenAttr;
+        }
+        
+        // Find all text elements within this element
+        findTextElements(element);
+        
+        console.log('Found child text elements in iframe (visible only):', childTextElements);
+
+        // The element's own rules - the Styles tab asks for the rest of the cascade with REQUEST_CASCADE
+        const matchedRules = getMatchedRules(element, state);
+        const inlineStyle = readDeclarations(ownStyle);
+        
+        return {
+          tagName: element.tagName.toLowerCase(),
+          id: element.id || '',
+          className: getSourceClassName(element),
+          domPath: getDomPath(element),
+          nodeId: element.getAttribute(NODE_ID_ATTRIBUTE),
+          textContent: element.textContent?.trim() || '',
+          placeholder: element.placeholder || '', // Add placeholder support
+          attributes: getEditableAttributes(element),
+          matchedRules: matchedRules,
+          inlineStyle: inlineStyle,
+          // Whether the element is a flex or grid item
+          parentDisplay: element.parentElement ? window.getComputedStyle(element.parentElement).display : '',
+          childTextElements: childTextElements, // Add this to the element info
+            styles: {
+              // Prefer inline styles over computed styles for colors to preserve exact values
+              // Use getPropertyValue to read styles set with setProperty (including !important)
+              // For computed styles, convert RGB to hex to match what we saved
+              backgroundColor: (() => {
+                const inline = ownStyle.getPropertyValue('background-color') || ownStyle.backgroundColor;
+                if (inline) {
+                  console.log('📖 Reading BACKGROUND COLOR from inline style:', inline);
+                  return inline;
+                }
+                const computed = computedStyle.backgroundColor;
+                console.log('📖 Reading BACKGROUND COLOR from computed style:', computed);
+                // Convert RGB to hex if needed
+                if (computed && computed.startsWith('rgb')) {
+                  const match = computed.match(/\d+/g);
+                  if (match && match.length >= 3) {
+                    const hex = '#' + match.slice(0, 3).map(x => {
+                      const hexVal = parseInt(x).toString(16);
+                      return hexVal.length === 1 ? '0' + hexVal : hexVal;
+                    }).join('');
+                    console.log('📖 Converted BACKGROUND COLOR RGB to hex:', computed, '->', hex);
+                    return hex;
+                  }
+                }
+                console.log('📖 Returning BACKGROUND COLOR computed as-is:', computed);
+                return computed;
+              })(),
+              color: (() => {
+                const inline = ownStyle.getPropertyValue('color') || ownStyle.color;
+                if (inline) {
+                  console.log('📖 Reading TEXT COLOR from inline style:', inline);
+                  return inline;
+                }
+                const computed = computedStyle.color;
+                console.log('📖 Reading TEXT COLOR from computed style:', computed);
+                // Convert RGB to hex if needed
+                if (computed && computed.startsWith('rgb')) {
+                  const match = computed.match(/\d+/g);
+                  if (match && match.length >= 3) {
+                    const hex = '#' + match.slice(0, 3).map(x => {
+                      const hexVal = parseInt(x).toString(16);
+                      return hexVal.length === 1 ? '0' + hexVal : hexVal;
+                    }).join('');
+                    console.log('📖 Converted TEXT COLOR RGB to hex:', computed, '->', hex);
+                    return hex;
+                  }
+                }
+                console.log('📖 Returning TEXT COLOR computed as-is:', computed);
+                return computed;
+              })(),
+            fontSize: ownStyle.fontSize || computedStyle.fontSize,
+            padding: ownStyle.padding || computedStyle.padding,
+            margin: ownStyle.margin || computedStyle.margin,
+            border: ownStyle.border || computedStyle.border,
+            borderRadius: ownStyle.borderRadius || computedStyle.borderRadius,
+            textAlign: ownStyle.textAlign || computedStyle.textAlign,
+            width: ownStyle.width || computedStyle.width,
+            height: ownStyle.height || computedStyle.height,
+            display: ownStyle.display || computedStyle.display,
+            ...readStyles(ownStyle, computedStyle, LAYOUT_PROPERTIES),
+            ...readStyles(ownStyle, computedStyle, SPACING_PROPERTIES),
+            ...readStyles(ownStyle, computedStyle, TYPOGRAPHY_PROPERTIES),
+            ...readStyles(ownStyle, computedStyle, EFFECT_PROPERTIES)
+          },
+          rect: {
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height
+          }
+        };
+      }
+      
+      // Prevent all automatic scrolling
+      const originalScrollIntoView = Element.prototype.scrollIntoView;
+      const originalFocus = HTMLElement.prototype.focus;
+      
+      Element.prototype.scrollIntoView = function() {
+        // Do nothing - prevent all scrollIntoView calls
+      };
+      
+      HTMLElement.prototype.focus = function() {
+        // Prevent focus from scrolling
+        const scrollX = window.scrollX || window.pageXOffset;
+        const scrollY = window.scrollY || window.pageYOffset;
+        originalFocus.call(this);
+        window.scrollTo(scrollX, scrollY);
+      };
+      
+      // Inspector mode state
+      let inspectorEnabled = true;
+      
+      // Flag to prevent navigation during text editing
+      let isTextEditing = ${isTextEditing || false};
+      
+      // Professional selection state management
+      let selectionState = {
+        isSelecting: false,           // Flag: new selection in progress
+        selectionTimestamp: 0,         // When current selection was made
+        lastSelectionId: null,        // ID of last selection
+        selectionLockTimeout: null     // Timeout to clear selection lock
+      };
+      
+      // Clear selection lock after a brief period (allows drift detection to resume)
+      function clearSelectionLock() {
+        if (selectionState.selectionLockTimeout) {
+          clearTimeout(selectionState.selectionLockTimeout);
+        }
+        selectionState.selectionLockTimeout = setTimeout(() => {
+          selectionState.isSelecting = false;
+        }, 200); // 200ms grace period for new selections
+      }
+      
+      // Navigation debounce to prevent rapid clicks
+      let navigationDebounceTimer = null;
+      let lastNavigationTime = 0;
+      
+      // Professional: Navigation handler - ALWAYS attached (works even when inspector is off)
+      // This handles link navigation regardless of inspector state
+      if (window.vibecanvasNavigationHandler) {
+        document.removeEventListener('click', window.vibecanvasNavigationHandler, true);
+      }
+      
+      window.vibecanvasNavigationHandler = function(e) {
+        // CRITICAL: Only handle navigation when inspector is OFF
+        // When inspector is ON, let the inspector handler deal with everything
+        if (inspectorEnabled) {
+          return; // Don't interfere
+        }
+        
+          // Check if this is a navigation link
+          let clickedElement = e.target;
+          let isNavigationLink = false;
+          let href = null;
+          
+          // Check if clicked element or its parent is a link
+          while (clickedElement && clickedElement !== document.body) {
+            if (clickedElement.tagName === 'A' && clickedElement.href) {
+              isNavigationLink = true;
+              href = clickedElement.getAttribute('href') || clickedElement.href;
+              break;
+            }
+            
+            // Check for images inside links
+            if (clickedElement.tagName === 'IMG' && clickedElement.parentElement && clickedElement.parentElement.tagName === 'A') {
+              isNavigationLink = true;
+              href = clickedElement.parentElement.getAttribute('href') || clickedElement.parentElement.href;
+              break;
+            }
+            
+            clickedElement = clickedElement.parentElement;
+          }
+          
+        // If it's a navigation link, handle it
+          if (isNavigationLink) {
+            // Block navigation during text editing
+            if (isTextEditing) {
+              e.preventDefault();
+              e.stopPropagation();
+              return false;
+            }
+            
+          // Prevent default browser navigation
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Extract just the filename from the href
+          let normalizedHref = href;
+            if (href.includes('://')) {
+              try {
+                const url = new URL(href);
+              normalizedHref = url.pathname.split('/').pop() || url.pathname;
+              } catch (e) {
+              normalizedHref = href.split('/').pop().split('?')[0];
+              }
+            } else {
+            normalizedHref = href.split('?')[0].split('#')[0];
+            if (normalizedHref.startsWith('/')) {
+              normalizedHref = normalizedHref.substring(1);
+              }
+            }
+            
+          if (normalizedHref && normalizedHref !== '' && normalizedHref !== '#' && !normalizedHref.startsWith('http') && !normalizedHref.startsWith('//')) {
+            // Debounce navigation
+              const now = Date.now();
+            if (now - lastNavigationTime < 100) {
+                return false;
+              }
+              
+              // Clear any pending navigation
+              if (navigationDebounceTimer) {
+                clearTimeout(navigationDebounceTimer);
+              }
+              
+                lastNavigationTime = Date.now();
+                
+                // When served by the preview server, also send the project path the link resolves to
+                let resolvedPath = null;
+                const pathParts = location.pathname.split('/');
+                if (pathParts[1] === '__preview' && pathParts[2]) {
+                  const previewRoot = '/__preview/' + pathParts[2] + '/';
+                  try {
+                    const target = new URL(href, location.href);
+                    if (target.origin === location.origin && target.pathname.startsWith(previewRoot)) {
+                      resolvedPath = decodeURIComponent(target.pathname.substring(previewRoot.length));
+                    }
+                  } catch (e) {
+                    resolvedPath = null;
+                  }
+                }
+                
+                window.parent.postMessage({
+                  type: 'NAVIGATE_TO_PAGE',
+              href: normalizedHref,
+              path: resolvedPath
+                }, '*');
+            }
+            return false;
+          }
+          
+        // Not a navigation link - let it pass through
+        return;
+      };
+      
+      // Always attach navigation handler (works regardless of inspector state)
+      document.addEventListener('click', window.vibecanvasNavigationHandler, true);
+      
+      // Professional event listener management
+      // Remove old click listener if it exists (prevent duplicates)
+      if (window.vibecanvasClickHandler) {
+        document.removeEventListener('click', window.vibecanvasClickHandler, true);
+        window.vibecanvasClickHandler = null;
+      }
+      
+      // Function to attach/remove click handler based on inspector state
+      function manageClickHandler(shouldAttach) {
+        if (shouldAttach && !window.vibecanvasClickHandler) {
+          // Named click handler function
+          window.vibecanvasClickHandler = function(e) {
+            // Only handle clicks when inspector is enabled
+            if (!inspectorEnabled) {
+              // Inspector is off - let navigation handler deal with links, don't interfere
+              // Check if it's a navigation link - if so, let navigation handler deal with it
+              let clickedElement = e.target;
+              let isNavigationLink = false;
+              while (clickedElement && clickedElement !== document.body) {
+                if (clickedElement.tagName === 'A' && clickedElement.href) {
+                  isNavigationLink = true;
+                  break;
+                }
+                clickedElement = clickedElement.parentElement;
+              }
+              
+              if (isNavigationLink) {
+                // Let navigation handler deal with it
+                return;
+              }
+              
+              // Not a link, let it work normally
+              return; // Don't prevent default, don't stop propagation
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+
+        // The click that ends a marquee drag has already been handled
+        if (suppressNextClick) {
+          suppressNextClick = false;
+          return;
+        }
+
+        // Don't select if clicking on the highlight itself
+        if (e.target === highlightDiv) return;
+        
+        // Prevent input fields from getting focus when in inspector mode
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+          e.target.blur(); // Remove focus immediately
+        }
+        
+        // Save scroll position before selection
+        const scrollX = window.scrollX || window.pageXOffset;
+        const scrollY = window.scrollY || window.pageYOffset;
+        
+        // Get the element at the exact click coordinates to avoid bubbling issues
+        const clickX = e.clientX;
+        const clickY = e.clientY;
+        
+        // Temporarily hide highlight to get accurate elementFromPoint
+        if (highlightDiv) {
+          highlightDiv.style.display = 'none';
+        }
+        
+        // Get the actual element at the click point
+        let targetElement = document.elementFromPoint(clickX, clickY);
+        
+        // Restore highlight display
+        if (highlightDiv) {
+          highlightDiv.style.display = 'block';
+        }
+        
+        // Fallback to event target if elementFromPoint fails
+        if (!targetElement) {
+          targetElement = e.target;
+        }
+        
+        // NEW: If elementFromPoint and event target are different, prefer the event target
+        // This handles cases where CSS transforms or positioning cause issues
+        if (targetElement !== e.target && e.target !== document.body && e.target !== document.documentElement) {
+          // Check if the event target is actually clickable/meaningful
+          const eventTargetRect = e.target.getBoundingClientRect();
+          if (eventTargetRect.width > 0 && eventTargetRect.height > 0) {
+            targetElement = e.target;
+          }
+        }
+        
+        // If we clicked on a text node, get its parent
+        if (targetElement.nodeType === Node.TEXT_NODE) {
+          targetElement = targetElement.parentElement;
+        }
+        
+        // Skip if we somehow got body or html
+        if (targetElement === document.body || targetElement === document.documentElement) {
+          return;
+        }
+        
+        // Additional check: if the element is very small or has no meaningful content,
+        // try to find a more appropriate parent
+        const rect = targetElement.getBoundingClientRect();
+        if (rect.width < 5 && rect.height < 5 && targetElement.parentElement) {
+          const parentRect = targetElement.parentElement.getBoundingClientRect();
+          // If parent is much larger and contains our click point, use parent
+          if (parentRect.width > rect.width * 2 && parentRect.height > rect.height * 2 &&
+              clickX >= parentRect.left && clickX <= parentRect.right &&
+              clickY >= parentRect.top && clickY <= parentRect.bottom) {
+            targetElement = targetElement.parentElement;
+          }
+        }
+
+        // Shift-click adds the element to the selection, or takes it out again
+        if (e.shiftKey && selectedElement) {
+          toggleInSelection(targetElement);
+          window.scrollTo(scrollX, scrollY);
+          return;
+        }
+
+        // A plain click starts a new single selection
+        extraSelectedElements = [];
+        updateSelectionOutlines();
+
+        // Professional selection: Mark new selection in progress
+        selectionState.isSelecting = true;
+        selectionState.selectionTimestamp = Date.now();
+        const newSelectionId = 'selected-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+        selectionState.lastSelectionId = newSelectionId;
+        
+        // Clear any pending lock timeout
+        clearSelectionLock();
+        
+        selectedElement = targetElement;
+        
+        // Store a permanent reference to prevent it from changing
+        window.currentSelectedElement = selectedElement;
+        
+        // Create a unique identifier for this specific element
+        selectedElement.dataset.vibecanvasId = newSelectionId;
+        window.currentSelectedElementId = newSelectionId;
+        
+        createHighlight();
+        highlightElement(selectedElement);
+        
+        // Immediately restore scroll position - no delays
+        window.scrollTo(scrollX, scrollY);
+        
+        // Force highlight to stay visible
+        if (highlightDiv) {
+          highlightDiv.style.display = 'block';
+          highlightDiv.style.visibility = 'visible';
+        }
+        
+        console.log('LOCKED SELECTION to:', {
+          tagName: selectedElement.tagName,
+          id: selectedElement.id,
+          className: selectedElement.className,
+          textContent: selectedElement.textContent?.substring(0, 30),
+          rect: selectedElement.getBoundingClientRect()
+        });
+        
+        const info = getElementInfo(selectedElement);
+        // Store element reference for style updates
+        window.selectedElementRef = selectedElement;
+        window.selectedElementInfo = info;
+        
+        console.log('=== CLICK DEBUG ===');
+        console.log('Click coordinates:', { x: clickX, y: clickY });
+        console.log('Event target:', {
+          tagName: e.target.tagName,
+          id: e.target.id,
+          className: e.target.className,
+          textContent: e.target.textContent?.substring(0, 30)
+        });
+        console.log('ElementFromPoint result:', {
+          tagName: targetElement.tagName,
+          id: targetElement.id,
+          className: targetElement.className,
+          textContent: targetElement.textContent?.substring(0, 30)
+        });
+        console.log('Final selected element:', {
+          tagName: selectedElement.tagName,
+          id: selectedElement.id,
+          className: selectedElement.className,
+          textContent: selectedElement.textContent?.substring(0, 30)
+        });
+        
+        // Simplified logging to avoid [object Object] issues
+        console.log('Elements with same text content: ' + 
+          Array.from(document.querySelectorAll('*')).filter(el => 
+            el.textContent?.trim() === selectedElement.textContent?.trim() && 
+            el.textContent?.trim().length > 0
+          ).length + ' elements found');
+
+        window.parent.postMessage({
+          type: 'ELEMENT_SELECTED',
+          element: info,
+          elements: [info]
+        }, '*');
+      };
+      
+          // Attach the handler
+      document.addEventListener('click', window.vibecanvasClickHandler, true);
+        } else if (!shouldAttach && window.vibecanvasClickHandler) {
+          // Remove the handler when inspector is off
+          document.removeEventListener('click', window.vibecanvasClickHandler, true);
+          window.vibecanvasClickHandler = null;
+        }
+      }
+      
+      // Expose for the SET_INSPECTOR_MODE message handler
+      window.manageClickHandler = manageClickHandler;
+      
+      // Initially attach handler if inspector is enabled
+      manageClickHandler(inspectorEnabled);
+      
+      // Ask the editor for the real inspector state (the page may load with the inspector off)
+      window.parent.postMessage({ type: 'REQUEST_INSPECTOR_STATE' }, '*');
+      
+      // Element hovered in the layers panel - shown in the highlight box instead of the selection
+      let layerHoverElement = null;
+      
+      // Keep selected element highlighted - this is critical!
+      function maintainSelection() {
+        updateSelectionOutlines();
+        updateDragHandle();
+
+        if (layerHoverElement) {
+          if (document.contains(layerHoverElement)) {
+            highlightElement(layerHoverElement);
+            return;
+          }
+          layerHoverElement = null;
+        }
+        
+        if (selectedElement && highlightDiv) {
+          try {
+            // CRITICAL: Always use the locked reference, never trust selectedElement variable
+            let elementToHighlight = window.currentSelectedElement;
+            
+            // Double-check the element still exists and has the right ID
+            if (elementToHighlight && 
+                document.contains(elementToHighlight) &&
+                window.currentSelectedElementId &&
+                elementToHighlight.dataset.vibecanvasId === window.currentSelectedElementId) {
+              
+              // Force selectedElement to match our locked reference
+              selectedElement = elementToHighlight;
+              highlightElement(elementToHighlight);
+              
+              // Force visibility
+              highlightDiv.style.display = 'block';
+              highlightDiv.style.visibility = 'visible';
+              highlightDiv.style.opacity = '1';
+              
+            } else {
+              // Try to find the element by unique ID if reference is lost
+              if (window.currentSelectedElementId) {
+                const selector = '[data-vibecanvas-id="' + window.currentSelectedElementId + '"]';
+                const foundElement = document.querySelector(selector);
+                if (foundElement) {
+                  selectedElement = foundElement;
+                  window.currentSelectedElement = foundElement;
+                  highlightElement(foundElement);
+                  highlightDiv.style.display = 'block';
+                  highlightDiv.style.visibility = 'visible';
+                  highlightDiv.style.opacity = '1';
+                  console.log('Restored selection by unique ID');
+                }
+              }
+            }
+          } catch (e) {
+            console.error('Error maintaining selection:', e);
+          }
+        } else if (!selectedElement && highlightDiv) {
+          // Only hide if no element is selected
+          highlightDiv.style.display = 'none';
+        }
+      }
+      
+      // Update highlight on scroll or resize (but don't prevent scrolling)
+      window.addEventListener('scroll', function() {
+        maintainSelection();
+      }, { passive: true });
+      
+      window.addEventListener('resize', maintainSelection);
+      
+      // Periodically check if element is still in view and update highlight
+      // Use requestAnimationFrame for smoother updates, but throttle it
+      let lastMaintainTime = 0;
+      function animateSelection() {
+        const now = Date.now();
+        if (now - lastMaintainTime > 50) { // More frequent checks after updates
+          
+          // Professional drift detection: Only restore if NOT in the middle of a new selection
+          // and the selection is older than the grace period
+          if (!selectionState.isSelecting && 
+              window.currentSelectedElement && 
+              selectedElement !== window.currentSelectedElement) {
+            
+            // Check if this is actual drift (old selection) vs new selection
+            const timeSinceSelection = now - selectionState.selectionTimestamp;
+            const isOldSelection = timeSinceSelection > 300; // 300ms grace period
+            
+            // Only restore if:
+            // 1. We're not currently selecting
+            // 2. The selection is old (not a new one)
+            // 3. The IDs don't match (actual drift)
+            if (isOldSelection && 
+                window.currentSelectedElementId && 
+                selectedElement.dataset.vibecanvasId !== window.currentSelectedElementId) {
+              console.warn('Selection drift detected! Restoring original selection.');
+              selectedElement = window.currentSelectedElement;
+            }
+          }
+          
+          // Check if our selected element still exists in DOM
+          if (selectedElement && !document.contains(selectedElement)) {
+            console.warn('Selected element removed from DOM! Trying to find replacement...');
+            // Try to find element by unique ID
+            if (window.currentSelectedElementId) {
+              const selector = '[data-vibecanvas-id="' + window.currentSelectedElementId + '"]';
+              const replacement = document.querySelector(selector);
+              if (replacement) {
+                selectedElement = replacement;
+                window.currentSelectedElement = replacement;
+                console.log('Found replacement element:', replacement);
+              }
+            }
+          }
+          
+          maintainSelection();
+          lastMaintainTime = now;
+        }
+        requestAnimationFrame(animateSelection);
+      }
+      animateSelection();
+      
+      // Also update on any DOM mutations (in case element moves)
+      const observer = new MutationObserver(() => {
+        if (selectedElement) {
+          maintainSelection();
+        }
+      });
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['style', 'class']
+      });
+      
+      let hoverTimeout = null;
+      document.addEventListener('mousemove', function(e) {
+        if (!highlightDiv || !inspectorEnabled) return;
+        
+        // Clear any pending hover timeout
+        if (hoverTimeout) {
+          clearTimeout(hoverTimeout);
+        }
+        
+        // Always maintain selected element highlight if one exists
+        if (window.currentSelectedElement) {
+          // Force highlight on the locked element, ignore mousemove
+          highlightElement(window.currentSelectedElement);
+          return;
+        }
+        
+        // Only show hover highlight if nothing is selected
+        if (!selectedElement) {
+          hoverTimeout = setTimeout(() => {
+            // Temporarily hide highlight to get accurate elementFromPoint
+            const wasVisible = highlightDiv.style.display !== 'none';
+            if (wasVisible) {
+              highlightDiv.style.display = 'none';
+            }
+            
+            const element = document.elementFromPoint(e.clientX, e.clientY);
+            
+            // Restore highlight if it was visible
+            if (wasVisible) {
+              highlightDiv.style.display = 'block';
+            }
+            
+            if (element && element !== document.body && element !== document.documentElement && 
+                element !== selectedElement && element !== highlightDiv) {
+              highlightElement(element);
+            }
+          }, 50);
+        }
+      });
+      
+      window.addEventListener('message', function(e) {
+        console.log('Iframe received message:', e.data);
+        
+        if (e.data.type === 'SET_TEXT_EDITING_MODE') {
+          console.log('Setting text editing mode:', e.data.isTextEditing);
+          isTextEditing = e.data.isTextEditing;
+        } else if (e.data.type === 'UPDATE_SCOPED_STYLE') {
+          // { media, state, property, value } - the whole selection gets the same change
+          const targets = [selectedElement].concat(extraSelectedElements).filter(Boolean);
+          setScopedStyle(targets, { media: e.data.media || null, state: e.data.state || null }, e.data.property, e.data.value);
+        } else if (e.data.type === 'SET_TOKEN_STYLE') {
+          // { token, value } - a design token edit from the Tokens panel
+          setTokenStyle(e.data.token, e.data.value);
+        } else if (e.data.type === 'SET_ELEMENT_STATE') {
+          // { state } - forced on the whole selection; the editor gets the styles in that state
+          const targets = [selectedElement].concat(extraSelectedElements).filter(Boolean);
+          setElementState(targets, e.data.state);
+          if (selectedElement) {
+            const elements = targets.map(getElementInfo);
+            window.selectedElementInfo = elements[0];
+            window.parent.postMessage({
+              type: 'ELEMENT_UPDATED',
+              element: elements[0],
+              elements: elements
+            }, '*');
+          }
+        } else if (e.data.type === 'UPDATE_STYLE') {
+          // Use the currently selected element with unique ID verification
+          let targetElement = selectedElement;
+          
+          // Double-check we have the right element
+          if (window.currentSelectedElementId && 
+              targetElement && 
+              targetElement.dataset.vibecanvasId !== window.currentSelectedElementId) {
+            targetElement = window.currentSelectedElement;
+          }
+          
+          if (targetElement) {
+            console.log('Applying style update:', {
+              property: e.data.property,
+              value: e.data.value,
+              element: {
+                tag: targetElement.tagName,
+                id: targetElement.id,
+                class: targetElement.className,
+                text: targetElement.textContent?.substring(0, 30)
+              }
+            });
+            
+            // Handle child text content updates
+            if (e.data.property === 'childTextContent') {
+              console.log('Updating child text content:', e.data.value);
+              
+              // Handle both old format (string) and new format (object)
+              let childInfo, newText;
+              if (typeof e.data.value === 'string') {
+                // Old format - try to use childElement from message
+                if (e.data.childElement) {
+                  childInfo = {
+                    tagName: e.data.childElement.tagName || '',
+                    className: e.data.childElement.className || '',
+                    id: e.data.childElement.id || ''
+                  };
+                  newText = e.data.value;
+                } else {
+                  console.warn('childTextContent value is string but no childElement provided');
+                  return;
+                }
+              } else if (e.data.value && typeof e.data.value === 'object') {
+                // New format
+                childInfo = e.data.value.element;
+                newText = e.data.value.newText;
+              } else {
+                console.warn('Invalid childTextContent format:', e.data.value);
+                return;
+              }
+              
+              // Find the specific child element to update - by node id when it has one
+              let childElement = null;
+              if (childInfo.nodeId) {
+                childElement = targetElement.getAttribute(NODE_ID_ATTRIBUTE) === childInfo.nodeId
+                  ? targetElement
+                  : targetElement.querySelector('[' + NODE_ID_ATTRIBUTE + '="' + childInfo.nodeId + '"]');
+              }
+              
+              // Then by ID
+              if (!childElement && childInfo.id) {
+                childElement = targetElement.querySelector('#' + childInfo.id);
+              }
+              
+              // If not found by ID, try by tag and class
+              if (!childElement && childInfo.tagName && childInfo.className) {
+                const candidates = Array.from(targetElement.querySelectorAll(childInfo.tagName));
+                childElement = candidates.find(el => {
+                  return el.className === childInfo.className;
+                });
+              }
+              
+              // If still not found, try by tag only
+              if (!childElement && childInfo.tagName) {
+                const candidates = Array.from(targetElement.querySelectorAll(childInfo.tagName));
+                // Try to find by matching text content or position
+                childElement = candidates[0]; // Fallback to first match
+              }
+              
+              if (childElement) {
+                // The first text node takes the new text and the others are emptied, keeping
+                // whitespace - the editor writes the same change into the page source
+                const textNodes = Array.from(childElement.childNodes).filter(
+                  node => node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+                );
+                if (textNodes.length === 0) {
+                  childElement.appendChild(document.createTextNode(newText));
+                }
+                textNodes.forEach((node, index) => {
+                  const leading = node.textContent.match(/^\\s*/)[0];
+                  const trailing = node.textContent.match(/\\s*$/)[0];
+                  node.textContent = leading + (index === 0 ? newText : '') + trailing;
+                });
+                
+                console.log('Updated child element text:', {
+                  tag: childElement.tagName,
+                  id: childElement.id,
+                  className: childElement.className,
+                  newText: newText
+                });
+                
+                // Re-establish selection to prevent freezing
+                selectedElement = targetElement;
+                window.currentSelectedElement = targetElement;
+                highlightElement(targetElement);
+              } else {
+                console.warn('Could not find child element to update:', childInfo);
+              }
+              
+            } else if (e.data.property === 'attribute') {
+              // { name, value } - a null value removes the attribute
+              const attribute = e.data.value || {};
+              console.log('Updating attribute:', attribute);
+              try {
+                if (attribute.name === 'class' && targetElement.hasAttribute(PAGE_CLASS_ATTRIBUTE)) {
+                  targetElement.setAttribute('class', withPageClass(targetElement, attribute.value || ''));
+                } else if (attribute.value === null) {
+                  targetElement.removeAttribute(attribute.name);
+                } else {
+                  targetElement.setAttribute(attribute.name, attribute.value);
+                }
+              } catch (error) {
+                console.warn('Could not update attribute:', attribute.name, error);
+              }
+              
+            } else if (e.data.property === 'placeholder') {
+              console.log('Updating placeholder to:', e.data.value);
+              [targetElement].concat(extraSelectedElements).forEach(function(element) {
+                if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+                  element.placeholder = e.data.value;
+                }
+              });
+              
+            } else if (e.data.property === 'textContent') {
+              console.log('Updating text content to:', e.data.value);
+              console.log('Target element before update:', targetElement.textContent);
+              targetElement.textContent = e.data.value;
+              console.log('Target element after update:', targetElement.textContent);
+              
+              // CRITICAL: Re-establish selection after text change
+              // Mark as selecting to prevent drift detection from interfering
+              if (typeof selectionState !== 'undefined') {
+                selectionState.isSelecting = true;
+                selectionState.selectionTimestamp = Date.now();
+                if (typeof clearSelectionLock === 'function') {
+                  clearSelectionLock();
+                }
+              }
+              selectedElement = targetElement;
+              window.currentSelectedElement = targetElement;
+              if (!targetElement.dataset.vibecanvasId) {
+                targetElement.dataset.vibecanvasId = 'selected-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+              }
+              window.currentSelectedElementId = targetElement.dataset.vibecanvasId;
+              
+            } else {
+              // Convert property name to camelCase for inline styles
+              // Handle both camelCase (backgroundColor) and kebab-case (background-color)
+              let styleProperty = e.data.property;
+              if (styleProperty.includes('-')) {
+                styleProperty = styleProperty.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
+              }
+              
+              // Apply the style change directly to inline style with !important to override CSS
+              // Convert camelCase to kebab-case for CSS property names
+              const cssPropertyName = styleProperty.replace(/([A-Z])/g, '-$1').toLowerCase();
+              // Use setProperty with 'important' flag to ensure it overrides CSS rules
+              targetElement.style.setProperty(cssPropertyName, e.data.value, 'important');
+
+              // Batch editing: the rest of the selection gets the same change
+              extraSelectedElements.forEach(function(element) {
+                element.style.setProperty(cssPropertyName, e.data.value, 'important');
+              });
+
+              // Verify the style was applied
+              const appliedValue = targetElement.style.getPropertyValue(cssPropertyName);
+              const computedValue = window.getComputedStyle(targetElement).getPropertyValue(cssPropertyName);
+              
+              // Convert computed RGB to hex for comparison if needed
+              let computedHex = computedValue.trim();
+              if (computedHex && computedHex.startsWith('rgb')) {
+                const match = computedHex.match(/\d+/g);
+                if (match && match.length >= 3) {
+                  const r = parseInt(match[0]);
+                  const g = parseInt(match[1]);
+                  const b = parseInt(match[2]);
+                  computedHex = '#' + [r, g, b].map(x => {
+                    const hex = x.toString(16);
+                    return hex.length === 1 ? '0' + hex : hex;
+                  }).join('');
+                }
+              }
+              
+              console.log('🎨 Style applied:', {
+                property: cssPropertyName,
+                sentValue: e.data.value,
+                appliedInlineValue: appliedValue,
+                computedValue: computedValue.trim(),
+                computedHex: computedHex,
+                elementTag: targetElement.tagName,
+                elementClass: targetElement.className,
+                matches: computedHex.toLowerCase() === e.data.value.toLowerCase()
+              });
+              
+              // Double-check: if computed value doesn't match (accounting for RGB vs hex conversion)
+              const sentValueLower = e.data.value.toLowerCase();
+              const computedHexLower = computedHex.toLowerCase();
+              
+              if (computedHexLower !== sentValueLower && e.data.value) {
+                // Check if there's a CSS variable being used
+                const allStyles = window.getComputedStyle(targetElement);
+                const cssText = allStyles.cssText;
+                const hasVariable = cssText.includes('var(') && cssText.includes(cssPropertyName);
+                
+                console.warn('⚠️ Computed value differs from sent value:', {
+                  sent: e.data.value,
+                  computed: computedValue.trim(),
+                  computedHex: computedHex,
+                  inline: appliedValue,
+                  property: cssPropertyName,
+                  hasCSSVariable: hasVariable,
+                  allComputedStyles: cssText.substring(0, 200)
+                });
+                
+                // Force the style by removing any existing style and re-applying
+                // This ensures it overrides any CSS variables or other rules
+                targetElement.style.removeProperty(cssPropertyName);
+                // Use requestAnimationFrame to ensure the removal is processed
+                requestAnimationFrame(() => {
+                  targetElement.style.setProperty(cssPropertyName, e.data.value, 'important');
+                  
+                  // Force a reflow to ensure the style is applied
+                  void targetElement.offsetHeight;
+                  
+                  // Verify again
+                  const newComputedValue = window.getComputedStyle(targetElement).getPropertyValue(cssPropertyName);
+                  let newComputedHex = newComputedValue.trim();
+                  
+                  // Convert RGB to hex properly
+                  if (newComputedHex && newComputedHex.startsWith('rgb')) {
+                    const match = newComputedHex.match(/\d+/g);
+                    if (match && match.length >= 3) {
+                      const r = parseInt(match[0]);
+                      const g = parseInt(match[1]);
+                      const b = parseInt(match[2]);
+                      newComputedHex = '#' + [r, g, b].map(x => {
+                        const hex = x.toString(16);
+                        return hex.length === 1 ? '0' + hex : hex;
+                      }).join('');
+                    }
+                  }
+                  
+                  // Compare: RGB values are equivalent to hex, so we need to convert both for comparison
+                  const sentValueLower = e.data.value.toLowerCase();
+                  const computedHexLower = newComputedHex.toLowerCase();
+                  const matches = computedHexLower === sentValueLower;
+                  
+                  console.log('🔄 Retried setting style. New computed value:', newComputedValue.trim(), 'converted hex:', newComputedHex, 'sent:', sentValueLower, 'matches:', matches);
+                  
+                  // The style IS applied correctly (RGB matches hex), so this is just a comparison issue
+                  // The actual visual color should be correct
+                });
+              }
+              
+              // CRITICAL: Re-establish selection after style change
+              // Mark as selecting to prevent drift detection from interfering
+              if (typeof selectionState !== 'undefined') {
+                selectionState.isSelecting = true;
+                selectionState.selectionTimestamp = Date.now();
+                if (typeof clearSelectionLock === 'function') {
+                  clearSelectionLock();
+                }
+              }
+              selectedElement = targetElement;
+              window.currentSelectedElement = targetElement;
+            }
+            
+            // Force highlight update after any change
+            highlightElement(targetElement);
+            
+            console.log('Selection re-established after update:', {
+              tag: targetElement.tagName,
+              id: targetElement.id,
+              class: targetElement.className,
+              uniqueId: targetElement.dataset.vibecanvasId
+            });
+            
+            // Wait a moment for computed styles to update before re-reading element info
+            // This ensures we get the latest values (especially for colors)
+            setTimeout(() => {
+              const info = getElementInfo(targetElement);
+              window.selectedElementInfo = info;
+
+              window.parent.postMessage({
+                type: 'ELEMENT_UPDATED',
+                element: info,
+                elements: [info].concat(extraSelectedElements.map(getElementInfo))
+              }, '*');
+            }, 50); // Small delay to ensure computed styles are updated
+          } else {
+            console.warn('No target element found for style update');
+          }
+        } else if (e.data.type === 'SET_INSPECTOR_MODE') {
+          console.log('Setting inspector mode:', e.data.isInspecting);
+          const wasEnabled = inspectorEnabled;
+          inspectorEnabled = e.data.isInspecting;
+          
+          // Professional: Manage click handler based on inspector state
+          if (typeof window.manageClickHandler === 'function') {
+            window.manageClickHandler(inspectorEnabled);
+          }
+          
+          // Clean up when disabling inspector
+          if (!inspectorEnabled && wasEnabled) {
+            console.log('Inspector disabled - cleaning up (inline script)');
+            
+            // Clear selection state machine (if it exists in this scope)
+            if (typeof selectionState !== 'undefined') {
+              selectionState.isSelecting = false;
+              selectionState.selectionTimestamp = 0;
+              selectionState.lastSelectionId = null;
+              if (selectionState.selectionLockTimeout) {
+                clearTimeout(selectionState.selectionLockTimeout);
+                selectionState.selectionLockTimeout = null;
+              }
+            }
+            
+            // Hide and clean up highlight
+            if (highlightDiv) {
+            highlightDiv.style.display = 'none';
+              highlightDiv.style.visibility = 'hidden';
+              highlightDiv.style.opacity = '0';
+            }
+            
+            // Clear selection state
+            selectedElement = null;
+            extraSelectedElements = [];
+            updateSelectionOutlines();
+            clearMarquee();
+            endDrag();
+            window.currentSelectedElement = null;
+            window.currentSelectedElementId = null;
+            window.lastHighlightedElement = null;
+            
+            // Notify parent that selection is cleared
+            window.parent.postMessage({
+              type: 'ELEMENT_SELECTED',
+              element: null
+            }, '*');
+          } else if (inspectorEnabled && !wasEnabled) {
+            console.log('Inspector enabled - activating (inline script)');
+            // Reset selection state when enabling
+            if (typeof selectionState !== 'undefined') {
+              selectionState.isSelecting = false;
+              selectionState.selectionTimestamp = 0;
+            }
+          }
+          
+        } else if (e.data.type === 'SELECT_ELEMENT') {
+          // Re-select element when iframe reloads
+          // notify: the layers panel picked this element - report it back like a click would
+          const elementInfo = e.data.element;
+          if (elementInfo) {
+            // Try to find the element by its DOM position, then id or class
+            let foundElement = findElementByDomPath(elementInfo.domPath, elementInfo.tagName);
+            if (!e.data.notify) {
+              if (!foundElement && elementInfo.id) {
+                foundElement = document.getElementById(elementInfo.id);
+              } else if (!foundElement && elementInfo.className) {
+                const className = elementInfo.className.split(' ')[0];
+                foundElement = document.querySelector('.' + className);
+              }
+              
+              if (!foundElement) {
+                // Fallback: try to find by tag name and position
+                foundElement = document.querySelector(elementInfo.tagName);
+              }
+            }
+            
+            if (foundElement) {
+              selectedElement = foundElement;
+              window.selectedElementRef = foundElement;
+              window.currentSelectedElement = foundElement;
+              
+              // Tag it so maintainSelection keeps the highlight on it while scrolling
+              const selectionId = 'selected-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+              foundElement.dataset.vibecanvasId = selectionId;
+              window.currentSelectedElementId = selectionId;
+              
+              createHighlight();
+              highlightElement(selectedElement);
+
+              // The rest of a multi-selection mirrored from another frame (or restored after a reload)
+              extraSelectedElements = (e.data.elements || []).slice(1).map(function(item) {
+                return findElementByDomPath(item.domPath, item.tagName);
+              }).filter(function(element) {
+                return element && element !== foundElement;
+              });
+              updateSelectionOutlines();
+
+              if (e.data.notify) {
+                foundElement.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                postSelection();
+              } else if ((elementInfo.nodeId || null) !== foundElement.getAttribute(NODE_ID_ATTRIBUTE)) {
+                // The page source changed under the selection - report its new node ids
+                const elements = [foundElement].concat(extraSelectedElements).map(getElementInfo);
+                window.selectedElementInfo = elements[0];
+                window.parent.postMessage({
+                  type: 'ELEMENT_UPDATED',
+                  element: elements[0],
+                  elements: elements
+                }, '*');
+              }
+            }
+          } else if (selectedElement) {
+            // Selection was cleared in another preview frame
+            selectedElement = null;
+            extraSelectedElements = [];
+            updateSelectionOutlines();
+            window.selectedElementRef = null;
+            window.currentSelectedElement = null;
+            window.currentSelectedElementId = null;
+            if (highlightDiv) {
+              highlightDiv.style.display = 'none';
+            }
+          }
+        } else if (e.data.type === 'RELOAD_STYLESHEETS') {
+          reloadStylesheets(e.data.stylesheets || []);
+        } else if (e.data.type === 'HIGHLIGHT_ELEMENT') {
+          // Hover from the layers panel - null domPath goes back to the selection
+          layerHoverElement = e.data.domPath ? findElementByDomPath(e.data.domPath) : null;
+          if (layerHoverElement) {
+            createHighlight();
+          }
+          maintainSelection();
+        } else if (e.data.type === 'REQUEST_DOM_TREE') {
+          sendLayerTree();
+        } else if (e.data.type === 'REQUEST_CASCADE') {
+          // The Styles tab is showing the selected element
+          if (selectedElement) {
+            window.parent.postMessage({
+              type: 'CASCADE',
+              cascade: getCascadeInfo(selectedElement)
+            }, '*');
+          }
+        }
+      });
+      
+      // Layers panel: a lightweight copy of the page's element tree, rooted at <body>
+      // Non-visual tags and the editor's own elements are left out
+      const LAYER_SKIP_TAGS = ['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE'];
+      const MAX_LAYER_NODES = 5000;
+      
+      function buildLayerTree() {
+        let nodeCount = 0;
+        
+        function describeLayer(element, domPath) {
+          nodeCount++;
+          const text = Array.from(element.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent.trim())
+            .join(' ')
+            .trim();
+          const layer = {
+            tagName: element.tagName.toLowerCase(),
+            id: element.id || '',
+            className: getSourceClassName(element),
+            text: text.length > 40 ? text.substring(0, 40) + '…' : text,
+            domPath: domPath,
+            children: []
+          };
+          
+          Array.from(element.children).forEach((child, index) => {
+            if (nodeCount >= MAX_LAYER_NODES) return;
+            if (LAYER_SKIP_TAGS.includes(child.tagName) || child === highlightDiv) return;
+            if (child.id && child.id.indexOf('vibecanvas-') === 0) return;
+            layer.children.push(describeLayer(child, domPath.concat(index)));
+          });
+          return layer;
+        }
+        
+        return describeLayer(document.body, getDomPath(document.body));
+      }
+      
+      // Throttled rather than debounced so pages that mutate constantly still get updates
+      let layerTreeTimeout = null;
+      function sendLayerTree() {
+        if (layerTreeTimeout) return;
+        layerTreeTimeout = setTimeout(() => {
+          layerTreeTimeout = null;
+          window.parent.postMessage({
+            type: 'DOM_TREE',
+            tree: buildLayerTree()
+          }, '*');
+        }, 150);
+      }
+      
+      // Keep the layers panel in sync as scripts add or remove elements
+      new MutationObserver(sendLayerTree).observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['id', 'class']
+      });
+      sendLayerTree();
+      
+      // Swap a <link> stylesheet for a fresh copy, removing the old one only once
+      // the new one has loaded so the page never renders unstyled
+      function swapStylesheetLink(link) {
+        const url = new URL(link.href);
+        url.searchParams.set('vibecanvas-reload', Date.now());
+        const freshLink = link.cloneNode();
+        freshLink.href = url.href;
+        const removeOldLink = function() {
+          link.remove();
+          // The forced state's copies are of the old rules, and written token previews are in the new ones
+          updateForcedStateStyles();
+          clearWrittenTokenStyles(freshLink.sheet);
+        };
+        freshLink.addEventListener('load', removeOldLink);
+        freshLink.addEventListener('error', removeOldLink);
+        link.after(freshLink);
+      }
+      
+      // Apply edited CSS files without reloading the page (keeps scroll and JS state)
+      function reloadStylesheets(stylesheets) {
+        const links = Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]'));
+        const swappedLinks = new Set();
+        let reloadAllLinks = false;
+        
+        stylesheets.forEach(function(sheet) {
+          // Inlined preview: the CSS lives in a <style> tag
+          const inlinedStyle = sheet.styleId ? document.getElementById(sheet.styleId) : null;
+          if (inlinedStyle && sheet.content !== null) {
+            inlinedStyle.textContent = sheet.content;
+            updateForcedStateStyles();
+            clearWrittenTokenStyles(inlinedStyle.sheet);
+            return;
+          }
+          
+          const matchingLinks = links.filter(function(link) {
+            return sheet.url && link.href.split(/[?#]/)[0] === sheet.url;
+          });
+          if (matchingLinks.length === 0) {
+            // Not linked directly (e.g. pulled in with @import) - refresh every stylesheet
+            reloadAllLinks = true;
+          }
+          matchingLinks.forEach(function(link) {
+            swappedLinks.add(link);
+            swapStylesheetLink(link);
+          });
+        });
+        
+        if (reloadAllLinks) {
+          links
+            .filter(function(link) { return !swappedLinks.has(link) && link.href.indexOf(location.origin) === 0; })
+            .forEach(swapStylesheetLink);
+        }
+        
+        // Stylesheet changes can move the selected element
+        if (selectedElement) {
+          setTimeout(function() { highlightElement(selectedElement); }, 50);
+        }
+      }
+
+      // Multi-selection: shift-click toggles elements, shift-drag draws a marquee that adds
+      // every element inside it. Extra elements get a dashed outline - the box-model
+      // overlay stays on the primary selection
+      const MARQUEE_THRESHOLD = 4;
+      let marqueeDiv = null;
+      let marqueeStart = null;
+      let suppressNextClick = false;
+
+      function isSelectableElement(element) {
+        return !!element &&
+          element !== document.body &&
+          element !== document.documentElement &&
+          LAYER_SKIP_TAGS.indexOf(element.tagName) === -1 &&
+          !element.closest('[id^="vibecanvas-"]');
+      }
+
+      function setPrimarySelection(element) {
+        selectedElement = element;
+        window.currentSelectedElement = element;
+        window.selectedElementRef = element;
+        if (!element) {
+          window.currentSelectedElementId = null;
+          if (highlightDiv) highlightDiv.style.display = 'none';
+          return;
+        }
+
+        selectionState.isSelecting = true;
+        selectionState.selectionTimestamp = Date.now();
+        clearSelectionLock();
+        const selectionId = 'selected-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+        element.dataset.vibecanvasId = selectionId;
+        window.currentSelectedElementId = selectionId;
+        createHighlight();
+        highlightElement(element);
+      }
+
+      function postSelection() {
+        const elements = (selectedElement ? [selectedElement] : []).concat(extraSelectedElements).map(getElementInfo);
+        window.selectedElementInfo = elements[0] || null;
+        window.parent.postMessage({
+          type: 'ELEMENT_SELECTED',
+          element: elements[0] || null,
+          elements: elements
+        }, '*');
+      }
+
+      function toggleInSelection(element) {
+        if (element === selectedElement) {
+          setPrimarySelection(extraSelectedElements.shift() || null);
+        } else if (extraSelectedElements.indexOf(element) !== -1) {
+          extraSelectedElements = extraSelectedElements.filter(function(el) { return el !== element; });
+        } else {
+          extraSelectedElements.push(element);
+        }
+        updateSelectionOutlines();
+        postSelection();
+      }
+
+      function updateSelectionOutlines() {
+        extraSelectedElements = extraSelectedElements.filter(function(element) {
+          return document.contains(element);
+        });
+        if (!selectionLayer) {
+          if (extraSelectedElements.length === 0) return;
+          selectionLayer = document.createElement('div');
+          selectionLayer.id = 'vibecanvas-selection';
+          resetOverlayStyles(selectionLayer);
+          selectionLayer.style.left = '0';
+          selectionLayer.style.top = '0';
+          selectionLayer.style.zIndex = '999998';
+          document.body.appendChild(selectionLayer);
+        }
+
+        while (selectionOutlines.length < extraSelectedElements.length) {
+          const outline = document.createElement('div');
+          resetOverlayStyles(outline);
+          outline.style.border = '1px dashed #4a9eff';
+          outline.style.background = 'rgba(74, 158, 255, 0.08)';
+          selectionLayer.appendChild(outline);
+          selectionOutlines.push(outline);
+        }
+
+        const scrollX = window.scrollX || window.pageXOffset;
+        const scrollY = window.scrollY || window.pageYOffset;
+        selectionOutlines.forEach(function(outline, index) {
+          const element = extraSelectedElements[index];
+          if (!element) {
+            outline.style.display = 'none';
+            return;
+          }
+          const rect = element.getBoundingClientRect();
+          outline.style.display = 'block';
+          outline.style.left = (rect.left + scrollX) + 'px';
+          outline.style.top = (rect.top + scrollY) + 'px';
+          outline.style.width = Math.max(rect.width, 2) + 'px';
+          outline.style.height = Math.max(rect.height, 2) + 'px';
+        });
+      }
+
+      // Outermost elements fully inside the marquee - document order means parents come first
+      function getElementsInRect(area) {
+        const found = [];
+        Array.prototype.forEach.call(document.body.querySelectorAll('*'), function(element) {
+          if (!isSelectableElement(element)) return;
+          if (found.some(function(parent) { return parent.contains(element); })) return;
+          const rect = element.getBoundingClientRect();
+          if (rect.width === 0 || rect.height === 0) return;
+          if (rect.left >= area.left && rect.right <= area.right &&
+              rect.top >= area.top && rect.bottom <= area.bottom) {
+            found.push(element);
+          }
+        });
+        return found;
+      }
+
+      function getMarqueeRect(x, y) {
+        return {
+          left: Math.min(marqueeStart.x, x),
+          top: Math.min(marqueeStart.y, y),
+          right: Math.max(marqueeStart.x, x),
+          bottom: Math.max(marqueeStart.y, y)
+        };
+      }
+
+      function clearMarquee() {
+        marqueeStart = null;
+        if (marqueeDiv) marqueeDiv.style.display = 'none';
+      }
+
+      document.addEventListener('mousedown', function(e) {
+        if (!inspectorEnabled || isTextEditing || !e.shiftKey || e.button !== 0) return;
+        // Keep the browser from selecting text while dragging
+        e.preventDefault();
+        marqueeStart = { x: e.clientX, y: e.clientY };
+      }, true);
+
+      document.addEventListener('mousemove', function(e) {
+        if (!marqueeStart) return;
+        if (!(e.buttons & 1)) {
+          clearMarquee();
+          return;
+        }
+        const area = getMarqueeRect(e.clientX, e.clientY);
+        const isDragging = marqueeDiv && marqueeDiv.style.display === 'block';
+        if (!isDragging && area.right - area.left < MARQUEE_THRESHOLD && area.bottom - area.top < MARQUEE_THRESHOLD) return;
+
+        if (!marqueeDiv) {
+          marqueeDiv = document.createElement('div');
+          marqueeDiv.id = 'vibecanvas-marquee';
+          resetOverlayStyles(marqueeDiv);
+          marqueeDiv.style.position = 'fixed';
+          marqueeDiv.style.border = '1px solid #4a9eff';
+          marqueeDiv.style.background = 'rgba(74, 158, 255, 0.12)';
+          marqueeDiv.style.zIndex = '1000001';
+          document.body.appendChild(marqueeDiv);
+        }
+        marqueeDiv.style.display = 'block';
+        marqueeDiv.style.left = area.left + 'px';
+        marqueeDiv.style.top = area.top + 'px';
+        marqueeDiv.style.width = (area.right - area.left) + 'px';
+        marqueeDiv.style.height = (area.bottom - area.top) + 'px';
+      }, true);
+
+      document.addEventListener('mouseup', function(e) {
+        if (!marqueeStart) return;
+        const wasDragging = marqueeDiv && marqueeDiv.style.display === 'block';
+        const area = getMarqueeRect(e.clientX, e.clientY);
+        clearMarquee();
+        if (!wasDragging) return;
+
+        // The click that follows this mouseup must not toggle an element
+        suppressNextClick = true;
+        setTimeout(function() { suppressNextClick = false; }, 0);
+
+        const elements = getElementsInRect(area).filter(function(element) {
+          return element !== selectedElement && extraSelectedElements.indexOf(element) === -1;
+        });
+        if (elements.length === 0) return;
+        if (!selectedElement) {
+          setPrimarySelection(elements.shift());
+        }
+        extraSelectedElements = extraSelectedElements.concat(elements);
+        updateSelectionOutlines();
+        postSelection();
+      }, true);
+
+      // Drag and drop: the handle on the selected element drags it before, after or into the
+      // element under the pointer. The editor rewrites the page source and the page reloads
+      const DRAG_HANDLE_SIZE = 18;
+      const DROP_COLOR = '#4a9eff';
+      // Elements that can't take a dropped child
+      const CHILDLESS_TAGS = ['AREA', 'BASE', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'LINK', 'META', 'PARAM',
+        'SOURCE', 'TRACK', 'WBR', 'SCRIPT', 'STYLE', 'TEXTAREA', 'SELECT', 'OPTION', 'IFRAME', 'VIDEO', 'AUDIO',
+        'CANVAS', 'SVG', 'OBJECT', 'NOSCRIPT', 'TEMPLATE'];
+      let dropIndicator = null;
+      let dragState = null;
+
+      function updateDragHandle() {
+        const canDrag = inspectorEnabled && !isTextEditing && !layerHoverElement &&
+          selectedElement && extraSelectedElements.length === 0 && document.contains(selectedElement);
+        if (!canDrag) {
+          if (dragHandle) dragHandle.style.display = 'none';
+          return;
+        }
+
+        if (!dragHandle) {
+          dragHandle = document.createElement('div');
+          dragHandle.id = 'vibecanvas-drag-handle';
+          resetOverlayStyles(dragHandle);
+          dragHandle.style.pointerEvents = 'auto';
+          dragHandle.style.cursor = 'grab';
+          dragHandle.style.width = DRAG_HANDLE_SIZE + 'px';
+          dragHandle.style.height = DRAG_HANDLE_SIZE + 'px';
+          dragHandle.style.background = DROP_COLOR;
+          dragHandle.style.color = '#fff';
+          dragHandle.style.borderRadius = '3px';
+          dragHandle.style.font = '12px/18px sans-serif';
+          dragHandle.style.textAlign = 'center';
+          dragHandle.style.userSelect = 'none';
+          dragHandle.style.zIndex = '1000000';
+          dragHandle.textContent = '⠿';
+          dragHandle.title = 'Drag to move';
+          dragHandle.addEventListener('mousedown', startDrag);
+          document.body.appendChild(dragHandle);
+        }
+
+        // Above the element's top-right corner, or just inside it at the top of the page
+        const rect = selectedElement.getBoundingClientRect();
+        const top = rect.top - DRAG_HANDLE_SIZE - 2 < 0 ? rect.top + 2 : rect.top - DRAG_HANDLE_SIZE - 2;
+        dragHandle.style.display = 'block';
+        dragHandle.style.left = (Math.max(0, rect.right - DRAG_HANDLE_SIZE) + (window.scrollX || window.pageXOffset)) + 'px';
+        dragHandle.style.top = (top + (window.scrollY || window.pageYOffset)) + 'px';
+      }
+
+      function startDrag(e) {
+        if (e.button !== 0 || !selectedElement) return;
+        e.preventDefault();
+        e.stopPropagation();
+        dragState = { element: selectedElement, drop: null };
+        document.documentElement.style.cursor = 'grabbing';
+      }
+
+      function endDrag() {
+        dragState = null;
+        document.documentElement.style.cursor = '';
+        if (dropIndicator) dropIndicator.style.display = 'none';
+      }
+
+      // Rows of a flex container (and inline elements) drop left/right instead of above/below
+      function isHorizontalFlow(element) {
+        if (window.getComputedStyle(element).display.indexOf('inline') === 0) return true;
+        const parentStyle = element.parentElement ? window.getComputedStyle(element.parentElement) : null;
+        return !!parentStyle && parentStyle.display.indexOf('flex') !== -1 && parentStyle.flexDirection.indexOf('row') === 0;
+      }
+
+      // The element under the pointer and where the dragged element (if any) would go:
+      // the outer quarters of a container drop beside it, the middle drops inside
+      function getDropTarget(element, x, y, dragged) {
+        let target = element;
+        if (!target || target.closest('[id^="vibecanvas-"]')) return null;
+        if (target === document.documentElement) target = document.body;
+        if (dragged && dragged.contains(target)) return null;
+        if (target === document.body) return { element: target, position: 'inside', isHorizontal: false };
+        if (!isSelectableElement(target)) return null;
+
+        const rect = target.getBoundingClientRect();
+        const isHorizontal = isHorizontalFlow(target);
+        const ratio = isHorizontal
+          ? (x - rect.left) / Math.max(rect.width, 1)
+          : (y - rect.top) / Math.max(rect.height, 1);
+        const canContain = CHILDLESS_TAGS.indexOf(target.tagName.toUpperCase()) === -1;
+        if (canContain && ratio > 0.25 && ratio < 0.75) {
+          return { element: target, position: 'inside', isHorizontal: isHorizontal };
+        }
+        return { element: target, position: ratio < 0.5 ? 'before' : 'after', isHorizontal: isHorizontal };
+      }
+
+      function showDropIndicator(drop) {
+        if (!drop) {
+          if (dropIndicator) dropIndicator.style.display = 'none';
+          return;
+        }
+        if (!dropIndicator) {
+          dropIndicator = document.createElement('div');
+          dropIndicator.id = 'vibecanvas-drop-indicator';
+          resetOverlayStyles(dropIndicator);
+          dropIndicator.style.position = 'fixed';
+          dropIndicator.style.zIndex = '1000001';
+          document.body.appendChild(dropIndicator);
+        }
+
+        const rect = drop.element.getBoundingClientRect();
+        dropIndicator.style.display = 'block';
+        if (drop.position === 'inside') {
+          dropIndicator.style.left = rect.left + 'px';
+          dropIndicator.style.top = rect.top + 'px';
+          dropIndicator.style.width = rect.width + 'px';
+          dropIndicator.style.height = rect.height + 'px';
+          dropIndicator.style.border = '2px dashed ' + DROP_COLOR;
+          dropIndicator.style.background = 'rgba(74, 158, 255, 0.1)';
+          return;
+        }
+
+        // A bar along the edge the element will be placed against
+        const isBefore = drop.position === 'before';
+        dropIndicator.style.border = 'none';
+        dropIndicator.style.background = DROP_COLOR;
+        if (drop.isHorizontal) {
+          dropIndicator.style.left = ((isBefore ? rect.left : rect.right) - 2) + 'px';
+          dropIndicator.style.top = rect.top + 'px';
+          dropIndicator.style.width = '4px';
+          dropIndicator.style.height = rect.height + 'px';
+        } else {
+          dropIndicator.style.left = rect.left + 'px';
+          dropIndicator.style.top = ((isBefore ? rect.top : rect.bottom) - 2) + 'px';
+          dropIndicator.style.width = rect.width + 'px';
+          dropIndicator.style.height = '4px';
+        }
+      }
+
+      document.addEventListener('mousemove', function(e) {
+        if (!dragState) return;
+        // The button was released outside the frame
+        if (!(e.buttons & 1)) {
+          endDrag();
+          return;
+        }
+        e.preventDefault();
+        dragState.drop = getDropTarget(document.elementFromPoint(e.clientX, e.clientY), e.clientX, e.clientY, dragState.element);
+        showDropIndicator(dragState.drop);
+      }, true);
+
+      document.addEventListener('mouseup', function(e) {
+        if (!dragState) return;
+        const dragged = dragState.element;
+        const drop = dragState.drop;
+        endDrag();
+
+        // The click that follows this mouseup must not select what's under the pointer
+        suppressNextClick = true;
+        setTimeout(function() { suppressNextClick = false; }, 0);
+        if (!drop) return;
+
+        console.log('Dropped element:', dragged.tagName, drop.position, drop.element.tagName);
+        window.parent.postMessage({
+          type: 'ELEMENT_DROPPED',
+          source: getElementRef(dragged),
+          target: getElementRef(drop.element),
+          position: drop.position,
+          element: getElementInfo(dragged)
+        }, '*');
+      }, true);
+
+      document.addEventListener('keydown', function(e) {
+        if (dragState && e.key === 'Escape') endDrag();
+      });
+
+      // Blocks dragged in from the editor's Insert palette use native drag and drop,
+      // since the pointer crosses from the editor into this frame
+      const BLOCK_DRAG_TYPE = 'application/x-vibecanvas-block';
+
+      function isBlockDrag(e) {
+        return inspectorEnabled && !!e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types, BLOCK_DRAG_TYPE) !== -1;
+      }
+
+      document.addEventListener('dragover', function(e) {
+        if (!isBlockDrag(e)) return;
+        const drop = getDropTarget(e.target, e.clientX, e.clientY, null);
+        showDropIndicator(drop);
+        if (!drop) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      }, true);
+
+      document.addEventListener('dragleave', function(e) {
+        // Only when the pointer leaves the page, not when it moves between elements
+        if (e.relatedTarget || !isBlockDrag(e)) return;
+        showDropIndicator(null);
+      }, true);
+
+      document.addEventListener('drop', function(e) {
+        if (!isBlockDrag(e)) return;
+        e.preventDefault();
+        const drop = getDropTarget(e.target, e.clientX, e.clientY, null);
+        showDropIndicator(null);
+        if (!drop) return;
+
+        const blockId = e.dataTransfer.getData(BLOCK_DRAG_TYPE);
+        console.log('Dropped block:', blockId, drop.position, drop.element.tagName);
+        window.parent.postMessage({
+          type: 'BLOCK_DROPPED',
+          blockId: blockId,
+          target: getElementRef(drop.element),
+          position: drop.position
+        }, '*');
+      }, true);
+
+      // Structural edits: right-click the selection for the editor's context menu, or use the
+      // shortcuts below. The editor rewrites the page source and the page reloads
+      const ELEMENT_ACTION_SHORTCUTS = [
+        { action: 'delete', matches: function(e) { return e.key === 'Delete' || e.key === 'Backspace'; } },
+        { action: 'duplicate', matches: function(e) { return (e.metaKey || e.ctrlKey) && !e.shiftKey && e.key.toLowerCase() === 'd'; } },
+        { action: 'wrap', matches: function(e) { return (e.metaKey || e.ctrlKey) && !e.shiftKey && e.key.toLowerCase() === 'g'; } },
+        { action: 'unwrap', matches: function(e) { return (e.metaKey || e.ctrlKey) && e.shiftKey && e.key.toLowerCase() === 'g'; } }
+      ];
+
+      function getSelectionTargets() {
+        return (selectedElement ? [selectedElement] : []).concat(extraSelectedElements)
+          .filter(function(element) { return document.contains(element); })
+          .map(getElementRef);
+      }
+
+      function isEditableTarget(element) {
+        return !!element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].indexOf(element.tagName) !== -1);
+      }
+
+      document.addEventListener('contextmenu', function(e) {
+        if (!inspectorEnabled || isTextEditing || dragState) return;
+        let target = e.target;
+        if (target === highlightDiv || (target && target.closest('[id^="vibecanvas-"]'))) target = selectedElement;
+        if (!isSelectableElement(target)) return;
+        e.preventDefault();
+
+        // Right-clicking outside the selection selects that element first, like a click
+        if (target !== selectedElement && extraSelectedElements.indexOf(target) === -1) {
+          extraSelectedElements = [];
+          setPrimarySelection(target);
+          updateSelectionOutlines();
+          postSelection();
+        }
+
+        window.parent.postMessage({
+          type: 'ELEMENT_CONTEXT_MENU',
+          x: e.clientX,
+          y: e.clientY,
+          targets: getSelectionTargets()
+        }, '*');
+      }, true);
+
+      document.addEventListener('keydown', function(e) {
+        if (!inspectorEnabled || isTextEditing || dragState || !selectedElement || isEditableTarget(e.target)) return;
+        const shortcut = ELEMENT_ACTION_SHORTCUTS.find(function(item) { return item.matches(e); });
+        if (!shortcut) return;
+        e.preventDefault();
+        window.parent.postMessage({
+          type: 'ELEMENT_ACTION',
+          action: shortcut.action,
+          targets: getSelectionTargets()
+        }, '*');
+      });
+
+      // Distance measurement: with an element selected, hold Alt and hover another element
+      // to draw red guides with the pixel gaps between their edges
+      const MEASURE_COLOR = '#f24822';
+      let measureLayer = null;
+      let lastPointer = null;
+      
+      function clearMeasurement() {
+        if (measureLayer) {
+          measureLayer.innerHTML = '';
+          measureLayer.style.display = 'none';
+        }
+      }
+      
+      function getMeasureLayer() {
+        if (!measureLayer) {
+          measureLayer = document.createElement('div');
+          measureLayer.id = 'vibecanvas-measure';
+          resetOverlayStyles(measureLayer);
+          measureLayer.style.position = 'fixed';
+          measureLayer.style.left = '0';
+          measureLayer.style.top = '0';
+          measureLayer.style.width = '0';
+          measureLayer.style.height = '0';
+          measureLayer.style.overflow = 'visible';
+          measureLayer.style.zIndex = '1000000';
+          document.body.appendChild(measureLayer);
+        }
+        measureLayer.style.display = 'block';
+        return measureLayer;
+      }
+      
+      function addMeasureBox(layer, left, top, width, height, styles) {
+        const box = document.createElement('div');
+        resetOverlayStyles(box);
+        box.style.left = left + 'px';
+        box.style.top = top + 'px';
+        // null leaves the size to the content (labels)
+        if (width !== null) box.style.width = width + 'px';
+        if (height !== null) box.style.height = height + 'px';
+        Object.keys(styles || {}).forEach(function(key) {
+          box.style[key] = styles[key];
+        });
+        layer.appendChild(box);
+        return box;
+      }
+      
+      // Center of the span two ranges share on the cross axis, or the first range's center
+      function getSharedCenter(start1, end1, start2, end2) {
+        const start = Math.max(start1, start2);
+        const end = Math.min(end1, end2);
+        return start < end ? (start + end) / 2 : (start1 + end1) / 2;
+      }
+      
+      // Gaps along one axis: the space between the elements when they don't overlap,
+      // otherwise the offsets between their matching edges
+      function getAxisGaps(a, b, isHorizontal) {
+        const startKey = isHorizontal ? 'left' : 'top';
+        const endKey = isHorizontal ? 'right' : 'bottom';
+        const crossStart = isHorizontal ? 'top' : 'left';
+        const crossEnd = isHorizontal ? 'bottom' : 'right';
+        const at = getSharedCenter(a[crossStart], a[crossEnd], b[crossStart], b[crossEnd]);
+        
+        if (b[startKey] >= a[endKey]) {
+          return [{ from: a[endKey], to: b[startKey], at: at }];
+        }
+        if (b[endKey] <= a[startKey]) {
+          return [{ from: b[endKey], to: a[startKey], at: at }];
+        }
+        
+        // Overlapping: measure through the center of whichever element is smaller on the cross axis
+        const inner = (a[crossEnd] - a[crossStart]) <= (b[crossEnd] - b[crossStart]) ? a : b;
+        const innerAt = (inner[crossStart] + inner[crossEnd]) / 2;
+        const gaps = [];
+        if (a[startKey] !== b[startKey]) {
+          gaps.push({ from: Math.min(a[startKey], b[startKey]), to: Math.max(a[startKey], b[startKey]), at: innerAt });
+        }
+        if (a[endKey] !== b[endKey]) {
+          gaps.push({ from: Math.min(a[endKey], b[endKey]), to: Math.max(a[endKey], b[endKey]), at: innerAt });
+        }
+        return gaps;
+      }
+      
+      function drawGap(layer, gap, isHorizontal, target) {
+        const length = gap.to - gap.from;
+        if (length < 0.5) return;
+        
+        if (isHorizontal) {
+          addMeasureBox(layer, gap.from, gap.at, length, 1, { background: MEASURE_COLOR });
+        } else {
+          addMeasureBox(layer, gap.at, gap.from, 1, length, { background: MEASURE_COLOR });
+        }
+        
+        // Dashed guide from the line to the hovered element when they don't line up
+        const crossStart = isHorizontal ? target.top : target.left;
+        const crossEnd = isHorizontal ? target.bottom : target.right;
+        if (gap.at < crossStart || gap.at > crossEnd) {
+          const guideFrom = gap.at < crossStart ? gap.at : crossEnd;
+          const guideTo = gap.at < crossStart ? crossStart : gap.at;
+          const targetEdges = isHorizontal ? [target.left, target.right] : [target.top, target.bottom];
+          const guideEdge = targetEdges.includes(gap.to) ? gap.to : gap.from;
+          const dashed = { borderStyle: 'dashed', borderColor: MEASURE_COLOR, borderWidth: '0' };
+          if (isHorizontal) {
+            dashed.borderLeftWidth = '1px';
+            addMeasureBox(layer, guideEdge, guideFrom, 1, guideTo - guideFrom, dashed);
+          } else {
+            dashed.borderTopWidth = '1px';
+            addMeasureBox(layer, guideFrom, guideEdge, guideTo - guideFrom, 1, dashed);
+          }
+        }
+        
+        const label = addMeasureBox(layer, 0, 0, null, null, {
+          padding: '1px 4px',
+          background: MEASURE_COLOR,
+          color: '#fff',
+          font: '10px/14px Monaco, Menlo, monospace',
+          borderRadius: '2px',
+          whiteSpace: 'nowrap'
+        });
+        label.textContent = formatPixels(length);
+        const middle = gap.from + length / 2;
+        if (isHorizontal) {
+          label.style.left = middle + 'px';
+          label.style.top = (gap.at + 4) + 'px';
+          label.style.transform = 'translateX(-50%)';
+        } else {
+          label.style.left = (gap.at + 4) + 'px';
+          label.style.top = middle + 'px';
+          label.style.transform = 'translateY(-50%)';
+        }
+      }
+      
+      function measureAtPoint(x, y) {
+        const selected = window.currentSelectedElement || selectedElement;
+        if (!inspectorEnabled || !selected || !document.contains(selected)) {
+          clearMeasurement();
+          return;
+        }
+        
+        const target = document.elementFromPoint(x, y);
+        if (!target || target === selected || target === document.body || target === document.documentElement) {
+          clearMeasurement();
+          return;
+        }
+        
+        const a = selected.getBoundingClientRect();
+        const b = target.getBoundingClientRect();
+        const layer = getMeasureLayer();
+        layer.innerHTML = '';
+        
+        addMeasureBox(layer, b.left, b.top, b.width, b.height, { border: '1px solid ' + MEASURE_COLOR });
+        getAxisGaps(a, b, true).forEach(function(gap) { drawGap(layer, gap, true, b); });
+        getAxisGaps(a, b, false).forEach(function(gap) { drawGap(layer, gap, false, b); });
+      }
+      
+      document.addEventListener('mousemove', function(e) {
+        lastPointer = { x: e.clientX, y: e.clientY };
+        if (e.altKey) {
+          measureAtPoint(e.clientX, e.clientY);
+        } else {
+          clearMeasurement();
+        }
+      }, true);
+      
+      document.addEventListener('keydown', function(e) {
+        if (e.key === 'Alt' && lastPointer) {
+          measureAtPoint(lastPointer.x, lastPointer.y);
+        }
+      });
+      
+      document.addEventListener('keyup', function(e) {
+        if (e.key === 'Alt') clearMeasurement();
+      });
+      window.addEventListener('blur', clearMeasurement);
+      window.addEventListener('scroll', clearMeasurement, { passive: true });
+    })();
+  </script>
+`
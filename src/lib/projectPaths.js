@@ -0,0 +1,112 @@
+/**
+ * Helpers for project-relative file paths
+ * Every project file has a `path` ("css/style.css") that identifies it; `name` is only the file name
+ */
+
+/**
+ * Normalize a path: forward slashes, no leading "./" or "/"
+ */
+export const normalizePath = (path) => {
+  return (path || '').replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '')
+}
+
+/**
+ * Get a file's project-relative path (falls back to its name for flat projects)
+ */
+export const getFilePath = (file) => {
+  if (!file) return null
+  return normalizePath(file.path || file.name)
+}
+
+/**
+ * Get the file name part of a path ("css/style.css" -> "style.css")
+ */
+export const getFileName = (path) => {
+  return normalizePath(path).split('/').pop()
+}
+
+/**
+ * Get the folder part of a path ("css/style.css" -> "css", "index.html" -> "")
+ */
+export const getDirectoryPath = (path) => {
+  const segments = normalizePath(path).split('/')
+  return segments.slice(0, -1).join('/')
+}
+
+/**
+ * Check if two file objects are the same project file
+ */
+export const isSameFile = (a, b) => {
+  return !!a && !!b && getFilePath(a) === getFilePath(b)
+}
+
+/**
+ * Find a file by its project-relative path
+ */
+export const findFileByPath = (files, path) => {
+  const normalized = normalizePath(path)
+  return files?.find(f => getFilePath(f) === normalized) || null
+}
+
+/**
+ * Strip the folder the user picked from uploaded paths
+ * webkitRelativePath includes it ("my-site/css/style.css"), but HTML references are relative to it
+ *
+ * @param {Array<string>} paths - Raw paths as uploaded
+ * @returns {Array<string>} Project-relative paths in the same order
+ */
+export const stripUploadRoot = (paths) => {
+  const normalized = paths.map(normalizePath)
+  const roots = new Set(normalized.map(path => path.includes('/') ? path.split('/')[0] : null))
+  const sharedRoot = roots.size === 1 && !roots.has(null) ? [...roots][0] : null
+
+  return sharedRoot ? normalized.map(path => path.substring(sharedRoot.length + 1)) : normalized
+}
+
+/**
+ * Page identifier used for page-specific CSS (body.page-<id>)
+ * Nested pages include their folder so "blog/index.html" and "index.html" stay distinct
+ */
+export const getPageId = (file) => {
+  const path = typeof file === 'string' ? normalizePath(file) : getFilePath(file)
+  return (path || '').replace(/\.html?$/i, '').replace(/[^a-zA-Z0-9]/g, '-')
+}
+
+/**
+ * Build a nested folder tree from a flat file list
+ * Returns { name, path, folders: [...], files: [...] } with folders and files sorted by name
+ */
+export const buildFileTree = (files) => {
+  const root = { name: '', path: '', folders: [], files: [] }
+  const foldersByPath = new Map([['', root]])
+
+  files.forEach(file => {
+    const directory = getDirectoryPath(getFilePath(file))
+    let parent = root
+    let currentPath = ''
+
+    if (directory) {
+      directory.split('/').forEach(segment => {
+        currentPath = currentPath ? `${currentPath}/${segment}` : segment
+        let folder = foldersByPath.get(currentPath)
+        if (!folder) {
+          folder = { name: segment, path: currentPath, folders: [], files: [] }
+          foldersByPath.set(currentPath, folder)
+          parent.folders.push(folder)
+        }
+        parent = folder
+      })
+    }
+
+    parent.files.push(file)
+  })
+
+  const sortFolder = (folder) => {
+    folder.folders.sort((a, b) => a.name.localeCompare(b.name))
+    folder.files.sort((a, b) => a.name.localeCompare(b.name))
+    folder.folders.forEach(sortFolder)
+  }
+  sortFolder(root)
+
+  return root
+}
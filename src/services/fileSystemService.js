@@ -3,6 +3,8 @@
  * Uses File System Access API when available, falls back to ZIP download with folder structure
  */
 
+import { getFilePath, getFileName } from '../lib/projectPaths'
+
 let projectsDirectoryHandle = null
 
 /**
@@ -73,7 +75,7 @@ export const requestProjectsDirectory = async () => {
 /**
  * Save a project to the file system
  * @param {string} projectName - Name of the project
- * @param {Array} files - Array of file objects with {name, content, type, isImage, dataUrl}
+ * @param {Array} files - Array of file objects with {name, path, content, type, isImage, dataUrl}
  * @param {boolean} promptIfNeeded - If true, prompt for directory if not already granted. If false, only save if access already exists.
  */
 export const saveProjectToFileSystem = async (projectName, files, promptIfNeeded = true) => {
@@ -125,8 +127,8 @@ export const saveProjectToFileSystem = async (projectName, files, promptIfNeeded
       try {
         let fileContent = file.content
 
-        // For images, convert dataUrl to blob if needed
-        if (file.isImage && file.dataUrl) {
+        // For images and fonts, convert dataUrl to blob if needed
+        if (file.dataUrl) {
           if (file.dataUrl.startsWith('data:')) {
             // Convert data URL to blob
             const response = await fetch(file.dataUrl)
@@ -142,8 +144,8 @@ export const saveProjectToFileSystem = async (projectName, files, promptIfNeeded
           }
         }
 
-        // Create file handle (overwrite if exists)
-        const fileHandle = await projectFolder.getFileHandle(file.name, { create: true })
+        // Create file handle (overwrite if exists), recreating the project's folders
+        const fileHandle = await getNestedFileHandle(projectFolder, getFilePath(file))
         const writable = await fileHandle.createWritable()
 
         // Write content
@@ -158,9 +160,9 @@ export const saveProjectToFileSystem = async (projectName, files, promptIfNeeded
         }
 
         await writable.close()
-        console.log(`Saved file: ${file.name} to Projects/${projectFolderName}/`)
+        console.log(`Saved file: ${getFilePath(file)} to Projects/${projectFolderName}/`)
       } catch (error) {
-        console.error(`Error saving file ${file.name}:`, error)
+        console.error(`Error saving file ${getFilePath(file)}:`, error)
         // Continue with other files even if one fails
       }
     }
@@ -178,6 +180,23 @@ export const saveProjectToFileSystem = async (projectName, files, promptIfNeeded
   }
 }
 
+/**
+ * Get a file handle for a project-relative path, creating folders along the way
+ * @param {FileSystemDirectoryHandle} directoryHandle - Project folder
+ * @param {string} path - Project-relative path, e.g. "css/style.css"
+ */
+const getNestedFileHandle = async (directoryHandle, path) => {
+  const segments = path.split('/').filter(Boolean)
+  const fileName = segments.pop()
+
+  let currentDirectory = directoryHandle
+  for (const segment of segments) {
+    currentDirectory = await currentDirectory.getDirectoryHandle(segment, { create: true })
+  }
+
+  return currentDirectory.getFileHandle(fileName, { create: true })
+}
+
 /**
  * Fallback: Download project as ZIP file with folder structure
  * This works in all browsers and creates a proper folder structure when extracted
@@ -193,25 +212,26 @@ const downloadProjectAsZip = async (projectName, files) => {
     // Create a folder in the ZIP with the project name
     const projectFolder = zip.folder(sanitizedName)
 
-    // Add all files to the project folder in the ZIP
+    // Add all files to the project folder in the ZIP (JSZip creates subfolders from the path)
     for (const file of files) {
       let content = file.content
+      const filePath = getFilePath(file)
 
-      // For images with dataUrl, convert to blob
-      if (file.isImage && file.dataUrl) {
+      // For images and fonts with dataUrl, convert to blob
+      if (file.dataUrl) {
         if (file.dataUrl.startsWith('data:')) {
           const response = await fetch(file.dataUrl)
           const blob = await response.blob()
-          projectFolder.file(file.name, blob)
+          projectFolder.file(filePath, blob)
         } else if (file.dataUrl.startsWith('blob:')) {
           const response = await fetch(file.dataUrl)
           const blob = await response.blob()
-          projectFolder.file(file.name, blob)
+          projectFolder.file(filePath, blob)
         } else {
-          projectFolder.file(file.name, content)
+          projectFolder.file(filePath, content)
         }
       } else {
-        projectFolder.file(file.name, content)
+        projectFolder.file(filePath, content)
       }
     }
 
@@ -228,7 +248,7 @@ const downloadProjectAsZip = async (projectName, files) => {
     
     // Show a helpful message
     setTimeout(() => {
-      alert(`Project saved as "${sanitizedName}.zip"\n\nExtract this ZIP file to get a folder with all your project files.\n\nThe folder structure will be:\n${sanitizedName}/\n  ${files.map(f => f.name).join('\n  ')}`)
+      alert(`Project saved as "${sanitizedName}.zip"\n\nExtract this ZIP file to get a folder with all your project files.\n\nThe folder structure will be:\n${sanitizedName}/\n  ${files.map(f => getFilePath(f)).join('\n  ')}`)
     }, 500)
     
     return true
@@ -320,7 +340,7 @@ export const loadProjectsFromFileSystem = async () => {
 /**
  * Load project files from file system
  * @param {string} projectName - Name of the project folder
- * @returns {Array} Array of file objects with {name, content, type, isImage, dataUrl}
+ * @returns {Array} Array of file objects with {name, path, content, type, isImage, dataUrl}
  */
 export const loadProjectFilesFromFileSystem = async (projectName) => {
   try {
@@ -344,19 +364,27 @@ export const loadProjectFilesFromFileSystem = async (projectName) => {
 
     const files = []
 
-    // Read all files from the project folder
-    for await (const [fileName, fileHandle] of projectFolder.entries()) {
-      if (fileHandle.kind === 'file') {
+    // Read all files from the project folder, including subfolders
+    const readDirectory = async (directoryHandle, directoryPath) => {
+      for await (const [entryName, entryHandle] of directoryHandle.entries()) {
+        const entryPath = directoryPath ? `${directoryPath}/${entryName}` : entryName
+
+        if (entryHandle.kind === 'directory') {
+          await readDirectory(entryHandle, entryPath)
+          continue
+        }
+
         try {
-          const file = await fileHandle.getFile()
-          const extension = fileName.split('.').pop()?.toLowerCase() || ''
+          const file = await entryHandle.getFile()
+          const extension = entryName.split('.').pop()?.toLowerCase() || ''
           const isImage = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'].includes(extension)
+          const isFont = ['woff', 'woff2', 'ttf', 'otf'].includes(extension)
           
           let content
           let dataUrl = null
 
-          if (isImage) {
-            // For images, convert to data URL
+          if (isImage || isFont) {
+            // For images and fonts, convert to data URL
             const arrayBuffer = await file.arrayBuffer()
             const blob = new Blob([arrayBuffer], { type: file.type })
             dataUrl = await new Promise((resolve, reject) => {
@@ -372,19 +400,21 @@ export const loadProjectFilesFromFileSystem = async (projectName) => {
           }
 
           files.push({
-            name: fileName,
+            name: getFileName(entryPath),
             content: content,
             type: extension || 'txt',
             isImage: isImage,
             dataUrl: dataUrl,
-            path: fileName
+            path: entryPath
           })
         } catch (error) {
-          console.error(`Error reading file ${fileName}:`, error)
+          console.error(`Error reading file ${entryPath}:`, error)
         }
       }
     }
 
+    await readDirectory(projectFolder, '')
+
     console.log(`Loaded ${files.length} files from project "${projectName}"`)
     return files
   } catch (error) {
@@ -0,0 +1,212 @@
+/**
+ * Service for serving the project preview from a virtual origin
+ * Project files are written to Cache Storage and answered by public/preview-sw.js,
+ * so the preview iframe loads /__preview/<session>/<path> like a real static host
+ */
+
+import { getFilePath, getFileName } from '../lib/projectPaths'
+
+const PREVIEW_CACHE = 'vibecanvas-preview'
+const PREVIEW_PREFIX = '/__preview/'
+const SERVICE_WORKER_URL = '/preview-sw.js'
+
+const MIME_TYPES = {
+  html: 'text/html; charset=utf-8',
+  htm: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  js: 'text/javascript; charset=utf-8',
+  mjs: 'text/javascript; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  map: 'application/json; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf'
+}
+
+// Extensions stored as text - anything else may be held as a data URL
+const TEXT_EXTENSIONS = ['html', 'htm', 'css', 'js', 'mjs', 'json', 'map', 'txt', 'xml']
+
+let serverReadyPromise = null
+
+// sessionId -> Map(path -> published body), used to skip unchanged files
+const publishedSessions = new Map()
+
+/**
+ * Check if the preview server can run in this browser
+ * Service workers need a secure context (https or localhost)
+ */
+export const isPreviewServerSupported = () => {
+  return typeof window !== 'undefined' &&
+    window.isSecureContext &&
+    'serviceWorker' in navigator &&
+    'caches' in window
+}
+
+// How long to wait for the worker to prune before serving anyway
+const PRUNE_TIMEOUT = 2000
+
+/**
+ * Remove sessions left behind by reloads and crashes - panes clear their own on unmount, but those
+ * never unmounted. The worker keeps every session a preview frame still has open, in any tab.
+ * Finishes before the server reports ready so this tab's first publish isn't pruned with them
+ */
+const pruneStaleSessions = (worker) => {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel()
+    const timeout = setTimeout(resolve, PRUNE_TIMEOUT)
+    channel.port1.onmessage = () => {
+      clearTimeout(timeout)
+      resolve()
+    }
+    worker.postMessage({ type: 'PRUNE_SESSIONS', keep: [...publishedSessions.keys()] }, [channel.port2])
+  })
+}
+
+/**
+ * Register the preview service worker and wait until it is active
+ * Returns true when the preview can be served, false if the caller should fall back to inlining
+ */
+export const startPreviewServer = () => {
+  if (serverReadyPromise) return serverReadyPromise
+
+  if (!isPreviewServerSupported()) {
+    console.warn('Preview server not supported in this browser - using inline preview')
+    serverReadyPromise = Promise.resolve(false)
+    return serverReadyPromise
+  }
+
+  serverReadyPromise = navigator.serviceWorker
+    .register(SERVICE_WORKER_URL, { scope: PREVIEW_PREFIX })
+    .then(async (registration) => {
+      const worker = registration.active || registration.installing || registration.waiting
+      if (!worker) return false
+
+      // navigator.serviceWorker.ready never resolves here because the editor page
+      // itself is outside the /__preview/ scope, so watch the worker directly
+      if (!registration.active) {
+        await new Promise((resolve, reject) => {
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'activated') resolve()
+            if (worker.state === 'redundant') reject(new Error('Preview service worker became redundant'))
+          })
+        })
+      }
+
+      await pruneStaleSessions(worker)
+      return true
+    })
+    .catch((error) => {
+      console.error('Error starting preview server - using inline preview:', error)
+      return false
+    })
+
+  return serverReadyPromise
+}
+
+/**
+ * Create a unique id for one preview pane's files
+ */
+export const createPreviewSessionId = () => {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36)
+}
+
+/**
+ * Get the MIME type for a project path
+ */
+export const getMimeType = (path) => {
+  const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : ''
+  return MIME_TYPES[extension] || 'application/octet-stream'
+}
+
+/**
+ * Get the data URL holding a binary file's bytes (images, fonts)
+ * Projects loaded from the cloud only keep the data URL in content
+ * Returns null for text files
+ */
+export const getFileDataUrl = (file) => {
+  if (file.dataUrl) return file.dataUrl
+
+  const fileName = getFileName(getFilePath(file))
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : ''
+  if (TEXT_EXTENSIONS.includes(extension)) return null
+
+  return typeof file.content === 'string' && file.content.startsWith('data:') ? file.content : null
+}
+
+/**
+ * Build the URL the preview iframe should load for a project path
+ */
+export const getPreviewUrl = (sessionId, path) => {
+  return new URL(`${PREVIEW_PREFIX}${sessionId}/${path}`, window.location.origin).href
+}
+
+/**
+ * Publish project files to the preview server
+ * HTML files are passed through transformHtml (used to inject the inspector) before publishing
+ * Files no longer in the project are removed from the session
+ */
+export const publishPreviewFiles = async (sessionId, files, { transformHtml } = {}) => {
+  const cache = await caches.open(PREVIEW_CACHE)
+  const previous = publishedSessions.get(sessionId) || new Map()
+  const published = new Map()
+
+  await Promise.all(files.map(async (file) => {
+    const path = getFilePath(file)
+    const isHtml = file.type === 'html' || /\.html?$/i.test(path)
+
+    const dataUrl = getFileDataUrl(file)
+    let body = dataUrl || file.content
+    if (body === undefined || body === null) return
+
+    if (isHtml && transformHtml) {
+      body = transformHtml(file, path)
+    }
+
+    published.set(path, body)
+    if (previous.get(path) === body) return
+
+    // Images and fonts are stored as data URLs - publish the decoded bytes
+    const responseBody = dataUrl ? await (await fetch(dataUrl)).blob() : body
+
+    await cache.put(getPreviewUrl(sessionId, path), new Response(responseBody, {
+      headers: {
+        'Content-Type': getMimeType(path),
+        'Cache-Control': 'no-store'
+      }
+    }))
+  }))
+
+  const removed = [...previous.keys()].filter(path => !published.has(path))
+  await Promise.all(removed.map(path => cache.delete(getPreviewUrl(sessionId, path))))
+
+  publishedSessions.set(sessionId, published)
+}
+
+/**
+ * Remove all of a session's files from the preview server
+ */
+export const clearPreviewSession = async (sessionId) => {
+  publishedSessions.delete(sessionId)
+  if (!isPreviewServerSupported()) return
+
+  try {
+    const cache = await caches.open(PREVIEW_CACHE)
+    const sessionPrefix = getPreviewUrl(sessionId, '')
+    const requests = await cache.keys()
+    await Promise.all(requests
+      .filter(request => request.url.startsWith(sessionPrefix))
+      .map(request => cache.delete(request)))
+  } catch (error) {
+    console.warn('Error clearing preview session:', error)
+  }
+}
@@ -1,4 +1,5 @@
 import { supabase } from '../lib/supabase'
+import { getFilePath, getFileName } from '../lib/projectPaths'
 
 /**
  * Save a project as a new project (always creates, never updates)
@@ -21,7 +22,7 @@ export const saveProjectAsNew = async (projectName, files, userId) => {
     // Insert all files for this new project
     const fileInserts = files.map((file) => ({
       project_id: projectId,
-      file_name: file.name,
+      file_name: getFilePath(file), // Project-relative path, e.g. "css/style.css"
       file_content: file.content,
       file_type: file.type || file.name.split('.').pop(),
     }))
@@ -176,7 +177,7 @@ export const saveProject = async (projectName, files, userId) => {
     // Insert/update all files
     const fileInserts = files.map((file) => ({
       project_id: projectId,
-      file_name: file.name,
+      file_name: getFilePath(file), // Project-relative path, e.g. "css/style.css"
       file_content: file.content,
       file_type: file.type || file.name.split('.').pop(),
     }))
@@ -244,7 +245,8 @@ export const loadProjectById = async (projectId, userId) => {
 
     // Convert to the format expected by the app
     const formattedFiles = files.map((file) => ({
-      name: file.file_name,
+      name: getFileName(file.file_name),
+      path: file.file_name,
       content: file.file_content,
       type: file.file_type,
       lastModified: Date.now(), // We don't store this, so use current time
@@ -287,7 +289,8 @@ export const loadProject = async (projectName, userId) => {
 
     // Convert to the format expected by the app
     const formattedFiles = files.map((file) => ({
-      name: file.file_name,
+      name: getFileName(file.file_name),
+      path: file.file_name,
       content: file.file_content,
       type: file.file_type,
       lastModified: Date.now(), // We don't store this, so use current time